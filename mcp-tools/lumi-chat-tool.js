@@ -25,6 +25,7 @@ import {
 // Configuration
 const CHAT_API_BASE = process.env.CHAT_API_BASE || "http://localhost:8888";
 const LUMI_USERNAME = "Lumi";
+const LUMI_PASSWORD = process.env.LUMI_PASSWORD;
 
 class LumiChatTool {
   constructor() {
@@ -40,9 +41,41 @@ class LumiChatTool {
       }
     );
 
+    this.sessionToken = null;
     this.setupToolHandlers();
   }
 
+  // Sign in as Lumi once and reuse the session token as a bearer token
+  async getAuthHeaders() {
+    if (!this.sessionToken) {
+      if (!LUMI_PASSWORD) {
+        throw new Error("LUMI_PASSWORD environment variable is not set");
+      }
+
+      const response = await fetch(`${CHAT_API_BASE}/api/auth/login`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          username: LUMI_USERNAME,
+          password: LUMI_PASSWORD,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(
+          `Failed to sign in as ${LUMI_USERNAME}: ${response.status} ${response.statusText}`
+        );
+      }
+
+      const { token } = await response.json();
+      this.sessionToken = token;
+    }
+
+    return { Authorization: `Bearer ${this.sessionToken}` };
+  }
+
   setupToolHandlers() {
     // List available tools
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -167,7 +200,6 @@ class LumiChatTool {
     }
 
     const payload = {
-      username: LUMI_USERNAME,
       message: message.trim(),
       replyToId: replyToId || null,
       replyToUsername: replyToUsername || null,
@@ -178,6 +210,7 @@ class LumiChatTool {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        ...(await this.getAuthHeaders()),
       },
       body: JSON.stringify(payload),
     });
@@ -216,7 +249,9 @@ class LumiChatTool {
       url += `?sinceId=${sinceId}`;
     }
 
-    const response = await fetch(url);
+    const response = await fetch(url, {
+      headers: await this.getAuthHeaders(),
+    });
 
     if (!response.ok) {
       throw new Error(
@@ -239,7 +274,7 @@ class LumiChatTool {
                 ? ` (replying to ${msg.reply_to_username})`
                 : "";
               return `[${msg.id}] ${msg.username}${replyInfo}: ${
-                msg.message
+                msg.deleted_at ? "[message deleted]" : msg.message
               } (${new Date(msg.created_at).toLocaleTimeString()})`;
             })
             .join("\n")
@@ -263,7 +298,9 @@ class LumiChatTool {
       url += `?sinceId=${sinceId}`;
     }
 
-    const response = await fetch(url);
+    const response = await fetch(url, {
+      headers: await this.getAuthHeaders(),
+    });
 
     if (!response.ok) {
       throw new Error(
@@ -282,10 +319,10 @@ class LumiChatTool {
       const isReplyToLumi =
         includeReplies && msg.reply_to_username === LUMI_USERNAME;
 
-      // Don't include Lumi's own messages
+      // Don't include Lumi's own messages or deleted ones
       const isNotFromLumi = msg.username !== LUMI_USERNAME;
 
-      return isNotFromLumi && (hasMention || isReplyToLumi);
+      return isNotFromLumi && !msg.deleted_at && (hasMention || isReplyToLumi);
     });
 
     const mentionText =
@@ -316,7 +353,9 @@ class LumiChatTool {
   }
 
   async getOnlineUsers(args) {
-    const response = await fetch(`${CHAT_API_BASE}/api/presence`);
+    const response = await fetch(`${CHAT_API_BASE}/api/presence`, {
+      headers: await this.getAuthHeaders(),
+    });
 
     if (!response.ok) {
       throw new Error(
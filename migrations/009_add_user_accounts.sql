@@ -0,0 +1,21 @@
+-- Migration: Add user accounts for authentication
+-- Usernames become identities backed by a password instead of free-form labels
+
+-- Create users table with hashed passwords
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_login_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Usernames are unique regardless of case so "Alice" and "alice" can't both register
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username_lower
+ON users(LOWER(username));
+
+-- Add comments for documentation
+COMMENT ON TABLE users IS 'Registered user accounts used to authenticate API requests';
+COMMENT ON COLUMN users.username IS 'Display name and identity of the user (unique, case-insensitive)';
+COMMENT ON COLUMN users.password_hash IS 'scrypt password hash in the form scrypt$salt$hash';
+COMMENT ON COLUMN users.last_login_at IS 'When the user last signed in';
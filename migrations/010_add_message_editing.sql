@@ -0,0 +1,44 @@
+-- Migration: Add message editing with edit history
+-- Authors can fix their messages; every previous version is kept
+
+-- Track when a message was last edited (NULL for messages that were never edited)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE direct_messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+-- Pollers ask for messages edited since their last sync
+CREATE INDEX IF NOT EXISTS idx_messages_edited_at
+ON messages(edited_at) WHERE edited_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_direct_messages_edited_at
+ON direct_messages(conversation_id, edited_at) WHERE edited_at IS NOT NULL;
+
+-- Previous versions of public chat messages
+CREATE TABLE IF NOT EXISTS message_edits (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    previous_message TEXT NOT NULL,
+    replaced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message_id
+ON message_edits(message_id, replaced_at DESC);
+
+-- Previous versions of direct messages
+CREATE TABLE IF NOT EXISTS direct_message_edits (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL REFERENCES direct_messages(id) ON DELETE CASCADE,
+    previous_message TEXT NOT NULL,
+    replaced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_direct_message_edits_message_id
+ON direct_message_edits(message_id, replaced_at DESC);
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.edited_at IS 'When the author last edited the message (NULL if never edited)';
+COMMENT ON COLUMN direct_messages.edited_at IS 'When the author last edited the message (NULL if never edited)';
+COMMENT ON TABLE message_edits IS 'Previous versions of edited chat messages';
+COMMENT ON TABLE direct_message_edits IS 'Previous versions of edited direct messages';
+COMMENT ON COLUMN message_edits.previous_message IS 'Message text before the edit';
+COMMENT ON COLUMN message_edits.replaced_at IS 'When this version was replaced by an edit';
+COMMENT ON COLUMN direct_message_edits.previous_message IS 'Message text before the edit';
+COMMENT ON COLUMN direct_message_edits.replaced_at IS 'When this version was replaced by an edit';
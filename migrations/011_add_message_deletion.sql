@@ -0,0 +1,16 @@
+-- Migration: Add soft delete for messages
+-- Deleted messages stay as tombstones so replies and pollers can see they are gone
+
+-- Track when the author deleted a message (NULL for live messages)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE direct_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Pollers ask for messages deleted since their last sync
+CREATE INDEX IF NOT EXISTS idx_messages_deleted_at
+ON messages(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_direct_messages_deleted_at
+ON direct_messages(conversation_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.deleted_at IS 'When the author deleted the message; the text and image are cleared at the same time';
+COMMENT ON COLUMN direct_messages.deleted_at IS 'When the author deleted the message; the text and image are cleared at the same time';
@@ -0,0 +1,35 @@
+-- Migration: Add emoji reactions for public messages and direct messages
+-- One table covers both message tables; exactly one of the message columns is set
+
+CREATE TABLE IF NOT EXISTS message_reactions (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    direct_message_id INTEGER REFERENCES direct_messages(id) ON DELETE CASCADE,
+    username VARCHAR(50) NOT NULL,
+    emoji VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT message_reactions_one_target CHECK (num_nonnulls(message_id, direct_message_id) = 1)
+);
+
+-- Each user can add a given emoji to a message only once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_reactions_message_user_emoji
+ON message_reactions(message_id, username, emoji) WHERE message_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_reactions_direct_message_user_emoji
+ON message_reactions(direct_message_id, username, emoji) WHERE direct_message_id IS NOT NULL;
+
+-- Bumped whenever a reaction is added or removed so pollers pick up the change
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reactions_updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE direct_messages ADD COLUMN IF NOT EXISTS reactions_updated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_messages_reactions_updated_at
+ON messages(reactions_updated_at) WHERE reactions_updated_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_direct_messages_reactions_updated_at
+ON direct_messages(conversation_id, reactions_updated_at) WHERE reactions_updated_at IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE message_reactions IS 'Emoji reactions on chat messages and direct messages';
+COMMENT ON COLUMN message_reactions.message_id IS 'Public chat message being reacted to (NULL for direct messages)';
+COMMENT ON COLUMN message_reactions.direct_message_id IS 'Direct message being reacted to (NULL for public chat messages)';
+COMMENT ON COLUMN message_reactions.emoji IS 'The emoji itself, e.g. 👍';
+COMMENT ON COLUMN messages.reactions_updated_at IS 'When a reaction on this message was last added or removed';
+COMMENT ON COLUMN direct_messages.reactions_updated_at IS 'When a reaction on this message was last added or removed';
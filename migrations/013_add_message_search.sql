@@ -0,0 +1,18 @@
+-- Migration: Add full-text search for messages and direct messages
+-- Generated columns keep the search vectors in step with edits and deletions
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(message, ''))) STORED;
+
+ALTER TABLE direct_messages ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (to_tsvector('english', COALESCE(message, ''))) STORED;
+
+-- GIN indexes for @@ matches
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector
+ON messages USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_direct_messages_search_vector
+ON direct_messages USING GIN (search_vector);
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.search_vector IS 'English full-text search vector of the message text';
+COMMENT ON COLUMN direct_messages.search_vector IS 'English full-text search vector of the message text';
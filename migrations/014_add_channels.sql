@@ -0,0 +1,43 @@
+-- Migration: Add public channels
+-- Every public message belongs to a channel; existing messages move into #general
+
+CREATE TABLE IF NOT EXISTS channels (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    topic TEXT,
+    created_by VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Channel names are unique regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_channels_name_lower ON channels(LOWER(name));
+
+INSERT INTO channels (name, topic)
+VALUES ('general', 'Everything and anything')
+ON CONFLICT DO NOTHING;
+
+-- Move the existing single room into #general
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS channel_id INTEGER REFERENCES channels(id);
+
+UPDATE messages
+SET channel_id = (SELECT id FROM channels WHERE LOWER(name) = 'general')
+WHERE channel_id IS NULL;
+
+ALTER TABLE messages ALTER COLUMN channel_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_channel_id ON messages(channel_id, id);
+
+-- How far each user has read in each channel, for unread counts
+CREATE TABLE IF NOT EXISTS channel_reads (
+    channel_id INTEGER NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+    username VARCHAR(50) NOT NULL,
+    last_read_message_id INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (channel_id, username)
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE channels IS 'Public chat channels, shown as #name';
+COMMENT ON COLUMN channels.created_by IS 'Username that created the channel (NULL for built-in channels)';
+COMMENT ON COLUMN messages.channel_id IS 'Channel the message was posted in';
+COMMENT ON TABLE channel_reads IS 'Last message each user has read per channel';
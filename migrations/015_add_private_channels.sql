@@ -0,0 +1,24 @@
+-- Migration: Add private channels
+-- Private channels are only visible to their members, who each have a role
+
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS is_private BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS channel_members (
+    channel_id INTEGER NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+    username VARCHAR(50) NOT NULL,
+    role VARCHAR(10) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+    added_by VARCHAR(50),
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (channel_id, username)
+);
+
+-- Look up every private channel a user belongs to
+CREATE INDEX IF NOT EXISTS idx_channel_members_username ON channel_members(username);
+
+-- The images function looks up which channel an image was posted in
+CREATE INDEX IF NOT EXISTS idx_messages_image_url ON messages(image_url) WHERE image_url IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN channels.is_private IS 'Only members listed in channel_members can see a private channel';
+COMMENT ON TABLE channel_members IS 'Members of private channels (mirrors conversation_participants for DMs)';
+COMMENT ON COLUMN channel_members.role IS 'owner (one per channel), admin (can invite and kick members) or member';
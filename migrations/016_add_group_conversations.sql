@@ -0,0 +1,37 @@
+-- Migration: Add group conversations
+-- Conversations of 3 to 10 people with an optional name, next to 1:1 DMs
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS name VARCHAR(100);
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS created_by VARCHAR(50);
+
+-- 1:1 DMs used to be recognised by having exactly two participants, which
+-- breaks as soon as groups exist: a group that shrinks to two people would be
+-- picked up as their DM. Match on is_group instead.
+CREATE OR REPLACE FUNCTION get_or_create_conversation(user1 VARCHAR(50), user2 VARCHAR(50))
+RETURNS INTEGER AS $$
+DECLARE
+    conv_id INTEGER;
+BEGIN
+    SELECT c.id INTO conv_id
+    FROM conversations c
+    JOIN conversation_participants cp1 ON cp1.conversation_id = c.id AND cp1.username = user1
+    JOIN conversation_participants cp2 ON cp2.conversation_id = c.id AND cp2.username = user2
+    WHERE NOT c.is_group
+    ORDER BY c.id
+    LIMIT 1;
+
+    IF conv_id IS NULL THEN
+        INSERT INTO conversations DEFAULT VALUES RETURNING id INTO conv_id;
+
+        INSERT INTO conversation_participants (conversation_id, username)
+        VALUES (conv_id, user1), (conv_id, user2);
+    END IF;
+
+    RETURN conv_id;
+END; $$ LANGUAGE plpgsql;
+
+-- Add comments for documentation
+COMMENT ON COLUMN conversations.is_group IS 'Group conversation (3-10 people) rather than a 1:1 DM';
+COMMENT ON COLUMN conversations.name IS 'Optional group name; unnamed groups are shown by their members';
+COMMENT ON COLUMN conversations.created_by IS 'Username that started the group';
@@ -0,0 +1,32 @@
+-- Migration: Add threaded replies
+-- Thread replies are messages that point at their root message; they stay out of the main timeline
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS thread_root_id INTEGER REFERENCES messages(id);
+
+-- Bumped whenever a reply is added to or deleted from the thread so pollers refetch the root's summary
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS thread_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Load a thread's replies in order
+CREATE INDEX IF NOT EXISTS idx_messages_thread_root_id
+ON messages(thread_root_id, id) WHERE thread_root_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread_updated_at
+ON messages(thread_updated_at) WHERE thread_updated_at IS NOT NULL;
+
+-- Everyone taking part in a thread (its author and whoever replied), and how far they've read
+CREATE TABLE IF NOT EXISTS thread_subscriptions (
+    root_message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    username VARCHAR(50) NOT NULL,
+    last_read_reply_id INTEGER NOT NULL DEFAULT 0,
+    subscribed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (root_message_id, username)
+);
+
+-- Find every thread a user takes part in
+CREATE INDEX IF NOT EXISTS idx_thread_subscriptions_username ON thread_subscriptions(username);
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.thread_root_id IS 'Message this one replies to in a thread (NULL for timeline messages)';
+COMMENT ON COLUMN messages.thread_updated_at IS 'When a reply in the thread started by this message was last added or deleted';
+COMMENT ON TABLE thread_subscriptions IS 'Thread participants who are notified about new replies';
+COMMENT ON COLUMN thread_subscriptions.last_read_reply_id IS 'Newest reply the participant has seen';
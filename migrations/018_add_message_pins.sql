@@ -0,0 +1,31 @@
+-- Migration: Add pinned messages for channels and direct message conversations
+-- One table covers both message tables like message_reactions; exactly one of the message columns is set
+
+CREATE TABLE IF NOT EXISTS message_pins (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+    direct_message_id INTEGER REFERENCES direct_messages(id) ON DELETE CASCADE,
+    pinned_by VARCHAR(50) NOT NULL,
+    pinned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT message_pins_one_target CHECK (num_nonnulls(message_id, direct_message_id) = 1)
+);
+
+-- A message can only be pinned once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_pins_message_id
+ON message_pins(message_id) WHERE message_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_pins_direct_message_id
+ON message_pins(direct_message_id) WHERE direct_message_id IS NOT NULL;
+
+-- System notices ("alice pinned a message") are timeline rows with an event type.
+-- They point at the pinned message through reply_to_id, so jumping and deleted previews work like replies.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS system_event VARCHAR(20)
+CHECK (system_event IN ('pin'));
+ALTER TABLE direct_messages ADD COLUMN IF NOT EXISTS system_event VARCHAR(20)
+CHECK (system_event IN ('pin'));
+
+-- Add comments for documentation
+COMMENT ON TABLE message_pins IS 'Pinned chat messages and direct messages';
+COMMENT ON COLUMN message_pins.message_id IS 'Pinned channel message (NULL for direct messages)';
+COMMENT ON COLUMN message_pins.direct_message_id IS 'Pinned direct message (NULL for channel messages)';
+COMMENT ON COLUMN messages.system_event IS 'Set on system notices: pin (the author pinned reply_to_id)';
+COMMENT ON COLUMN direct_messages.system_event IS 'Set on system notices: pin (the sender pinned reply_to_id)';
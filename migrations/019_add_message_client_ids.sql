@@ -0,0 +1,16 @@
+-- Migration: Add client-generated ids to sent messages
+-- The app shows a message before the server has it and retries failed or offline sends;
+-- the id it generates makes a retried send return the original row instead of a duplicate
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS client_id VARCHAR(64);
+ALTER TABLE direct_messages ADD COLUMN IF NOT EXISTS client_id VARCHAR(64);
+
+-- One message per author and client id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_client_id
+ON messages(username, client_id) WHERE client_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_direct_messages_client_id
+ON direct_messages(sender_username, client_id) WHERE client_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.client_id IS 'Id the sending client generated, so retries of the same send are not stored twice';
+COMMENT ON COLUMN direct_messages.client_id IS 'Id the sending client generated, so retries of the same send are not stored twice';
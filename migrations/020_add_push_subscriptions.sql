@@ -0,0 +1,47 @@
+-- Migration: Add Web Push subscriptions and notification settings
+-- Browsers that allowed notifications get pushed @mentions and direct messages while the app is closed
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_username ON push_subscriptions(username);
+
+-- What a user wants pushed; users without a row get everything
+CREATE TABLE IF NOT EXISTS notification_settings (
+    username VARCHAR(50) PRIMARY KEY,
+    mentions BOOLEAN NOT NULL DEFAULT TRUE,
+    direct_messages BOOLEAN NOT NULL DEFAULT TRUE,
+    muted_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Channels and conversations a user muted; exactly one of the chat columns is set
+CREATE TABLE IF NOT EXISTS muted_chats (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    channel_id INTEGER REFERENCES channels(id) ON DELETE CASCADE,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    muted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT muted_chats_one_target CHECK (num_nonnulls(channel_id, conversation_id) = 1)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_muted_chats_channel
+ON muted_chats(username, channel_id) WHERE channel_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_muted_chats_conversation
+ON muted_chats(username, conversation_id) WHERE conversation_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE push_subscriptions IS 'Web Push subscriptions, one per browser the user allowed notifications in';
+COMMENT ON COLUMN push_subscriptions.endpoint IS 'Push service URL for the browser; removed when the service says it expired';
+COMMENT ON COLUMN push_subscriptions.p256dh IS 'Browser public key for payload encryption (base64url)';
+COMMENT ON COLUMN push_subscriptions.auth IS 'Browser auth secret for payload encryption (base64url)';
+COMMENT ON TABLE notification_settings IS 'Which push notifications a user wants';
+COMMENT ON COLUMN notification_settings.muted_until IS 'No pushes at all until this time (NULL when not snoozed)';
+COMMENT ON TABLE muted_chats IS 'Channels and conversations that never send the user push notifications';
@@ -0,0 +1,22 @@
+-- Migration: Add a mentions table for the mentions inbox
+-- Mentions are parsed from channel messages (timeline, thread replies and image captions) when they're posted,
+-- so people who were offline still find out they were pinged
+
+CREATE TABLE IF NOT EXISTS mentions (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    username VARCHAR(50) NOT NULL,
+    kind VARCHAR(10) NOT NULL DEFAULT 'user' CHECK (kind IN ('user', 'here', 'everyone')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    read_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (message_id, username)
+);
+
+-- A user's inbox, newest first, and their unread count
+CREATE INDEX IF NOT EXISTS idx_mentions_username ON mentions(username, id DESC);
+CREATE INDEX IF NOT EXISTS idx_mentions_unread ON mentions(username) WHERE read_at IS NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE mentions IS 'People @mentioned in channel messages';
+COMMENT ON COLUMN mentions.kind IS 'user (@name), here (@here, online when posted) or everyone (@everyone)';
+COMMENT ON COLUMN mentions.read_at IS 'When the mention was marked read or its message was read in the channel or thread';
@@ -0,0 +1,8 @@
+-- Migration: Add a read receipt privacy setting
+-- DM participants see "Seen" once the others' read cursors pass their message;
+-- people can opt out, which also stops them seeing anyone else's receipts
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS read_receipts BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.read_receipts IS 'Whether others see how far the user has read DMs (and the user sees theirs)';
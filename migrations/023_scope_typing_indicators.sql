@@ -0,0 +1,22 @@
+-- Migration: Scope typing indicators to a channel or DM conversation
+-- is_typing used to be global, so typing a DM showed up as typing in the public room.
+-- Typing now names the chat it happens in and runs out on its own unless refreshed.
+
+ALTER TABLE user_presence
+ADD COLUMN IF NOT EXISTS typing_channel_id INTEGER REFERENCES channels(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS typing_conversation_id INTEGER REFERENCES conversations(id) ON DELETE SET NULL;
+
+-- Typing from before this migration has no chat to show it in
+UPDATE user_presence SET is_typing = FALSE, typing_started_at = NULL WHERE is_typing;
+
+-- Replace the global typing index with per-chat ones
+DROP INDEX IF EXISTS idx_user_presence_typing;
+CREATE INDEX IF NOT EXISTS idx_user_presence_typing_channel
+ON user_presence(typing_channel_id, typing_started_at) WHERE is_typing = TRUE;
+CREATE INDEX IF NOT EXISTS idx_user_presence_typing_conversation
+ON user_presence(typing_conversation_id, typing_started_at) WHERE is_typing = TRUE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN user_presence.typing_started_at IS 'When the user last reported typing; typing runs out a few seconds after this';
+COMMENT ON COLUMN user_presence.typing_channel_id IS 'Channel the user is typing in (NULL when not typing there)';
+COMMENT ON COLUMN user_presence.typing_conversation_id IS 'DM conversation the user is typing in (NULL when not typing there)';
@@ -0,0 +1,18 @@
+-- Migration: Add rich presence
+-- People pick online, do-not-disturb or invisible and can set a custom status
+-- with an emoji that clears itself; away is set by the app from idle time
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS presence_status VARCHAR(20) NOT NULL DEFAULT 'online',
+ADD COLUMN IF NOT EXISTS status_text VARCHAR(100),
+ADD COLUMN IF NOT EXISTS status_emoji VARCHAR(16),
+ADD COLUMN IF NOT EXISTS status_expires_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE user_presence ADD COLUMN IF NOT EXISTS is_away BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.presence_status IS 'Status the user picked: online, dnd (no sounds or notifications) or invisible (shown as offline)';
+COMMENT ON COLUMN users.status_text IS 'Custom status shown next to the user''s name';
+COMMENT ON COLUMN users.status_emoji IS 'Emoji shown before the custom status';
+COMMENT ON COLUMN users.status_expires_at IS 'When the custom status clears itself (NULL to keep it)';
+COMMENT ON COLUMN user_presence.is_away IS 'The app reported the user idle or the page hidden';
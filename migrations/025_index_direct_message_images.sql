@@ -0,0 +1,5 @@
+-- Migration: Index direct message images
+-- The images function looks up which conversation an image was posted in, so
+-- only its participants can load it
+
+CREATE INDEX IF NOT EXISTS idx_direct_messages_image_url ON direct_messages(image_url) WHERE image_url IS NOT NULL;
@@ -0,0 +1,20 @@
+-- Migration: Add image dimensions and placeholders
+-- Uploads record the size of the image and a blurhash, so the app can reserve
+-- space and paint a preview before the thumbnail loads
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS image_width INTEGER,
+ADD COLUMN IF NOT EXISTS image_height INTEGER,
+ADD COLUMN IF NOT EXISTS image_blurhash VARCHAR(64);
+
+ALTER TABLE direct_messages
+ADD COLUMN IF NOT EXISTS image_width INTEGER,
+ADD COLUMN IF NOT EXISTS image_height INTEGER,
+ADD COLUMN IF NOT EXISTS image_blurhash VARCHAR(64);
+
+COMMENT ON COLUMN messages.image_width IS 'Width in pixels of the uploaded image, after applying its EXIF orientation';
+COMMENT ON COLUMN messages.image_height IS 'Height in pixels of the uploaded image, after applying its EXIF orientation';
+COMMENT ON COLUMN messages.image_blurhash IS 'Blurhash placeholder shown while the image loads';
+COMMENT ON COLUMN direct_messages.image_width IS 'Width in pixels of the uploaded image, after applying its EXIF orientation';
+COMMENT ON COLUMN direct_messages.image_height IS 'Height in pixels of the uploaded image, after applying its EXIF orientation';
+COMMENT ON COLUMN direct_messages.image_blurhash IS 'Blurhash placeholder shown while the image loads';
@@ -0,0 +1,114 @@
+import { neon } from "@netlify/neon";
+import {
+  clearSessionCookie,
+  createSessionCookie,
+  createSessionToken,
+  hashPassword,
+  validatePassword,
+  validateUsername,
+  verifyPassword,
+} from "../lib/auth.js";
+import {
+  conflict,
+  createHandler,
+  json,
+  notFound,
+  unauthorized,
+  validate,
+  validationError,
+} from "../lib/handler.js";
+
+const sql = neon();
+
+const loginBody = {
+  username: { type: "string", required: true, trim: true, label: "Username" },
+  password: { type: "string", required: true, label: "Password" },
+};
+
+async function register({ username, password }) {
+  const error = validateUsername(username) || validatePassword(password);
+
+  if (error) {
+    throw validationError(error);
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  // Insert the user unless the username (case-insensitive) is taken
+  const [user] = await sql`
+    INSERT INTO users (username, password_hash, created_at, last_login_at)
+    VALUES (${username.trim()}, ${passwordHash}, NOW(), NOW())
+    ON CONFLICT DO NOTHING
+    RETURNING id, username
+  `;
+
+  if (!user) {
+    throw conflict("Username is already taken");
+  }
+
+  const token = createSessionToken(user);
+
+  return json(201, { user, token }, { "Set-Cookie": createSessionCookie(token) });
+}
+
+async function login(body) {
+  const { username, password } = validate(body, loginBody);
+
+  const [account] = await sql`
+    SELECT id, username, password_hash
+    FROM users
+    WHERE LOWER(username) = LOWER(${username})
+  `;
+
+  // Same response for unknown users and wrong passwords
+  if (!account || !(await verifyPassword(password, account.password_hash))) {
+    throw unauthorized("Invalid username or password");
+  }
+
+  await sql`
+    UPDATE users SET last_login_at = NOW() WHERE id = ${account.id}
+  `;
+
+  const user = { id: account.id, username: account.username };
+  const token = createSessionToken(user);
+
+  return json(200, { user, token }, { "Set-Cookie": createSessionCookie(token) });
+}
+
+export const handler = createHandler({
+  name: "auth",
+  // These endpoints are how callers get a session in the first place
+  auth: false,
+  methods: {
+    // Actions come from the path: /api/auth/{register|login|logout|me}
+    GET: async ({ user, segments }) => {
+      if (segments[0] !== "me") {
+        throw notFound("Unknown auth action");
+      }
+
+      // Return the currently signed in user, if any
+      if (!user) {
+        throw unauthorized("Not signed in");
+      }
+
+      return { user };
+    },
+
+    POST: async ({ body, segments }) => {
+      switch (segments[0]) {
+        case "register":
+          return register(body);
+        case "login":
+          return login(body);
+        case "logout":
+          return json(
+            200,
+            { success: true },
+            { "Set-Cookie": clearSessionCookie() }
+          );
+        default:
+          throw notFound("Unknown auth action");
+      }
+    },
+  },
+});
@@ -1,27 +1,5 @@
-import { getStore } from "@netlify/blobs";
-
-const headers = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type",
-  "Access-Control-Allow-Methods": "GET, OPTIONS",
-  "Cache-Control": "public, max-age=31536000", // Cache for 1 year
-};
-
-// Get the avatar blob store
-function getAvatarStore() {
-  const storeOptions = {
-    name: "avatars",
-    consistency: "strong",
-  };
-
-  // For local development, manually provide siteID and token
-  if (process.env.NETLIFY_SITE_ID && process.env.NETLIFY_TOKEN) {
-    storeOptions.siteID = process.env.NETLIFY_SITE_ID;
-    storeOptions.token = process.env.NETLIFY_TOKEN;
-  }
-
-  return getStore(storeOptions);
-}
+import { getAvatarStore } from "../lib/blobs.js";
+import { badRequest, createHandler, notFound } from "../lib/handler.js";
 
 // Helper function to get content type from filename
 function getContentType(filename) {
@@ -39,76 +17,45 @@ function getContentType(filename) {
   }
 }
 
-export const handler = async (event) => {
-  const { httpMethod, path } = event;
+export const handler = createHandler({
+  name: "avatars",
+  // Avatars are public so they can be used directly in <img> tags
+  auth: false,
+  methods: {
+    GET: async ({ segments }) => {
+      // Extract avatar key from path: /api/avatars/{avatarKey}
+      const avatarKey = segments[segments.length - 1];
 
-  // Handle CORS preflight
-  if (httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
+      if (!avatarKey) {
+        throw badRequest("Avatar key is required");
+      }
 
-  if (httpMethod !== "GET") {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: "Method not allowed" }),
-    };
-  }
+      // Get the blob store
+      const store = getAvatarStore();
 
-  try {
-    // Extract avatar key from path: /api/avatars/{avatarKey}
-    const pathParts = path.split("/");
-    const avatarKey = pathParts[pathParts.length - 1];
+      // Retrieve the avatar from blob storage
+      const avatarBlob = await store.get(avatarKey, { type: "arrayBuffer" });
 
-    if (!avatarKey) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: "Avatar key is required" }),
-      };
-    }
+      if (!avatarBlob) {
+        throw notFound("Avatar not found");
+      }
 
-    // Get the blob store
-    const store = getAvatarStore();
+      // Get metadata to determine content type
+      const metadata = await store.getMetadata(avatarKey);
+      const originalName = metadata?.originalName || avatarKey;
+      const contentType = getContentType(originalName);
 
-    // Retrieve the avatar from blob storage
-    const avatarBlob = await store.get(avatarKey, { type: "arrayBuffer" });
-
-    if (!avatarBlob) {
+      // Return the avatar image
       return {
-        statusCode: 404,
-        headers,
-        body: JSON.stringify({ error: "Avatar not found" }),
+        statusCode: 200,
+        headers: {
+          "Content-Type": contentType,
+          "Content-Length": avatarBlob.byteLength.toString(),
+          "Cache-Control": "public, max-age=31536000", // Cache for 1 year
+        },
+        body: Buffer.from(avatarBlob).toString("base64"),
+        isBase64Encoded: true,
       };
-    }
-
-    // Get metadata to determine content type
-    const metadata = await store.getMetadata(avatarKey);
-    const originalName = metadata?.originalName || avatarKey;
-    const contentType = getContentType(originalName);
-
-    // Return the avatar image
-    return {
-      statusCode: 200,
-      headers: {
-        ...headers,
-        "Content-Type": contentType,
-        "Content-Length": avatarBlob.byteLength.toString(),
-      },
-      body: Buffer.from(avatarBlob).toString("base64"),
-      isBase64Encoded: true,
-    };
-  } catch (error) {
-    console.error("Avatar retrieval error:", error);
-
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ error: "Failed to retrieve avatar" }),
-    };
-  }
-};
+    },
+  },
+});
@@ -0,0 +1,331 @@
+import { neon } from "@netlify/neon";
+import {
+  listChannels,
+  requireChannelRole,
+  resolveChannel,
+} from "../lib/channels.js";
+import {
+  conflict,
+  createHandler,
+  forbidden,
+  json,
+  notFound,
+  validate,
+  validationError,
+} from "../lib/handler.js";
+import { markChannelMentionsRead } from "../lib/mentions.js";
+
+const sql = neon();
+
+// Lowercase letters, numbers and dashes, like #team-updates
+const CHANNEL_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const channelBody = {
+  name: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: 50,
+    label: "Channel name",
+  },
+  topic: { type: "string", trim: true, maxLength: 250, label: "Topic" },
+  isPrivate: { type: "boolean", default: false, label: "isPrivate" },
+};
+
+const readBody = {
+  messageId: { type: "integer", required: true, min: 1, label: "messageId" },
+};
+
+// Owners are made when a channel is created, so only these can be handed out
+const assignableRole = {
+  type: "string",
+  trim: true,
+  oneOf: ["admin", "member"],
+  label: "Role",
+};
+
+const inviteBody = {
+  username: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: 50,
+    label: "Username",
+  },
+  role: { ...assignableRole, default: "member" },
+};
+
+const roleBody = {
+  role: { ...assignableRole, required: true },
+};
+
+async function listMembers(channel) {
+  return sql`
+    SELECT username, role, added_by, joined_at
+    FROM channel_members
+    WHERE channel_id = ${channel.id}
+    ORDER BY
+      CASE role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END,
+      LOWER(username) ASC
+  `;
+}
+
+// Where the user has read a channel up to and how many messages from other
+// people came after it, for the "New messages" divider. Before their first
+// visit that's the last message from before they signed up, as in listChannels.
+async function fetchReadState(channel, username) {
+  const [state] = await sql`
+    WITH cursor AS (
+      SELECT COALESCE(
+        cr.last_read_message_id,
+        (
+          SELECT MAX(m.id) FROM messages m
+          WHERE m.channel_id = ${channel.id}
+          AND m.thread_root_id IS NULL
+          AND m.created_at <= u.created_at
+        ),
+        0
+      ) AS id
+      FROM users u
+      LEFT JOIN channel_reads cr ON cr.channel_id = ${channel.id} AND cr.username = u.username
+      WHERE u.username = ${username}
+    )
+    SELECT cursor.id AS last_read_message_id, (
+      SELECT COUNT(*)::int
+      FROM messages m
+      WHERE m.channel_id = ${channel.id}
+      AND m.thread_root_id IS NULL
+      AND m.system_event IS NULL
+      AND m.deleted_at IS NULL
+      AND m.username <> ${username}
+      AND m.id > cursor.id
+    ) AS unread_count
+    FROM cursor
+  `;
+
+  return {
+    lastReadMessageId: state?.last_read_message_id ?? 0,
+    unreadCount: state?.unread_count ?? 0,
+  };
+}
+
+// Member routes only make sense for private channels
+async function resolvePrivateChannel(name, username) {
+  const channel = await resolveChannel(name, username);
+  if (!channel.is_private) {
+    throw validationError("Public channels don't have members");
+  }
+  return channel;
+}
+
+// A member of the channel as stored, so usernames keep their original case
+async function findMember(channel, username) {
+  const [member] = await sql`
+    SELECT username, role
+    FROM channel_members
+    WHERE channel_id = ${channel.id} AND LOWER(username) = LOWER(${username})
+  `;
+  if (!member) {
+    throw notFound("Member not found");
+  }
+  return member;
+}
+
+// Invite a registered user into a private channel (owners and admins only)
+async function inviteMember(channel, body, inviter) {
+  requireChannelRole(
+    channel,
+    ["owner", "admin"],
+    "Only owners and admins can invite members"
+  );
+  const { username, role } = validate(body, inviteBody);
+
+  if (role === "admin") {
+    requireChannelRole(channel, ["owner"], "Only the owner can add admins");
+  }
+
+  const [invitee] = await sql`
+    SELECT username FROM users WHERE LOWER(username) = LOWER(${username})
+  `;
+  if (!invitee) {
+    throw notFound("User not found");
+  }
+
+  const [member] = await sql`
+    INSERT INTO channel_members (channel_id, username, role, added_by)
+    VALUES (${channel.id}, ${invitee.username}, ${role}, ${inviter})
+    ON CONFLICT DO NOTHING
+    RETURNING username, role, added_by, joined_at
+  `;
+  if (!member) {
+    throw conflict(`${invitee.username} is already a member`);
+  }
+
+  return json(201, member);
+}
+
+// Change a member's role (owner only)
+async function changeRole(channel, username, body) {
+  requireChannelRole(channel, ["owner"], "Only the owner can change roles");
+  const { role } = validate(body, roleBody);
+  const member = await findMember(channel, username);
+
+  if (member.role === "owner") {
+    throw forbidden("The owner's role can't be changed");
+  }
+
+  const [updated] = await sql`
+    UPDATE channel_members
+    SET role = ${role}
+    WHERE channel_id = ${channel.id} AND username = ${member.username}
+    RETURNING username, role, added_by, joined_at
+  `;
+  return updated;
+}
+
+// Kick a member, or leave when removing yourself. Owners can remove anyone
+// but themselves, admins can only remove plain members.
+async function removeMember(channel, username, caller) {
+  const member = await findMember(channel, username);
+  const leaving = member.username === caller;
+
+  if (member.role === "owner") {
+    throw forbidden(
+      leaving ? "The owner can't leave their channel" : "The owner can't be removed"
+    );
+  }
+  if (!leaving) {
+    requireChannelRole(
+      channel,
+      member.role === "admin" ? ["owner"] : ["owner", "admin"],
+      member.role === "admin"
+        ? "Only the owner can remove admins"
+        : "Only owners and admins can remove members"
+    );
+  }
+
+  // Access is checked on every request, so dropping the row cuts them off
+  await sql.transaction([
+    sql`
+      DELETE FROM channel_members
+      WHERE channel_id = ${channel.id} AND username = ${member.username}
+    `,
+    sql`
+      DELETE FROM channel_reads
+      WHERE channel_id = ${channel.id} AND username = ${member.username}
+    `,
+  ]);
+
+  return { success: true };
+}
+
+// Create a channel; whoever creates a private channel owns it
+async function createChannel(body, username) {
+  const { name: rawName, topic, isPrivate } = validate(body, channelBody);
+  const name = rawName.replace(/^#/, "").toLowerCase();
+
+  if (!CHANNEL_NAME_PATTERN.test(name)) {
+    throw validationError(
+      "Channel names can only contain lowercase letters, numbers and dashes"
+    );
+  }
+
+  const [channel] = await sql`
+    WITH created AS (
+      INSERT INTO channels (name, topic, created_by, is_private)
+      VALUES (${name}, ${topic || null}, ${username}, ${isPrivate})
+      ON CONFLICT DO NOTHING
+      RETURNING id, name, topic, created_by, created_at, is_private
+    ),
+    owner AS (
+      INSERT INTO channel_members (channel_id, username, role, added_by)
+      SELECT id, ${username}, 'owner', ${username}
+      FROM created
+      WHERE is_private
+    )
+    SELECT * FROM created
+  `;
+
+  if (!channel) {
+    throw conflict("A channel with that name already exists");
+  }
+
+  return json(201, {
+    ...channel,
+    role: isPrivate ? "owner" : null,
+    unread_count: 0,
+  });
+}
+
+export const handler = createHandler({
+  name: "channels",
+  methods: {
+    GET: async ({ user, segments }) => {
+      // The user's read cursor: /api/channels/{name}/read
+      if (segments[1] === "read") {
+        const channel = await resolveChannel(segments[0], user.username);
+        return fetchReadState(channel, user.username);
+      }
+
+      // Members of a private channel: /api/channels/{name}/members
+      if (segments.length > 0) {
+        if (segments[1] !== "members") {
+          throw notFound("Unknown channels route");
+        }
+        const channel = await resolvePrivateChannel(segments[0], user.username);
+        return { role: channel.role, members: await listMembers(channel) };
+      }
+
+      return listChannels(user.username);
+    },
+
+    POST: async ({ user, body, segments }) => {
+      if (segments.length === 0) {
+        return createChannel(body, user.username);
+      }
+
+      // Invite someone: /api/channels/{name}/members
+      if (segments[1] === "members") {
+        const channel = await resolvePrivateChannel(segments[0], user.username);
+        return inviteMember(channel, body, user.username);
+      }
+
+      // Mark a channel read up to a message: /api/channels/{name}/read
+      if (segments[1] !== "read") {
+        throw notFound("Unknown channels route");
+      }
+
+      const channel = await resolveChannel(segments[0], user.username);
+      const { messageId } = validate(body, readBody);
+
+      await sql`
+        INSERT INTO channel_reads (channel_id, username, last_read_message_id, updated_at)
+        VALUES (${channel.id}, ${user.username}, ${messageId}, NOW())
+        ON CONFLICT (channel_id, username) DO UPDATE SET
+          last_read_message_id = GREATEST(channel_reads.last_read_message_id, EXCLUDED.last_read_message_id),
+          updated_at = NOW()
+      `;
+      await markChannelMentionsRead(channel.id, user.username, messageId);
+
+      return { success: true };
+    },
+
+    // Change a member's role: /api/channels/{name}/members/{username}
+    PUT: async ({ user, body, segments }) => {
+      if (segments[1] !== "members" || !segments[2]) {
+        throw notFound("Unknown channels route");
+      }
+      const channel = await resolvePrivateChannel(segments[0], user.username);
+      return changeRole(channel, segments[2], body);
+    },
+
+    // Kick a member or leave: /api/channels/{name}/members/{username}
+    DELETE: async ({ user, segments }) => {
+      if (segments[1] !== "members" || !segments[2]) {
+        throw notFound("Unknown channels route");
+      }
+      const channel = await resolvePrivateChannel(segments[0], user.username);
+      return removeMember(channel, segments[2], user.username);
+    },
+  },
+});
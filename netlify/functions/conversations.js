@@ -0,0 +1,152 @@
+import { neon } from "@netlify/neon";
+import {
+  MAX_GROUP_SIZE,
+  findUsers,
+  requireParticipant,
+} from "../lib/conversations.js";
+import {
+  createHandler,
+  forbidden,
+  json,
+  notFound,
+  validate,
+  validationError,
+} from "../lib/handler.js";
+
+const sql = neon();
+
+const conversationIdParam = {
+  id: { type: "integer", required: true, min: 1, label: "Conversation ID" },
+};
+
+const renameBody = {
+  name: { type: "string", trim: true, maxLength: 100, label: "Group name" },
+};
+
+const addParticipantsBody = {
+  usernames: {
+    type: "array",
+    required: true,
+    maxItems: MAX_GROUP_SIZE,
+    items: { type: "string", required: true, trim: true, maxLength: 50 },
+    label: "usernames",
+  },
+};
+
+// A conversation the caller is in, with everyone in it
+async function fetchConversation(id, username) {
+  await requireParticipant(id, username);
+
+  const [conversation] = await sql`
+    SELECT c.id, c.is_group, c.name, c.created_by, c.created_at,
+      ARRAY(
+        SELECT cp.username
+        FROM conversation_participants cp
+        WHERE cp.conversation_id = c.id
+        ORDER BY cp.joined_at ASC, cp.username ASC
+      ) AS participants
+    FROM conversations c
+    WHERE c.id = ${id}
+  `;
+
+  if (!conversation) {
+    throw notFound("Conversation not found");
+  }
+
+  return conversation;
+}
+
+// Membership changes only apply to groups; a 1:1 DM always stays between its two people
+async function fetchGroup(id, username) {
+  const conversation = await fetchConversation(id, username);
+  if (!conversation.is_group) {
+    throw validationError("Only group conversations can change members");
+  }
+  return conversation;
+}
+
+export const handler = createHandler({
+  name: "conversations",
+  methods: {
+    // Conversation details: /api/conversations/{id}
+    GET: async ({ user, segments }) => {
+      const { id } = validate({ id: segments[0] }, conversationIdParam);
+      return fetchConversation(id, user.username);
+    },
+
+    // Rename a group: /api/conversations/{id}
+    PUT: async ({ user, body, segments }) => {
+      const { id } = validate({ id: segments[0] }, conversationIdParam);
+      const { name } = validate(body, renameBody);
+      const group = await fetchGroup(id, user.username);
+
+      const [renamed] = await sql`
+        UPDATE conversations
+        SET name = ${name || null}, updated_at = NOW()
+        WHERE id = ${group.id}
+        RETURNING name
+      `;
+
+      return { ...group, name: renamed.name };
+    },
+
+    // Add people to a group: /api/conversations/{id}/participants
+    POST: async ({ user, body, segments }) => {
+      const { id } = validate({ id: segments[0] }, conversationIdParam);
+      if (segments[1] !== "participants") {
+        throw notFound("Unknown conversations route");
+      }
+
+      const { usernames } = validate(body, addParticipantsBody);
+      const group = await fetchGroup(id, user.username);
+
+      const current = new Set(group.participants.map((name) => name.toLowerCase()));
+      const added = (await findUsers(usernames)).filter(
+        (name) => !current.has(name.toLowerCase())
+      );
+
+      if (added.length === 0) {
+        throw validationError("Everyone is already in this conversation");
+      }
+      if (group.participants.length + added.length > MAX_GROUP_SIZE) {
+        throw validationError(
+          `Group conversations can have at most ${MAX_GROUP_SIZE} people`
+        );
+      }
+
+      // New members start out caught up so earlier messages don't count as unread
+      await sql`
+        INSERT INTO conversation_participants (conversation_id, username, last_read_message_id)
+        SELECT ${group.id}, member, COALESCE(
+          (SELECT MAX(id) FROM direct_messages WHERE conversation_id = ${group.id}),
+          0
+        )
+        FROM UNNEST(${added}::text[]) AS member
+        ON CONFLICT DO NOTHING
+      `;
+
+      return json(201, await fetchConversation(group.id, user.username));
+    },
+
+    // Leave a group: /api/conversations/{id}/participants/{your username}
+    DELETE: async ({ user, segments }) => {
+      const { id } = validate({ id: segments[0] }, conversationIdParam);
+      if (segments[1] !== "participants" || !segments[2]) {
+        throw notFound("Unknown conversations route");
+      }
+      if (segments[2].toLowerCase() !== user.username.toLowerCase()) {
+        throw forbidden("You can only remove yourself from a conversation");
+      }
+
+      const group = await fetchGroup(id, user.username);
+
+      // Access is checked per request, so the history is gone for them right away
+      await sql`
+        DELETE FROM conversation_participants
+        WHERE conversation_id = ${group.id} AND username = ${user.username}
+      `;
+
+      return { success: true };
+    },
+  },
+});
@@ -1,78 +1,114 @@
 import { neon } from "@netlify/neon";
+import {
+  MAX_GROUP_SIZE,
+  MIN_GROUP_SIZE,
+  findUsers,
+} from "../lib/conversations.js";
+import {
+  createHandler,
+  json,
+  notFound,
+  validationError,
+} from "../lib/handler.js";
 
 const sql = neon();
 
-export const handler = async (event) => {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Content-Type": "application/json",
-  };
+export const handler = createHandler({
+  name: "create-conversation",
+  methods: {
+    POST: {
+      body: {
+        recipientUsername: {
+          type: "string",
+          trim: true,
+          maxLength: 50,
+          label: "recipientUsername",
+        },
+        // Everyone else in a group conversation
+        participants: {
+          type: "array",
+          maxItems: MAX_GROUP_SIZE,
+          items: { type: "string", required: true, trim: true, maxLength: 50 },
+          label: "participants",
+        },
+        name: { type: "string", trim: true, maxLength: 100, label: "Group name" },
+      },
+      handler: async ({ user, body }) => {
+        // Conversations are always created on behalf of the signed in user
+        const username = user.username;
+        const { recipientUsername, participants, name } = body;
 
-  // Handle preflight requests
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
+        if (Boolean(recipientUsername) === Boolean(participants)) {
+          throw validationError(
+            "Exactly one of recipientUsername or participants is required"
+          );
+        }
 
-  if (event.httpMethod !== "POST") {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: "Method not allowed" }),
-    };
-  }
+        if (participants) {
+          return createGroup(username, participants, name);
+        }
+
+        // Prevent users from creating conversations with themselves
+        if (username.toLowerCase() === recipientUsername.toLowerCase()) {
+          throw validationError("Cannot create conversation with yourself");
+        }
 
-  try {
-    const { username, recipientUsername } = JSON.parse(event.body);
+        // Only registered users can be messaged
+        const [recipient] = await sql`
+          SELECT username FROM users
+          WHERE LOWER(username) = LOWER(${recipientUsername})
+        `;
 
-    if (!username || !recipientUsername) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: "Username and recipientUsername are required",
-        }),
-      };
-    }
+        if (!recipient) {
+          throw notFound("Recipient not found");
+        }
 
-    // Prevent users from creating conversations with themselves
-    if (username.trim() === recipientUsername.trim()) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: "Cannot create conversation with yourself",
-        }),
-      };
-    }
+        // Create or get conversation between users (this will create an empty conversation)
+        const [result] = await sql`
+          SELECT get_or_create_conversation(${username}, ${recipient.username}) as conversation_id
+        `;
 
-    // Create or get conversation between users (this will create an empty conversation)
-    const [result] = await sql`
-      SELECT get_or_create_conversation(${username.trim()}, ${recipientUsername.trim()}) as conversation_id
-    `;
+        return json(201, {
+          conversation_id: result.conversation_id,
+          participants: [username, recipient.username],
+        });
+      },
+    },
+  },
+});
 
-    return {
-      statusCode: 201,
-      headers,
-      body: JSON.stringify({
-        conversation_id: result.conversation_id,
-        participants: [username.trim(), recipientUsername.trim()],
-      }),
-    };
-  } catch (error) {
-    console.error("Error in create-conversation function:", error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: "Internal server error",
-        message: error.message,
-      }),
-    };
+// Start a new group conversation; groups are never reused like 1:1 DMs are
+async function createGroup(username, participants, name) {
+  const others = participants.filter(
+    (participant) => participant.toLowerCase() !== username.toLowerCase()
+  );
+  const members = [username, ...(await findUsers(others))];
+
+  if (members.length < MIN_GROUP_SIZE || members.length > MAX_GROUP_SIZE) {
+    throw validationError(
+      `Group conversations need ${MIN_GROUP_SIZE} to ${MAX_GROUP_SIZE} people, including you`
+    );
   }
-};
+
+  const [conversation] = await sql`
+    WITH created AS (
+      INSERT INTO conversations (is_group, name, created_by)
+      VALUES (true, ${name || null}, ${username})
+      RETURNING id, name
+    ),
+    joined AS (
+      INSERT INTO conversation_participants (conversation_id, username)
+      SELECT created.id, member
+      FROM created
+      CROSS JOIN UNNEST(${members}::text[]) AS member
+    )
+    SELECT id, name FROM created
+  `;
+
+  return json(201, {
+    conversation_id: conversation.id,
+    is_group: true,
+    name: conversation.name,
+    participants: members,
+  });
+}
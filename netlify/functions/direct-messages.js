@@ -1,243 +1,372 @@
 import { neon } from "@netlify/neon";
+import { deleteImageBlob, signImageUrls } from "../lib/blobs.js";
+import { listConversations, requireParticipant } from "../lib/conversations.js";
+import {
+  createHandler,
+  forbidden,
+  json,
+  notFound,
+  validate,
+  validationError,
+} from "../lib/handler.js";
+import { clientIdRule, fetchConversationUpdates } from "../lib/messages.js";
+import { notifyDirectMessage } from "../lib/notifications.js";
+import { attachReactions } from "../lib/reactions.js";
 
 const sql = neon();
 
-export const handler = async (event) => {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Content-Type": "application/json",
-  };
+const messageIdParam = {
+  id: { type: "integer", required: true, min: 1, label: "Message ID" },
+};
 
-  // Handle preflight requests
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
+// History pages hold this many messages; one extra row tells us whether more exist
+const PAGE_SIZE = 50;
+// Older messages loaded above a jump target for context
+const JUMP_CONTEXT = 25;
+// Most messages a jump will load to connect its target to the loaded history
+const MAX_JUMP_DISTANCE = 1000;
 
-  try {
-    const { httpMethod, body, queryStringParameters } = event;
+const messageBody = {
+  message: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: 1000,
+    label: "Message",
+  },
+};
 
-    switch (httpMethod) {
-      case "GET": {
-        const { conversationId, username, sinceId } =
-          queryStringParameters || {};
+export const handler = createHandler({
+  name: "direct-messages",
+  methods: {
+    GET: {
+      query: {
+        conversationId: { type: "integer", min: 1, label: "conversationId" },
+        sinceId: { type: "integer", min: 0, label: "sinceId" },
+        editedSince: { type: "timestamp", label: "editedSince" },
+        beforeId: { type: "integer", min: 1, label: "beforeId" },
+        aroundId: { type: "integer", min: 1, label: "aroundId" },
+      },
+      handler: async ({ user, query, segments }) => {
+        const { conversationId, sinceId, editedSince, beforeId, aroundId } =
+          query;
+        const username = user.username;
 
-        if (conversationId) {
-          // Get messages for a specific conversation
-          if (!username) {
-            return {
-              statusCode: 400,
-              headers,
-              body: JSON.stringify({ error: "Username is required" }),
-            };
+        // Edit history for a single message: /api/direct-messages/{id}/edits
+        if (segments.length > 0) {
+          const { id } = validate({ id: segments[0] }, messageIdParam);
+          if (segments[1] !== "edits") {
+            throw notFound("Unknown direct-messages route");
           }
+          return fetchEditHistory(id, username);
+        }
 
-          // Verify user is participant in this conversation
-          const participant = await sql`
-            SELECT 1 FROM conversation_participants 
-            WHERE conversation_id = ${parseInt(conversationId)} 
-            AND username = ${username.trim()}
-          `;
+        if (conversationId) {
+          // Get messages for a specific conversation
+          await requireParticipant(conversationId, username);
 
-          if (participant.length === 0) {
+          // Older history: { messages, hasMore } instead of a bare list
+          if (aroundId !== undefined || beforeId !== undefined) {
+            const page =
+              aroundId !== undefined
+                ? await fetchWindow(conversationId, aroundId, beforeId)
+                : await fetchPage(conversationId, beforeId);
             return {
-              statusCode: 403,
-              headers,
-              body: JSON.stringify({
-                error: "Access denied to this conversation",
-              }),
+              ...page,
+              messages: signImageUrls(
+                await attachReactions(page.messages, { direct: true })
+              ),
             };
           }
 
-          let messages;
-          if (sinceId) {
-            // Get new messages since specific ID for real-time polling
-            messages = await sql`
-              SELECT id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename
-              FROM direct_messages
-              WHERE conversation_id = ${parseInt(conversationId)} 
-              AND id > ${parseInt(sinceId)}
-              ORDER BY created_at ASC, id ASC
-            `;
-          } else {
-            // Get recent messages (last 50)
-            messages = await sql`
-              SELECT id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename
-              FROM direct_messages
-              WHERE conversation_id = ${parseInt(conversationId)}
-              ORDER BY created_at DESC, id DESC
-              LIMIT 50
-            `;
-            messages.reverse(); // Show oldest first
+          // New messages plus edits, deletions and reaction changes of messages the client already has
+          if (sinceId !== undefined) {
+            return fetchConversationUpdates(conversationId, sinceId, editedSince);
           }
 
-          return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify(messages),
-          };
-        } else if (username) {
-          // Get all conversations for a user
-          const conversations = await sql`
-            SELECT 
-              c.id,
-              c.created_at,
-              c.updated_at,
-              -- Get the other participant's username (for DMs)
-              (
-                SELECT cp2.username 
-                FROM conversation_participants cp2 
-                WHERE cp2.conversation_id = c.id 
-                AND cp2.username != ${username.trim()}
-                LIMIT 1
-              ) as other_username,
-              -- Get last message info
-              (
-                SELECT dm.message 
-                FROM direct_messages dm 
-                WHERE dm.conversation_id = c.id 
-                ORDER BY dm.created_at DESC 
-                LIMIT 1
-              ) as last_message,
-              (
-                SELECT dm.sender_username 
-                FROM direct_messages dm 
-                WHERE dm.conversation_id = c.id 
-                ORDER BY dm.created_at DESC 
-                LIMIT 1
-              ) as last_sender,
-              (
-                SELECT dm.created_at 
-                FROM direct_messages dm 
-                WHERE dm.conversation_id = c.id 
-                ORDER BY dm.created_at DESC 
-                LIMIT 1
-              ) as last_message_at,
-              -- Calculate unread count
-              (
-                SELECT COUNT(*) 
-                FROM direct_messages dm 
-                WHERE dm.conversation_id = c.id 
-                AND dm.id > COALESCE(cp.last_read_message_id, 0)
-                AND dm.sender_username != ${username.trim()}
-              ) as unread_count
-            FROM conversations c
-            JOIN conversation_participants cp ON c.id = cp.conversation_id
-            WHERE cp.username = ${username.trim()}
-            ORDER BY c.updated_at DESC
+          // Get recent messages (last 50)
+          const messages = await sql`
+            SELECT id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM direct_messages original WHERE original.id = direct_messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+            FROM direct_messages
+            WHERE conversation_id = ${conversationId}
+            ORDER BY created_at DESC, id DESC
+            LIMIT 50
           `;
+          messages.reverse(); // Show oldest first
 
-          return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify(conversations),
-          };
-        } else {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              error: "Either conversationId or username is required",
-            }),
-          };
+          return signImageUrls(await attachReactions(messages, { direct: true }));
         }
-      }
 
-      case "POST": {
+        // Get all conversations for the signed in user
+        return listConversations(username);
+      },
+    },
+
+    POST: {
+      body: {
+        ...messageBody,
+        recipientUsername: { type: "string", trim: true, maxLength: 50 },
+        conversationId: { type: "integer", min: 1, label: "conversationId" },
+        replyToId: { type: "integer", min: 1, label: "Reply ID" },
+        replyToUsername: { type: "string", maxLength: 50 },
+        replyPreview: { type: "string" },
+        clientId: clientIdRule,
+      },
+      handler: async ({ user, body }) => {
         const {
-          username,
           message,
           recipientUsername,
           conversationId,
           replyToId,
           replyToUsername,
           replyPreview,
-        } = JSON.parse(body);
-
-        if (!username || !message) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              error: "Username and message are required",
-            }),
-          };
-        }
+          clientId,
+        } = body;
+        const username = user.username;
 
         let targetConversationId = conversationId;
 
         if (!targetConversationId && recipientUsername) {
+          // Only registered users can be messaged
+          const [recipient] = await sql`
+            SELECT username FROM users
+            WHERE LOWER(username) = LOWER(${recipientUsername})
+          `;
+
+          if (!recipient) {
+            throw notFound("Recipient not found");
+          }
+
           // Create or get conversation between users
           const [result] = await sql`
-            SELECT get_or_create_conversation(${username.trim()}, ${recipientUsername.trim()}) as conversation_id
+            SELECT get_or_create_conversation(${username}, ${recipient.username}) as conversation_id
           `;
           targetConversationId = result.conversation_id;
         }
 
         if (!targetConversationId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              error: "Either conversationId or recipientUsername is required",
-            }),
-          };
+          throw validationError(
+            "Either conversationId or recipientUsername is required"
+          );
         }
 
-        // Verify user is participant in this conversation
-        const participant = await sql`
-          SELECT 1 FROM conversation_participants 
-          WHERE conversation_id = ${targetConversationId} 
-          AND username = ${username.trim()}
-        `;
+        await requireParticipant(targetConversationId, username);
 
-        if (participant.length === 0) {
-          return {
-            statusCode: 403,
-            headers,
-            body: JSON.stringify({
-              error: "Access denied to this conversation",
-            }),
-          };
+        // Replies can only point at messages that still exist in this conversation
+        if (replyToId) {
+          const [original] = await sql`
+            SELECT deleted_at FROM direct_messages
+            WHERE id = ${replyToId} AND conversation_id = ${targetConversationId}
+          `;
+          if (!original || original.deleted_at) {
+            throw notFound("Original message not found");
+          }
         }
 
-        // Insert the direct message
+        // Insert the direct message; a retry of a send we already stored
+        // (same clientId) gets the original back
         const [newMessage] = await sql`
-          INSERT INTO direct_messages (conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview)
-          VALUES (${targetConversationId}, ${username.trim()}, ${message.trim()}, NOW(), ${
+          INSERT INTO direct_messages (conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, client_id)
+          VALUES (${targetConversationId}, ${username}, ${message}, NOW(), ${
           replyToId || null
-        }, ${replyToUsername || null}, ${replyPreview || null})
-          RETURNING id, conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename
+        }, ${replyToUsername || null}, ${replyPreview || null}, ${clientId || null})
+          ON CONFLICT (sender_username, client_id) WHERE client_id IS NOT NULL DO NOTHING
+          RETURNING id, conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, client_id
         `;
 
-        return {
-          statusCode: 201,
-          headers,
-          body: JSON.stringify(newMessage),
-        };
+        if (!newMessage) {
+          return findSentMessage(username, clientId);
+        }
+
+        // Push to the other participants; browsers with the app open don't show it
+        await notifyDirectMessage(targetConversationId, newMessage);
+
+        return json(201, newMessage);
+      },
+    },
+
+    PUT: {
+      body: messageBody,
+      handler: async ({ user, body, segments }) => {
+        // Edit a direct message: /api/direct-messages/{id}
+        const { id } = validate({ id: segments[0] }, messageIdParam);
+
+        const [existing] = await sql`
+          SELECT id, conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, system_event
+          FROM direct_messages
+          WHERE id = ${id}
+        `;
+
+        // Deleted messages can't be edited
+        if (!existing || existing.deleted_at) {
+          throw notFound("Message not found");
+        }
+
+        if (existing.system_event) {
+          throw validationError("System notices can't be edited");
+        }
+
+        // Only the author, while still in the conversation, can edit a message
+        if (existing.sender_username !== user.username) {
+          throw forbidden("You can only edit your own messages");
+        }
+        await requireParticipant(existing.conversation_id, user.username);
+
+        // Nothing changed, so don't record a new version
+        if (existing.message === body.message) {
+          return signImageUrls([existing])[0];
+        }
+
+        // Keep the previous version and apply the edit in one statement
+        const [updated] = await sql`
+          WITH previous AS (
+            INSERT INTO direct_message_edits (message_id, previous_message, replaced_at)
+            SELECT id, message, NOW()
+            FROM direct_messages
+            WHERE id = ${id} AND sender_username = ${user.username} AND deleted_at IS NULL
+            RETURNING message_id
+          )
+          UPDATE direct_messages
+          SET message = ${body.message}, edited_at = NOW()
+          WHERE id IN (SELECT message_id FROM previous)
+          RETURNING id, conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at
+        `;
+
+        if (!updated) {
+          throw notFound("Message not found");
+        }
+
+        return signImageUrls([updated])[0];
+      },
+    },
+
+    DELETE: async ({ user, segments }) => {
+      // Delete a direct message: /api/direct-messages/{id}
+      const { id } = validate({ id: segments[0] }, messageIdParam);
+
+      const [existing] = await sql`
+        SELECT id, conversation_id, sender_username, image_url, deleted_at
+        FROM direct_messages
+        WHERE id = ${id}
+      `;
+
+      if (!existing || existing.deleted_at) {
+        throw notFound("Message not found");
       }
 
-      default:
-        return {
-          statusCode: 405,
-          headers,
-          body: JSON.stringify({ error: "Method not allowed" }),
-        };
-    }
-  } catch (error) {
-    console.error("Error in direct-messages function:", error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: "Internal server error",
-        message: error.message,
-      }),
-    };
+      // Only the author, while still in the conversation, can delete a message
+      if (existing.sender_username !== user.username) {
+        throw forbidden("You can only delete your own messages");
+      }
+      await requireParticipant(existing.conversation_id, user.username);
+
+      // Leave a tombstone and drop every copy of the text: the message itself,
+      // its previous versions and the previews quoted by replies. Reactions and
+      // its pin go too.
+      const [[tombstone]] = await sql.transaction([
+        sql`
+          UPDATE direct_messages
+          SET message = '', image_url = NULL, image_filename = NULL, image_width = NULL, image_height = NULL, image_blurhash = NULL, deleted_at = NOW()
+          WHERE id = ${id} AND deleted_at IS NULL
+          RETURNING id, conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at
+        `,
+        sql`DELETE FROM direct_message_edits WHERE message_id = ${id}`,
+        sql`DELETE FROM message_reactions WHERE direct_message_id = ${id}`,
+        sql`DELETE FROM message_pins WHERE direct_message_id = ${id}`,
+        sql`UPDATE direct_messages SET reply_preview = NULL WHERE reply_to_id = ${id}`,
+      ]);
+
+      if (!tombstone) {
+        throw notFound("Message not found");
+      }
+
+      if (existing.image_url) {
+        await deleteImageBlob(existing.image_url);
+      }
+
+      return { ...tombstone, reactions: [] };
+    },
+  },
+});
+
+// Up to `limit` messages in a conversation older than beforeId, oldest first
+async function fetchPage(conversationId, beforeId, limit = PAGE_SIZE) {
+  const rows = await sql`
+    SELECT id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM direct_messages original WHERE original.id = direct_messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+    FROM direct_messages
+    WHERE conversation_id = ${conversationId}
+    AND id < ${beforeId}
+    ORDER BY id DESC
+    LIMIT ${limit + 1}
+  `;
+
+  return {
+    messages: rows.slice(0, limit).reverse(),
+    hasMore: rows.length > limit,
+  };
+}
+
+// A few messages before aroundId plus everything from it up to beforeId (the
+// oldest message the client has), so jumping to an old reply target leaves no
+// gap in the client's history
+async function fetchWindow(conversationId, aroundId, beforeId) {
+  if (beforeId === undefined) {
+    throw validationError("beforeId is required with aroundId");
   }
-};
+  if (aroundId >= beforeId) {
+    throw validationError("aroundId must be older than beforeId");
+  }
+
+  const newer = await sql`
+    SELECT id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM direct_messages original WHERE original.id = direct_messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+    FROM direct_messages
+    WHERE conversation_id = ${conversationId}
+    AND id >= ${aroundId} AND id < ${beforeId}
+    ORDER BY id ASC
+    LIMIT ${MAX_JUMP_DISTANCE + 1}
+  `;
+
+  if (newer.length === 0 || newer[0].id !== aroundId) {
+    throw notFound("Message not found");
+  }
+  if (newer.length > MAX_JUMP_DISTANCE) {
+    throw validationError("Message is too far back to jump to");
+  }
+
+  const older = await fetchPage(conversationId, aroundId, JUMP_CONTEXT);
+  return { messages: [...older.messages, ...newer], hasMore: older.hasMore };
+}
+
+// Current text of a direct message plus its previous versions, newest first
+async function fetchEditHistory(id, username) {
+  const [message] = await sql`
+    SELECT id, conversation_id, sender_username, message, created_at, edited_at, deleted_at
+    FROM direct_messages
+    WHERE id = ${id}
+  `;
+
+  if (!message || message.deleted_at) {
+    throw notFound("Message not found");
+  }
+
+  await requireParticipant(message.conversation_id, username);
+
+  const edits = await sql`
+    SELECT previous_message AS message, replaced_at
+    FROM direct_message_edits
+    WHERE message_id = ${id}
+    ORDER BY replaced_at DESC, id DESC
+  `;
+
+  return { ...message, edits };
+}
+
+// The direct message an earlier attempt of this send already stored
+async function findSentMessage(username, clientId) {
+  const [message] = await sql`
+    SELECT id, conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, client_id
+    FROM direct_messages
+    WHERE sender_username = ${username} AND client_id = ${clientId}
+  `;
+  return message;
+}
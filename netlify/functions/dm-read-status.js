@@ -1,82 +1,75 @@
 import { neon } from "@netlify/neon";
+import { requireParticipant } from "../lib/conversations.js";
+import { createHandler } from "../lib/handler.js";
 
 const sql = neon();
 
-export const handler = async (event) => {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Content-Type": "application/json",
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
+const conversationIdRule = {
+  type: "integer",
+  required: true,
+  min: 1,
+  label: "conversationId",
+};
 
-  if (event.httpMethod !== "POST") {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: "Method not allowed" }),
-    };
-  }
+export const handler = createHandler({
+  name: "dm-read-status",
+  methods: {
+    // Where the user has read a conversation up to and how many messages from
+    // other people came after it, for the "New messages" divider
+    GET: {
+      query: { conversationId: conversationIdRule },
+      handler: async ({ user, query }) => {
+        await requireParticipant(query.conversationId, user.username);
 
-  try {
-    const { username, conversationId, lastReadMessageId } = JSON.parse(event.body);
+        const [state] = await sql`
+          SELECT COALESCE(cp.last_read_message_id, 0) AS last_read_message_id, (
+            SELECT COUNT(*)::int
+            FROM direct_messages dm
+            WHERE dm.conversation_id = cp.conversation_id
+            AND dm.id > COALESCE(cp.last_read_message_id, 0)
+            AND dm.sender_username != ${user.username}
+            AND dm.deleted_at IS NULL
+            AND dm.system_event IS NULL
+          ) AS unread_count
+          FROM conversation_participants cp
+          WHERE cp.conversation_id = ${query.conversationId}
+          AND cp.username = ${user.username}
+        `;
 
-    if (!username || !conversationId || lastReadMessageId === undefined) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: "Username, conversationId, and lastReadMessageId are required" 
-        }),
-      };
-    }
+        return {
+          lastReadMessageId: state.last_read_message_id,
+          unreadCount: state.unread_count,
+        };
+      },
+    },
 
-    // Verify user is participant in this conversation
-    const participant = await sql`
-      SELECT 1 FROM conversation_participants 
-      WHERE conversation_id = ${parseInt(conversationId)} 
-      AND username = ${username.trim()}
-    `;
+    POST: {
+      body: {
+        conversationId: conversationIdRule,
+        lastReadMessageId: {
+          type: "integer",
+          required: true,
+          min: 0,
+          label: "lastReadMessageId",
+        },
+      },
+      handler: async ({ user, body }) => {
+        // Read status is always updated for the signed in user
+        const { conversationId, lastReadMessageId } = body;
 
-    if (participant.length === 0) {
-      return {
-        statusCode: 403,
-        headers,
-        body: JSON.stringify({ error: "Access denied to this conversation" }),
-      };
-    }
+        await requireParticipant(conversationId, user.username);
 
-    // Update the last read message ID for this user in this conversation
-    await sql`
-      UPDATE conversation_participants 
-      SET last_read_message_id = ${parseInt(lastReadMessageId)}
-      WHERE conversation_id = ${parseInt(conversationId)} 
-      AND username = ${username.trim()}
-    `;
+        // Move the last read message ID forward for this user in this
+        // conversation; reading older history doesn't move it back
+        await sql`
+          UPDATE conversation_participants
+          SET last_read_message_id = GREATEST(COALESCE(last_read_message_id, 0), ${lastReadMessageId})
+          WHERE conversation_id = ${conversationId}
+          AND username = ${user.username}
+        `;
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({ success: true }),
-    };
-  } catch (error) {
-    console.error("Error in dm-read-status function:", error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: "Internal server error",
-        message: error.message,
-      }),
-    };
-  }
-};
+        return { success: true };
+      },
+    },
+  },
+});
@@ -1,20 +1,14 @@
-import { getStore } from "@netlify/blobs";
+import { neon } from "@netlify/neon";
+import {
+  IMAGE_VARIANTS,
+  getImageStore,
+  imageUrlFromKey,
+  imageVariantKey,
+  signedUrlSecondsLeft,
+} from "../lib/blobs.js";
+import { badRequest, createHandler, notFound } from "../lib/handler.js";
 
-// Helper function to get the shared image store for both dev and prod
-function getImageStore() {
-  const storeOptions = {
-    name: "chat-images", // Use same store for both dev and prod for seamless feedback
-    consistency: "strong",
-  };
-
-  // For local development, manually provide siteID and token
-  if (process.env.NETLIFY_SITE_ID && process.env.NETLIFY_TOKEN) {
-    storeOptions.siteID = process.env.NETLIFY_SITE_ID;
-    storeOptions.token = process.env.NETLIFY_TOKEN;
-  }
-
-  return getStore(storeOptions);
-}
+const sql = neon();
 
 // Helper function to get content type from filename
 function getContentType(filename) {
@@ -29,85 +23,117 @@ function getContentType(filename) {
   return contentTypes[extension] || "application/octet-stream";
 }
 
-export const handler = async (event) => {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-  };
+export const handler = createHandler({
+  name: "images",
+  // Images are loaded straight from <img> tags. Public channel images are open
+  // to anyone; private channel and DM images need a signed URL from a message
+  // listing or the session of someone who can read the message.
+  auth: false,
+  methods: {
+    GET: {
+      query: {
+        expires: { type: "integer", min: 0, label: "expires" },
+        signature: { type: "string", maxLength: 100, label: "signature" },
+        // A smaller WebP copy: "thumb" for the timeline, "display" for the lightbox
+        size: {
+          type: "string",
+          oneOf: ["original", ...IMAGE_VARIANTS],
+          default: "original",
+          label: "size",
+        },
+      },
+      handler: async ({ user, query, segments }) => {
+        // Extract image key from path: /api/images/username/filename
+        const [username, filename] = segments;
+
+        if (!username || !filename) {
+          throw badRequest("Image key is required");
+        }
 
-  // Handle preflight requests
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
+        const imageKey = `${username}/${filename}`;
+        const imageUrl = imageUrlFromKey(imageKey);
 
-  if (event.httpMethod !== "GET") {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: "Method not allowed" }),
-    };
-  }
+        // The message the image was posted with decides who may see it. Keys
+        // no live message points at get the same 404 as a missing image.
+        const [post] = await sql`
+          SELECT c.is_private, (
+            c.is_private = false OR EXISTS (
+              SELECT 1 FROM channel_members cm
+              WHERE cm.channel_id = c.id AND cm.username = ${user?.username ?? null}
+            )
+          ) AS can_view
+          FROM messages m
+          JOIN channels c ON c.id = m.channel_id
+          WHERE m.image_url = ${imageUrl}
+          AND m.deleted_at IS NULL
+          UNION ALL
+          SELECT true AS is_private, EXISTS (
+            SELECT 1 FROM conversation_participants cp
+            WHERE cp.conversation_id = dm.conversation_id
+            AND cp.username = ${user?.username ?? null}
+          ) AS can_view
+          FROM direct_messages dm
+          WHERE dm.image_url = ${imageUrl}
+          AND dm.deleted_at IS NULL
+          LIMIT 1
+        `;
+        if (!post) {
+          throw notFound("Image not found");
+        }
 
-  try {
-    // Extract image key from path: /api/images/username/filename
-    const pathParts = event.path.split("/");
-    const username = pathParts[pathParts.length - 2];
-    const filename = pathParts[pathParts.length - 1];
-    const imageKey = `${username}/${filename}`;
+        // Private images: a live signed URL can be cached until it expires,
+        // otherwise the session is checked again on every load so removed
+        // members lose them
+        let cacheControl = "public, max-age=31536000"; // Cache for 1 year
+        if (post.is_private) {
+          const secondsLeft =
+            query.expires !== undefined
+              ? signedUrlSecondsLeft(imageKey, query.expires, query.signature)
+              : 0;
 
-    if (!imageKey) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: "Image key is required" }),
-      };
-    }
+          if (secondsLeft > 0) {
+            cacheControl = `private, max-age=${secondsLeft}`;
+          } else if (post.can_view) {
+            cacheControl = "private, no-cache";
+          } else {
+            throw notFound("Image not found");
+          }
+        }
 
-    // Get the blob store
-    const store = getImageStore();
+        // Get the blob store
+        const store = getImageStore();
 
-    // Retrieve the image from Netlify Blobs
-    const imageData = await store.getWithMetadata(imageKey, {
-      type: "arrayBuffer",
-    });
+        // Retrieve the image from Netlify Blobs. Images uploaded before
+        // variants were made only have the original.
+        const imageData =
+          (query.size !== "original" &&
+            (await store.getWithMetadata(imageVariantKey(imageKey, query.size), {
+              type: "arrayBuffer",
+            }))) ||
+          (await store.getWithMetadata(imageKey, {
+            type: "arrayBuffer",
+          }));
 
-    if (!imageData || !imageData.data) {
-      return {
-        statusCode: 404,
-        headers,
-        body: JSON.stringify({ error: "Image not found" }),
-      };
-    }
+        if (!imageData || !imageData.data) {
+          throw notFound("Image not found");
+        }
 
-    // Get content type from metadata or filename
-    const originalName = imageData.metadata?.originalName || imageKey;
-    const contentType = getContentType(originalName);
+        // Get content type from metadata or filename
+        const contentType =
+          imageData.metadata?.contentType ||
+          getContentType(imageData.metadata?.originalName || imageKey);
 
-    // Return the image with appropriate headers
-    return {
-      statusCode: 200,
-      headers: {
-        ...headers,
-        "Content-Type": contentType,
-        "Cache-Control": "public, max-age=31536000", // Cache for 1 year
+        // Return the image with appropriate headers
+        return {
+          statusCode: 200,
+          headers: {
+            "Content-Type": contentType,
+            "Cache-Control": cacheControl,
+          },
+          body: Buffer.from(imageData.data).toString("base64"),
+          isBase64Encoded: true,
+        };
       },
-      body: Buffer.from(imageData.data).toString("base64"),
-      isBase64Encoded: true,
-    };
-  } catch (error) {
-    console.error("Error in images function:", error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: "Failed to retrieve image",
-        message: error.message,
-      }),
-    };
-  }
-};
+    },
+  },
+});
@@ -0,0 +1,66 @@
+import { neon } from "@netlify/neon";
+import { createHandler, notFound } from "../lib/handler.js";
+import { countUnreadMentions, listMentions } from "../lib/mentions.js";
+
+const sql = neon();
+
+export const handler = createHandler({
+  name: "mentions",
+  methods: {
+    // The user's mentions inbox, newest first, with the unread count
+    GET: {
+      query: {
+        unread: { type: "boolean", default: false },
+        beforeId: { type: "integer", min: 1, label: "beforeId" },
+        limit: { type: "integer", min: 1, max: 100, default: 50, label: "limit" },
+      },
+      handler: async ({ user, query }) => {
+        const [mentions, unreadCount] = await Promise.all([
+          listMentions(user.username, {
+            unreadOnly: query.unread,
+            beforeId: query.beforeId,
+            limit: query.limit,
+          }),
+          countUnreadMentions(user.username),
+        ]);
+
+        return { mentions, unreadCount };
+      },
+    },
+
+    POST: {
+      body: {
+        ids: {
+          type: "array",
+          maxItems: 100,
+          items: { type: "integer", min: 1, label: "id" },
+          label: "ids",
+        },
+      },
+      handler: async ({ user, body, segments }) => {
+        // Mark mentions read: /api/mentions/read { ids }, or every one without ids
+        if (segments[0] !== "read") {
+          throw notFound("Unknown mentions route");
+        }
+
+        if (body.ids) {
+          await sql`
+            UPDATE mentions
+            SET read_at = NOW()
+            WHERE username = ${user.username}
+            AND id = ANY(${body.ids}::int[])
+            AND read_at IS NULL
+          `;
+        } else {
+          await sql`
+            UPDATE mentions
+            SET read_at = NOW()
+            WHERE username = ${user.username} AND read_at IS NULL
+          `;
+        }
+
+        return { unreadCount: await countUnreadMentions(user.username) };
+      },
+    },
+  },
+});
@@ -1,94 +1,215 @@
 import { neon } from "@netlify/neon";
+import { signImageUrls } from "../lib/blobs.js";
+import { channelRule, resolveChannel } from "../lib/channels.js";
+import { requireParticipant } from "../lib/conversations.js";
+import { createStreamHandler, HttpError } from "../lib/handler.js";
+import { fetchChannelUpdates, fetchConversationUpdates } from "../lib/messages.js";
+import { fetchPresenceAndTyping } from "../lib/presence.js";
+import { fetchUnreadThreads } from "../lib/threads.js";
 
 const sql = neon();
 
-export const handler = async (event) => {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type, Cache-Control",
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
-    Connection: "keep-alive",
-  };
+// Close each connection a little before the 60 second function timeout;
+// EventSource reconnects on its own and resumes from Last-Event-ID
+const STREAM_DURATION_MS = 55000;
 
-  // Handle preflight requests
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
+// How often the database is checked for changes while a connection is open
+const CHECK_INTERVAL_MS = 1000;
 
-  if (event.httpMethod !== "GET") {
-    return {
-      statusCode: 405,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ error: "Method not allowed" }),
-    };
-  }
+// Sent once per connection so the browser reconnects quickly after we close
+const RETRY_MS = 1000;
 
-  try {
-    const { queryStringParameters } = event;
-    const sinceId = queryStringParameters?.sinceId;
+// Event ids carry the sync cursor as "<last message id>_<editedSince in ms>"
+const formatCursor = ({ sinceId, editedSince }) =>
+  `${sinceId}_${editedSince ? new Date(editedSince).getTime() : 0}`;
 
-    // For SSE, we'll do a one-time check for new messages
-    // In a real implementation, you'd want to keep the connection open
-    // but Netlify Functions have a 10-second timeout, so we'll use this as a long-polling approach
+function parseCursor(value) {
+  const match = /^(\d+)_(\d+)$/.exec(value || "");
+  if (!match) return null;
 
-    let messages = [];
+  const editedSinceMs = Number(match[2]);
+  return {
+    sinceId: Number(match[1]),
+    editedSince: editedSinceMs ? new Date(editedSinceMs).toISOString() : null,
+  };
+}
 
-    if (sinceId) {
-      messages = await sql`
-        SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview
-        FROM messages
-        WHERE id > ${parseInt(sinceId)}
-        ORDER BY created_at ASC, id ASC
-      `;
-    } else {
-      // Get recent messages if no sinceId provided
-      messages = await sql`
-        SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview
+// Move the cursor past every row we've sent, the same way the client's
+// advanceEditCursor does when polling
+function advanceCursor(cursor, rows) {
+  let sinceId = cursor.sinceId;
+  let latest = cursor.editedSince ? new Date(cursor.editedSince).getTime() : 0;
+
+  rows.forEach((row) => {
+    sinceId = Math.max(sinceId, row.id);
+    [row.created_at, row.edited_at, row.deleted_at, row.reactions_updated_at, row.thread_updated_at].forEach((value) => {
+      const time = value ? new Date(value).getTime() : 0;
+      if (time > latest) latest = time;
+    });
+  });
+
+  return {
+    sinceId,
+    editedSince: latest ? new Date(latest).toISOString() : cursor.editedSince,
+  };
+}
+
+// Without a cursor the client only wants what happens from now on
+async function currentCursor(target) {
+  const [row] = target.conversationId
+    ? await sql`
+        SELECT COALESCE(MAX(id), 0)::int AS last_id, NOW() AS now
+        FROM direct_messages
+        WHERE conversation_id = ${target.conversationId}
+      `
+    : await sql`
+        SELECT COALESCE(MAX(id), 0)::int AS last_id, NOW() AS now
         FROM messages
-        ORDER BY created_at DESC, id DESC
-        LIMIT 50
+        WHERE channel_id = ${target.channelId}
+        AND thread_root_id IS NULL
       `;
-      messages.reverse();
-    }
-
-    // Format as Server-Sent Events
-    let sseData = "";
-
-    if (messages.length > 0) {
-      messages.forEach((message) => {
-        sseData += `data: ${JSON.stringify(message)}\n\n`;
-      });
-    } else {
-      // Send a heartbeat if no new messages
-      sseData = `data: {"type": "heartbeat"}\n\n`;
-    }
-
-    return {
-      statusCode: 200,
-      headers,
-      body: sseData,
-    };
-  } catch (error) {
-    console.error("Error in messages-stream function:", error);
-    return {
-      statusCode: 500,
-      headers: {
-        "Access-Control-Allow-Origin": "*",
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        error: "Internal server error",
-        message: error.message,
-      }),
-    };
+
+  return { sinceId: row.last_id, editedSince: new Date(row.now).toISOString() };
+}
+
+// The chat the caller asked for as { conversationId } or { channelId, isPrivate }.
+// Throws 404 (channel) or 403 (conversation) once they can't read it.
+async function resolveTarget(query, username) {
+  if (query.conversationId) {
+    await requireParticipant(query.conversationId, username);
+    return { conversationId: query.conversationId };
   }
-};
+
+  const channel = await resolveChannel(query.channel, username);
+  return { channelId: channel.id, isPrivate: channel.is_private };
+}
+
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+
+/**
+ * Server-Sent Events for one channel (?channel=) or DM conversation
+ * (?conversationId=). Named events:
+ *
+ *   messages  new timeline messages plus edits, deletions, reaction and thread changes
+ *   presence  { users, typing } whenever who's online, their status or who's typing in this chat changes
+ *   threads   the caller's unread threads whenever they change (channels only)
+ *
+ * Every event carries the sync cursor as its id, so a reconnect with
+ * Last-Event-ID picks up exactly where the last connection stopped.
+ */
+export default createStreamHandler({
+  name: "messages-stream",
+  headers: {
+    // EventSource clients may send Cache-Control and Last-Event-ID on reconnect
+    "Access-Control-Allow-Headers": "Content-Type, Cache-Control, Last-Event-ID, Authorization",
+  },
+  query: {
+    sinceId: { type: "integer", min: 0, label: "sinceId" },
+    editedSince: { type: "timestamp", label: "editedSince" },
+    conversationId: { type: "integer", min: 1, label: "conversationId" },
+    channel: channelRule,
+  },
+  stream: async ({ event, request, user, query }) => {
+    // Access is checked when connecting and again before every check below,
+    // so a removed member's stream closes straight away
+    let target = await resolveTarget(query, user.username);
+
+    let cursor =
+      parseCursor(event.headers["last-event-id"]) ||
+      (query.sinceId !== undefined
+        ? { sinceId: query.sinceId, editedSince: query.editedSince || null }
+        : await currentCursor(target));
+
+    const encoder = new TextEncoder();
+    const { signal } = request;
+    const deadline = Date.now() + STREAM_DURATION_MS;
+
+    return new ReadableStream({
+      async start(controller) {
+        const send = (text) => controller.enqueue(encoder.encode(text));
+        const sendEvent = (name, data) =>
+          send(`event: ${name}\nid: ${formatCursor(cursor)}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        // Only send presence and threads when they change since the last check
+        let lastPresence = null;
+        let lastThreads = null;
+
+        send(`retry: ${RETRY_MS}\n\n`);
+
+        try {
+          while (!signal.aborted && Date.now() < deadline) {
+            target = await resolveTarget(query, user.username);
+
+            const [messages, presence, threads] = await Promise.all([
+              target.conversationId
+                ? fetchConversationUpdates(target.conversationId, cursor.sinceId, cursor.editedSince)
+                : fetchChannelUpdates(target.channelId, cursor.sinceId, cursor.editedSince).then(
+                    (updates) => signImageUrls(updates, target.isPrivate)
+                  ),
+              fetchPresenceAndTyping(target, user.username),
+              target.channelId ? fetchUnreadThreads(user.username) : null,
+            ]);
+
+            let sent = false;
+
+            if (messages.length > 0) {
+              cursor = advanceCursor(cursor, messages);
+              sendEvent("messages", messages);
+              sent = true;
+            }
+
+            const presenceKey = JSON.stringify([
+              presence.users.map((presenceUser) => [
+                presenceUser.username,
+                presenceUser.status,
+                presenceUser.status_emoji,
+                presenceUser.status_text,
+              ]),
+              presence.typing,
+            ]);
+            if (presenceKey !== lastPresence) {
+              lastPresence = presenceKey;
+              sendEvent("presence", presence);
+              sent = true;
+            }
+
+            if (threads) {
+              const threadsKey = JSON.stringify(threads);
+              if (threadsKey !== lastThreads) {
+                lastThreads = threadsKey;
+                sendEvent("threads", threads);
+                sent = true;
+              }
+            }
+
+            // A comment keeps proxies from closing an idle connection
+            if (!sent) {
+              send(": ping\n\n");
+            }
+
+            await sleep(CHECK_INTERVAL_MS, signal);
+          }
+        } catch (error) {
+          // Closing below makes the client reconnect and resume from its last id,
+          // or get the 404/403 if they lost access to the chat
+          if (!signal.aborted && !(error instanceof HttpError)) {
+            console.error("Error in messages-stream function:", error);
+          }
+        } finally {
+          try {
+            controller.close();
+          } catch {
+            // The client already went away
+          }
+        }
+      },
+    });
+  },
+});
@@ -1,56 +1,117 @@
 import { neon } from "@netlify/neon";
+import { deleteImageBlob, signImageUrls } from "../lib/blobs.js";
+import {
+  channelRule,
+  requireMessageAccess,
+  resolveChannel,
+} from "../lib/channels.js";
+import {
+  createHandler,
+  forbidden,
+  json,
+  notFound,
+  validate,
+  validationError,
+} from "../lib/handler.js";
+import { recordMentions } from "../lib/mentions.js";
+import { clientIdRule } from "../lib/messages.js";
+import { attachReactions } from "../lib/reactions.js";
+import { attachThreadSummaries } from "../lib/threads.js";
 
 const sql = neon();
 
-export const handler = async (event) => {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Content-Type": "application/json",
-  };
+const messageIdParam = {
+  id: { type: "integer", required: true, min: 1, label: "Message ID" },
+};
 
-  // Handle preflight requests
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
+// History pages hold this many messages; one extra row tells us whether more exist
+const PAGE_SIZE = 50;
+// Older messages loaded above a jump target for context
+const JUMP_CONTEXT = 25;
+// Most messages a jump will load to connect its target to the loaded history
+const MAX_JUMP_DISTANCE = 1000;
 
-  try {
-    const { httpMethod, body, queryStringParameters } = event;
+const messageBody = {
+  message: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: 1000,
+    label: "Message",
+  },
+};
+
+export const handler = createHandler({
+  name: "messages",
+  methods: {
+    GET: {
+      query: {
+        sinceId: { type: "integer", min: 0, label: "sinceId" },
+        since: { type: "string", label: "since" },
+        beforeId: { type: "integer", min: 1, label: "beforeId" },
+        aroundId: { type: "integer", min: 1, label: "aroundId" },
+        channel: channelRule,
+      },
+      handler: async ({ user, query, segments }) => {
+        // Edit history for a single message: /api/messages/{id}/edits
+        if (segments.length > 0) {
+          const { id } = validate({ id: segments[0] }, messageIdParam);
+          if (segments[1] !== "edits") {
+            throw notFound("Unknown messages route");
+          }
+          return fetchEditHistory(id, user.username);
+        }
+
+        // Messages are listed one channel at a time (#general by default);
+        // private channels only for their members
+        const { sinceId, since, beforeId, aroundId } = query;
+        const channel = await resolveChannel(query.channel, user.username);
+
+        // Older history: { messages, hasMore } instead of a bare list
+        if (aroundId !== undefined || beforeId !== undefined) {
+          const page =
+            aroundId !== undefined
+              ? await fetchWindow(channel.id, aroundId, beforeId)
+              : await fetchPage(channel.id, beforeId);
+          return {
+            ...page,
+            messages: signImageUrls(
+              await attachThreadSummaries(await attachReactions(page.messages)),
+              channel.is_private
+            ),
+          };
+        }
 
-    switch (httpMethod) {
-      case "GET":
         // Get messages, optionally since a specific timestamp for real-time updates
-        const since = queryStringParameters?.since;
         let messages;
 
-        const sinceId = queryStringParameters?.sinceId;
-
-        if (sinceId) {
+        if (sinceId !== undefined) {
           // Get messages with ID greater than sinceId (most reliable for real-time polling)
           messages = await sql`
-            SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename
+            SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM messages original WHERE original.id = messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
             FROM messages
-            WHERE id > ${parseInt(sinceId)}
+            WHERE channel_id = ${channel.id}
+            AND thread_root_id IS NULL
+            AND id > ${sinceId}
             ORDER BY created_at ASC, id ASC
           `;
         } else if (since) {
           // Fallback to timestamp-based filtering
           messages = await sql`
-            SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename
+            SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM messages original WHERE original.id = messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
             FROM messages
-            WHERE created_at > ${since}
+            WHERE channel_id = ${channel.id}
+            AND thread_root_id IS NULL
+            AND created_at > ${since}
             ORDER BY created_at ASC, id ASC
           `;
         } else {
           // Get recent messages (last 50)
           messages = await sql`
-            SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename
+            SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM messages original WHERE original.id = messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
             FROM messages
+            WHERE channel_id = ${channel.id}
+            AND thread_root_id IS NULL
             ORDER BY created_at DESC
             LIMIT 50
           `;
@@ -58,125 +119,273 @@ export const handler = async (event) => {
           messages.reverse();
         }
 
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify(messages),
-        };
-
-      case "POST": {
-        // Send a new message
-        const { username, message, replyToId, replyToUsername, replyPreview } =
-          JSON.parse(body);
+        return signImageUrls(
+          await attachThreadSummaries(await attachReactions(messages)),
+          channel.is_private
+        );
+      },
+    },
 
-        if (!username || !username.trim()) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: "Username is required" }),
-          };
-        }
+    POST: {
+      body: {
+        ...messageBody,
+        replyToId: { type: "integer", min: 1, label: "Reply ID" },
+        replyToUsername: { type: "string", maxLength: 50 },
+        replyPreview: { type: "string" },
+        channel: channelRule,
+        clientId: clientIdRule,
+      },
+      handler: async ({ user, body }) => {
+        // Send a new message as the signed in user
+        const { message, replyToId, replyToUsername, replyPreview, clientId } = body;
+        const username = user.username;
+        const channel = await resolveChannel(body.channel, username);
 
-        if (!message || !message.trim()) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: "Message is required" }),
-          };
+        // Ensure reply metadata is provided
+        if (replyToId && (!replyToUsername || !replyPreview)) {
+          throw validationError("Reply requires both username and preview");
         }
 
-        // Validate username length
-        if (username.trim().length > 50) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              error: "Username must be 50 characters or less",
-            }),
-          };
-        }
-
-        // Validate message length
-        if (message.trim().length > 1000) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({
-              error: "Message must be 1000 characters or less",
-            }),
-          };
-        }
-
-        // Validate reply data if provided
+        // Replies can only point at timeline messages that still exist in this channel
         if (replyToId) {
-          // Ensure replyToId is a valid integer
-          const replyId = parseInt(replyToId);
-          if (isNaN(replyId) || replyId <= 0) {
-            return {
-              statusCode: 400,
-              headers,
-              body: JSON.stringify({
-                error: "Reply ID must be a valid positive integer",
-              }),
-            };
-          }
-
-          // Ensure reply metadata is provided
-          if (!replyToUsername || !replyPreview) {
-            return {
-              statusCode: 400,
-              headers,
-              body: JSON.stringify({
-                error: "Reply requires both username and preview",
-              }),
-            };
+          const [original] = await sql`
+            SELECT deleted_at FROM messages
+            WHERE id = ${replyToId} AND channel_id = ${channel.id} AND thread_root_id IS NULL
+          `;
+          if (!original || original.deleted_at) {
+            throw notFound("Original message not found");
           }
         }
 
-        // Insert the message and update participant tracking
+        // Insert the message and update participant tracking. A retry of a
+        // send we already stored (same clientId) inserts nothing.
         const [newMessage] = await sql`
-          INSERT INTO messages (username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename)
-          VALUES (${username.trim()}, ${message.trim()}, NOW(), ${
+          INSERT INTO messages (channel_id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, client_id)
+          VALUES (${channel.id}, ${username}, ${message}, NOW(), ${
           replyToId || null
         }, ${replyToUsername || null}, ${
           replyPreview || null
-        }, ${null}, ${null})
-          RETURNING id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename
+        }, ${null}, ${null}, ${clientId || null})
+          ON CONFLICT (username, client_id) WHERE client_id IS NOT NULL DO NOTHING
+          RETURNING id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, client_id
         `;
 
+        if (!newMessage) {
+          return findSentMessage(username, clientId);
+        }
+
         // Update or insert participant tracking
         await sql`
           INSERT INTO chat_participants (username, first_seen, last_message_at, message_count)
-          VALUES (${username.trim()}, NOW(), NOW(), 1)
+          VALUES (${username}, NOW(), NOW(), 1)
           ON CONFLICT (username) DO UPDATE SET
             last_message_at = NOW(),
             message_count = chat_participants.message_count + 1,
             updated_at = NOW()
         `;
 
-        return {
-          statusCode: 201,
-          headers,
-          body: JSON.stringify(newMessage),
-        };
+        // Record @mentions for the inbox and push them; browsers with the app open don't show it
+        await recordMentions(channel.id, newMessage);
+
+        return json(201, newMessage);
+      },
+    },
+
+    PUT: {
+      body: messageBody,
+      handler: async ({ user, body, segments }) => {
+        // Edit a message: /api/messages/{id}
+        const { id } = validate({ id: segments[0] }, messageIdParam);
+
+        // Removed members can't touch messages they left behind
+        const { channel_id, is_private } = await requireMessageAccess(id, user.username);
+
+        const [existing] = await sql`
+          SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_root_id, system_event
+          FROM messages
+          WHERE id = ${id}
+        `;
+
+        // Deleted messages can't be edited
+        if (!existing || existing.deleted_at) {
+          throw notFound("Message not found");
+        }
+
+        if (existing.system_event) {
+          throw validationError("System notices can't be edited");
+        }
+
+        // Only the author can edit a message
+        if (existing.username !== user.username) {
+          throw forbidden("You can only edit your own messages");
+        }
+
+        // Nothing changed, so don't record a new version
+        if (existing.message === body.message) {
+          return signImageUrls([existing], is_private)[0];
+        }
+
+        // Keep the previous version and apply the edit in one statement
+        const [updated] = await sql`
+          WITH previous AS (
+            INSERT INTO message_edits (message_id, previous_message, replaced_at)
+            SELECT id, message, NOW()
+            FROM messages
+            WHERE id = ${id} AND username = ${user.username} AND deleted_at IS NULL
+            RETURNING message_id
+          )
+          UPDATE messages
+          SET message = ${body.message}, edited_at = NOW()
+          WHERE id IN (SELECT message_id FROM previous)
+          RETURNING id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_root_id
+        `;
+
+        if (!updated) {
+          throw notFound("Message not found");
+        }
+
+        // Anyone the edit @mentions for the first time hears about it
+        await recordMentions(channel_id, updated);
+
+        return signImageUrls([updated], is_private)[0];
+      },
+    },
+
+    DELETE: async ({ user, segments }) => {
+      // Delete a message: /api/messages/{id}
+      const { id } = validate({ id: segments[0] }, messageIdParam);
+
+      // Removed members can't touch messages they left behind
+      await requireMessageAccess(id, user.username);
+
+      const [existing] = await sql`
+        SELECT id, username, image_url, deleted_at
+        FROM messages
+        WHERE id = ${id}
+      `;
+
+      if (!existing || existing.deleted_at) {
+        throw notFound("Message not found");
+      }
+
+      // Only the author can delete a message
+      if (existing.username !== user.username) {
+        throw forbidden("You can only delete your own messages");
+      }
+
+      // Leave a tombstone and drop every copy of the text: the message itself,
+      // its previous versions and the previews quoted by replies. Reactions and
+      // its pin go too. A deleted thread reply bumps its root so the reply count refreshes.
+      const [[tombstone]] = await sql.transaction([
+        sql`
+          UPDATE messages
+          SET message = '', image_url = NULL, image_filename = NULL, image_width = NULL, image_height = NULL, image_blurhash = NULL, deleted_at = NOW()
+          WHERE id = ${id} AND deleted_at IS NULL
+          RETURNING id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_root_id
+        `,
+        sql`DELETE FROM message_edits WHERE message_id = ${id}`,
+        sql`DELETE FROM message_reactions WHERE message_id = ${id}`,
+        sql`DELETE FROM message_pins WHERE message_id = ${id}`,
+        sql`UPDATE messages SET reply_preview = NULL WHERE reply_to_id = ${id}`,
+        sql`
+          UPDATE messages SET thread_updated_at = NOW()
+          WHERE id = (SELECT thread_root_id FROM messages WHERE id = ${id})
+        `,
+      ]);
+
+      if (!tombstone) {
+        throw notFound("Message not found");
       }
 
-      default:
-        return {
-          statusCode: 405,
-          headers,
-          body: JSON.stringify({ error: "Method not allowed" }),
-        };
-    }
-  } catch (error) {
-    console.error("Error in messages function:", error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: "Internal server error",
-        message: error.message,
-      }),
-    };
+      if (existing.image_url) {
+        await deleteImageBlob(existing.image_url);
+      }
+
+      return { ...tombstone, reactions: [] };
+    },
+  },
+});
+
+// Up to `limit` messages in a channel older than beforeId, oldest first
+async function fetchPage(channelId, beforeId, limit = PAGE_SIZE) {
+  const rows = await sql`
+    SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM messages original WHERE original.id = messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+    FROM messages
+    WHERE channel_id = ${channelId}
+    AND thread_root_id IS NULL
+    AND id < ${beforeId}
+    ORDER BY id DESC
+    LIMIT ${limit + 1}
+  `;
+
+  return {
+    messages: rows.slice(0, limit).reverse(),
+    hasMore: rows.length > limit,
+  };
+}
+
+// A few messages before aroundId plus everything from it up to beforeId (the
+// oldest message the client has), so jumping to an old reply target leaves no
+// gap in the client's history
+async function fetchWindow(channelId, aroundId, beforeId) {
+  if (beforeId === undefined) {
+    throw validationError("beforeId is required with aroundId");
   }
-};
+  if (aroundId >= beforeId) {
+    throw validationError("aroundId must be older than beforeId");
+  }
+
+  const newer = await sql`
+    SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM messages original WHERE original.id = messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+    FROM messages
+    WHERE channel_id = ${channelId}
+    AND thread_root_id IS NULL
+    AND id >= ${aroundId} AND id < ${beforeId}
+    ORDER BY id ASC
+    LIMIT ${MAX_JUMP_DISTANCE + 1}
+  `;
+
+  if (newer.length === 0 || newer[0].id !== aroundId) {
+    throw notFound("Message not found");
+  }
+  if (newer.length > MAX_JUMP_DISTANCE) {
+    throw validationError("Message is too far back to jump to");
+  }
+
+  const older = await fetchPage(channelId, aroundId, JUMP_CONTEXT);
+  return { messages: [...older.messages, ...newer], hasMore: older.hasMore };
+}
+
+// Current text of a message plus its previous versions, newest first
+async function fetchEditHistory(id, username) {
+  await requireMessageAccess(id, username);
+
+  const [message] = await sql`
+    SELECT id, username, message, created_at, edited_at, deleted_at
+    FROM messages
+    WHERE id = ${id}
+  `;
+
+  if (!message || message.deleted_at) {
+    throw notFound("Message not found");
+  }
+
+  const edits = await sql`
+    SELECT previous_message AS message, replaced_at
+    FROM message_edits
+    WHERE message_id = ${id}
+    ORDER BY replaced_at DESC, id DESC
+  `;
+
+  return { ...message, edits };
+}
+
+// The message an earlier attempt of this send already stored
+async function findSentMessage(username, clientId) {
+  const [message] = await sql`
+    SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, client_id
+    FROM messages
+    WHERE username = ${username} AND client_id = ${clientId}
+  `;
+  return message;
+}
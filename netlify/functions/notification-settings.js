@@ -0,0 +1,138 @@
+import { neon } from "@netlify/neon";
+import { channelRule, resolveChannel } from "../lib/channels.js";
+import { requireParticipant } from "../lib/conversations.js";
+import { createHandler, json, notFound } from "../lib/handler.js";
+
+const sql = neon();
+
+// Longest snooze: one week
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+const muteBody = {
+  channel: channelRule,
+  conversationId: { type: "integer", min: 1, label: "conversationId" },
+};
+
+// The user's push settings with the chats they muted
+async function fetchSettings(username) {
+  const [[settings], mutes] = await Promise.all([
+    sql`
+      SELECT mentions, direct_messages, muted_until
+      FROM notification_settings
+      WHERE username = ${username}
+    `,
+    sql`
+      SELECT c.name AS channel_name, mc.conversation_id
+      FROM muted_chats mc
+      LEFT JOIN channels c ON c.id = mc.channel_id
+      WHERE mc.username = ${username}
+    `,
+  ]);
+
+  const mutedUntil = settings?.muted_until;
+  return {
+    mentions: settings?.mentions ?? true,
+    directMessages: settings?.direct_messages ?? true,
+    // Only report a snooze that hasn't run out
+    mutedUntil: mutedUntil && new Date(mutedUntil) > new Date() ? mutedUntil : null,
+    mutedChannels: mutes.filter((mute) => mute.channel_name).map((mute) => mute.channel_name),
+    mutedConversations: mutes.filter((mute) => mute.conversation_id).map((mute) => mute.conversation_id),
+  };
+}
+
+// Resolve a mute request to the channel or conversation it names, checking access
+async function resolveMuteTarget(body, username) {
+  if (body.conversationId) {
+    await requireParticipant(body.conversationId, username);
+    return { conversationId: body.conversationId };
+  }
+  const channel = await resolveChannel(body.channel, username);
+  return { channelId: channel.id };
+}
+
+export const handler = createHandler({
+  name: "notification-settings",
+  methods: {
+    GET: async ({ user }) => fetchSettings(user.username),
+
+    PUT: {
+      body: {
+        mentions: { type: "boolean" },
+        directMessages: { type: "boolean" },
+        snoozeMinutes: { type: "integer", min: 0, max: MAX_SNOOZE_MINUTES, label: "snoozeMinutes" },
+      },
+      handler: async ({ user, body }) => {
+        // Change any of the settings; snoozeMinutes: 0 ends a snooze
+        const { mentions, directMessages, snoozeMinutes } = body;
+        const snoozeChanged = snoozeMinutes !== undefined;
+        const mutedUntil = snoozeMinutes
+          ? new Date(Date.now() + snoozeMinutes * 60 * 1000).toISOString()
+          : null;
+
+        await sql`
+          INSERT INTO notification_settings (username, mentions, direct_messages, muted_until, updated_at)
+          VALUES (${user.username}, ${mentions ?? true}, ${directMessages ?? true}, ${mutedUntil}, NOW())
+          ON CONFLICT (username) DO UPDATE SET
+            mentions = COALESCE(${mentions ?? null}, notification_settings.mentions),
+            direct_messages = COALESCE(${directMessages ?? null}, notification_settings.direct_messages),
+            muted_until = CASE WHEN ${snoozeChanged} THEN EXCLUDED.muted_until ELSE notification_settings.muted_until END,
+            updated_at = NOW()
+        `;
+
+        return fetchSettings(user.username);
+      },
+    },
+
+    POST: {
+      body: muteBody,
+      handler: async ({ user, body, segments }) => {
+        // Mute a chat: /api/notification-settings/mutes { channel | conversationId }
+        if (segments[0] !== "mutes") {
+          throw notFound("Unknown notification settings route");
+        }
+
+        const target = await resolveMuteTarget(body, user.username);
+        if (target.conversationId) {
+          await sql`
+            INSERT INTO muted_chats (username, conversation_id)
+            VALUES (${user.username}, ${target.conversationId})
+            ON CONFLICT (username, conversation_id) WHERE conversation_id IS NOT NULL DO NOTHING
+          `;
+        } else {
+          await sql`
+            INSERT INTO muted_chats (username, channel_id)
+            VALUES (${user.username}, ${target.channelId})
+            ON CONFLICT (username, channel_id) WHERE channel_id IS NOT NULL DO NOTHING
+          `;
+        }
+
+        return json(201, await fetchSettings(user.username));
+      },
+    },
+
+    DELETE: {
+      body: muteBody,
+      handler: async ({ user, body, segments }) => {
+        // Unmute a chat: /api/notification-settings/mutes { channel | conversationId }
+        if (segments[0] !== "mutes") {
+          throw notFound("Unknown notification settings route");
+        }
+
+        const target = await resolveMuteTarget(body, user.username);
+        if (target.conversationId) {
+          await sql`
+            DELETE FROM muted_chats
+            WHERE username = ${user.username} AND conversation_id = ${target.conversationId}
+          `;
+        } else {
+          await sql`
+            DELETE FROM muted_chats
+            WHERE username = ${user.username} AND channel_id = ${target.channelId}
+          `;
+        }
+
+        return fetchSettings(user.username);
+      },
+    },
+  },
+});
@@ -1,84 +1,63 @@
 import { neon } from "@neondatabase/serverless";
+import { createHandler } from "../lib/handler.js";
+import { TYPING_TIMEOUT_SECONDS } from "../lib/presence.js";
 
 const sql = neon(process.env.NETLIFY_DATABASE_URL);
 
-const headers = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-  "Content-Type": "application/json",
-};
+export const handler = createHandler({
+  name: "participants",
+  methods: {
+    // Only signed in users can browse participants
+    GET: {
+      query: {
+        query: { type: "string", trim: true, maxLength: 50, default: "" },
+        limit: { type: "integer", min: 1, max: 100, default: 20 },
+      },
+      handler: async ({ query: params }) => {
+        const { query: search, limit } = params;
 
-export const handler = async (event) => {
-  const { httpMethod, queryStringParameters } = event;
-
-  // Handle CORS preflight
-  if (httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
-
-  if (httpMethod === "GET") {
-    try {
-      const query = queryStringParameters?.query || "";
-      const limit = parseInt(queryStringParameters?.limit || "20");
-
-      // Get all chat participants with their online status
-      // Join with user_presence to get current online status
-      let participantsQuery;
-      
-      if (query.trim()) {
-        // Filter by username if query provided
-        participantsQuery = sql`
-          SELECT 
-            cp.username,
-            cp.first_seen,
-            cp.last_message_at,
-            cp.message_count,
-            CASE 
-              WHEN up.last_seen > NOW() - INTERVAL '30 seconds' THEN 'online'
-              WHEN up.last_seen > NOW() - INTERVAL '5 minutes' THEN 'recently_active'
-              ELSE 'offline'
-            END as status,
-            up.last_seen as presence_last_seen,
-            up.is_typing,
-            up.typing_started_at
-          FROM chat_participants cp
-          LEFT JOIN user_presence up ON cp.username = up.username
-          WHERE LOWER(cp.username) LIKE LOWER(${'%' + query.trim() + '%'})
-          ORDER BY 
-            CASE 
-              WHEN up.last_seen > NOW() - INTERVAL '30 seconds' THEN 1
-              WHEN up.last_seen > NOW() - INTERVAL '5 minutes' THEN 2
-              ELSE 3
-            END,
-            cp.last_message_at DESC,
-            cp.message_count DESC
-          LIMIT ${limit}
-        `;
-      } else {
-        // Get all participants
-        participantsQuery = sql`
-          SELECT 
+        // Get all chat participants with their status, filtered by username
+        // if a query is given. Invisible users show as offline, and the ones
+        // seen in the last 30 seconds are online, away or dnd.
+        const participants = await sql`
+          SELECT
             cp.username,
             cp.first_seen,
             cp.last_message_at,
             cp.message_count,
-            CASE 
-              WHEN up.last_seen > NOW() - INTERVAL '30 seconds' THEN 'online'
+            CASE
+              WHEN u.presence_status = 'invisible' THEN 'offline'
+              WHEN up.last_seen > NOW() - INTERVAL '30 seconds' THEN (
+                CASE
+                  WHEN u.presence_status = 'dnd' THEN 'dnd'
+                  WHEN up.is_away THEN 'away'
+                  ELSE 'online'
+                END
+              )
               WHEN up.last_seen > NOW() - INTERVAL '5 minutes' THEN 'recently_active'
               ELSE 'offline'
             END as status,
-            up.last_seen as presence_last_seen,
-            up.is_typing,
-            up.typing_started_at
+            CASE WHEN u.presence_status IS DISTINCT FROM 'invisible' THEN up.last_seen END as presence_last_seen,
+            CASE WHEN u.status_expires_at IS NULL OR u.status_expires_at > NOW() THEN u.status_text END as status_text,
+            CASE WHEN u.status_expires_at IS NULL OR u.status_expires_at > NOW() THEN u.status_emoji END as status_emoji,
+            -- Only typing in a public channel shows here; DMs and private
+            -- channels stay between the people in them
+            (
+              up.is_typing = TRUE
+              AND u.presence_status IS DISTINCT FROM 'invisible'
+              AND up.typing_started_at > NOW() - ${TYPING_TIMEOUT_SECONDS} * INTERVAL '1 second'
+              AND EXISTS (
+                SELECT 1 FROM channels c
+                WHERE c.id = up.typing_channel_id AND c.is_private = FALSE
+              )
+            ) AS is_typing
           FROM chat_participants cp
           LEFT JOIN user_presence up ON cp.username = up.username
-          ORDER BY 
-            CASE 
+          LEFT JOIN users u ON cp.username = u.username
+          WHERE ${search} = '' OR LOWER(cp.username) LIKE LOWER(${'%' + search + '%'})
+          ORDER BY
+            CASE
+              WHEN u.presence_status = 'invisible' THEN 3
               WHEN up.last_seen > NOW() - INTERVAL '30 seconds' THEN 1
               WHEN up.last_seen > NOW() - INTERVAL '5 minutes' THEN 2
               ELSE 3
@@ -87,33 +66,14 @@ export const handler = async (event) => {
             cp.message_count DESC
           LIMIT ${limit}
         `;
-      }
 
-      const participants = await participantsQuery;
-
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
+        return {
           participants,
           total: participants.length,
-          query: query.trim(),
-          limit
-        }),
-      };
-    } catch (error) {
-      console.error("Error fetching participants:", error);
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: "Failed to fetch participants" }),
-      };
-    }
-  }
-
-  return {
-    statusCode: 405,
-    headers,
-    body: JSON.stringify({ error: "Method not allowed" }),
-  };
-};
+          query: search,
+          limit,
+        };
+      },
+    },
+  },
+});
@@ -0,0 +1,199 @@
+import { neon } from "@netlify/neon";
+import { signImageUrls } from "../lib/blobs.js";
+import {
+  channelRule,
+  requireMessageAccess,
+  resolveChannel,
+} from "../lib/channels.js";
+import { requireParticipant } from "../lib/conversations.js";
+import {
+  conflict,
+  createHandler,
+  json,
+  notFound,
+  validationError,
+} from "../lib/handler.js";
+
+const sql = neon();
+
+// Keep the pinned panel short enough to be useful
+const MAX_PINS_PER_CHAT = 50;
+
+// Quoted in the pin notice like a reply preview
+const PREVIEW_LENGTH = 100;
+
+const pinBody = {
+  messageId: { type: "integer", min: 1, label: "messageId" },
+  directMessageId: { type: "integer", min: 1, label: "directMessageId" },
+};
+
+// Work out which message is being pinned and check the caller can see it.
+// Resolves to the message with the channel or conversation it lives in.
+async function resolveTarget({ messageId, directMessageId }, username) {
+  if (Boolean(messageId) === Boolean(directMessageId)) {
+    throw validationError("Exactly one of messageId or directMessageId is required");
+  }
+
+  if (messageId) {
+    await requireMessageAccess(messageId, username);
+    const [message] = await sql`
+      SELECT id, channel_id, username, message, deleted_at, thread_root_id, system_event
+      FROM messages
+      WHERE id = ${messageId}
+    `;
+    if (!message || message.deleted_at) {
+      throw notFound("Message not found");
+    }
+    if (message.thread_root_id !== null) {
+      throw validationError("Thread replies can't be pinned");
+    }
+    return { ...message, direct: false };
+  }
+
+  const [message] = await sql`
+    SELECT id, conversation_id, sender_username AS username, message, deleted_at, system_event
+    FROM direct_messages
+    WHERE id = ${directMessageId}
+  `;
+  if (!message || message.deleted_at) {
+    throw notFound("Message not found");
+  }
+  await requireParticipant(message.conversation_id, username);
+  return { ...message, direct: true };
+}
+
+// Pinned messages in a channel, most recently pinned first
+async function listChannelPins(channelId) {
+  return sql`
+    SELECT m.id, m.username, m.message, m.created_at, m.image_url, m.image_filename, m.image_width, m.image_height, m.image_blurhash, m.edited_at,
+      p.pinned_by, p.pinned_at
+    FROM message_pins p
+    JOIN messages m ON m.id = p.message_id
+    WHERE m.channel_id = ${channelId}
+    ORDER BY p.pinned_at DESC, p.id DESC
+  `;
+}
+
+// Pinned messages in a DM conversation, most recently pinned first
+async function listConversationPins(conversationId) {
+  return sql`
+    SELECT dm.id, dm.sender_username, dm.message, dm.created_at, dm.image_url, dm.image_filename, dm.image_width, dm.image_height, dm.image_blurhash, dm.edited_at,
+      p.pinned_by, p.pinned_at
+    FROM message_pins p
+    JOIN direct_messages dm ON dm.id = p.direct_message_id
+    WHERE dm.conversation_id = ${conversationId}
+    ORDER BY p.pinned_at DESC, p.id DESC
+  `;
+}
+
+export const handler = createHandler({
+  name: "pins",
+  methods: {
+    GET: {
+      query: {
+        channel: channelRule,
+        conversationId: { type: "integer", min: 1, label: "conversationId" },
+      },
+      handler: async ({ user, query }) => {
+        // A DM conversation's pins: /api/pins?conversationId=5
+        if (query.conversationId) {
+          await requireParticipant(query.conversationId, user.username);
+          return signImageUrls(await listConversationPins(query.conversationId));
+        }
+
+        // A channel's pins: /api/pins?channel=general
+        const channel = await resolveChannel(query.channel, user.username);
+        return signImageUrls(await listChannelPins(channel.id), channel.is_private);
+      },
+    },
+
+    POST: {
+      body: pinBody,
+      handler: async ({ user, body }) => {
+        // Pin a message: { messageId | directMessageId }
+        const target = await resolveTarget(body, user.username);
+
+        if (target.system_event) {
+          throw validationError("System notices can't be pinned");
+        }
+
+        const [{ count }] = target.direct
+          ? await sql`
+              SELECT COUNT(*)::int AS count
+              FROM message_pins p
+              JOIN direct_messages dm ON dm.id = p.direct_message_id
+              WHERE dm.conversation_id = ${target.conversation_id}
+            `
+          : await sql`
+              SELECT COUNT(*)::int AS count
+              FROM message_pins p
+              JOIN messages m ON m.id = p.message_id
+              WHERE m.channel_id = ${target.channel_id}
+            `;
+        if (count >= MAX_PINS_PER_CHAT) {
+          throw validationError(
+            `A chat can have at most ${MAX_PINS_PER_CHAT} pinned messages`
+          );
+        }
+
+        const preview = target.message.substring(0, PREVIEW_LENGTH);
+
+        // Pin it and post the notice in one statement; pinning twice posts nothing
+        const [notice] = target.direct
+          ? await sql`
+              WITH pinned AS (
+                INSERT INTO message_pins (direct_message_id, pinned_by)
+                VALUES (${target.id}, ${user.username})
+                ON CONFLICT DO NOTHING
+                RETURNING direct_message_id
+              )
+              INSERT INTO direct_messages (conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, system_event)
+              SELECT ${target.conversation_id}, ${user.username}, '', NOW(), direct_message_id, ${target.username}, ${preview}, 'pin'
+              FROM pinned
+              RETURNING id, conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, system_event
+            `
+          : await sql`
+              WITH pinned AS (
+                INSERT INTO message_pins (message_id, pinned_by)
+                VALUES (${target.id}, ${user.username})
+                ON CONFLICT DO NOTHING
+                RETURNING message_id
+              )
+              INSERT INTO messages (channel_id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, system_event)
+              SELECT ${target.channel_id}, ${user.username}, '', NOW(), message_id, ${target.username}, ${preview}, 'pin'
+              FROM pinned
+              RETURNING id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, system_event
+            `;
+
+        if (!notice) {
+          throw conflict("Message is already pinned");
+        }
+
+        return json(201, {
+          id: target.id,
+          pinned_by: user.username,
+          pinned_at: notice.created_at,
+          notice: { ...notice, reactions: [] },
+        });
+      },
+    },
+
+    DELETE: {
+      body: pinBody,
+      handler: async ({ user, body }) => {
+        // Unpin a message: { messageId | directMessageId }
+        const target = await resolveTarget(body, user.username);
+
+        const removed = target.direct
+          ? await sql`DELETE FROM message_pins WHERE direct_message_id = ${target.id} RETURNING id`
+          : await sql`DELETE FROM message_pins WHERE message_id = ${target.id} RETURNING id`;
+
+        if (removed.length === 0) {
+          throw notFound("Message is not pinned");
+        }
+
+        return { success: true };
+      },
+    },
+  },
+});
@@ -1,151 +1,117 @@
 import { neon } from "@netlify/neon";
+import { channelRule, resolveChannel } from "../lib/channels.js";
+import { requireParticipant } from "../lib/conversations.js";
+import { createHandler, notFound } from "../lib/handler.js";
+import {
+  PRESENCE_STATUSES,
+  fetchOwnStatus,
+  fetchPresenceAndTyping,
+  setTyping,
+  touchPresence,
+} from "../lib/presence.js";
 
 const sql = neon();
 
-export const handler = async (event) => {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-    "Content-Type": "application/json",
-  };
+// Longest a custom status can be set to clear after: one week
+const MAX_STATUS_MINUTES = 7 * 24 * 60;
 
-  // Handle preflight requests
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
+// The chat someone says they're typing in, once we know they can post there
+async function resolveTypingChat(body, username) {
+  if (body.conversationId) {
+    await requireParticipant(body.conversationId, username);
+    return { conversationId: body.conversationId };
   }
+  const channel = await resolveChannel(body.channel, username);
+  return { channelId: channel.id };
+}
 
-  try {
-    const { httpMethod, body } = event;
-
-    switch (httpMethod) {
-      case "GET": {
-        // Get all active users (last seen within 30 seconds) with typing status
-        const activeUsers = await sql`
-          SELECT
-            username,
-            last_seen,
-            is_typing,
-            typing_started_at
-          FROM user_presence
-          WHERE last_seen > NOW() - INTERVAL '30 seconds'
-          ORDER BY username ASC
-        `;
-
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify(activeUsers),
-        };
+export const handler = createHandler({
+  name: "presence",
+  methods: {
+    GET: async ({ user, segments }) => {
+      // The signed in user's own status: /api/presence/status
+      if (segments[0] === "status") {
+        return fetchOwnStatus(user.username);
+      }
+      if (segments.length > 0) {
+        throw notFound("Unknown presence route");
       }
 
-      case "POST": {
-        // Update user presence (heartbeat) and typing status
-        const { username, isTyping } = JSON.parse(body);
+      // Get all active users (last seen within 30 seconds) with their status.
+      // Who's typing is only reported per chat, by sync and the message stream.
+      const presence = await fetchPresenceAndTyping(null, user.username);
+      return presence.users;
+    },
 
-        if (!username || !username.trim()) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: "Username is required" }),
-          };
+    PUT: {
+      body: {
+        status: { type: "string", oneOf: PRESENCE_STATUSES, label: "status" },
+        statusText: { type: "string", trim: true, maxLength: 100, label: "Status text" },
+        statusEmoji: { type: "string", trim: true, maxLength: 16, label: "Status emoji" },
+        clearAfterMinutes: { type: "integer", min: 1, max: MAX_STATUS_MINUTES, label: "clearAfterMinutes" },
+      },
+      handler: async ({ user, body, segments }) => {
+        // Pick a status and/or set the custom status: /api/presence/status.
+        // statusText and statusEmoji replace the whole custom status, and
+        // empty ones clear it; clearAfterMinutes makes it clear itself.
+        if (segments[0] !== "status") {
+          throw notFound("Unknown presence route");
         }
 
-        // Upsert user presence with typing status
-        if (isTyping !== undefined) {
-          // Update typing status
-          if (isTyping) {
-            await sql`
-              INSERT INTO user_presence (username, last_seen, is_typing, typing_started_at)
-              VALUES (
-                ${username.trim()},
-                NOW(),
-                ${isTyping},
-                NOW()
-              )
-              ON CONFLICT (username)
-              DO UPDATE SET
-                last_seen = NOW(),
-                is_typing = ${isTyping},
-                typing_started_at = NOW()
-            `;
-          } else {
-            await sql`
-              INSERT INTO user_presence (username, last_seen, is_typing, typing_started_at)
-              VALUES (
-                ${username.trim()},
-                NOW(),
-                ${isTyping},
-                NULL
-              )
-              ON CONFLICT (username)
-              DO UPDATE SET
-                last_seen = NOW(),
-                is_typing = ${isTyping},
-                typing_started_at = NULL
-            `;
-          }
-        } else {
-          // Regular presence update (heartbeat)
-          await sql`
-            INSERT INTO user_presence (username, last_seen)
-            VALUES (${username.trim()}, NOW())
-            ON CONFLICT (username)
-            DO UPDATE SET last_seen = NOW()
-          `;
-        }
+        const { status, statusText, statusEmoji, clearAfterMinutes } = body;
+        const customChanged = statusText !== undefined || statusEmoji !== undefined;
+        const text = statusText || null;
+        const emoji = statusEmoji || null;
+        const expiresAt = (text || emoji) && clearAfterMinutes
+          ? new Date(Date.now() + clearAfterMinutes * 60 * 1000).toISOString()
+          : null;
 
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ success: true }),
-        };
-      }
+        await sql`
+          UPDATE users SET
+            presence_status = COALESCE(${status ?? null}, presence_status),
+            status_text = CASE WHEN ${customChanged} THEN ${text} ELSE status_text END,
+            status_emoji = CASE WHEN ${customChanged} THEN ${emoji} ELSE status_emoji END,
+            status_expires_at = CASE WHEN ${customChanged} THEN ${expiresAt}::timestamptz ELSE status_expires_at END
+          WHERE username = ${user.username}
+        `;
+
+        return fetchOwnStatus(user.username);
+      },
+    },
 
-      case "DELETE": {
-        // Remove user from presence (when they leave)
-        const { username: usernameToRemove } = JSON.parse(body);
+    POST: {
+      body: {
+        isTyping: { type: "boolean" },
+        away: { type: "boolean" },
+        channel: channelRule,
+        conversationId: { type: "integer", min: 1, label: "conversationId" },
+      },
+      handler: async ({ user, body }) => {
+        // Update presence (heartbeat), away and typing status for the signed in user.
+        // Typing happens in a channel (#general by default) or conversation and
+        // has to be reported again every few seconds to keep showing.
+        const { isTyping, away } = body;
+        const username = user.username;
 
-        if (!usernameToRemove || !usernameToRemove.trim()) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: "Username is required" }),
-          };
+        if (isTyping !== undefined) {
+          await setTyping(username, isTyping ? await resolveTypingChat(body, username) : null);
+        } else {
+          // Regular presence update (heartbeat), saying whether the user is idle
+          await touchPresence(username, away);
         }
 
-        await sql`
-          DELETE FROM user_presence
-          WHERE username = ${usernameToRemove.trim()}
-        `;
+        return { success: true };
+      },
+    },
 
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ success: true }),
-        };
-      }
+    DELETE: async ({ user }) => {
+      // Remove user from presence (when they leave)
+      await sql`
+        DELETE FROM user_presence
+        WHERE username = ${user.username}
+      `;
 
-      default:
-        return {
-          statusCode: 405,
-          headers,
-          body: JSON.stringify({ error: "Method not allowed" }),
-        };
-    }
-  } catch (error) {
-    console.error("Error in presence function:", error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: "Internal server error",
-        message: error.message,
-      }),
-    };
-  }
-};
+      return { success: true };
+    },
+  },
+});
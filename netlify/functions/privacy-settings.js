@@ -0,0 +1,35 @@
+import { neon } from "@netlify/neon";
+import { createHandler } from "../lib/handler.js";
+
+const sql = neon();
+
+async function fetchSettings(username) {
+  const [settings] = await sql`
+    SELECT read_receipts FROM users WHERE username = ${username}
+  `;
+
+  return { readReceipts: settings?.read_receipts ?? true };
+}
+
+export const handler = createHandler({
+  name: "privacy-settings",
+  methods: {
+    GET: async ({ user }) => fetchSettings(user.username),
+
+    PUT: {
+      body: {
+        readReceipts: { type: "boolean", required: true },
+      },
+      handler: async ({ user, body }) => {
+        // Read receipts work both ways: turning them off hides the user's read
+        // cursor from everyone and everyone else's from the user
+        await sql`
+          UPDATE users SET read_receipts = ${body.readReceipts}
+          WHERE username = ${user.username}
+        `;
+
+        return fetchSettings(user.username);
+      },
+    },
+  },
+});
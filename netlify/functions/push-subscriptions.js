@@ -0,0 +1,91 @@
+import { neon } from "@netlify/neon";
+import { conflict, createHandler, json, validationError } from "../lib/handler.js";
+import { getVapidKeys } from "../lib/push.js";
+
+const sql = neon();
+
+const endpointRule = {
+  type: "string",
+  required: true,
+  trim: true,
+  maxLength: 2000,
+  label: "endpoint",
+};
+
+// The push services browsers hand out endpoints for (Chrome and Edge via FCM,
+// Firefox, Safari, Windows). Anything else would have us post to arbitrary URLs.
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  ".push.services.mozilla.com",
+  ".push.apple.com",
+  ".notify.windows.com",
+];
+
+const isPushServiceHost = (hostname) =>
+  PUSH_SERVICE_HOSTS.some((host) =>
+    host.startsWith(".") ? hostname.endsWith(host) : hostname === host
+  );
+
+// Push services are always reached over HTTPS on their default port
+function requirePushEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw validationError("endpoint must be a URL");
+  }
+  if (url.protocol !== "https:" || url.port || url.username || !isPushServiceHost(url.hostname)) {
+    throw validationError("endpoint must be an https URL of a known push service");
+  }
+}
+
+export const handler = createHandler({
+  name: "push-subscriptions",
+  methods: {
+    // The VAPID public key browsers subscribe with; null when push isn't set up
+    GET: async () => ({ publicKey: getVapidKeys()?.publicKey ?? null }),
+
+    POST: {
+      body: {
+        endpoint: endpointRule,
+        p256dh: { type: "string", required: true, trim: true, maxLength: 200, label: "p256dh" },
+        auth: { type: "string", required: true, trim: true, maxLength: 100, label: "auth" },
+      },
+      handler: async ({ user, body }) => {
+        // Subscribe this browser: the fields of PushSubscription.toJSON(), keys flattened
+        requirePushEndpoint(body.endpoint);
+
+        // Re-subscribing refreshes the keys, but an endpoint registered to
+        // someone else stays theirs until they unsubscribe it (sign out does)
+        const [subscription] = await sql`
+          INSERT INTO push_subscriptions (username, endpoint, p256dh, auth)
+          VALUES (${user.username}, ${body.endpoint}, ${body.p256dh}, ${body.auth})
+          ON CONFLICT (endpoint) DO UPDATE SET
+            p256dh = EXCLUDED.p256dh,
+            auth = EXCLUDED.auth
+          WHERE push_subscriptions.username = EXCLUDED.username
+          RETURNING id, endpoint, created_at
+        `;
+
+        if (!subscription) {
+          throw conflict("This push subscription belongs to another account");
+        }
+
+        return json(201, subscription);
+      },
+    },
+
+    DELETE: {
+      body: { endpoint: endpointRule },
+      handler: async ({ user, body }) => {
+        // Unsubscribe this browser; unknown endpoints are fine, it's gone either way
+        await sql`
+          DELETE FROM push_subscriptions
+          WHERE endpoint = ${body.endpoint} AND username = ${user.username}
+        `;
+
+        return { success: true };
+      },
+    },
+  },
+});
@@ -0,0 +1,164 @@
+import { neon } from "@netlify/neon";
+import {
+  createHandler,
+  forbidden,
+  notFound,
+  validationError,
+} from "../lib/handler.js";
+import { requireMessageAccess } from "../lib/channels.js";
+import { getReactions } from "../lib/reactions.js";
+
+const sql = neon();
+
+// Keep the reaction row under a message from growing without bound
+const MAX_EMOJIS_PER_MESSAGE = 20;
+
+// Emoji sequences only: pictographs plus the joiners, variation selectors,
+// skin tones and flag/keycap parts that combine with them
+const EMOJI_PATTERN =
+  /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+const PICTOGRAPH_PATTERN = /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u;
+
+const reactionBody = {
+  messageId: { type: "integer", min: 1, label: "messageId" },
+  directMessageId: { type: "integer", min: 1, label: "directMessageId" },
+  emoji: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: 32,
+    label: "Emoji",
+  },
+};
+
+// Work out which message is being reacted to and check the caller can see it
+async function resolveTarget({ messageId, directMessageId, emoji }, username) {
+  if (Boolean(messageId) === Boolean(directMessageId)) {
+    throw validationError("Exactly one of messageId or directMessageId is required");
+  }
+
+  if (!EMOJI_PATTERN.test(emoji) || !PICTOGRAPH_PATTERN.test(emoji)) {
+    throw validationError("Emoji must be an emoji");
+  }
+
+  if (messageId) {
+    const message = await requireMessageAccess(messageId, username);
+    if (message.deleted_at) {
+      throw notFound("Message not found");
+    }
+    return { id: messageId, direct: false };
+  }
+
+  const [message] = await sql`
+    SELECT dm.id, dm.deleted_at,
+      EXISTS (
+        SELECT 1 FROM conversation_participants cp
+        WHERE cp.conversation_id = dm.conversation_id AND cp.username = ${username}
+      ) AS is_participant
+    FROM direct_messages dm
+    WHERE dm.id = ${directMessageId}
+  `;
+  if (!message || message.deleted_at) {
+    throw notFound("Message not found");
+  }
+  if (!message.is_participant) {
+    throw forbidden("Access denied to this conversation");
+  }
+  return { id: directMessageId, direct: true };
+}
+
+// The message's reaction summary after a change, shaped like a polled row
+async function reactionState({ id, direct }) {
+  const [row] = direct
+    ? await sql`SELECT id, reactions_updated_at FROM direct_messages WHERE id = ${id}`
+    : await sql`SELECT id, reactions_updated_at FROM messages WHERE id = ${id}`;
+
+  return { ...row, reactions: await getReactions(id, { direct }) };
+}
+
+export const handler = createHandler({
+  name: "reactions",
+  methods: {
+    POST: {
+      body: reactionBody,
+      handler: async ({ user, body }) => {
+        // Add a reaction: { messageId | directMessageId, emoji }
+        const target = await resolveTarget(body, user.username);
+        const { id, direct } = target;
+        const { emoji } = body;
+
+        const existing = await getReactions(id, { direct });
+        if (
+          existing.length >= MAX_EMOJIS_PER_MESSAGE &&
+          !existing.some((reaction) => reaction.emoji === emoji)
+        ) {
+          throw validationError(
+            `A message can have at most ${MAX_EMOJIS_PER_MESSAGE} different reactions`
+          );
+        }
+
+        // Reacting twice with the same emoji is a no-op; only a real change
+        // bumps reactions_updated_at for pollers
+        if (direct) {
+          await sql`
+            WITH added AS (
+              INSERT INTO message_reactions (direct_message_id, username, emoji)
+              VALUES (${id}, ${user.username}, ${emoji})
+              ON CONFLICT DO NOTHING
+              RETURNING id
+            )
+            UPDATE direct_messages SET reactions_updated_at = NOW()
+            WHERE id = ${id} AND EXISTS (SELECT 1 FROM added)
+          `;
+        } else {
+          await sql`
+            WITH added AS (
+              INSERT INTO message_reactions (message_id, username, emoji)
+              VALUES (${id}, ${user.username}, ${emoji})
+              ON CONFLICT DO NOTHING
+              RETURNING id
+            )
+            UPDATE messages SET reactions_updated_at = NOW()
+            WHERE id = ${id} AND EXISTS (SELECT 1 FROM added)
+          `;
+        }
+
+        return reactionState(target);
+      },
+    },
+
+    DELETE: {
+      body: reactionBody,
+      handler: async ({ user, body }) => {
+        // Remove the caller's reaction: { messageId | directMessageId, emoji }
+        const target = await resolveTarget(body, user.username);
+        const { id, direct } = target;
+        const { emoji } = body;
+
+        if (direct) {
+          await sql`
+            WITH removed AS (
+              DELETE FROM message_reactions
+              WHERE direct_message_id = ${id} AND username = ${user.username} AND emoji = ${emoji}
+              RETURNING id
+            )
+            UPDATE direct_messages SET reactions_updated_at = NOW()
+            WHERE id = ${id} AND EXISTS (SELECT 1 FROM removed)
+          `;
+        } else {
+          await sql`
+            WITH removed AS (
+              DELETE FROM message_reactions
+              WHERE message_id = ${id} AND username = ${user.username} AND emoji = ${emoji}
+              RETURNING id
+            )
+            UPDATE messages SET reactions_updated_at = NOW()
+            WHERE id = ${id} AND EXISTS (SELECT 1 FROM removed)
+          `;
+        }
+
+        return reactionState(target);
+      },
+    },
+  },
+});
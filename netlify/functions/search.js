@@ -0,0 +1,224 @@
+import { neon } from "@netlify/neon";
+import { createHandler, validationError } from "../lib/handler.js";
+
+const sql = neon();
+
+// ts_headline wraps matches in these markers; they are split back out into
+// snippet segments so the client never has to render HTML
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_END = "\u0003";
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// from:alice has:image mentions:me before:2026-10-01 after:2026-09-01 on:2026-09-15
+const FILTER_PATTERN = /(^|\s)(from|has|mentions|before|after|on):(\S+)/gi;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Start of a UTC day as an ISO timestamp
+function parseDate(value, filter) {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    throw validationError(`${filter}: needs a date like 2026-10-01`);
+  }
+  return new Date(value).toISOString();
+}
+
+function nextDay(timestamp) {
+  return new Date(Date.parse(timestamp) + 24 * 60 * 60 * 1000).toISOString();
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Split "deploy from:alice has:image" into free text for websearch_to_tsquery
+// and the filters applied alongside it
+function parseSearchQuery(q, username) {
+  const filters = {
+    from: null,
+    hasImage: false,
+    mentions: null,
+    after: null,
+    before: null,
+  };
+
+  const text = q
+    .replace(FILTER_PATTERN, (match, space, name, value) => {
+      switch (name.toLowerCase()) {
+        case "from":
+          filters.from = value.replace(/^@/, "");
+          break;
+        case "has":
+          if (value.toLowerCase() !== "image") {
+            throw validationError(`Unknown filter has:${value}`);
+          }
+          filters.hasImage = true;
+          break;
+        case "mentions":
+          filters.mentions =
+            value.toLowerCase() === "me" ? username : value.replace(/^@/, "");
+          break;
+        case "after":
+          filters.after = parseDate(value, "after");
+          break;
+        case "before":
+          filters.before = parseDate(value, "before");
+          break;
+        case "on":
+          filters.after = parseDate(value, "on");
+          filters.before = nextDay(filters.after);
+          break;
+      }
+      return space;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+
+  // Same rule as the client's mention detection: @name not followed by more name characters
+  const mentionPattern = filters.mentions
+    ? `(^|[^[:alnum:]_])@${escapeRegex(filters.mentions)}([^[:alnum:]_-]|$)`
+    : null;
+
+  return { text: text || null, ...filters, mentionPattern };
+}
+
+// Turn a ts_headline result into [{ text, highlight }] segments
+function toSnippet(headline) {
+  const segments = [];
+  headline.split(HIGHLIGHT_START).forEach((part, index) => {
+    if (index === 0) {
+      segments.push({ text: part, highlight: false });
+      return;
+    }
+    const [match, rest = ""] = part.split(HIGHLIGHT_END);
+    segments.push({ text: match, highlight: true });
+    segments.push({ text: rest, highlight: false });
+  });
+  return segments.filter((segment) => segment.text);
+}
+
+// Channel messages matching the search, skipping private channels the caller isn't in
+async function searchMessages(search, limit, username) {
+  const { text, from, hasImage, mentionPattern, after, before } = search;
+
+  return sql`
+    SELECT 'message' AS kind, m.id, c.name AS channel_name, NULL::integer AS conversation_id,
+      false AS is_group, NULL::text AS conversation_name, NULL::text AS other_username,
+      m.username, m.created_at, m.image_url IS NOT NULL AS has_image, m.thread_root_id,
+      CASE WHEN q.query IS NULL THEN LEFT(m.message, 200)
+        ELSE ts_headline('english', m.message, q.query, ${HEADLINE_OPTIONS}) END AS headline,
+      CASE WHEN q.query IS NULL THEN 0 ELSE ts_rank(m.search_vector, q.query) END AS rank
+    FROM messages m
+    JOIN channels c ON c.id = m.channel_id
+    CROSS JOIN (SELECT websearch_to_tsquery('english', ${text}::text) AS query) q
+    WHERE m.deleted_at IS NULL
+    AND m.system_event IS NULL
+    AND (
+      c.is_private = false
+      OR EXISTS (
+        SELECT 1 FROM channel_members cm
+        WHERE cm.channel_id = c.id AND cm.username = ${username}
+      )
+    )
+    AND (q.query IS NULL OR m.search_vector @@ q.query)
+    AND (${from}::text IS NULL OR LOWER(m.username) = LOWER(${from}::text))
+    AND (${hasImage}::boolean = false OR m.image_url IS NOT NULL)
+    AND (${mentionPattern}::text IS NULL OR m.message ~* ${mentionPattern}::text)
+    AND (${after}::timestamptz IS NULL OR m.created_at >= ${after}::timestamptz)
+    AND (${before}::timestamptz IS NULL OR m.created_at < ${before}::timestamptz)
+    ORDER BY rank DESC, m.created_at DESC
+    LIMIT ${limit}
+  `;
+}
+
+// Direct messages matching the search, only in the caller's own conversations
+async function searchDirectMessages(search, limit, username) {
+  const { text, from, hasImage, mentionPattern, after, before } = search;
+
+  return sql`
+    SELECT 'direct_message' AS kind, dm.id, NULL::text AS channel_name, dm.conversation_id,
+      c.is_group, c.name AS conversation_name,
+      CASE WHEN c.is_group THEN NULL ELSE (
+        SELECT cp2.username
+        FROM conversation_participants cp2
+        WHERE cp2.conversation_id = dm.conversation_id
+        AND cp2.username != ${username}
+        LIMIT 1
+      ) END AS other_username,
+      dm.sender_username AS username, dm.created_at, dm.image_url IS NOT NULL AS has_image,
+      NULL::integer AS thread_root_id,
+      CASE WHEN q.query IS NULL THEN LEFT(dm.message, 200)
+        ELSE ts_headline('english', dm.message, q.query, ${HEADLINE_OPTIONS}) END AS headline,
+      CASE WHEN q.query IS NULL THEN 0 ELSE ts_rank(dm.search_vector, q.query) END AS rank
+    FROM direct_messages dm
+    JOIN conversations c ON c.id = dm.conversation_id
+    JOIN conversation_participants cp
+      ON cp.conversation_id = dm.conversation_id AND cp.username = ${username}
+    CROSS JOIN (SELECT websearch_to_tsquery('english', ${text}::text) AS query) q
+    WHERE dm.deleted_at IS NULL
+    AND dm.system_event IS NULL
+    AND (q.query IS NULL OR dm.search_vector @@ q.query)
+    AND (${from}::text IS NULL OR LOWER(dm.sender_username) = LOWER(${from}::text))
+    AND (${hasImage}::boolean = false OR dm.image_url IS NOT NULL)
+    AND (${mentionPattern}::text IS NULL OR dm.message ~* ${mentionPattern}::text)
+    AND (${after}::timestamptz IS NULL OR dm.created_at >= ${after}::timestamptz)
+    AND (${before}::timestamptz IS NULL OR dm.created_at < ${before}::timestamptz)
+    ORDER BY rank DESC, dm.created_at DESC
+    LIMIT ${limit}
+  `;
+}
+
+export const handler = createHandler({
+  name: "search",
+  methods: {
+    GET: {
+      query: {
+        q: {
+          type: "string",
+          required: true,
+          trim: true,
+          maxLength: 200,
+          label: "Search query",
+        },
+        limit: {
+          type: "integer",
+          min: 1,
+          max: 100,
+          default: 50,
+          label: "limit",
+        },
+      },
+      handler: async ({ user, query }) => {
+        const search = parseSearchQuery(query.q, user.username);
+        const hasFilter =
+          search.from ||
+          search.hasImage ||
+          search.mentionPattern ||
+          search.after ||
+          search.before;
+
+        if (!search.text && !hasFilter) {
+          throw validationError("Search needs some text or a filter");
+        }
+
+        const [messages, directMessages] = await Promise.all([
+          searchMessages(search, query.limit, user.username),
+          searchDirectMessages(search, query.limit, user.username),
+        ]);
+
+        // Best matches first across both sources, newest first within a tie
+        const results = [...messages, ...directMessages]
+          .sort(
+            (a, b) =>
+              b.rank - a.rank ||
+              new Date(b.created_at).getTime() - new Date(a.created_at).getTime()
+          )
+          .slice(0, query.limit)
+          .map(({ headline, rank, ...result }) => ({
+            ...result,
+            snippet: toSnippet(headline),
+          }));
+
+        return { results };
+      },
+    },
+  },
+});
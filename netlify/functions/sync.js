@@ -0,0 +1,98 @@
+import { signImageUrls } from "../lib/blobs.js";
+import { channelRule, listChannels, resolveChannel } from "../lib/channels.js";
+import { listConversations, requireParticipant } from "../lib/conversations.js";
+import { createHandler } from "../lib/handler.js";
+import { countUnreadMentions } from "../lib/mentions.js";
+import { fetchChannelUpdates, fetchConversationUpdates } from "../lib/messages.js";
+import { fetchPresenceAndTyping, touchPresence } from "../lib/presence.js";
+import {
+  fetchThreadReplies,
+  fetchThreadRoot,
+  fetchUnreadThreads,
+} from "../lib/threads.js";
+
+// The open chat as { conversationId } or { channelId, isPrivate }. Access is checked on
+// every tick, so a removed member gets a 404 (channel) or 403 (conversation).
+async function resolveChat(body, username) {
+  if (body.conversationId) {
+    await requireParticipant(body.conversationId, username);
+    return { conversationId: body.conversationId };
+  }
+
+  const channel = await resolveChannel(body.channel, username);
+  return { channelId: channel.id, isPrivate: channel.is_private };
+}
+
+// Updates for the open chat, from the caller's cursors
+async function fetchChatUpdates(chat, body) {
+  if (chat.conversationId) {
+    return fetchConversationUpdates(chat.conversationId, body.sinceId, body.editedSince);
+  }
+
+  const messages = await fetchChannelUpdates(chat.channelId, body.sinceId, body.editedSince);
+  return signImageUrls(messages, chat.isPrivate);
+}
+
+// The open thread's root (for its summary) and new or changed replies
+async function fetchThreadUpdates(body, username) {
+  const root = await fetchThreadRoot(body.threadRootId, username);
+  const replies = await fetchThreadReplies(
+    body.threadRootId,
+    body.threadSinceId,
+    body.threadEditedSince
+  );
+  return { root, replies };
+}
+
+export const handler = createHandler({
+  name: "sync",
+  methods: {
+    // Everything the app polls for in one request per tick, and a presence
+    // heartbeat for the caller (away: true while they're idle). Each part is only fetched when asked for:
+    // the open chat with sinceId, the open thread with threadRootId and the
+    // sidebar's channel and conversation lists with lists: true. Who's typing
+    // is only known for the open chat, so it's null without one.
+    POST: {
+      body: {
+        channel: channelRule,
+        conversationId: { type: "integer", min: 1, label: "conversationId" },
+        sinceId: { type: "integer", min: 0, label: "sinceId" },
+        editedSince: { type: "timestamp", label: "editedSince" },
+        threadRootId: { type: "integer", min: 1, label: "threadRootId" },
+        threadSinceId: { type: "integer", min: 0, label: "threadSinceId" },
+        threadEditedSince: { type: "timestamp", label: "threadEditedSince" },
+        lists: { type: "boolean", default: false },
+        away: { type: "boolean" },
+      },
+      handler: async ({ user, body }) => {
+        const username = user.username;
+        const chat = body.sinceId !== undefined ? resolveChat(body, username) : null;
+
+        const [messages, thread, presence, threads, mentionCount, channels, conversations] =
+          await Promise.all([
+            chat && chat.then((resolved) => fetchChatUpdates(resolved, body)),
+            body.threadRootId ? fetchThreadUpdates(body, username) : null,
+            Promise.all([chat, touchPresence(username, body.away)]).then(([resolved]) =>
+              fetchPresenceAndTyping(resolved, username)
+            ),
+            fetchUnreadThreads(username),
+            countUnreadMentions(username),
+            body.lists ? listChannels(username) : null,
+            body.lists ? listConversations(username) : null,
+          ]);
+
+        return {
+          messages,
+          thread,
+          presence: presence.users,
+          typing: presence.typing,
+          threads,
+          mentionCount,
+          channels,
+          conversations,
+          timestamp: new Date().toISOString(),
+        };
+      },
+    },
+  },
+});
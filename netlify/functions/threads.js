@@ -0,0 +1,127 @@
+import { neon } from "@netlify/neon";
+import { requireMessageAccess } from "../lib/channels.js";
+import {
+  createHandler,
+  json,
+  notFound,
+  validate,
+} from "../lib/handler.js";
+import { markThreadMentionsRead, recordMentions } from "../lib/mentions.js";
+import { fetchThreadReplies, fetchThreadRoot } from "../lib/threads.js";
+
+const sql = neon();
+
+const rootIdParam = {
+  rootId: { type: "integer", required: true, min: 1, label: "Thread ID" },
+};
+
+const replyBody = {
+  message: {
+    type: "string",
+    required: true,
+    trim: true,
+    maxLength: 1000,
+    label: "Message",
+  },
+};
+
+const readBody = {
+  messageId: { type: "integer", required: true, min: 1, label: "messageId" },
+};
+
+export const handler = createHandler({
+  name: "threads",
+  methods: {
+    // A thread's root message and replies: /api/threads/{rootId}
+    GET: {
+      query: {
+        sinceId: { type: "integer", min: 0, label: "sinceId" },
+        editedSince: { type: "timestamp", label: "editedSince" },
+      },
+      handler: async ({ user, query, segments }) => {
+        const { rootId } = validate({ rootId: segments[0] }, rootIdParam);
+        const { sinceId, editedSince } = query;
+        const root = await fetchThreadRoot(rootId, user.username);
+
+        return { root, replies: await fetchThreadReplies(rootId, sinceId, editedSince) };
+      },
+    },
+
+    // Reply in a thread: /api/threads/{rootId}
+    // Mark a thread read: /api/threads/{rootId}/read
+    POST: async ({ user, body, segments }) => {
+      const { rootId } = validate({ rootId: segments[0] }, rootIdParam);
+      const username = user.username;
+
+      if (segments[1] === "read") {
+        const { messageId } = validate(body, readBody);
+        await requireMessageAccess(rootId, username);
+
+        await sql`
+          UPDATE thread_subscriptions
+          SET last_read_reply_id = GREATEST(last_read_reply_id, ${messageId})
+          WHERE root_message_id = ${rootId} AND username = ${username}
+        `;
+        await markThreadMentionsRead(rootId, username, messageId);
+
+        return { success: true };
+      }
+
+      if (segments.length > 1) {
+        throw notFound("Unknown threads route");
+      }
+
+      const { message } = validate(body, replyBody);
+      const { channel_id: channelId } = await requireMessageAccess(rootId, username);
+
+      // Post the reply, bump the root so pollers refresh its summary, and
+      // subscribe both the replier (caught up to their own reply) and the root's author
+      const [reply] = await sql`
+        WITH root AS (
+          UPDATE messages
+          SET thread_updated_at = NOW()
+          WHERE id = ${rootId} AND thread_root_id IS NULL AND deleted_at IS NULL
+          RETURNING id, channel_id, username
+        ),
+        reply AS (
+          INSERT INTO messages (channel_id, username, message, created_at, thread_root_id)
+          SELECT channel_id, ${username}, ${message}, NOW(), id
+          FROM root
+          RETURNING id, username, message, created_at, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_root_id
+        ),
+        replier AS (
+          INSERT INTO thread_subscriptions (root_message_id, username, last_read_reply_id)
+          SELECT reply.thread_root_id, reply.username, reply.id
+          FROM reply
+          ON CONFLICT (root_message_id, username) DO UPDATE SET
+            last_read_reply_id = GREATEST(thread_subscriptions.last_read_reply_id, EXCLUDED.last_read_reply_id)
+        ),
+        author AS (
+          INSERT INTO thread_subscriptions (root_message_id, username)
+          SELECT root.id, root.username
+          FROM root
+          WHERE root.username <> ${username}
+          ON CONFLICT DO NOTHING
+        )
+        SELECT * FROM reply
+      `;
+
+      if (!reply) {
+        throw notFound("Original message not found");
+      }
+
+      await sql`
+        INSERT INTO chat_participants (username, first_seen, last_message_at, message_count)
+        VALUES (${username}, NOW(), NOW(), 1)
+        ON CONFLICT (username) DO UPDATE SET
+          last_message_at = NOW(),
+          message_count = chat_participants.message_count + 1,
+          updated_at = NOW()
+      `;
+
+      await recordMentions(channelId, reply);
+
+      return json(201, { ...reply, reactions: [] });
+    },
+  },
+});
@@ -1,29 +1,26 @@
-import { getStore } from "@netlify/blobs";
 import { neon } from "@netlify/neon";
+import {
+  deleteImageBlob,
+  getImageStore,
+  imageUrlFromKey,
+  imageVariantKey,
+  signImageUrls,
+} from "../lib/blobs.js";
+import { channelRule, resolveChannel } from "../lib/channels.js";
+import { requireParticipant } from "../lib/conversations.js";
+import { processImage } from "../lib/imageProcessing.js";
+import {
+  createHandler,
+  json,
+  notFound,
+  payloadTooLarge,
+  validationError,
+} from "../lib/handler.js";
+import { recordMentions } from "../lib/mentions.js";
+import { notifyDirectMessage } from "../lib/notifications.js";
 
 const sql = neon();
 
-// Helper function to get the shared image store for both dev and prod
-function getImageStore() {
-  const storeOptions = {
-    name: "chat-images", // Use same store for both dev and prod for seamless feedback
-    consistency: "strong",
-  };
-
-  // In production, Netlify automatically provides the environment
-  // For local development, manually provide siteID and token if available
-  if (
-    process.env.NODE_ENV !== "production" &&
-    process.env.NETLIFY_SITE_ID &&
-    process.env.NETLIFY_TOKEN
-  ) {
-    storeOptions.siteID = process.env.NETLIFY_SITE_ID;
-    storeOptions.token = process.env.NETLIFY_TOKEN;
-  }
-
-  return getStore(storeOptions);
-}
-
 // Helper function to generate unique filename
 function generateImageKey(originalName, username) {
   const timestamp = Date.now();
@@ -39,141 +36,166 @@ function validateImageFile(file, filename) {
 
   // Check file size
   if (file.length > maxSize) {
-    throw new Error("File size too large. Maximum size is 10MB.");
+    throw payloadTooLarge("File size too large. Maximum size is 10MB.");
   }
 
   // Check file extension
   const extension = filename.split(".").pop().toLowerCase();
   if (!allowedExtensions.includes(extension)) {
-    throw new Error("Invalid file type. Allowed types: JPG, PNG, WebP, GIF");
+    throw validationError("Invalid file type. Allowed types: JPG, PNG, WebP, GIF");
   }
 
   return true;
 }
 
-export const handler = async (event) => {
-  const headers = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
-    "Content-Type": "application/json",
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === "OPTIONS") {
-    return {
-      statusCode: 200,
-      headers,
-      body: "",
-    };
-  }
-
-  if (event.httpMethod !== "POST") {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: "Method not allowed" }),
-    };
-  }
-
-  try {
-    const { body } = event;
-
-    if (!body) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: "No file data provided" }),
-      };
-    }
-
-    // Parse JSON request data
-    let requestData;
-    try {
-      requestData = JSON.parse(body);
-    } catch (e) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: "Invalid JSON data" }),
-      };
-    }
-
-    const {
-      username,
-      filename,
-      fileData,
-      message,
-      replyToId,
-      replyToUsername,
-      replyPreview,
-    } = requestData;
-
-    if (!username || !filename || !fileData) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: "Username, filename, and file data are required",
-        }),
-      };
-    }
-
-    // Decode base64 file data
-    const fileBuffer = Buffer.from(fileData, "base64");
-
-    // Validate the image file
-    validateImageFile(fileBuffer, filename);
-
-    // Generate unique key for the image
-    const imageKey = generateImageKey(filename, username);
-
-    // Get the blob store
-    const store = getImageStore();
-
-    // Store the image in Netlify Blobs
-    await store.set(imageKey, fileBuffer, {
-      metadata: {
-        originalName: filename,
-        username: username,
-        uploadedAt: new Date().toISOString(),
-        size: fileBuffer.length,
+export const handler = createHandler({
+  name: "upload-image",
+  methods: {
+    POST: {
+      body: {
+        filename: {
+          type: "string",
+          required: true,
+          maxLength: 255,
+          label: "Filename",
+        },
+        fileData: { type: "string", required: true, label: "File data" },
+        message: { type: "string", trim: true, maxLength: 1000, label: "Message" },
+        replyToId: { type: "integer", min: 1, label: "Reply ID" },
+        replyToUsername: { type: "string", maxLength: 50 },
+        replyPreview: { type: "string" },
+        channel: channelRule,
+        // Posts to this DM conversation instead of a channel
+        conversationId: { type: "integer", min: 1, label: "conversationId" },
       },
-    });
-
-    // Create the image URL
-    const imageUrl = `/api/images/${imageKey}`;
-
-    // Save message with image to database
-    const messageText = message || `📷 ${filename}`;
-
-    const [newMessage] = await sql`
-      INSERT INTO messages (username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename)
-      VALUES (${username.trim()}, ${messageText}, NOW(), ${
-      replyToId || null
-    }, ${replyToUsername || null}, ${
-      replyPreview || null
-    }, ${imageUrl}, ${filename})
-      RETURNING id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename
-    `;
-
-    return {
-      statusCode: 201,
-      headers,
-      body: JSON.stringify({
-        message: newMessage,
-        imageUrl: imageUrl,
-      }),
-    };
-  } catch (error) {
-    console.error("Error in upload-image function:", error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: "Failed to upload image",
-        message: error.message,
-      }),
-    };
-  }
-};
+      handler: async ({ user, body }) => {
+        // Images are always posted as the signed in user
+        const username = user.username;
+        const {
+          filename,
+          fileData,
+          message,
+          replyToId,
+          replyToUsername,
+          replyPreview,
+          conversationId,
+        } = body;
+
+        let channel = null;
+        if (conversationId) {
+          await requireParticipant(conversationId, username);
+        } else {
+          channel = await resolveChannel(body.channel, username);
+        }
+
+        // Replies can only point at timeline messages that still exist in this chat
+        if (replyToId) {
+          const [original] = conversationId
+            ? await sql`
+                SELECT deleted_at FROM direct_messages
+                WHERE id = ${replyToId} AND conversation_id = ${conversationId}
+              `
+            : await sql`
+                SELECT deleted_at FROM messages
+                WHERE id = ${replyToId} AND channel_id = ${channel.id} AND thread_root_id IS NULL
+              `;
+          if (!original || original.deleted_at) {
+            throw notFound("Original message not found");
+          }
+        }
+
+        // Decode base64 file data
+        const fileBuffer = Buffer.from(fileData, "base64");
+
+        // Validate the image file
+        validateImageFile(fileBuffer, filename);
+
+        // Strip the metadata and make the display size, thumbnail and placeholder
+        const image = await processImage(fileBuffer);
+
+        // Generate unique key for the image
+        const imageKey = generateImageKey(filename, username);
+
+        // Get the blob store
+        const store = getImageStore();
+
+        // Create the image URL
+        const imageUrl = imageUrlFromKey(imageKey);
+
+        // Save message with image to database
+        const messageText = message || `📷 ${filename}`;
+
+        // Store the image and its variants in Netlify Blobs, then the message.
+        // If either fails, no message points at the blobs, so delete them.
+        const uploadedAt = new Date().toISOString();
+        let newMessage;
+        try {
+          await Promise.all([
+            store.set(imageKey, image.original, {
+              metadata: {
+                originalName: filename,
+                contentType: image.contentType,
+                username: username,
+                uploadedAt,
+                size: image.original.length,
+              },
+            }),
+            ...Object.entries(image.variants).map(([variant, data]) =>
+              store.set(imageVariantKey(imageKey, variant), data, {
+                metadata: {
+                  contentType: "image/webp",
+                  username: username,
+                  uploadedAt,
+                  size: data.length,
+                },
+              })
+            ),
+          ]);
+
+          [newMessage] = conversationId
+            ? await sql`
+                INSERT INTO direct_messages (conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash)
+                VALUES (${conversationId}, ${username}, ${messageText}, NOW(), ${
+                replyToId || null
+              }, ${replyToUsername || null}, ${
+                replyPreview || null
+              }, ${imageUrl}, ${filename}, ${image.width}, ${image.height}, ${image.blurhash})
+                RETURNING id, conversation_id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, client_id
+              `
+            : await sql`
+                INSERT INTO messages (channel_id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash)
+                VALUES (${channel.id}, ${username}, ${messageText}, NOW(), ${
+                replyToId || null
+              }, ${replyToUsername || null}, ${
+                replyPreview || null
+              }, ${imageUrl}, ${filename}, ${image.width}, ${image.height}, ${image.blurhash})
+                RETURNING id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at
+              `;
+        } catch (error) {
+          await deleteImageBlob(imageUrl);
+          throw error;
+        }
+
+        if (conversationId) {
+          // Push to the other participants like any other direct message
+          await notifyDirectMessage(conversationId, newMessage);
+
+          const [signed] = signImageUrls([newMessage]);
+          return json(201, {
+            message: signed,
+            imageUrl: signed.image_url,
+          });
+        }
+
+        // A caption can @mention people too
+        await recordMentions(channel.id, newMessage);
+
+        const [signed] = signImageUrls([newMessage], channel.is_private);
+        return json(201, {
+          message: signed,
+          imageUrl: signed.image_url,
+        });
+      },
+    },
+  },
+});
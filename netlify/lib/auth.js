@@ -0,0 +1,162 @@
+import {
+  createHmac,
+  randomBytes,
+  scrypt,
+  timingSafeEqual,
+} from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+export const SESSION_COOKIE_NAME = "lumi_session";
+export const SESSION_MAX_AGE_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+const PASSWORD_KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// Signing secret for session tokens (set SESSION_SECRET in the Netlify env)
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error("SESSION_SECRET environment variable is not set");
+  }
+  return secret;
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+function sign(payload) {
+  return createHmac("sha256", getSessionSecret())
+    .update(payload)
+    .digest("base64url");
+}
+
+// Validate username format for new accounts
+export function validateUsername(username) {
+  if (!username || typeof username !== "string" || !username.trim()) {
+    return "Username is required";
+  }
+  if (username.trim().length > 50) {
+    return "Username must be 50 characters or less";
+  }
+  if (!USERNAME_PATTERN.test(username.trim())) {
+    return "Username can only contain letters, numbers, underscores and dashes";
+  }
+  return null;
+}
+
+// Validate password strength for new accounts
+export function validatePassword(password) {
+  if (!password || typeof password !== "string") {
+    return "Password is required";
+  }
+  if (password.length < 8) {
+    return "Password must be at least 8 characters";
+  }
+  if (password.length > 200) {
+    return "Password must be 200 characters or less";
+  }
+  return null;
+}
+
+// Hash a password with a random salt, stored as "scrypt$salt$hash"
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const derivedKey = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString("hex")}`;
+}
+
+// Check a password against a stored hash in constant time
+export async function verifyPassword(password, storedHash) {
+  const [algorithm, salt, hash] = (storedHash || "").split("$");
+  if (algorithm !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "hex");
+  const derivedKey = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(expected, derivedKey);
+}
+
+// Create a signed session token: base64url(payload).signature
+export function createSessionToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64UrlEncode(
+    JSON.stringify({
+      uid: user.id,
+      sub: user.username,
+      iat: now,
+      exp: now + SESSION_MAX_AGE_SECONDS,
+    })
+  );
+  return `${payload}.${sign(payload)}`;
+}
+
+// Verify a session token and return its claims, or null if invalid/expired
+export function verifySessionToken(token) {
+  if (!token || typeof token !== "string") return null;
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read the session token from the Authorization header or the session cookie
+function getSessionToken(event) {
+  const headers = event.headers || {};
+  const authorization = headers.authorization || headers.Authorization;
+  if (authorization && authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+
+  const cookieHeader = headers.cookie || headers.Cookie || "";
+  for (const part of cookieHeader.split(";")) {
+    const [name, ...rest] = part.trim().split("=");
+    if (name === SESSION_COOKIE_NAME) {
+      return decodeURIComponent(rest.join("="));
+    }
+  }
+
+  return null;
+}
+
+// Work out who is calling: returns { id, username } or null when not signed in
+export function getSessionUser(event) {
+  const claims = verifySessionToken(getSessionToken(event));
+  if (!claims) return null;
+  return { id: claims.uid, username: claims.sub };
+}
+
+// Session cookies are Secure everywhere but `netlify dev` (plain http on
+// localhost), the same check as isDevelopment() in handler.js. Netlify doesn't
+// set NODE_ENV for functions, so it can't tell production apart.
+const secureAttribute = () => (process.env.NETLIFY_DEV === "true" ? "" : "; Secure");
+
+// Set-Cookie value for a new session
+export function createSessionCookie(token) {
+  return `${SESSION_COOKIE_NAME}=${encodeURIComponent(
+    token
+  )}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_MAX_AGE_SECONDS}${secureAttribute()}`;
+}
+
+// Set-Cookie value that clears the session
+export function clearSessionCookie() {
+  return `${SESSION_COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secureAttribute()}`;
+}
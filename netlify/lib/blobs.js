@@ -0,0 +1,129 @@
+import { getStore } from "@netlify/blobs";
+import { createHmac, timingSafeEqual } from "crypto";
+
+// Public URL prefix for images served by the images function
+const IMAGE_URL_PREFIX = "/api/images/";
+
+// Signed image URLs last at least this long and at most twice that. Expiry is
+// rounded up to the next whole window, so a message keeps the same URL (and
+// the browser's cached copy) from one poll to the next.
+const SIGNED_URL_WINDOW_SECONDS = 5 * 60;
+
+function getBlobStore(name) {
+  const storeOptions = {
+    name,
+    consistency: "strong",
+  };
+
+  // In production, Netlify automatically provides the environment
+  // For local development, manually provide siteID and token if available
+  if (
+    process.env.NODE_ENV !== "production" &&
+    process.env.NETLIFY_SITE_ID &&
+    process.env.NETLIFY_TOKEN
+  ) {
+    storeOptions.siteID = process.env.NETLIFY_SITE_ID;
+    storeOptions.token = process.env.NETLIFY_TOKEN;
+  }
+
+  return getStore(storeOptions);
+}
+
+// Shared image store for both dev and prod for seamless feedback
+export function getImageStore() {
+  return getBlobStore("chat-images");
+}
+
+export function getAvatarStore() {
+  return getBlobStore("avatars");
+}
+
+// "/api/images/alice/123-abc.png" -> "alice/123-abc.png"
+export function imageKeyFromUrl(imageUrl) {
+  if (!imageUrl || !imageUrl.startsWith(IMAGE_URL_PREFIX)) return null;
+  return imageUrl.slice(IMAGE_URL_PREFIX.length);
+}
+
+export function imageUrlFromKey(imageKey) {
+  return `${IMAGE_URL_PREFIX}${imageKey}`;
+}
+
+// Sizes stored next to each uploaded image, besides the original
+export const IMAGE_VARIANTS = ["display", "thumb"];
+
+// "alice/123-abc.png", "thumb" -> "alice/123-abc.png.thumb.webp". No message
+// points at a variant key, so the images function never serves one directly.
+export function imageVariantKey(imageKey, variant) {
+  return `${imageKey}.${variant}.webp`;
+}
+
+// HMAC over the image key and expiry, with the session secret. The "image:"
+// prefix keeps these from ever matching a session token signature.
+function imageSignature(imageKey, expires) {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error("SESSION_SECRET environment variable is not set");
+  }
+  return createHmac("sha256", secret)
+    .update(`image:${imageKey}:${expires}`)
+    .digest("base64url");
+}
+
+// "/api/images/alice/123-abc.png" -> "/api/images/alice/123-abc.png?expires=...&signature=..."
+export function signImageUrl(imageUrl) {
+  const imageKey = imageKeyFromUrl(imageUrl);
+  if (!imageKey) return imageUrl;
+
+  const now = Math.floor(Date.now() / 1000);
+  const expires =
+    (Math.floor(now / SIGNED_URL_WINDOW_SECONDS) + 2) * SIGNED_URL_WINDOW_SECONDS;
+  const params = new URLSearchParams({
+    expires: String(expires),
+    signature: imageSignature(imageKey, expires),
+  });
+  return `${imageUrl}?${params}`;
+}
+
+// Seconds a signed image URL has left, or 0 if it's expired or the signature
+// doesn't match the key
+export function signedUrlSecondsLeft(imageKey, expires, signature) {
+  const secondsLeft = expires - Math.floor(Date.now() / 1000);
+  if (!signature || secondsLeft <= 0) return 0;
+
+  const expected = Buffer.from(imageSignature(imageKey, expires));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return 0;
+  }
+  return secondsLeft;
+}
+
+// Messages from private channels and DMs get signed image URLs; public ones
+// keep the plain URL so it can be cached for good
+export function signImageUrls(messages, isPrivate = true) {
+  if (!isPrivate) return messages;
+
+  return messages.map((message) =>
+    message.image_url
+      ? { ...message, image_url: signImageUrl(message.image_url) }
+      : message
+  );
+}
+
+// Remove the blobs behind a message's image, its variants included. Failures
+// are logged rather than thrown because the message itself is already gone by
+// the time we get here.
+export async function deleteImageBlob(imageUrl) {
+  const imageKey = imageKeyFromUrl(imageUrl);
+  if (!imageKey) return;
+
+  const store = getImageStore();
+  try {
+    await Promise.all([
+      store.delete(imageKey),
+      ...IMAGE_VARIANTS.map((variant) => store.delete(imageVariantKey(imageKey, variant))),
+    ]);
+  } catch (error) {
+    console.error(`Failed to delete image blob ${imageKey}:`, error);
+  }
+}
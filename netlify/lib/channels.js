@@ -0,0 +1,100 @@
+import { neon } from "@netlify/neon";
+import { forbidden, notFound } from "./handler.js";
+
+const sql = neon();
+
+// Where messages go when no channel is given (the original single room)
+export const DEFAULT_CHANNEL = "general";
+
+// Validation rule for the `channel` name parameter on message endpoints
+export const channelRule = {
+  type: "string",
+  trim: true,
+  maxLength: 50,
+  default: DEFAULT_CHANNEL,
+  label: "Channel",
+};
+
+// Look up a channel by name (case-insensitive, leading # allowed) as seen by
+// username. Private channels look the same as missing ones to non-members so
+// their names don't leak; `role` is the caller's role in a private channel.
+export async function resolveChannel(name = DEFAULT_CHANNEL, username) {
+  const [channel] = await sql`
+    SELECT c.id, c.name, c.topic, c.created_by, c.created_at, c.is_private, cm.role
+    FROM channels c
+    LEFT JOIN channel_members cm ON cm.channel_id = c.id AND cm.username = ${username}
+    WHERE LOWER(c.name) = LOWER(${name.replace(/^#/, "")})
+  `;
+
+  if (!channel || (channel.is_private && !channel.role)) {
+    throw notFound("Channel not found");
+  }
+
+  return channel;
+}
+
+// Throw unless the caller holds one of the given roles in a private channel
+export function requireChannelRole(channel, roles, message) {
+  if (!roles.includes(channel.role)) {
+    throw forbidden(message);
+  }
+}
+
+// Check the caller can still see the channel a public message was posted in.
+// Resolves to { channel_id, is_private, deleted_at } for the message.
+export async function requireMessageAccess(messageId, username) {
+  const [message] = await sql`
+    SELECT m.channel_id, c.is_private, m.deleted_at
+    FROM messages m
+    JOIN channels c ON c.id = m.channel_id
+    WHERE m.id = ${messageId}
+    AND (
+      c.is_private = false
+      OR EXISTS (
+        SELECT 1 FROM channel_members cm
+        WHERE cm.channel_id = c.id AND cm.username = ${username}
+      )
+    )
+  `;
+
+  if (!message) {
+    throw notFound("Message not found");
+  }
+
+  return message;
+}
+
+// Channels the user can see with how many messages they haven't read in each.
+// Before a user first opens a channel, only messages since they signed up count as unread.
+// Thread replies and system notices don't count either.
+export async function listChannels(username) {
+  return sql`
+    SELECT
+      c.id,
+      c.name,
+      c.topic,
+      c.created_by,
+      c.created_at,
+      c.is_private,
+      cm.role,
+      (
+        SELECT COUNT(*)::int
+        FROM messages m
+        WHERE m.channel_id = c.id
+        AND m.thread_root_id IS NULL
+        AND m.system_event IS NULL
+        AND m.deleted_at IS NULL
+        AND m.username != ${username}
+        AND (
+          (cr.last_read_message_id IS NOT NULL AND m.id > cr.last_read_message_id)
+          OR (cr.last_read_message_id IS NULL AND m.created_at > u.created_at)
+        )
+      ) AS unread_count
+    FROM channels c
+    LEFT JOIN channel_members cm ON cm.channel_id = c.id AND cm.username = ${username}
+    LEFT JOIN channel_reads cr ON cr.channel_id = c.id AND cr.username = ${username}
+    LEFT JOIN users u ON u.username = ${username}
+    WHERE c.is_private = false OR cm.role IS NOT NULL
+    ORDER BY c.name ASC
+  `;
+}
@@ -0,0 +1,128 @@
+import { neon } from "@netlify/neon";
+import { forbidden, notFound } from "./handler.js";
+
+const sql = neon();
+
+// Group conversations hold 3 to 10 people, counting whoever started them
+export const MIN_GROUP_SIZE = 3;
+export const MAX_GROUP_SIZE = 10;
+
+// Verify user is participant in this conversation
+export async function requireParticipant(conversationId, username) {
+  const participant = await sql`
+    SELECT 1 FROM conversation_participants
+    WHERE conversation_id = ${conversationId}
+    AND username = ${username}
+  `;
+
+  if (participant.length === 0) {
+    throw forbidden("Access denied to this conversation");
+  }
+}
+
+// Registered usernames in their stored case, without duplicates. Throws if
+// any of them don't have an account.
+export async function findUsers(usernames) {
+  const wanted = [...new Set(usernames.map((name) => name.toLowerCase()))];
+
+  const users = await sql`
+    SELECT username FROM users
+    WHERE LOWER(username) = ANY(${wanted})
+  `;
+
+  const found = new Set(users.map((user) => user.username.toLowerCase()));
+  const missing = usernames.filter((name) => !found.has(name.toLowerCase()));
+  if (missing.length > 0) {
+    throw notFound(`User not found: ${[...new Set(missing)].join(", ")}`);
+  }
+
+  return users.map((user) => user.username);
+}
+
+// Every DM and group the user is in, most recently active first, with everyone
+// else in it, the last real message, the user's unread count and how far the
+// others have read
+export async function listConversations(username) {
+  return sql`
+    SELECT
+      c.id,
+      c.created_at,
+      c.updated_at,
+      c.is_group,
+      c.name,
+      -- Get the other participant's username (1:1 DMs only)
+      CASE WHEN c.is_group THEN NULL ELSE (
+        SELECT cp2.username
+        FROM conversation_participants cp2
+        WHERE cp2.conversation_id = c.id
+        AND cp2.username != ${username}
+        LIMIT 1
+      ) END as other_username,
+      -- Everyone else in the conversation, in the order they joined
+      ARRAY(
+        SELECT cp2.username
+        FROM conversation_participants cp2
+        WHERE cp2.conversation_id = c.id
+        AND cp2.username != ${username}
+        ORDER BY cp2.joined_at ASC, cp2.username ASC
+      ) as participants,
+      -- Get last message info (system notices like pins don't count)
+      (
+        SELECT dm.message
+        FROM direct_messages dm
+        WHERE dm.conversation_id = c.id
+        AND dm.deleted_at IS NULL
+        AND dm.system_event IS NULL
+        ORDER BY dm.created_at DESC
+        LIMIT 1
+      ) as last_message,
+      (
+        SELECT dm.sender_username
+        FROM direct_messages dm
+        WHERE dm.conversation_id = c.id
+        AND dm.deleted_at IS NULL
+        AND dm.system_event IS NULL
+        ORDER BY dm.created_at DESC
+        LIMIT 1
+      ) as last_sender,
+      (
+        SELECT dm.created_at
+        FROM direct_messages dm
+        WHERE dm.conversation_id = c.id
+        AND dm.deleted_at IS NULL
+        AND dm.system_event IS NULL
+        ORDER BY dm.created_at DESC
+        LIMIT 1
+      ) as last_message_at,
+      -- Calculate unread count
+      (
+        SELECT COUNT(*)
+        FROM direct_messages dm
+        WHERE dm.conversation_id = c.id
+        AND dm.id > COALESCE(cp.last_read_message_id, 0)
+        AND dm.sender_username != ${username}
+        AND dm.deleted_at IS NULL
+        AND dm.system_event IS NULL
+      ) as unread_count,
+      -- How far everyone else has read, for "Seen" receipts. Nobody who turned
+      -- read receipts off is listed, and they see nobody else's.
+      COALESCE((
+        SELECT json_agg(json_build_object(
+          'username', cp2.username,
+          'last_read_message_id', cp2.last_read_message_id
+        ) ORDER BY cp2.joined_at ASC, cp2.username ASC)
+        FROM conversation_participants cp2
+        JOIN users u2 ON u2.username = cp2.username
+        WHERE cp2.conversation_id = c.id
+        AND cp2.username != ${username}
+        AND cp2.last_read_message_id IS NOT NULL
+        AND u2.read_receipts
+        AND me.read_receipts
+      ), '[]'::json) as read_cursors
+    FROM conversations c
+    JOIN users me ON me.username = ${username}
+    JOIN conversation_participants cp ON c.id = cp.conversation_id
+    WHERE cp.username = ${username}
+    ORDER BY c.updated_at DESC
+  `;
+}
@@ -0,0 +1,360 @@
+import { getSessionUser } from "./auth.js";
+
+// Stable error codes returned in the `code` field of every error response
+export const ErrorCodes = {
+  BAD_REQUEST: "BAD_REQUEST",
+  INVALID_JSON: "INVALID_JSON",
+  VALIDATION_ERROR: "VALIDATION_ERROR",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  METHOD_NOT_ALLOWED: "METHOD_NOT_ALLOWED",
+  CONFLICT: "CONFLICT",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// Error that is safe to show to clients: thrown from handlers to short-circuit with a status
+export class HttpError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+export const badRequest = (message) =>
+  new HttpError(400, ErrorCodes.BAD_REQUEST, message);
+export const validationError = (message) =>
+  new HttpError(400, ErrorCodes.VALIDATION_ERROR, message);
+export const unauthorized = (message = "Authentication required") =>
+  new HttpError(401, ErrorCodes.UNAUTHORIZED, message);
+export const forbidden = (message) =>
+  new HttpError(403, ErrorCodes.FORBIDDEN, message);
+export const notFound = (message) =>
+  new HttpError(404, ErrorCodes.NOT_FOUND, message);
+export const conflict = (message) =>
+  new HttpError(409, ErrorCodes.CONFLICT, message);
+export const payloadTooLarge = (message) =>
+  new HttpError(413, ErrorCodes.PAYLOAD_TOO_LARGE, message);
+
+// Build a JSON response; handlers can also just return data for a 200
+export function json(statusCode, data, headers = {}) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(data),
+  };
+}
+
+// Internal error text is only exposed when running under `netlify dev`
+function isDevelopment() {
+  return process.env.NETLIFY_DEV === "true";
+}
+
+function corsHeaders(methods) {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": [...methods, "OPTIONS"].join(", "),
+  };
+}
+
+function errorResponse(statusCode, code, message, headers, extra = {}) {
+  return json(statusCode, { error: message, code, ...extra }, headers);
+}
+
+// Path segments after the function name: /api/images/a/b -> ["a", "b"].
+// A malformed %-escape is the caller's mistake, not a server error.
+function getPathSegments(path, name) {
+  const parts = (path || "").split("/").filter(Boolean);
+  const index = parts.indexOf(name);
+  if (index === -1) return [];
+
+  try {
+    return parts.slice(index + 1).map(decodeURIComponent);
+  } catch {
+    throw badRequest("Malformed URL path");
+  }
+}
+
+function parseJsonBody(event) {
+  if (!event.body) return {};
+
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, "base64").toString("utf8")
+    : event.body;
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("Body must be a JSON object");
+    }
+    return parsed;
+  } catch (error) {
+    throw new HttpError(400, ErrorCodes.INVALID_JSON, "Invalid JSON data");
+  }
+}
+
+function isMissing(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "")
+  );
+}
+
+// Validate one field against its rule, returning the normalized value
+function validateField(field, value, rule) {
+  const label = rule.label || field;
+
+  if (isMissing(value)) {
+    if (rule.required) {
+      throw validationError(`${label} is required`);
+    }
+    return rule.default;
+  }
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") {
+        throw validationError(`${label} must be a string`);
+      }
+      const normalized = rule.trim ? value.trim() : value;
+      if (rule.minLength && normalized.length < rule.minLength) {
+        throw validationError(
+          `${label} must be at least ${rule.minLength} characters`
+        );
+      }
+      if (rule.maxLength && normalized.length > rule.maxLength) {
+        throw validationError(
+          `${label} must be ${rule.maxLength} characters or less`
+        );
+      }
+      if (rule.oneOf && !rule.oneOf.includes(normalized)) {
+        throw validationError(
+          `${label} must be one of: ${rule.oneOf.join(", ")}`
+        );
+      }
+      return normalized;
+    }
+
+    case "integer": {
+      // Query string values arrive as strings, so accept numeric strings too
+      const number = typeof value === "string" ? Number(value) : value;
+      const min = rule.min ?? Number.MIN_SAFE_INTEGER;
+      if (!Number.isInteger(number) || number < min) {
+        throw validationError(
+          `${label} must be a valid ${min >= 1 ? "positive " : ""}integer`
+        );
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        throw validationError(`${label} must be ${rule.max} or less`);
+      }
+      return number;
+    }
+
+    case "boolean": {
+      if (typeof value === "boolean") return value;
+      if (value === "true" || value === "false") return value === "true";
+      throw validationError(`${label} must be true or false`);
+    }
+
+    case "timestamp": {
+      // ISO timestamps are passed through to SQL as-is once they parse
+      if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+        throw validationError(`${label} must be a valid timestamp`);
+      }
+      return value;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) {
+        throw validationError(`${label} must be a list`);
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        throw validationError(
+          `${label} can have at most ${rule.maxItems} items`
+        );
+      }
+      return rule.items
+        ? value.map((item, i) => validateField(`${label}[${i}]`, item, rule.items))
+        : value;
+    }
+
+    default:
+      return value;
+  }
+}
+
+// Validate an object against a { field: rule } schema, keeping only known fields
+export function validate(source, schema) {
+  const result = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    result[field] = validateField(field, source?.[field], rule);
+  }
+  return result;
+}
+
+/**
+ * Build a Netlify function handler with shared CORS, method routing,
+ * session lookup, body parsing/validation and error envelopes.
+ *
+ * Each method is either a function or { body, query, handler } where
+ * body/query are validation schemas. Handlers receive
+ * { event, user, body, query, segments } and return data (sent as a 200 JSON
+ * response) or a full response object with a statusCode.
+ */
+export function createHandler({ name, methods, auth = true, headers = {} }) {
+  const allowedMethods = Object.keys(methods);
+  const baseHeaders = { ...corsHeaders(allowedMethods), ...headers };
+
+  return async (event) => {
+    const { httpMethod } = event;
+
+    // Handle preflight requests
+    if (httpMethod === "OPTIONS") {
+      return { statusCode: 200, headers: baseHeaders, body: "" };
+    }
+
+    const route = methods[httpMethod];
+    if (!route) {
+      return errorResponse(
+        405,
+        ErrorCodes.METHOD_NOT_ALLOWED,
+        "Method not allowed",
+        baseHeaders
+      );
+    }
+
+    const { handler, body: bodySchema, query: querySchema } =
+      typeof route === "function" ? { handler: route } : route;
+
+    try {
+      // Work out who is calling before doing anything else
+      const user = getSessionUser(event);
+      if (auth && !user) {
+        throw unauthorized();
+      }
+
+      const rawQuery = event.queryStringParameters || {};
+      const rawBody = httpMethod === "GET" ? {} : parseJsonBody(event);
+
+      const result = await handler({
+        event,
+        user,
+        body: bodySchema ? validate(rawBody, bodySchema) : rawBody,
+        query: querySchema ? validate(rawQuery, querySchema) : rawQuery,
+        segments: getPathSegments(event.path, name),
+      });
+
+      if (result && typeof result.statusCode === "number") {
+        return {
+          ...result,
+          headers: { ...baseHeaders, ...result.headers },
+        };
+      }
+
+      return json(200, result, baseHeaders);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return errorResponse(
+          error.statusCode,
+          error.code,
+          error.message,
+          baseHeaders
+        );
+      }
+
+      console.error(`Error in ${name} function:`, error);
+      return errorResponse(
+        500,
+        ErrorCodes.INTERNAL_ERROR,
+        "Internal server error",
+        baseHeaders,
+        isDevelopment() ? { message: error.message } : {}
+      );
+    }
+  };
+}
+
+/**
+ * Build a streaming (Netlify Functions 2.0) GET handler for Server-Sent Events
+ * with the same CORS, session lookup, query validation and error envelopes as
+ * createHandler. Errors before the stream starts are sent as JSON like any
+ * other endpoint.
+ *
+ * `stream` receives { event, request, user, query, segments } and returns
+ * a ReadableStream of SSE text; `event` mirrors the classic event fields the
+ * shared helpers read (headers, path, query string).
+ */
+export function createStreamHandler({ name, query: querySchema, stream, auth = true, headers = {} }) {
+  const baseHeaders = { ...corsHeaders(["GET"]), ...headers };
+  const toResponse = ({ statusCode, headers: responseHeaders, body }) =>
+    new Response(body, { status: statusCode, headers: responseHeaders });
+
+  return async (request) => {
+    if (request.method === "OPTIONS") {
+      return toResponse({ statusCode: 200, headers: baseHeaders, body: "" });
+    }
+
+    if (request.method !== "GET") {
+      return toResponse(
+        errorResponse(405, ErrorCodes.METHOD_NOT_ALLOWED, "Method not allowed", baseHeaders)
+      );
+    }
+
+    try {
+      const url = new URL(request.url);
+      const event = {
+        httpMethod: request.method,
+        path: url.pathname,
+        headers: Object.fromEntries(request.headers),
+        queryStringParameters: Object.fromEntries(url.searchParams),
+      };
+
+      const user = getSessionUser(event);
+      if (auth && !user) {
+        throw unauthorized();
+      }
+
+      const body = await stream({
+        event,
+        request,
+        user,
+        query: querySchema
+          ? validate(event.queryStringParameters, querySchema)
+          : event.queryStringParameters,
+        segments: getPathSegments(event.path, name),
+      });
+
+      return new Response(body, {
+        status: 200,
+        headers: {
+          ...baseHeaders,
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        },
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return toResponse(
+          errorResponse(error.statusCode, error.code, error.message, baseHeaders)
+        );
+      }
+
+      console.error(`Error in ${name} function:`, error);
+      return toResponse(
+        errorResponse(
+          500,
+          ErrorCodes.INTERNAL_ERROR,
+          "Internal server error",
+          baseHeaders,
+          isDevelopment() ? { message: error.message } : {}
+        )
+      );
+    }
+  };
+}
@@ -0,0 +1,105 @@
+import { encode } from "blurhash";
+import sharp from "sharp";
+import { validationError } from "./handler.js";
+
+// Longest side of each stored variant, in pixels. Thumbnails fill the 300px
+// timeline slot on high density screens; the display size is for the lightbox.
+const VARIANT_SIZES = {
+  display: 1600,
+  thumb: 480,
+};
+const VARIANT_QUALITY = {
+  display: 82,
+  thumb: 70,
+};
+
+// The original has to be re-encoded to drop its metadata, so lossy formats get
+// a quality high enough not to visibly lose anything; PNG and GIF are lossless
+const ORIGINAL_OPTIONS = {
+  jpeg: { quality: 95, chromaSubsampling: "4:4:4" },
+  webp: { quality: 95 },
+};
+
+// What the file actually contains, whatever its extension says
+const ALLOWED_FORMATS = ["jpeg", "png", "webp", "gif"];
+
+// The blurhash is worked out from a tiny copy with this many components
+const BLURHASH_SAMPLE_SIZE = 32;
+const BLURHASH_COMPONENTS = 4;
+
+// Re-encode the original without its metadata (EXIF, GPS, camera details).
+// The EXIF orientation is applied to the pixels first so nothing ends up sideways.
+async function stripOriginal(buffer, format, animated) {
+  const { data, info } = await sharp(buffer, { animated })
+    .rotate()
+    .toFormat(format, ORIGINAL_OPTIONS[format])
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    data,
+    width: info.width,
+    // Animated images report every frame stacked on top of each other
+    height: info.pageHeight || info.height,
+  };
+}
+
+async function resizeVariant(buffer, variant, animated) {
+  const size = VARIANT_SIZES[variant];
+  return sharp(buffer, { animated: animated && variant === "display" })
+    .resize(size, size, { fit: "inside", withoutEnlargement: true })
+    .webp({ quality: VARIANT_QUALITY[variant] })
+    .toBuffer();
+}
+
+async function computeBlurhash(buffer) {
+  const { data, info } = await sharp(buffer)
+    .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return encode(
+    new Uint8ClampedArray(data),
+    info.width,
+    info.height,
+    BLURHASH_COMPONENTS,
+    BLURHASH_COMPONENTS
+  );
+}
+
+/**
+ * Turn an uploaded image into what gets stored: the original stripped of its
+ * metadata (with its content type), WebP display and thumbnail variants, its
+ * width and height and a blurhash placeholder. GIFs stay animated in the
+ * original and display size. Throws a validation error unless the bytes are a
+ * JPG, PNG, WebP or GIF image.
+ */
+export async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw validationError("The file could not be read as an image");
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw validationError("Invalid file type. Allowed types: JPG, PNG, WebP, GIF");
+  }
+
+  const animated = (metadata.pages || 1) > 1;
+  const original = await stripOriginal(buffer, metadata.format, animated);
+
+  const [display, thumb, blurhash] = await Promise.all([
+    resizeVariant(original.data, "display", animated),
+    resizeVariant(original.data, "thumb", animated),
+    computeBlurhash(original.data),
+  ]);
+
+  return {
+    original: original.data,
+    contentType: `image/${metadata.format}`,
+    variants: { display, thumb },
+    width: original.width,
+    height: original.height,
+    blurhash,
+  };
+}
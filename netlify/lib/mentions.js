@@ -0,0 +1,146 @@
+import { neon } from "@netlify/neon";
+import { notifyMentions } from "./notifications.js";
+
+const sql = neon();
+
+// @name tokens at the start or after a non-word character, so addresses like
+// me@example.com don't count; usernames only use letters, numbers, underscores and dashes
+const MENTION_PATTERN = /(?:^|[^\w])@([a-zA-Z0-9_-]{1,50})/g;
+
+// Lowercased names @mentioned in a message, without duplicates
+function findMentionedNames(text) {
+  const names = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    names.add(match[1].toLowerCase());
+  }
+  return [...names];
+}
+
+/**
+ * Record who a new or edited channel message mentions and push it to them.
+ * @name reaches that user, @everyone everyone who can read the channel and
+ * @here those of them who are online. The author and people who can't read
+ * the channel are skipped, and an edit only reaches people it newly mentions.
+ * Failures are logged, not thrown: the message is already stored by then.
+ */
+export async function recordMentions(channelId, message) {
+  const names = findMentionedNames(message.message);
+  if (names.length === 0) return;
+
+  const everyone = names.includes("everyone");
+  const here = names.includes("here");
+
+  try {
+    const mentions = await sql`
+      INSERT INTO mentions (message_id, username, kind)
+      SELECT ${message.id}, u.username,
+        CASE
+          WHEN LOWER(u.username) = ANY(${names}::text[]) THEN 'user'
+          WHEN ${everyone} THEN 'everyone'
+          ELSE 'here'
+        END
+      FROM users u
+      JOIN channels c ON c.id = ${channelId}
+      WHERE u.username <> ${message.username}
+      AND (
+        LOWER(u.username) = ANY(${names}::text[])
+        OR ${everyone}
+        OR (${here} AND EXISTS (
+          SELECT 1 FROM user_presence p
+          WHERE p.username = u.username AND p.last_seen > NOW() - INTERVAL '30 seconds'
+        ))
+      )
+      AND (
+        c.is_private = false
+        OR EXISTS (
+          SELECT 1 FROM channel_members cm
+          WHERE cm.channel_id = c.id AND cm.username = u.username
+        )
+      )
+      ON CONFLICT (message_id, username) DO NOTHING
+      RETURNING username
+    `;
+
+    if (mentions.length > 0) {
+      await notifyMentions(message, mentions.map((mention) => mention.username));
+    }
+  } catch (error) {
+    console.error("Error recording mentions:", error);
+  }
+}
+
+// Mentions of the user in channels they can still read, newest first.
+// Deleted messages drop out. Thread replies carry their thread_root_id.
+export async function listMentions(username, { unreadOnly, beforeId, limit }) {
+  return sql`
+    SELECT mn.id, mn.kind, mn.created_at, mn.read_at,
+      m.id AS message_id, m.username, m.message, m.image_filename, m.thread_root_id,
+      c.name AS channel_name
+    FROM mentions mn
+    JOIN messages m ON m.id = mn.message_id
+    JOIN channels c ON c.id = m.channel_id
+    WHERE mn.username = ${username}
+    AND m.deleted_at IS NULL
+    AND (${!unreadOnly} OR mn.read_at IS NULL)
+    AND (${beforeId === undefined} OR mn.id < ${beforeId ?? 0})
+    AND (
+      c.is_private = false
+      OR EXISTS (
+        SELECT 1 FROM channel_members cm
+        WHERE cm.channel_id = c.id AND cm.username = ${username}
+      )
+    )
+    ORDER BY mn.id DESC
+    LIMIT ${limit}
+  `;
+}
+
+// How many of the user's mentions are unread (the sidebar badge)
+export async function countUnreadMentions(username) {
+  const [{ count }] = await sql`
+    SELECT COUNT(*)::int AS count
+    FROM mentions mn
+    JOIN messages m ON m.id = mn.message_id
+    JOIN channels c ON c.id = m.channel_id
+    WHERE mn.username = ${username}
+    AND mn.read_at IS NULL
+    AND m.deleted_at IS NULL
+    AND (
+      c.is_private = false
+      OR EXISTS (
+        SELECT 1 FROM channel_members cm
+        WHERE cm.channel_id = c.id AND cm.username = ${username}
+      )
+    )
+  `;
+  return count;
+}
+
+// Reading a channel up to a message reads the timeline mentions up to it
+export async function markChannelMentionsRead(channelId, username, messageId) {
+  await sql`
+    UPDATE mentions mn
+    SET read_at = NOW()
+    FROM messages m
+    WHERE m.id = mn.message_id
+    AND mn.username = ${username}
+    AND mn.read_at IS NULL
+    AND m.channel_id = ${channelId}
+    AND m.thread_root_id IS NULL
+    AND m.id <= ${messageId}
+  `;
+}
+
+// Reading a thread up to a reply reads the mentions in its replies up to it
+export async function markThreadMentionsRead(rootId, username, messageId) {
+  await sql`
+    UPDATE mentions mn
+    SET read_at = NOW()
+    FROM messages m
+    WHERE m.id = mn.message_id
+    AND mn.username = ${username}
+    AND mn.read_at IS NULL
+    AND m.thread_root_id = ${rootId}
+    AND m.id <= ${messageId}
+  `;
+}
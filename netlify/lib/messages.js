@@ -0,0 +1,74 @@
+import { neon } from "@netlify/neon";
+import { signImageUrls } from "./blobs.js";
+import { attachReactions } from "./reactions.js";
+import { attachThreadSummaries } from "./threads.js";
+
+const sql = neon();
+
+// Sends carry an id the app generates, so a retry returns the stored message
+// instead of posting it twice
+export const clientIdRule = {
+  type: "string",
+  trim: true,
+  maxLength: 64,
+  label: "clientId",
+};
+
+// Timeline messages in a channel newer than sinceId, plus older ones edited,
+// deleted, reacted to or replied to in a thread after editedSince (when given).
+// Shared by sync polling and the message stream.
+export async function fetchChannelUpdates(channelId, sinceId, editedSince) {
+  const messages = editedSince
+    ? await sql`
+        SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM messages original WHERE original.id = messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+        FROM messages
+        WHERE channel_id = ${channelId}
+        AND thread_root_id IS NULL
+        AND (
+          id > ${sinceId}
+          OR date_trunc('milliseconds', edited_at) > ${editedSince}
+          OR date_trunc('milliseconds', deleted_at) > ${editedSince}
+          OR date_trunc('milliseconds', reactions_updated_at) > ${editedSince}
+          OR date_trunc('milliseconds', thread_updated_at) > ${editedSince}
+        )
+        ORDER BY created_at ASC, id ASC
+      `
+    : await sql`
+        SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM messages original WHERE original.id = messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+        FROM messages
+        WHERE channel_id = ${channelId}
+        AND thread_root_id IS NULL
+        AND id > ${sinceId}
+        ORDER BY created_at ASC, id ASC
+      `;
+
+  return attachThreadSummaries(await attachReactions(messages));
+}
+
+// The same for a DM conversation: messages newer than sinceId, plus older ones
+// edited, deleted or reacted to after editedSince (when given). DM images
+// always get signed URLs.
+export async function fetchConversationUpdates(conversationId, sinceId, editedSince) {
+  const messages = editedSince
+    ? await sql`
+        SELECT id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM direct_messages original WHERE original.id = direct_messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+        FROM direct_messages
+        WHERE conversation_id = ${conversationId}
+        AND (
+          id > ${sinceId}
+          OR date_trunc('milliseconds', edited_at) > ${editedSince}
+          OR date_trunc('milliseconds', deleted_at) > ${editedSince}
+          OR date_trunc('milliseconds', reactions_updated_at) > ${editedSince}
+        )
+        ORDER BY created_at ASC, id ASC
+      `
+    : await sql`
+        SELECT id, sender_username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, system_event, client_id, EXISTS (SELECT 1 FROM direct_messages original WHERE original.id = direct_messages.reply_to_id AND original.deleted_at IS NOT NULL) AS reply_to_deleted
+        FROM direct_messages
+        WHERE conversation_id = ${conversationId}
+        AND id > ${sinceId}
+        ORDER BY created_at ASC, id ASC
+      `;
+
+  return signImageUrls(await attachReactions(messages, { direct: true }));
+}
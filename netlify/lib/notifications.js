@@ -0,0 +1,106 @@
+import { neon } from "@netlify/neon";
+import { sendPushNotifications } from "./push.js";
+
+const sql = neon();
+
+// Notification bodies are cut to this many characters
+const PREVIEW_LENGTH = 100;
+
+const preview = (text) =>
+  text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH)}...` : text;
+
+/**
+ * Push a channel message to the given people recorded as mentioned in it
+ * (lib/mentions.js), except those who turned mention pushes off, snoozed
+ * notifications, muted the channel or set do-not-disturb.
+ */
+export async function notifyMentions(message, usernames) {
+  try {
+    const recipients = await sql`
+      SELECT mn.username, mn.kind, c.name AS channel_name
+      FROM mentions mn
+      JOIN messages m ON m.id = mn.message_id
+      JOIN channels c ON c.id = m.channel_id
+      LEFT JOIN notification_settings s ON s.username = mn.username
+      LEFT JOIN users u ON u.username = mn.username
+      WHERE mn.message_id = ${message.id}
+      AND mn.username = ANY(${usernames}::text[])
+      AND COALESCE(s.mentions, TRUE)
+      AND (s.muted_until IS NULL OR s.muted_until <= NOW())
+      AND u.presence_status IS DISTINCT FROM 'dnd'
+      AND NOT EXISTS (
+        SELECT 1 FROM muted_chats mc
+        WHERE mc.username = mn.username AND mc.channel_id = m.channel_id
+      )
+    `;
+    if (recipients.length === 0) return;
+
+    // One push per kind of mention, so @everyone doesn't read as "mentioned you"
+    const channelName = recipients[0].channel_name;
+    const byKind = new Map();
+    for (const recipient of recipients) {
+      byKind.set(recipient.kind, [...(byKind.get(recipient.kind) || []), recipient.username]);
+    }
+    await Promise.all(
+      [...byKind].map(([kind, usernames]) =>
+        sendPushNotifications(
+          usernames,
+          {
+            title: kind === "user"
+              ? `${message.username} mentioned you in #${channelName}`
+              : `${message.username} notified @${kind} in #${channelName}`,
+            body: preview(message.message),
+            url: `/c/${encodeURIComponent(channelName)}`,
+            tag: `mention-${message.id}`,
+          }
+        )
+      )
+    );
+  } catch (error) {
+    console.error("Error notifying mentions:", error);
+  }
+}
+
+/**
+ * Push a new direct message to the other people in its conversation, except
+ * those who turned DM pushes off, snoozed notifications, muted it or set
+ * do-not-disturb.
+ */
+export async function notifyDirectMessage(conversationId, message) {
+  try {
+    const recipients = await sql`
+      SELECT cp.username, c.is_group, c.name
+      FROM conversation_participants cp
+      JOIN conversations c ON c.id = cp.conversation_id
+      LEFT JOIN notification_settings s ON s.username = cp.username
+      LEFT JOIN users u ON u.username = cp.username
+      WHERE cp.conversation_id = ${conversationId}
+      AND cp.username <> ${message.sender_username}
+      AND COALESCE(s.direct_messages, TRUE)
+      AND (s.muted_until IS NULL OR s.muted_until <= NOW())
+      AND u.presence_status IS DISTINCT FROM 'dnd'
+      AND NOT EXISTS (
+        SELECT 1 FROM muted_chats mc
+        WHERE mc.username = cp.username AND mc.conversation_id = ${conversationId}
+      )
+    `;
+    if (recipients.length === 0) return;
+
+    const { is_group: isGroup, name } = recipients[0];
+    await sendPushNotifications(
+      recipients.map((recipient) => recipient.username),
+      {
+        title: isGroup
+          ? `${message.sender_username} in ${name || "your group"}`
+          : message.sender_username,
+        body: preview(message.message),
+        url: isGroup
+          ? `/dm/group/${conversationId}`
+          : `/dm/${encodeURIComponent(message.sender_username)}`,
+        tag: `dm-${conversationId}`,
+      }
+    );
+  } catch (error) {
+    console.error("Error notifying direct message:", error);
+  }
+}
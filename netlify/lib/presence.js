@@ -0,0 +1,110 @@
+import { neon } from "@netlify/neon";
+
+const sql = neon();
+
+// Typing runs out this long after the last report, so a closed tab doesn't
+// leave someone typing forever. Clients report again while the user keeps typing.
+export const TYPING_TIMEOUT_SECONDS = 8;
+
+// Statuses people can pick; away is reported by the app instead
+export const PRESENCE_STATUSES = ["online", "dnd", "invisible"];
+
+// Users seen in the last 30 seconds with their status (online, away, dnd) and
+// custom status, and who is typing in the chat the caller has open:
+// { channelId } or { conversationId }, whose access the caller has already
+// checked. Typing is never reported without a chat, so nobody can tell that
+// someone is typing somewhere they can't see. Invisible users look offline to
+// everyone but the viewer themselves.
+export async function fetchPresenceAndTyping(chat, viewer) {
+  const [users, typing] = await Promise.all([
+    sql`
+      SELECT
+        up.username,
+        up.last_seen,
+        CASE
+          WHEN u.presence_status IN ('dnd', 'invisible') THEN u.presence_status
+          WHEN up.is_away THEN 'away'
+          ELSE 'online'
+        END AS status,
+        CASE WHEN u.status_expires_at IS NULL OR u.status_expires_at > NOW() THEN u.status_text END AS status_text,
+        CASE WHEN u.status_expires_at IS NULL OR u.status_expires_at > NOW() THEN u.status_emoji END AS status_emoji
+      FROM user_presence up
+      LEFT JOIN users u ON u.username = up.username
+      WHERE up.last_seen > NOW() - INTERVAL '30 seconds'
+      AND (u.presence_status IS DISTINCT FROM 'invisible' OR up.username = ${viewer})
+      ORDER BY up.username ASC
+    `,
+    chat ? fetchTyping(chat) : null,
+  ]);
+
+  return { users, typing };
+}
+
+// Usernames typing in one channel or conversation, longest typing first
+async function fetchTyping({ channelId = null, conversationId = null }) {
+  const rows = await sql`
+    SELECT up.username
+    FROM user_presence up
+    LEFT JOIN users u ON u.username = up.username
+    WHERE up.is_typing = TRUE
+    AND up.typing_started_at > NOW() - ${TYPING_TIMEOUT_SECONDS} * INTERVAL '1 second'
+    AND (up.typing_channel_id = ${channelId} OR up.typing_conversation_id = ${conversationId})
+    AND u.presence_status IS DISTINCT FROM 'invisible'
+    ORDER BY up.typing_started_at ASC, up.username ASC
+  `;
+
+  return rows.map((row) => row.username);
+}
+
+// Record that the user is typing in a chat ({ channelId } or { conversationId }),
+// or pass null when they stopped. Also counts as a heartbeat.
+export async function setTyping(username, chat) {
+  const channelId = chat?.channelId ?? null;
+  const conversationId = chat?.conversationId ?? null;
+
+  await sql`
+    INSERT INTO user_presence (username, last_seen, is_typing, typing_started_at, typing_channel_id, typing_conversation_id)
+    VALUES (${username}, NOW(), ${!!chat}, CASE WHEN ${!!chat} THEN NOW() END, ${channelId}, ${conversationId})
+    ON CONFLICT (username)
+    DO UPDATE SET
+      last_seen = NOW(),
+      is_typing = EXCLUDED.is_typing,
+      typing_started_at = EXCLUDED.typing_started_at,
+      typing_channel_id = EXCLUDED.typing_channel_id,
+      typing_conversation_id = EXCLUDED.typing_conversation_id
+  `;
+}
+
+// Heartbeat: keep the user in the online list without touching their typing
+// state. away is whether the app saw them idle; leave it out to keep the last value.
+export async function touchPresence(username, away) {
+  await sql`
+    INSERT INTO user_presence (username, last_seen, is_away)
+    VALUES (${username}, NOW(), ${away ?? false})
+    ON CONFLICT (username)
+    DO UPDATE SET
+      last_seen = NOW(),
+      is_away = COALESCE(${away ?? null}, user_presence.is_away)
+  `;
+}
+
+// The status a user picked and their custom status, for their own status menu.
+// A custom status that has run out comes back empty.
+export async function fetchOwnStatus(username) {
+  const [status] = await sql`
+    SELECT
+      presence_status,
+      CASE WHEN status_expires_at IS NULL OR status_expires_at > NOW() THEN status_text END AS status_text,
+      CASE WHEN status_expires_at IS NULL OR status_expires_at > NOW() THEN status_emoji END AS status_emoji,
+      CASE WHEN status_expires_at > NOW() THEN status_expires_at END AS status_expires_at
+    FROM users
+    WHERE username = ${username}
+  `;
+
+  return {
+    status: status?.presence_status ?? "online",
+    statusText: status?.status_text ?? null,
+    statusEmoji: status?.status_emoji ?? null,
+    statusExpiresAt: status?.status_expires_at ?? null,
+  };
+}
@@ -0,0 +1,97 @@
+import { neon } from "@netlify/neon";
+import webpush from "web-push";
+
+const sql = neon();
+
+// How long a push service keeps an undelivered notification (seconds)
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Push services answer these for subscriptions that no longer exist
+const EXPIRED_STATUSES = [404, 410];
+
+// VAPID keys (see scripts/generate-vapid-keys.js). Without them pushes are
+// skipped, so local development works without any setup.
+export function getVapidKeys() {
+  const publicKey = process.env.VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) {
+    return null;
+  }
+  return {
+    publicKey,
+    privateKey,
+    subject: process.env.VAPID_SUBJECT || "mailto:admin@example.com",
+  };
+}
+
+// Deliver one notification to a push service; web-push signs the VAPID
+// token and encrypts the payload (aes128gcm). Resolves to the response status.
+async function webPushSender(subscription, payload, vapid) {
+  try {
+    const { statusCode } = await webpush.sendNotification(
+      {
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+      },
+      JSON.stringify(payload),
+      {
+        vapidDetails: vapid,
+        TTL: PUSH_TTL_SECONDS,
+        urgency: "high",
+      }
+    );
+    return statusCode;
+  } catch (error) {
+    // Answers other than 2xx come back as errors carrying the status
+    if (error instanceof webpush.WebPushError) {
+      return error.statusCode;
+    }
+    throw error;
+  }
+}
+
+let pushSender = webPushSender;
+
+// Swap how notifications are delivered, e.g. for a local stand-in in tests.
+// The sender gets (subscription, payload, vapid) and resolves to an HTTP
+// status; pass nothing to go back to real Web Push.
+export function setPushSender(sender = webPushSender) {
+  pushSender = sender;
+}
+
+/**
+ * Push a notification to every browser the given users subscribed. The
+ * payload is { title, body, url, tag } (see the push handler in public/sw.js).
+ * Failures are logged, never thrown, so a send never fails because of them.
+ */
+export async function sendPushNotifications(usernames, payload) {
+  const vapid = getVapidKeys();
+  if (!vapid || usernames.length === 0) return;
+
+  try {
+    const subscriptions = await sql`
+      SELECT id, endpoint, p256dh, auth
+      FROM push_subscriptions
+      WHERE username = ANY(${usernames}::text[])
+    `;
+
+    await Promise.all(
+      subscriptions.map(async (subscription) => {
+        try {
+          const status = await pushSender(subscription, payload, vapid);
+          if (EXPIRED_STATUSES.includes(status)) {
+            await sql`DELETE FROM push_subscriptions WHERE id = ${subscription.id}`;
+          } else if (status >= 200 && status < 300) {
+            await sql`UPDATE push_subscriptions SET last_used_at = NOW() WHERE id = ${subscription.id}`;
+          } else {
+            console.error(`Push service answered ${status} for subscription ${subscription.id}`);
+          }
+        } catch (error) {
+          console.error(`Error sending push to subscription ${subscription.id}:`, error);
+        }
+      })
+    );
+  } catch (error) {
+    console.error("Error sending push notifications:", error);
+  }
+}
@@ -0,0 +1,52 @@
+import { neon } from "@netlify/neon";
+
+const sql = neon();
+
+// Reaction rows grouped by emoji for a set of messages, keyed by message id
+async function fetchReactionGroups(ids, direct) {
+  if (ids.length === 0) return new Map();
+
+  const rows = direct
+    ? await sql`
+        SELECT direct_message_id AS message_id, emoji, COUNT(*)::int AS count,
+          array_agg(username ORDER BY created_at) AS users, MIN(created_at) AS first_reacted_at
+        FROM message_reactions
+        WHERE direct_message_id = ANY(${ids})
+        GROUP BY direct_message_id, emoji
+        ORDER BY first_reacted_at ASC
+      `
+    : await sql`
+        SELECT message_id, emoji, COUNT(*)::int AS count,
+          array_agg(username ORDER BY created_at) AS users, MIN(created_at) AS first_reacted_at
+        FROM message_reactions
+        WHERE message_id = ANY(${ids})
+        GROUP BY message_id, emoji
+        ORDER BY first_reacted_at ASC
+      `;
+
+  const groups = new Map();
+  rows.forEach(({ message_id, emoji, count, users }) => {
+    if (!groups.has(message_id)) groups.set(message_id, []);
+    groups.get(message_id).push({ emoji, count, users });
+  });
+  return groups;
+}
+
+// Add a `reactions` list ([{ emoji, count, users }], oldest emoji first) to each message
+export async function attachReactions(messages, { direct = false } = {}) {
+  const groups = await fetchReactionGroups(
+    messages.map((message) => message.id),
+    direct
+  );
+
+  return messages.map((message) => ({
+    ...message,
+    reactions: groups.get(message.id) || [],
+  }));
+}
+
+// Reactions for a single message
+export async function getReactions(id, { direct = false } = {}) {
+  const groups = await fetchReactionGroups([id], direct);
+  return groups.get(id) || [];
+}
@@ -0,0 +1,127 @@
+import { neon } from "@netlify/neon";
+import { signImageUrls } from "./blobs.js";
+import { requireMessageAccess } from "./channels.js";
+import { notFound } from "./handler.js";
+import { attachReactions } from "./reactions.js";
+
+const sql = neon();
+
+// Reply counts, latest reply time and repliers for a set of thread roots, keyed by root id.
+// Deleted replies don't count.
+async function fetchThreadSummaries(ids) {
+  if (ids.length === 0) return new Map();
+
+  const rows = await sql`
+    SELECT thread_root_id, COUNT(*)::int AS reply_count, MAX(created_at) AS last_reply_at,
+      array_agg(DISTINCT username) AS participants
+    FROM messages
+    WHERE thread_root_id = ANY(${ids}) AND deleted_at IS NULL
+    GROUP BY thread_root_id
+  `;
+
+  return new Map(
+    rows.map(({ thread_root_id, ...summary }) => [thread_root_id, summary])
+  );
+}
+
+// Add a `thread` summary ({ reply_count, last_reply_at, participants }, or null
+// when nobody has replied) to each message
+export async function attachThreadSummaries(messages) {
+  const summaries = await fetchThreadSummaries(
+    messages.map((message) => message.id)
+  );
+
+  return messages.map((message) => ({
+    ...message,
+    thread: summaries.get(message.id) || null,
+  }));
+}
+
+// Threads the user takes part in that have replies from other people they haven't
+// read yet, newest first. Threads in private channels they've left are skipped.
+export async function fetchUnreadThreads(username) {
+  return sql`
+    SELECT ts.root_message_id AS root_id, c.name AS channel_name,
+      unread.count AS unread_count, latest.id AS latest_reply_id,
+      latest.username AS latest_reply_username, latest.message AS latest_reply_message
+    FROM thread_subscriptions ts
+    JOIN messages root ON root.id = ts.root_message_id
+    JOIN channels c ON c.id = root.channel_id
+    CROSS JOIN LATERAL (
+      SELECT COUNT(*)::int AS count
+      FROM messages reply
+      WHERE reply.thread_root_id = ts.root_message_id
+      AND reply.id > ts.last_read_reply_id
+      AND reply.deleted_at IS NULL
+      AND reply.username <> ts.username
+    ) unread
+    CROSS JOIN LATERAL (
+      SELECT reply.id, reply.username, reply.message
+      FROM messages reply
+      WHERE reply.thread_root_id = ts.root_message_id
+      AND reply.id > ts.last_read_reply_id
+      AND reply.deleted_at IS NULL
+      AND reply.username <> ts.username
+      ORDER BY reply.id DESC
+      LIMIT 1
+    ) latest
+    WHERE ts.username = ${username}
+    AND (
+      c.is_private = false
+      OR EXISTS (
+        SELECT 1 FROM channel_members cm
+        WHERE cm.channel_id = c.id AND cm.username = ${username}
+      )
+    )
+    ORDER BY latest.id DESC
+  `;
+}
+
+// The message a thread hangs off, checked against the caller's channel access.
+// Replies can't start threads of their own.
+export async function fetchThreadRoot(rootId, username) {
+  const { is_private } = await requireMessageAccess(rootId, username);
+
+  const [root] = await sql`
+    SELECT id, username, message, created_at, reply_to_id, reply_to_username, reply_preview, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_updated_at, thread_root_id
+    FROM messages
+    WHERE id = ${rootId}
+  `;
+
+  if (!root || root.thread_root_id !== null) {
+    throw notFound("Thread not found");
+  }
+
+  const [withThread] = signImageUrls(
+    await attachThreadSummaries(await attachReactions([root])),
+    is_private
+  );
+  return withThread;
+}
+
+// A thread's replies, oldest first. With sinceId, only newer replies plus
+// edits, deletions and reaction changes after editedSince of ones the client already has.
+export async function fetchThreadReplies(rootId, sinceId, editedSince) {
+  const replies = sinceId !== undefined
+    ? await sql`
+        SELECT id, username, message, created_at, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_root_id
+        FROM messages
+        WHERE thread_root_id = ${rootId}
+        AND (
+          id > ${sinceId}
+          OR date_trunc('milliseconds', edited_at) > ${editedSince ?? null}
+          OR date_trunc('milliseconds', deleted_at) > ${editedSince ?? null}
+          OR date_trunc('milliseconds', reactions_updated_at) > ${editedSince ?? null}
+        )
+        ORDER BY id ASC
+      `
+    // Threads are short side discussions, so they load in full
+    : await sql`
+        SELECT id, username, message, created_at, image_url, image_filename, image_width, image_height, image_blurhash, edited_at, deleted_at, reactions_updated_at, thread_root_id
+        FROM messages
+        WHERE thread_root_id = ${rootId}
+        ORDER BY id ASC
+      `;
+
+  return attachReactions(replies);
+}
@@ -0,0 +1,221 @@
+// Service worker: keeps the app shell, each chat's latest messages, avatars and
+// chat images in caches so the app opens on a flaky connection, and shows Web
+// Push notifications for @mentions and DMs. Registered from src/main.jsx in
+// production builds only.
+//
+//   shell     index.html, the manifest and icons; network first for pages
+//   assets    Vite's hashed JS and CSS, cache first (their names change per build)
+//   history   the latest messages per channel and DM conversation, the channel and
+//             conversation lists and the signed in user; network first, served
+//             from cache (marked stale) when the network fails
+//   avatars   /api/avatars, cache first
+//   images    /api/images, cache first unless the response says not to store it
+//
+// Each runtime cache keeps a bounded number of entries and drops the oldest.
+
+const VERSION = 'v1'
+const SHELL_CACHE = `shell-${VERSION}`
+const ASSET_CACHE = `assets-${VERSION}`
+const AVATAR_CACHE = `avatars-${VERSION}`
+const IMAGE_CACHE = `images-${VERSION}`
+// Read by the app too (src/historyCache.js), so it keeps its name across versions
+const HISTORY_CACHE = 'chat-history-v1'
+
+const CURRENT_CACHES = [SHELL_CACHE, ASSET_CACHE, AVATAR_CACHE, IMAGE_CACHE, HISTORY_CACHE]
+
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-maskable.svg']
+
+const MAX_ASSET_ENTRIES = 40
+const MAX_HISTORY_ENTRIES = 50
+const MAX_AVATAR_ENTRIES = 200
+const MAX_IMAGE_ENTRIES = 100
+
+// Header added to history served from the cache because the network failed
+const STALE_HEADER = 'X-Chat-Cache'
+
+// Functions are reachable as /api/* (Netlify redirect) and /.netlify/functions/*
+const API_PREFIXES = ['/api/', '/.netlify/functions/']
+
+const apiRoute = (url) => {
+  const prefix = API_PREFIXES.find(candidate => url.pathname.startsWith(candidate))
+  return prefix ? url.pathname.slice(prefix.length) : null
+}
+
+// Only the first page of each chat is kept: what the app loads when a chat opens
+const isHistoryRequest = (url) => {
+  const params = [...url.searchParams.keys()]
+  switch (apiRoute(url)) {
+    case 'auth/me':
+    case 'channels':
+      return params.length === 0
+    case 'messages':
+      return params.every(param => param === 'channel')
+    case 'direct-messages':
+      return params.every(param => param === 'conversationId')
+    default:
+      return false
+  }
+}
+
+// Store a response and evict the oldest entries past the limit. Re-adding an
+// entry moves it to the end, so recently used chats stay.
+async function putWithLimit(cache, request, response, maxEntries) {
+  await cache.delete(request)
+  await cache.put(request, response)
+
+  const keys = await cache.keys()
+  await Promise.all(
+    keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key))
+  )
+}
+
+async function markStale(response) {
+  const headers = new Headers(response.headers)
+  headers.set(STALE_HEADER, 'stale')
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  })
+}
+
+async function networkFirstHistory(request) {
+  const cache = await caches.open(HISTORY_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      await putWithLimit(cache, request, response.clone(), MAX_HISTORY_ENTRIES)
+    } else if ([401, 403, 404].includes(response.status)) {
+      // Signed out, or no longer allowed to read this chat
+      await cache.delete(request)
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match(request)
+    if (!cached) throw error
+    return markStale(cached)
+  }
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  // Private channel and DM images are only for the browser's own cache
+  const cacheControl = response.headers.get('Cache-Control') || ''
+  if (response.ok && !/private|no-cache|no-store/.test(cacheControl)) {
+    await putWithLimit(cache, request, response.clone(), maxEntries)
+  }
+  return response
+}
+
+// Pages are client-side routes, so every navigation gets the cached shell offline
+async function networkFirstPage(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      await cache.put('/', response.clone())
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match('/')
+    if (!cached) throw error
+    return cached
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names.filter(name => !CURRENT_CACHES.includes(name)).map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request))
+    return
+  }
+
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE, MAX_ASSET_ENTRIES))
+    return
+  }
+
+  const route = apiRoute(url)
+  if (route === null) return
+
+  if (route.startsWith('avatars/')) {
+    event.respondWith(cacheFirst(request, AVATAR_CACHE, MAX_AVATAR_ENTRIES))
+  } else if (route.startsWith('images/')) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES))
+  } else if (isHistoryRequest(url)) {
+    event.respondWith(networkFirstHistory(request))
+  }
+  // Everything else (sync, sends, the message stream) goes straight to the network
+})
+
+// Pushes are { title, body, url, tag } from netlify/lib/notifications.js. A
+// visible window alerts about mentions itself, so they only show while the app
+// is closed or in the background; in-page alerts use the same tags, so one
+// replaces the other instead of doubling up.
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch {
+    data = { body: event.data.text() }
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      if (windows.some(client => client.visibilityState === 'visible')) return
+
+      return self.registration.showNotification(data.title || 'New message', {
+        body: data.body,
+        icon: '/icon.svg',
+        badge: '/icon.svg',
+        tag: data.tag,
+        data: { url: data.url || '/' }
+      })
+    })
+  )
+})
+
+// Clicking a notification focuses an open window and asks it to show the chat
+// (src/App.jsx routes it without a reload), or opens a new one there
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = event.notification.data?.url || '/'
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const open = windows[0]
+      if (open) {
+        open.postMessage({ type: 'open-chat', url })
+        return open.focus()
+      }
+      return self.clients.openWindow(url)
+    })
+  )
+})
@@ -26,10 +26,15 @@ async function clearMessages() {
     // Insert fresh sample messages
     console.log('📝 Inserting fresh sample messages...');
     await sql`
-      INSERT INTO messages (username, message) VALUES 
+      INSERT INTO messages (channel_id, username, message)
+      SELECT c.id, sample.username, sample.message
+      FROM channels c
+      CROSS JOIN (VALUES
           ('System', 'Welcome to the fresh chat! 🎉'),
           ('Alice', 'Hello everyone! 👋'),
           ('Bob', 'Hey there! Nice clean chat!')
+      ) AS sample(username, message)
+      WHERE c.name = 'general'
     `;
     
     console.log('✅ Fresh sample messages added!');
@@ -0,0 +1,12 @@
+import webpush from "web-push";
+
+// Generate a VAPID key pair for Web Push and print the commands that set it.
+// Keys are base64url: the public key as an uncompressed P-256 point, the
+// private key as its raw scalar (the formats browsers and web-push expect).
+const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+
+console.log("🔑 New VAPID keys for Web Push. Set them with:\n");
+console.log(`netlify env:set VAPID_PUBLIC_KEY ${publicKey}`);
+console.log(`netlify env:set VAPID_PRIVATE_KEY ${privateKey}`);
+console.log("netlify env:set VAPID_SUBJECT mailto:you@example.com");
+console.log("\nChanging keys later means every browser has to subscribe again.");
@@ -1,20 +1,54 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react'
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { BrowserRouter as Router, Routes, Route, useNavigate, useParams, useLocation } from 'react-router-dom'
 import { marked } from 'marked'
 import DOMPurify from 'dompurify'
-import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
+import { QueryClient, QueryClientProvider, useQueryClient } from '@tanstack/react-query'
 import { ReactQueryDevtools } from '@tanstack/react-query-devtools'
 import ThemeToggle from './ThemeToggle'
 import DirectMessages from './DirectMessages'
 import DMConversation from './DMConversation'
 import ImageUpload from './ImageUpload'
 import ImagePreview from './ImagePreview'
+import MessageImage from './MessageImage'
 import Avatar from './Avatar'
 import AvatarUpload from './AvatarUpload'
+import EditHistoryDialog from './EditHistoryDialog'
+import SearchDialog from './SearchDialog'
+import ReactionPicker from './ReactionPicker'
+import MessageReactions, { hasReacted } from './MessageReactions'
+import { applyMessageUpdate, findLastOwnMessage, isPendingMessage } from './messageUpdates'
+import { useHistoryPagination } from './hooks/useHistoryPagination'
+import { fetchReadState, reportRead, useReadCursor } from './hooks/useReadCursor'
+import { DEFAULT_CHANNEL, useChannels } from './hooks/useChannels'
+import { useDMConversations, conversationTitle } from './hooks/useDMConversations'
+import ChannelList from './ChannelList'
+import ChannelMembersDialog from './ChannelMembersDialog'
+import NewDMDialog from './NewDMDialog'
+import GroupAvatars from './GroupAvatars'
+import ThreadPanel from './ThreadPanel'
+import PinnedMessagesPanel from './PinnedMessagesPanel'
+import SystemNotice from './SystemNotice'
+import SendStatus from './SendStatus'
+import TypingIndicator from './TypingIndicator'
+import ReadReceipt, { findReceiptMessage } from './ReadReceipt'
+import MentionsInbox from './MentionsInbox'
+import StatusDialog from './StatusDialog'
+import PushNotificationSettings from './PushNotificationSettings'
+import PrivacySettings from './PrivacySettings'
+import { disablePush } from './pushNotifications'
+import { clearHistoryCache, isStaleResponse, readCachedHistory } from './historyCache'
+import { showUnreadCount } from './unreadBadge'
+import { usePins, setPinned } from './hooks/usePins'
+import { useTypingStatus } from './hooks/useTypingStatus'
+import { useOwnStatus } from './hooks/usePresenceStatus'
+import { useAway } from './hooks/useAway'
+import { customStatus, statusDisplay } from './presenceStatus'
+import { createSyncEngine } from './syncEngine'
+import { SyncContext, useSyncEngine, useChatMessages, useMentionCount, usePresence, useSyncEvent } from './hooks/useSync'
 
 
 // 🚨 ICON SYSTEM: Replace emojis with proper Lucide icons for clarity
-import { Reply, Send, X, Settings, Users, LogOut, Plus, Upload, Github, ChevronDown, User, MessageCircle } from 'lucide-react'
+import { Reply, Send, X, Settings, Users, LogOut, Plus, Upload, Github, ChevronDown, User, MessageCircle, Pencil, Trash2, Search, UserPlus, MessageSquare, Pin, PinOff, WifiOff, AtSign, ArrowUp, Smile } from 'lucide-react'
 
 // Configure marked for safe rendering with proper line break handling
 marked.setOptions({
@@ -32,6 +66,15 @@ renderer.paragraph = (text) => {
   return `<p>${text}</p>`
 }
 
+// @here and @everyone mention everyone reading the channel (the server records them
+// in the mentions table), so they're highlighted and notify like the user's own name
+const BROADCAST_MENTION_PATTERN = /@(here|everyone)(?=\s|$|[^a-zA-Z0-9_\s-])/gi
+
+const hasBroadcastMention = (message) => {
+  BROADCAST_MENTION_PATTERN.lastIndex = 0
+  return BROADCAST_MENTION_PATTERN.test(message)
+}
+
 // Detect @mentions in message text (only for actual users)
 const detectMentions = (message, validUsernames = []) => {
   if (!validUsernames.length) return []
@@ -233,16 +276,8 @@ const MentionsAutocomplete = React.memo(({
   const getStatusIndicator = (user) => {
     if (user.is_typing) return { icon: '✏️', text: 'typing...' }
 
-    switch (user.status) {
-      case 'online':
-        return { icon: '🟢', text: 'online' }
-      case 'recently_active':
-        return { icon: '🟡', text: 'recently active' }
-      case 'offline':
-        return { icon: '⚫', text: 'offline' }
-      default:
-        return { icon: '⚫', text: 'offline' }
-    }
+    const display = statusDisplay(user.status)
+    return { icon: display.icon, text: display.label.toLowerCase() }
   }
 
   return (
@@ -275,6 +310,9 @@ const MentionsAutocomplete = React.memo(({
                   <span className="status-indicator">{statusInfo.icon}</span>
                   {statusInfo.text}
                 </span>
+                {customStatus(user) && (
+                  <span className="mention-custom-status">{customStatus(user)}</span>
+                )}
               </div>
             </button>
           )
@@ -289,6 +327,8 @@ const UserMenu = React.memo(({
   show,
   username,
   currentUserAvatar,
+  ownStatus,
+  onStatusClick,
   onSettingsClick,
   onAvatarUploadClick,
   onLogoutClick,
@@ -316,11 +356,25 @@ const UserMenu = React.memo(({
           </div>
           <div className="user-info">
             <div className="user-name">{username}</div>
-            <div className="user-status">Online</div>
+            <div className="user-status">
+              {statusDisplay(ownStatus?.status || 'online').icon} {statusDisplay(ownStatus?.status || 'online').label}
+            </div>
+            {(ownStatus?.statusEmoji || ownStatus?.statusText) && (
+              <div className="user-custom-status">
+                {[ownStatus.statusEmoji, ownStatus.statusText].filter(Boolean).join(' ')}
+              </div>
+            )}
           </div>
         </div>
         <div className="user-menu-divider" />
         <div className="user-menu-actions">
+          <button
+            className="user-menu-item"
+            onClick={onStatusClick}
+          >
+            <Smile size={16} />
+            <span>Set status</span>
+          </button>
           <button
             className="user-menu-item"
             onClick={onAvatarUploadClick}
@@ -357,13 +411,14 @@ const requestNotificationPermission = async () => {
   return false
 }
 
-// Show notification for mention
-const showMentionNotification = (sender, message) => {
+// Show notification for mention. Push notifications for the same message use
+// the same tag (netlify/lib/notifications.js), so only one of them shows.
+const showMentionNotification = (sender, message, messageId) => {
   if (Notification.permission === 'granted') {
     const notification = new Notification(`${sender} mentioned you`, {
       body: message.length > 100 ? message.substring(0, 100) + '...' : message,
       icon: '/favicon.ico',
-      tag: 'chat-mention',
+      tag: `mention-${messageId}`,
       requireInteraction: false // Less intrusive - auto-closes after 5 seconds
     })
 
@@ -380,6 +435,27 @@ const showMentionNotification = (sender, message) => {
   }
 }
 
+// Show notification for a new reply in a thread the user takes part in
+const showThreadNotification = (sender, channelName, message) => {
+  if (Notification.permission === 'granted') {
+    const notification = new Notification(`${sender} replied in a thread in #${channelName}`, {
+      body: message.length > 100 ? message.substring(0, 100) + '...' : message,
+      icon: '/favicon.ico',
+      tag: 'chat-thread',
+      requireInteraction: false
+    })
+
+    setTimeout(() => {
+      notification.close()
+    }, 5000)
+
+    notification.onclick = () => {
+      window.focus()
+      notification.close()
+    }
+  }
+}
+
 // Play sound for new messages (not mentions)
 const playMessageSound = (isOwnMessage = false) => {
   if (isOwnMessage) {
@@ -405,11 +481,11 @@ const renderMarkdown = (text, currentUser = '', validUsernames = []) => {
 
   try {
     // First highlight @mentions before markdown processing
-    let processedText = text
+    let processedText = text.replace(BROADCAST_MENTION_PATTERN, '<mark class="mention-highlight">@$1</mark>')
 
     if (validUsernames.length > 0) {
-      // Highlight mentions for all valid users
-      validUsernames.forEach(username => {
+      // Highlight mentions for all valid users (people named here or everyone are already highlighted)
+      validUsernames.filter(username => !/^(here|everyone)$/i.test(username)).forEach(username => {
         const escapedUsername = escapeRegex(username)
         // Match @username with proper word boundaries
         const userRegex = new RegExp(`@(${escapedUsername})(?=\\s|$|[^a-zA-Z0-9_\\s-])`, 'gi')
@@ -454,16 +530,15 @@ const renderMarkdown = (text, currentUser = '', validUsernames = []) => {
 function MainChat() {
   const navigate = useNavigate()
   const location = useLocation()
-  const [messages, setMessages] = useState([])
   const [newMessage, setNewMessage] = useState('')
   const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [authMode, setAuthMode] = useState('login') // 'login' | 'register'
+  const [authSubmitting, setAuthSubmitting] = useState(false)
   const [isUsernameSet, setIsUsernameSet] = useState(false)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [submitting, setSubmitting] = useState(false)
-  const [lastMessageTime, setLastMessageTime] = useState(null)
-  const [lastMessageId, setLastMessageId] = useState(null)
-  const [onlineUsers, setOnlineUsers] = useState([])
   const [allKnownUsernames, setAllKnownUsernames] = useState([])
   // Initialize sidebar state based on screen size - closed on mobile, open on desktop
   const [showSidebar, setShowSidebar] = useState(() => {
@@ -473,8 +548,6 @@ function MainChat() {
     }
     return false // Default to closed if window is not available (SSR)
   })
-  const [typingUsers, setTypingUsers] = useState([])
-  const [isTyping, setIsTyping] = useState(false)
   const [notificationPermission, setNotificationPermission] = useState('default')
 
   // Sound settings state
@@ -497,6 +570,21 @@ function MainChat() {
   // Reply functionality state
   const [replyingTo, setReplyingTo] = useState(null) // { id, username, message, mentionEnabled }
 
+  // Message editing state
+  const [editingMessage, setEditingMessage] = useState(null) // message being edited in the input
+  const [editHistoryMessage, setEditHistoryMessage] = useState(null) // message whose versions are shown
+  const [showSearch, setShowSearch] = useState(false)
+  const [showMentions, setShowMentions] = useState(false)
+  const [showStatusDialog, setShowStatusDialog] = useState(false)
+  const [readMarker, setReadMarker] = useState(null) // { key, lastReadMessageId, unreadCount, seen } for the open chat
+  const [showChannelMembers, setShowChannelMembers] = useState(false)
+  const [showAddGroupMembers, setShowAddGroupMembers] = useState(false)
+  const [threadRootId, setThreadRootId] = useState(null) // message whose thread is open in the side panel
+  const [showPins, setShowPins] = useState(false)
+  const [loadedChat, setLoadedChat] = useState(null) // which chat the loaded messages belong to
+  const [loadedConversationId, setLoadedConversationId] = useState(null) // DM conversation behind loadedChat
+  const [historyStale, setHistoryStale] = useState(false) // showing cached history until the chat syncs
+
   // Image upload states
   const [selectedImage, setSelectedImage] = useState(null)
   const [imageMessage, setImageMessage] = useState('')
@@ -520,13 +608,188 @@ function MainChat() {
   // Check if we're in DM mode based on current route
   const isInDMMode = location.pathname.startsWith('/dm')
 
+  // Group conversations live at /dm/group/:id, 1:1 DMs at /dm/:username
+  const dmGroupMatch = location.pathname.match(/^\/dm\/group\/(\d+)$/)
+  const dmGroupId = dmGroupMatch ? Number(dmGroupMatch[1]) : null
+
   // Extract DM target username from URL if in DM conversation mode
-  const dmTargetUsername = isInDMMode && location.pathname.startsWith('/dm/')
+  const dmTargetUsername = isInDMMode && location.pathname.startsWith('/dm/') && dmGroupId === null
     ? decodeURIComponent(location.pathname.split('/dm/')[1])
     : null
 
   // Determine if we're in a specific DM conversation vs DM list
-  const isInDMConversation = dmTargetUsername !== null
+  const isInDMConversation = dmTargetUsername !== null || dmGroupId !== null
+
+  // Public channel from /c/:channel, the root route is #general
+  const channelName = location.pathname.startsWith('/c/')
+    ? decodeURIComponent(location.pathname.split('/c/')[1])
+    : DEFAULT_CHANNEL
+
+  // Which chat the loaded messages belong to, so a late response from the previous one is ignored
+  const chatKey = dmGroupId !== null
+    ? `dm:group:${dmGroupId}`
+    : isInDMConversation ? `dm:${dmTargetUsername}` : `#${channelName}`
+
+  // The open chat's messages live in the sync engine's cache, so every tick
+  // and stream event lands in one place
+  const sync = useSyncEngine()
+  const [messages, setMessages] = useChatMessages(chatKey)
+
+  // Loads finish after the route may have changed, so they check the current chat from a ref
+  const chatKeyRef = useRef(chatKey)
+  chatKeyRef.current = chatKey
+
+  // Who's online and typing, also kept current by the sync engine
+  const presence = usePresence()
+  const mentionCount = useMentionCount()
+
+  // The status the user picked; do-not-disturb silences sounds and notifications
+  const { data: ownStatus } = useOwnStatus(isUsernameSet ? username : null)
+  const alertsEnabled = soundSettings.enabled && ownStatus?.status !== 'dnd'
+
+  // Everyone else sees the user as away while they're idle or the page is hidden
+  const away = useAway()
+  useEffect(() => {
+    sync.setAway(away)
+  }, [sync, away])
+  const onlineUsers = useMemo(() => {
+    if (presence.users.length === 0) return []
+
+    // Define AI assistants that should always appear in the list
+    const aiAssistants = [
+      {
+        username: 'Lumi',
+        type: 'ai',
+        status: 'online',
+        indicator: '⭐',
+        description: 'AI Assistant',
+        is_typing: false,
+        last_seen: new Date().toISOString()
+      }
+    ]
+
+    // Combine AI assistants with human users (AI assistants first)
+    return [...aiAssistants, ...presence.users]
+  }, [presence.users])
+  const typingUsers = useMemo(
+    () => presence.typing.filter(user => user !== username.trim()),
+    [presence.typing, username]
+  )
+
+  const channelPath = (name) =>
+    name === DEFAULT_CHANNEL ? '/' : `/c/${encodeURIComponent(name)}`
+
+  // Shares the sidebar's query, used for the current channel's topic
+  const queryClient = useQueryClient()
+  const { data: channels = [] } = useChannels(isUsernameSet ? username : null)
+  const currentChannel = channels.find(channel => channel.name === channelName)
+
+  // The open group conversation, for its name and members
+  const { data: dmConversations = [] } = useDMConversations(isUsernameSet ? username : null)
+  const currentGroup = dmGroupId !== null
+    ? dmConversations.find(conversation => conversation.id === dmGroupId)
+    : null
+  const dmTitle = dmGroupId !== null
+    ? (currentGroup ? conversationTitle(currentGroup) : 'Group conversation')
+    : dmTargetUsername
+
+  // The open channel or conversation, once it has loaded; pins and mutes apply to it
+  const chatTarget = !isInDMConversation
+    ? { channel: channelName }
+    : loadedChat === chatKey && loadedConversationId ? { conversationId: loadedConversationId } : null
+  const { data: pins = [], isLoading: pinsLoading } = usePins(isUsernameSet ? chatTarget : null)
+  const pinnedIds = new Set(pins.map(pin => pin.id))
+  // Typing shows only to people in the open chat
+  const { typing: handleTyping, stopTyping: handleTypingStop } = useTypingStatus(isUsernameSet ? chatTarget : null)
+
+  // The open conversation's list entry carries the others' read cursors for the receipt
+  const currentConversation = isInDMConversation && chatTarget
+    ? dmConversations.find(conversation => conversation.id === chatTarget.conversationId)
+    : null
+  const receiptMessageId = currentConversation
+    ? findReceiptMessage(messages, username)?.id
+    : null
+
+  // Add people to the open group, then refresh the conversation list its header is drawn from
+  const addGroupMembers = async (usernames) => {
+    try {
+      const response = await fetch(`/.netlify/functions/conversations/${dmGroupId}/participants`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ usernames }),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        alert(data.error || 'Failed to add people')
+        return
+      }
+
+      await queryClient.invalidateQueries({ queryKey: ['dm-conversations'] })
+      setShowAddGroupMembers(false)
+    } catch (err) {
+      console.error('Error adding group members:', err)
+      alert('Failed to add people')
+    }
+  }
+
+  const renameGroup = async () => {
+    const name = window.prompt('Group name (leave empty to show member names):', currentGroup?.name || '')
+    if (name === null) return
+
+    try {
+      const response = await fetch(`/.netlify/functions/conversations/${dmGroupId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: name.trim() }),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        alert(data.error || 'Failed to rename group')
+        return
+      }
+
+      queryClient.invalidateQueries({ queryKey: ['dm-conversations'] })
+    } catch (err) {
+      console.error('Error renaming group:', err)
+      alert('Failed to rename group')
+    }
+  }
+
+  const leaveGroup = async () => {
+    if (!window.confirm('Leave this group? You will lose access to its messages.')) return
+
+    try {
+      const response = await fetch(
+        `/.netlify/functions/conversations/${dmGroupId}/participants/${encodeURIComponent(username)}`,
+        { method: 'DELETE' }
+      )
+      const data = await response.json()
+
+      if (!response.ok) {
+        alert(data.error || 'Failed to leave group')
+        return
+      }
+
+      queryClient.invalidateQueries({ queryKey: ['dm-conversations'] })
+      navigate('/dm', { replace: true })
+    } catch (err) {
+      console.error('Error leaving group:', err)
+      alert('Failed to leave group')
+    }
+  }
+
+  // The channel is gone or the user was removed from it: fall back to #general
+  const handleChannelUnavailable = () => {
+    queryClient.invalidateQueries({ queryKey: ['channels'] })
+    setShowChannelMembers(false)
+    navigate('/', { replace: true })
+  }
 
   // Helper function to get the correct username field from a message
   // Main chat messages use 'username', DM messages use 'sender_username'
@@ -534,11 +797,16 @@ function MainChat() {
     return message.sender_username || message.username
   }
 
+  // Deleted messages and sends the server doesn't have yet can't be replied to, reacted to, pinned or edited
+  const canActOn = (message) => !message.deleted_at && !isPendingMessage(message)
+
   const messagesEndRef = useRef(null)
+  const messagesListRef = useRef(null)
   const messageInputRef = useRef(null)
-  const lastMessageTimeRef = useRef(null)
-  const lastMessageIdRef = useRef(null)
-  const typingTimeoutRef = useRef(null)
+  const threadRootIdRef = useRef(null) // open thread, so its replies don't also notify
+  threadRootIdRef.current = threadRootId
+  const notifiedThreadRepliesRef = useRef(null) // newest reply already notified about, per thread
+  const previousOnlineRef = useRef(null) // human usernames online at the last presence update
   const fileInputRef = useRef(null)
 
   // Scroll to bottom of messages
@@ -572,17 +840,25 @@ function MainChat() {
     updateKnownUsernames()
   }, [updateKnownUsernames])
 
-  // Load saved username from localStorage on app startup
+  // Restore the signed in user from the session cookie on app startup
   useEffect(() => {
-    try {
-      const savedUsername = localStorage.getItem('chatapp-username')
-      if (savedUsername?.trim()) {
-        setUsername(savedUsername.trim())
-        setIsUsernameSet(true)
+    const restoreSession = async () => {
+      try {
+        const response = await fetch('/api/auth/me')
+        if (response.ok) {
+          const { user } = await response.json()
+          setUsername(user.username)
+          setIsUsernameSet(true)
+          return
+        }
+      } catch (error) {
+        console.warn('Failed to restore session:', error)
       }
-    } catch (error) {
-      console.warn('Failed to load saved username from localStorage:', error)
+      // No session - show the sign in form
+      setLoading(false)
     }
+
+    restoreSession()
   }, [])
 
   // Request notification permission when user joins chat
@@ -617,11 +893,13 @@ function MainChat() {
   useEffect(() => {
     if (isUsernameSet) {
       // Clear previous messages when switching between main chat and DMs
+      sync.closeChat()
       setMessages([])
-      setLastMessageId(null)
-      setLastMessageTime(null)
-      lastMessageIdRef.current = null
-      lastMessageTimeRef.current = null
+      setHistoryStale(false)
+      setEditingMessage(null)
+      setEditHistoryMessage(null)
+      setThreadRootId(null)
+      setShowPins(false)
 
       // Only fetch messages if we're not on the DM list page
       // DM list page (/dm) should not show any messages
@@ -632,56 +910,138 @@ function MainChat() {
         setLoading(false)
       }
     }
-  }, [isUsernameSet, isInDMMode, dmTargetUsername])
+  }, [isUsernameSet, isInDMMode, dmTargetUsername, dmGroupId, channelName])
+
+  // Jump to a message picked from search once its chat has loaded; thread
+  // replies jump to the message their thread started from and open the thread
+  const jumpToMessageId = location.state?.jumpTo
+  const jumpToThreadId = location.state?.openThread
+  useEffect(() => {
+    if (!jumpToMessageId || loading || loadedChat !== chatKey) return
+
+    navigate(location.pathname, { replace: true, state: null })
+    scrollToMessage(jumpToMessageId)
+    if (jumpToThreadId) {
+      setThreadRootId(jumpToThreadId)
+    }
+  }, [jumpToMessageId, jumpToThreadId, loading, loadedChat, chatKey])
 
-  // Auto-scroll when new messages arrive
+  // Auto-scroll when new messages arrive (not when older history is prepended)
+  const newestMessageId = messages.length > 0 ? messages[messages.length - 1].id : null
   useEffect(() => {
     scrollToBottom()
-  }, [messages])
+  }, [newestMessageId])
+
+  // Move the open chat's read cursor as its messages scroll into view, so
+  // unread counts clear for what the user has actually seen
+  const readingChat = isUsernameSet && chatTarget && loadedChat === chatKey && !(isInDMMode && !isInDMConversation)
+  useReadCursor({
+    listRef: messagesListRef,
+    chatKey: readingChat ? chatKey : null,
+    messages,
+    onRead: (messageId) => {
+      reportRead(chatTarget, messageId).catch(err => console.error('Error marking chat read:', err))
+    }
+  })
 
-  // Set up real-time polling when username is set
+  // Unread messages across channels and DMs, in the tab title and favicon
+  const totalUnread = isUsernameSet
+    ? channels.reduce((sum, channel) => sum + (channel.unread_count || 0), 0) +
+      dmConversations.reduce((sum, conversation) => sum + Number(conversation.unread_count || 0), 0)
+    : 0
   useEffect(() => {
-    if (isUsernameSet) {
-      // Combined polling for better performance - reduces requests by 50%
-      const combinedInterval = setInterval(() => {
-        if (!isInDMConversation) {
-          // Main chat: use combined endpoint for efficiency
-          fetchChatState()
-        } else {
-          // DM conversations: use separate polling for messages and presence
-          fetchNewMessages() // DM-specific message polling
-          fetchOnlineUsers() // Still need presence for sidebar
-        }
-        updatePresence() // Always update our own presence
-      }, 2000) // Poll every 2 seconds - optimal balance for 50% request reduction
+    showUnreadCount(totalUnread)
+  }, [totalUnread])
 
-      // Initial data fetch
-      updatePresence()
-      if (!isInDMConversation) {
-        fetchChatState()
-      } else {
-        fetchOnlineUsers() // Need initial presence for DM mode
-      }
+  // Keep everything in sync while signed in: one request per tick covers the
+  // open chat, the open thread, presence and the sidebar's unread counts
+  useEffect(() => {
+    if (isUsernameSet) {
+      sync.start(username)
       fetchAllParticipants() // Load all participants for mentions
 
       return () => {
-        clearInterval(combinedInterval)
-        // Clear typing timeout and remove user from presence when component unmounts
-        if (typingTimeoutRef.current) {
-          clearTimeout(typingTimeoutRef.current)
-        }
+        sync.stop()
+        // Stop typing and remove user from presence when component unmounts
         handleTypingStop()
         removePresence()
       }
     }
-  }, [isUsernameSet, isInDMConversation]) // Depend on both username and DM mode
+  }, [isUsernameSet])
+
+  // Sounds and mention alerts for other people's new messages in a channel
+  useSyncEvent('messages', ({ key, messages: newMessages }) => {
+    if (!key.startsWith('#')) return
+
+    newMessages.forEach(message => {
+      // Don't notify for own messages
+      if (message.username !== username.trim()) {
+        const mentions = detectMentions(message.message, allKnownUsernames)
+        if (isUserMentioned(mentions, username.trim()) || hasBroadcastMention(message.message)) {
+          // Play mention sound and show notification
+          if (alertsEnabled && soundSettings.mentionSounds) {
+            showMentionNotification(message.username, message.message, message.id)
+          }
+        } else {
+          // Play regular message receive sound for non-mention messages
+          if (alertsEnabled && soundSettings.messageSounds) {
+            playMessageSound(false) // false = not own message
+          }
+        }
+      }
+    })
+  })
+
+  useSyncEvent('threads', (threads) => notifyThreadReplies(threads))
+
+  useSyncEvent('unauthorized', () => handleSessionExpired())
+
+  // Cached history is current again once the chat has synced
+  useSyncEvent('synced', ({ key }) => {
+    if (key === chatKeyRef.current) setHistoryStale(false)
+  })
+
+  // Removed from a private channel while reading it
+  useSyncEvent('unavailable', ({ key }) => {
+    if (key === chatKeyRef.current && !isInDMConversation && channelName !== DEFAULT_CHANNEL) {
+      handleChannelUnavailable()
+    }
+  })
+
+  // A clicked push notification asks the open window to show its chat (public/sw.js)
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return
+
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type === 'open-chat' && event.data.url) {
+        navigate(event.data.url)
+      }
+    }
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage)
+    return () => navigator.serviceWorker.removeEventListener('message', handleWorkerMessage)
+  }, [navigate])
+
+  // Play a sound when someone else comes online (not on the first presence update)
+  useEffect(() => {
+    const currentUsernames = presence.users.map(user => user.username)
+    const previousUsernames = previousOnlineRef.current
+    previousOnlineRef.current = currentUsernames
+    if (previousUsernames === null || previousUsernames.length === 0) return
+
+    const newUsers = currentUsernames.filter(u =>
+      !previousUsernames.includes(u) && u !== username.trim()
+    )
+    if (newUsers.length > 0 && alertsEnabled) {
+      playUserOnlineSound()
+    }
+  }, [presence.users])
 
   // Cleanup presence when page is closed
   useEffect(() => {
     const handleBeforeUnload = () => {
       if (isUsernameSet) {
-        // Use sendBeacon for reliable cleanup on page close
-        navigator.sendBeacon('/api/presence', JSON.stringify({ username }))
+        // Use sendBeacon for reliable cleanup on page close (session cookie identifies us)
+        navigator.sendBeacon('/api/presence', JSON.stringify({}))
       }
     }
 
@@ -817,18 +1177,83 @@ function MainChat() {
     }
   }, [])
 
+  // Older history for the current chat, resolves to { messages, hasMore }
+  const fetchHistory = async (params) => {
+    const search = new URLSearchParams(params)
+    let endpoint = `/api/messages?${search}&channel=${encodeURIComponent(channelName)}`
+    if (isInDMConversation) {
+      const conversationId = await getConversationId()
+      search.append('conversationId', conversationId)
+      endpoint = `/.netlify/functions/direct-messages?${search}`
+    }
+
+    const response = await fetch(endpoint)
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
+    return response.json()
+  }
+
+  const {
+    hasMore: hasMoreHistory,
+    loadingOlder,
+    loadOlder,
+    loadAround,
+    handleScroll: handleHistoryScroll,
+    resetHistory
+  } = useHistoryPagination({ listRef: messagesListRef, messages, setMessages, fetchHistory })
+
+  // The "New messages" divider goes above the first message from someone else
+  // after where the user had read up to when the chat opened. If that's older
+  // than the loaded history, the jump button loads it from the read cursor.
+  const unreadMarker = readMarker?.key === chatKey ? readMarker : null
+  const unreadLoaded = unreadMarker && (
+    !hasMoreHistory || messages.some(message => Number.isInteger(message.id) && message.id <= unreadMarker.lastReadMessageId)
+  )
+  const firstUnreadId = unreadLoaded
+    ? messages.find(message =>
+      Number.isInteger(message.id) &&
+      message.id > unreadMarker.lastReadMessageId &&
+      !message.system_event &&
+      getMessageUsername(message) !== username
+    )?.id ?? null
+    : null
+  const showJumpToUnread = unreadMarker && !unreadMarker.seen &&
+    (firstUnreadId !== null || (!unreadLoaded && unreadMarker.lastReadMessageId > 0))
+
+  // The jump button goes away once the divider has been on screen
+  const unreadDividerRef = useRef(null)
+  useEffect(() => {
+    const divider = unreadDividerRef.current
+    if (!divider || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) {
+        setReadMarker(prev => prev && { ...prev, seen: true })
+      }
+    }, { root: messagesListRef.current })
+    observer.observe(divider)
+    return () => observer.disconnect()
+  }, [firstUnreadId])
+
+  const jumpToFirstUnread = () => {
+    setReadMarker(prev => prev && { ...prev, seen: true })
+    scrollToMessage(firstUnreadId ?? unreadMarker.lastReadMessageId)
+  }
+
   const fetchMessages = async () => {
     try {
       setLoading(true)
       setError(null)
 
       // Choose endpoint based on chat mode
-      let endpoint = '/api/messages'
+      let endpoint = `/api/messages?channel=${encodeURIComponent(channelName)}`
+      let conversationId = null
       if (isInDMConversation) {
         // For DM conversations, get messages for specific conversation
         try {
-          const conversationId = await getOrCreateConversationId(dmTargetUsername)
-          endpoint = `/.netlify/functions/direct-messages?conversationId=${conversationId}&username=${encodeURIComponent(username.trim())}`
+          conversationId = await getConversationId()
+          endpoint = `/.netlify/functions/direct-messages?conversationId=${conversationId}`
         } catch (error) {
           console.error('Error getting conversation ID:', error)
           setError('Failed to load conversation')
@@ -837,19 +1262,53 @@ function MainChat() {
         }
       }
 
+      // Where the user left off, fetched alongside the history for the divider
+      const readStateRequest = fetchReadState(
+        conversationId ? { conversationId } : { channel: channelName }
+      ).catch(err => {
+        console.error('Error fetching read state:', err)
+        return null
+      })
+
+      // Show the history the service worker saved last time while the network catches up
+      const cached = await readCachedHistory(endpoint)
+      if (cached && chatKey === chatKeyRef.current) {
+        setMessages(cached)
+        setHistoryStale(true)
+        setLoading(false)
+      }
+
       const response = await fetch(endpoint)
+      if (response.status === 401) {
+        handleSessionExpired()
+        return
+      }
+      if (response.status === 404 && !isInDMConversation && channelName !== DEFAULT_CHANNEL) {
+        handleChannelUnavailable()
+        return
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
       const data = await response.json()
-      setMessages(data)
-      if (data.length > 0) {
-        const latestMessage = data[data.length - 1]
-        setLastMessageTime(latestMessage.created_at)
-        setLastMessageId(latestMessage.id)
-        lastMessageTimeRef.current = latestMessage.created_at
-        lastMessageIdRef.current = latestMessage.id
-      }
+
+      // The user moved to another chat while this one was loading
+      if (chatKey !== chatKeyRef.current) return
+
+      // The sync engine takes it from here, from the newest message on
+      sync.openChat(
+        isInDMConversation ? { key: chatKey, conversationId } : { key: chatKey, channel: channelName },
+        data
+      )
+      setLoadedChat(chatKey)
+      setLoadedConversationId(conversationId)
+      // Offline, the service worker answers from its cache; the first sync freshens it
+      setHistoryStale(isStaleResponse(response))
+      resetHistory(data)
+
+      const readState = await readStateRequest
+      if (chatKey !== chatKeyRef.current) return
+      setReadMarker(readState?.unreadCount > 0 ? { key: chatKey, ...readState, seen: false } : null)
     } catch (err) {
       console.error('Error fetching messages:', err)
       setError('Failed to load messages. Please try again.')
@@ -858,174 +1317,23 @@ function MainChat() {
     }
   }
 
-  // Combined function to fetch both messages and presence in one call
-  const fetchChatState = async () => {
-    if (!lastMessageIdRef.current) return
-
-    try {
-      // Use combined endpoint for main chat only (DMs still use separate polling)
-      const params = new URLSearchParams({
-        username: username.trim(),
-        sinceId: lastMessageIdRef.current.toString()
-      })
-
-      const response = await fetch(`/.netlify/functions/chat-state?${params}`)
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
-
-      const { messages: newMessages, presence, typing } = await response.json()
-
-      // Handle new messages (same logic as before)
-      if (newMessages.length > 0) {
-        setMessages(prev => {
-          const existingIds = new Set(prev.map(msg => msg.id))
-          const trulyNewMessages = newMessages.filter(msg => !existingIds.has(msg.id))
-
-          if (trulyNewMessages.length > 0) {
-            // Check for mentions in new messages and show notifications
-            trulyNewMessages.forEach(message => {
-              // Don't notify for own messages
-              if (message.username !== username.trim()) {
-                const mentions = detectMentions(message.message, allKnownUsernames)
-                if (isUserMentioned(mentions, username.trim())) {
-                  // Play mention sound and show notification
-                  if (soundSettings.enabled && soundSettings.mentionSounds) {
-                    showMentionNotification(message.username, message.message)
-                  }
-                } else {
-                  // Play regular message receive sound for non-mention messages
-                  if (soundSettings.enabled && soundSettings.messageSounds) {
-                    playMessageSound(false) // false = not own message
-                  }
-                }
-              }
-            })
-
-            // Update refs with the latest message info
-            const latestMessage = trulyNewMessages[trulyNewMessages.length - 1]
-            lastMessageTimeRef.current = latestMessage.created_at
-            lastMessageIdRef.current = latestMessage.id
-
-            // Also update state for consistency
-            setLastMessageTime(latestMessage.created_at)
-            setLastMessageId(latestMessage.id)
-
-            return [...prev, ...trulyNewMessages]
-          }
-          return prev
-        })
-      }
-
-      // Handle presence updates (same logic as fetchOnlineUsers)
-      if (presence) {
-        // Define AI assistants that should always appear in the list
-        const aiAssistants = [
-          {
-            username: 'Lumi',
-            type: 'ai',
-            status: 'online',
-            indicator: '⭐',
-            description: 'AI Assistant',
-            is_typing: false,
-            last_seen: new Date().toISOString()
-          }
-        ]
-
-        // Combine AI assistants with human users (AI assistants first)
-        const allUsers = [...aiAssistants, ...presence]
-
-        // Detect new users coming online (for sound notification) - only for human users
-        const previousUsernames = onlineUsers
-          .filter(user => user.type !== 'ai')
-          .map(user => user.username)
-        const currentUsernames = presence.map(user => user.username)
-        const newUsers = currentUsernames.filter(u =>
-          !previousUsernames.includes(u) && u !== username.trim()
-        )
-
-        // Play user online sound for new users (but not on initial load)
-        if (onlineUsers.length > 0 && newUsers.length > 0 && soundSettings.enabled) {
-          playUserOnlineSound()
-        }
-
-        setOnlineUsers(allUsers)
-
-        // Update typing users
-        if (typing) {
-          const currentlyTyping = typing.filter(user => user !== username.trim())
-          setTypingUsers(currentlyTyping)
-        }
-      }
-    } catch (err) {
-      console.error('Error fetching chat state:', err)
-      // Don't show error for polling failures to avoid spam
-    }
-  }
-
-  // Keep the old fetchNewMessages for DM conversations
-  const fetchNewMessages = async () => {
-    if (!lastMessageIdRef.current) return
+  // Notify about replies in the user's threads, once per reply. Threads already
+  // unread when the app loads, and the thread open in the panel, stay quiet.
+  const notifyThreadReplies = (threads) => {
+    const notified = notifiedThreadRepliesRef.current
+    notifiedThreadRepliesRef.current = new Map(
+      threads.map(thread => [thread.root_id, thread.latest_reply_id])
+    )
+    if (notified === null) return
 
-    try {
-      // This is now only used for DM conversations
-      let endpoint
-      if (isInDMConversation) {
-        try {
-          const conversationId = await getOrCreateConversationId(dmTargetUsername)
-          endpoint = `/.netlify/functions/direct-messages?conversationId=${conversationId}&username=${encodeURIComponent(username.trim())}&sinceId=${lastMessageIdRef.current}`
-        } catch (error) {
-          console.error('Error getting conversation ID for new messages:', error)
-          return
-        }
-      } else {
-        // Main chat now uses fetchChatState instead
-        return
-      }
+    threads.forEach(thread => {
+      if (thread.root_id === threadRootIdRef.current) return
+      if ((notified.get(thread.root_id) || 0) >= thread.latest_reply_id) return
 
-      const response = await fetch(endpoint)
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
+      if (alertsEnabled && soundSettings.mentionSounds) {
+        showThreadNotification(thread.latest_reply_username, thread.channel_name, thread.latest_reply_message)
       }
-      const newMessages = await response.json()
-
-      if (newMessages.length > 0) {
-        setMessages(prev => {
-          const existingIds = new Set(prev.map(msg => msg.id))
-          const trulyNewMessages = newMessages.filter(msg => !existingIds.has(msg.id))
-
-          if (trulyNewMessages.length > 0) {
-            // Update refs with the latest message info
-            const latestMessage = trulyNewMessages[trulyNewMessages.length - 1]
-            lastMessageTimeRef.current = latestMessage.created_at
-            lastMessageIdRef.current = latestMessage.id
-            setLastMessageTime(latestMessage.created_at)
-            setLastMessageId(latestMessage.id)
-
-            return [...prev, ...trulyNewMessages]
-          }
-          return prev
-        })
-      }
-    } catch (err) {
-      console.error('Error fetching new messages:', err)
-    }
-  }
-
-  const updatePresence = async () => {
-    if (!username.trim()) return
-
-    try {
-      await fetch('/api/presence', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ username: username.trim() }),
-      })
-    } catch (err) {
-      console.error('Error updating presence:', err)
-    }
+    })
   }
 
   const removePresence = async () => {
@@ -1034,66 +1342,12 @@ function MainChat() {
     try {
       await fetch('/api/presence', {
         method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ username: username.trim() }),
       })
     } catch (err) {
       console.error('Error removing presence:', err)
     }
   }
 
-  const fetchOnlineUsers = async () => {
-    try {
-      const response = await fetch('/api/presence')
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
-      const humanUsers = await response.json()
-
-      // Define AI assistants that should always appear in the list
-      const aiAssistants = [
-        {
-          username: 'Lumi',
-          type: 'ai',
-          status: 'online',
-          indicator: '⭐',
-          description: 'AI Assistant',
-          is_typing: false,
-          last_seen: new Date().toISOString()
-        }
-      ]
-
-      // Combine AI assistants with human users (AI assistants first)
-      const allUsers = [...aiAssistants, ...humanUsers]
-
-      // Detect new users coming online (for sound notification) - only for human users
-      const previousUsernames = onlineUsers
-        .filter(user => user.type !== 'ai')
-        .map(user => user.username)
-      const currentUsernames = humanUsers.map(user => user.username)
-      const newUsers = currentUsernames.filter(u =>
-        !previousUsernames.includes(u) && u !== username.trim()
-      )
-
-      // Play user online sound for new users (but not on initial load)
-      if (onlineUsers.length > 0 && newUsers.length > 0 && soundSettings.enabled) {
-        playUserOnlineSound()
-      }
-
-      setOnlineUsers(allUsers)
-
-      // Extract typing users (excluding current user and AI assistants)
-      const currentlyTyping = humanUsers
-        .filter(user => user.is_typing && user.username !== username.trim())
-        .map(user => user.username)
-      setTypingUsers(currentlyTyping)
-    } catch (err) {
-      console.error('Error fetching online users:', err)
-    }
-  }
-
   // Fetch all chat participants (online and offline)
   const fetchAllParticipants = async (query = '') => {
     try {
@@ -1123,72 +1377,53 @@ function MainChat() {
     return []
   }
 
-  const updateTypingStatus = async (typing) => {
-    if (!username.trim()) return
+  // Sign in or create an account - the server sets an HttpOnly session cookie
+  const handleAuthSubmit = async (e) => {
+    e.preventDefault()
+    if (!username.trim() || !password) return
 
     try {
-      await fetch('/api/presence', {
+      setAuthSubmitting(true)
+      setError(null)
+
+      const response = await fetch(`/api/auth/${authMode}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           username: username.trim(),
-          isTyping: typing
+          password
         }),
       })
-    } catch (err) {
-      console.error('Error updating typing status:', err)
-    }
-  }
 
-  const handleTypingStart = () => {
-    if (!isTyping) {
-      setIsTyping(true)
-      updateTypingStatus(true)
-    }
+      const result = await response.json()
+      if (!response.ok) {
+        setError(result.error || 'Failed to sign in. Please try again.')
+        return
+      }
 
-    // Clear existing timeout
-    if (typingTimeoutRef.current) {
-      clearTimeout(typingTimeoutRef.current)
+      // Use the canonical username stored on the account
+      setUsername(result.user.username)
+      setPassword('')
+      setIsUsernameSet(true)
+    } catch (err) {
+      console.error('Error signing in:', err)
+      setError('Failed to sign in. Please try again.')
+    } finally {
+      setAuthSubmitting(false)
     }
-
-    // Set new timeout to stop typing after 3 seconds of inactivity
-    typingTimeoutRef.current = setTimeout(() => {
-      setIsTyping(false)
-      updateTypingStatus(false)
-    }, 3000)
   }
 
-  const handleTypingStop = () => {
-    if (typingTimeoutRef.current) {
-      clearTimeout(typingTimeoutRef.current)
-    }
-    setIsTyping(false)
-    updateTypingStatus(false)
-  }
-
-  const handleUsernameSubmit = (e) => {
-    e.preventDefault()
-    if (!username.trim()) return
-
-    // Save username to localStorage for persistence
-    try {
-      localStorage.setItem('chatapp-username', username.trim())
-    } catch (error) {
-      console.warn('Failed to save username to localStorage:', error)
-    }
-    setIsUsernameSet(true)
-    setError(null)
-  }
+  // The open conversation: groups come straight from the URL, 1:1 DMs are looked up by username
+  const getConversationId = () =>
+    dmGroupId !== null ? Promise.resolve(dmGroupId) : getOrCreateConversationId(dmTargetUsername)
 
   // Helper function to get or create conversation ID for DMs
   const getOrCreateConversationId = async (targetUsername) => {
     try {
       // First, try to get existing conversations to find this one
-      const conversationsResponse = await fetch(
-        `/.netlify/functions/direct-messages?username=${encodeURIComponent(username.trim())}`
-      )
+      const conversationsResponse = await fetch('/.netlify/functions/direct-messages')
 
       if (conversationsResponse.ok) {
         const conversations = await conversationsResponse.json()
@@ -1203,7 +1438,6 @@ function MainChat() {
 
       // If no existing conversation, create an empty one
       const payload = {
-        username: username.trim(),
         recipientUsername: targetUsername,
         createEmpty: true // Flag to create conversation without sending a message
       }
@@ -1232,88 +1466,220 @@ function MainChat() {
     }
   }
 
-  const sendMessage = async (e) => {
-    e.preventDefault()
-    if (!newMessage.trim()) return
+  const sendMessage = async (e) => {
+    e.preventDefault()
+    if (!newMessage.trim()) return
+
+    // Enter saves the edit instead of sending when editing a message
+    if (editingMessage) {
+      await saveEdit()
+      return
+    }
+
+    setError(null)
+
+    // Stop typing indicator when sending message
+    handleTypingStop()
+
+    // Choose endpoint based on chat mode
+    const endpoint = isInDMConversation ? '/.netlify/functions/direct-messages' : '/api/messages'
+
+    // Prepare payload based on chat mode
+    const payload = {
+      message: newMessage.trim(),
+      replyToId: replyingTo?.id || null,
+      replyToUsername: replyingTo?.username || null,
+      replyPreview: replyingTo?.message || null
+    }
+
+    // Add DM-specific fields if in DM mode
+    if (!isInDMConversation) {
+      payload.channel = channelName
+    } else {
+      try {
+        // The loaded conversation, or get or create it for this DM
+        payload.conversationId = loadedChat === chatKey && loadedConversationId
+          ? loadedConversationId
+          : await getConversationId()
+      } catch (err) {
+        console.error('Error sending message:', err)
+        setError('Failed to send message. Please try again.')
+        return
+      }
+    }
+
+    // The message shows up right away; the sync engine delivers it and
+    // keeps it in the outbox until the server has it
+    sync.send({
+      key: chatKey,
+      endpoint,
+      payload,
+      row: {
+        [isInDMConversation ? 'sender_username' : 'username']: username,
+        message: payload.message,
+        reply_to_id: payload.replyToId,
+        reply_to_username: payload.replyToUsername,
+        reply_preview: payload.replyPreview
+      }
+    })
+    setNewMessage('')
+
+    // Play message send sound
+    if (alertsEnabled && soundSettings.messageSounds) {
+      playMessageSound(true) // true = own message
+    }
+
+    // Remove highlighting from any message being replied to
+    document.querySelectorAll('.message.being-replied-to').forEach(el => {
+      el.classList.remove('being-replied-to')
+    })
+    setReplyingTo(null) // Clear reply state after sending
+
+    // Maintain focus on input field after sending message
+    setTimeout(() => {
+      if (messageInputRef.current) {
+        messageInputRef.current.focus()
+      }
+    }, 0)
+  }
+
+  // Start editing one of our own messages in the input box
+  const startEditing = (message) => {
+    cancelReply()
+    setEditingMessage(message)
+    setNewMessage(message.message)
+    setTimeout(() => {
+      const input = messageInputRef.current
+      if (input) {
+        input.focus()
+        input.setSelectionRange(input.value.length, input.value.length)
+      }
+    }, 0)
+  }
+
+  const cancelEdit = () => {
+    setEditingMessage(null)
+    setNewMessage('')
+  }
+
+  // Endpoint for a single message in the current chat (public room or DM)
+  const getMessageEndpoint = (messageId) =>
+    isInDMConversation
+      ? `/.netlify/functions/direct-messages/${messageId}`
+      : `/api/messages/${messageId}`
+
+  const saveEdit = async () => {
+    try {
+      setSubmitting(true)
+      setError(null)
+      handleTypingStop()
+
+      const response = await fetch(getMessageEndpoint(editingMessage.id), {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ message: newMessage.trim() }),
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const updated = await response.json()
+      setMessages(prev => applyMessageUpdate(prev, updated))
+      setEditingMessage(null)
+      setNewMessage('')
+    } catch (err) {
+      console.error('Error editing message:', err)
+      setError('Failed to edit message. Please try again.')
+    } finally {
+      setSubmitting(false)
+      setTimeout(() => messageInputRef.current?.focus(), 0)
+    }
+  }
+
+  // Delete one of our own messages, leaving a tombstone in the timeline
+  const deleteMessage = async (message) => {
+    if (!window.confirm('Delete this message? This cannot be undone.')) return
 
     try {
-      setSubmitting(true)
       setError(null)
 
-      // Stop typing indicator when sending message
-      handleTypingStop()
-
-      // Choose endpoint based on chat mode
-      const endpoint = isInDMConversation ? '/.netlify/functions/direct-messages' : '/api/messages'
+      const response = await fetch(getMessageEndpoint(message.id), {
+        method: 'DELETE',
+      })
 
-      // Prepare payload based on chat mode
-      const payload = {
-        username: username.trim(),
-        message: newMessage.trim(),
-        replyToId: replyingTo?.id || null,
-        replyToUsername: replyingTo?.username || null,
-        replyPreview: replyingTo?.message || null
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
       }
 
-      // Add DM-specific fields if in DM mode
-      if (isInDMConversation) {
-        // Get or create conversation ID for this DM
-        const conversationId = await getOrCreateConversationId(dmTargetUsername)
-        payload.conversationId = conversationId
+      const tombstone = await response.json()
+      setMessages(prev => applyMessageUpdate(prev, tombstone))
+
+      if (editingMessage?.id === message.id) {
+        cancelEdit()
+      }
+      if (replyingTo?.id === message.id) {
+        cancelReply()
       }
+    } catch (err) {
+      console.error('Error deleting message:', err)
+      setError('Failed to delete message. Please try again.')
+    }
+  }
 
-      const response = await fetch(endpoint, {
-        method: 'POST',
+  // Add our reaction, or take it back if we already reacted with that emoji
+  const toggleReaction = async (message, emoji) => {
+    try {
+      setError(null)
+
+      const response = await fetch('/api/reactions', {
+        method: hasReacted(message, emoji, username) ? 'DELETE' : 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(payload),
+        body: JSON.stringify({
+          [isInDMConversation ? 'directMessageId' : 'messageId']: message.id,
+          emoji,
+        }),
       })
 
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
 
-      const message = await response.json()
-      setMessages(prev => [...prev, message])
-      setLastMessageTime(message.created_at)
-      setLastMessageId(message.id)
-      lastMessageTimeRef.current = message.created_at
-      lastMessageIdRef.current = message.id
-      setNewMessage('')
+      const updated = await response.json()
+      setMessages(prev => applyMessageUpdate(prev, updated))
+    } catch (err) {
+      console.error('Error updating reaction:', err)
+      setError('Failed to update reaction. Please try again.')
+    }
+  }
 
-      // Play message send sound
-      if (soundSettings.enabled && soundSettings.messageSounds) {
-        playMessageSound(true) // true = own message
-      }
+  // Pin a message for everyone in the chat (posting a notice), or unpin it
+  const togglePin = async (message) => {
+    try {
+      setError(null)
 
-      // Remove highlighting from any message being replied to
-      document.querySelectorAll('.message.being-replied-to').forEach(el => {
-        el.classList.remove('being-replied-to')
-      })
-      setReplyingTo(null) // Clear reply state after sending
+      const pinned = !pinnedIds.has(message.id)
+      const data = await setPinned(message, pinned, { direct: isInDMConversation })
 
-      // Maintain focus on input field after sending message
-      setTimeout(() => {
-        if (messageInputRef.current) {
-          messageInputRef.current.focus()
-        }
-      }, 0)
+      if (pinned) {
+        sync.addMessages(chatKey, [data.notice])
+      }
+      queryClient.invalidateQueries({ queryKey: ['pins'] })
     } catch (err) {
-      console.error('Error sending message:', err)
-      setError('Failed to send message. Please try again.')
-
-      // Maintain focus even on error
-      setTimeout(() => {
-        if (messageInputRef.current) {
-          messageInputRef.current.focus()
-        }
-      }, 0)
-    } finally {
-      setSubmitting(false)
+      console.error('Error updating pin:', err)
+      setError(err.message)
     }
   }
 
+  const jumpToPin = (pin) => {
+    setShowPins(false)
+    scrollToMessage(pin.id)
+  }
+
   const handleMessageInputChange = (e) => {
     const value = e.target.value
     const cursorPos = e.target.selectionStart
@@ -1342,8 +1708,8 @@ function MainChat() {
 
     // Trigger typing indicator when user starts typing
     if (value.trim().length > 0) {
-      handleTypingStart()
-    } else if (isTyping) {
+      handleTyping()
+    } else {
       handleTypingStop()
     }
   }
@@ -1450,6 +1816,24 @@ function MainChat() {
       }
     }
 
+    // Up arrow in an empty input = edit your last message
+    if (e.key === 'ArrowUp' && !newMessage && !editingMessage) {
+      const lastOwnMessage = findLastOwnMessage(messages, username, getMessageUsername)
+      if (lastOwnMessage) {
+        e.preventDefault()
+        startEditing(lastOwnMessage)
+      }
+      return
+    }
+
+    // Escape = stop editing without saving
+    if (e.key === 'Escape' && editingMessage) {
+      e.preventDefault()
+      e.stopPropagation() // Don't also close the sidebar
+      cancelEdit()
+      return
+    }
+
     // Enter without Shift = send message (only if not in mentions autocomplete)
     if (e.key === 'Enter' && !e.shiftKey && !showMentionsAutocomplete) {
       e.preventDefault()
@@ -1458,21 +1842,37 @@ function MainChat() {
     // Shift+Enter = line break (default textarea behavior, no need to handle)
   }
 
-  const handleLogout = () => {
-    // Clear saved username from localStorage
-    try {
-      localStorage.removeItem('chatapp-username')
-    } catch (error) {
-      console.warn('Failed to remove username from localStorage:', error)
-    }
-    // Remove presence from server
-    removePresence()
-    // Reset state
+  // Reset local chat state back to the sign in form
+  const resetSession = () => {
     setUsername('')
+    setPassword('')
     setIsUsernameSet(false)
     setMessages([])
-    setOnlineUsers([])
-    setTypingUsers([])
+    setLoading(false)
+    // Saved history belongs to this user
+    clearHistoryCache()
+  }
+
+  // Session cookie expired or was revoked - ask the user to sign in again
+  const handleSessionExpired = () => {
+    resetSession()
+    setError('Your session has expired. Please sign in again.')
+  }
+
+  const handleLogout = async () => {
+    // Remove presence and this browser's push subscription before the session cookie is cleared
+    await removePresence()
+    try {
+      await disablePush()
+    } catch (error) {
+      console.warn('Failed to turn off push notifications:', error)
+    }
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' })
+    } catch (error) {
+      console.warn('Failed to sign out:', error)
+    }
+    resetSession()
     setError(null)
   }
 
@@ -1481,8 +1881,33 @@ function MainChat() {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
   }
 
+  // "just now", "3m ago", "2h ago", then the date
+  const formatTimeAgo = (timestamp) => {
+    const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000)
+    if (minutes < 1) return 'just now'
+    if (minutes < 60) return `${minutes}m ago`
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`
+    return new Date(timestamp).toLocaleDateString()
+  }
+
+  // Open a thread in the side panel; replies stay out of the main timeline
+  const openThread = (message) => {
+    if (replyingTo?.id === message.id) {
+      cancelReply()
+    }
+    setThreadRootId(message.id)
+  }
+
+  const closeThread = useCallback(() => setThreadRootId(null), [])
+
+  const renderThreadMessage = (text) => renderMarkdown(text, username, allKnownUsernames)
+
   // Reply functionality handlers
   const handleReply = (message) => {
+    if (editingMessage) {
+      cancelEdit()
+    }
+
     const messageUsername = getMessageUsername(message)
     const replyState = {
       id: message.id,
@@ -1546,8 +1971,19 @@ function MainChat() {
     setReplyingTo(null)
   }
 
-  // Scroll to original message when reply reference is clicked
-  const scrollToMessage = (messageId) => {
+  // Scroll to original message when reply reference is clicked, loading the
+  // history around it first if it is older than what we have
+  const scrollToMessage = async (messageId) => {
+    if (!document.querySelector(`[data-message-id="${messageId}"]`)) {
+      try {
+        await loadAround(messageId)
+      } catch (err) {
+        console.error('Error loading original message:', err)
+        setError('Could not load the original message.')
+        return
+      }
+    }
+
     const messageElement = document.querySelector(`[data-message-id="${messageId}"]`)
     if (messageElement) {
       messageElement.scrollIntoView({
@@ -1621,16 +2057,25 @@ function MainChat() {
         reader.readAsDataURL(file)
       })
 
+      // DM images go to the conversation, the loaded one or one got or created for this DM
+      const target = isInDMConversation
+        ? {
+            conversationId: loadedChat === chatKey && loadedConversationId
+              ? loadedConversationId
+              : await getConversationId()
+          }
+        : { channel: channelName }
+
       const response = await fetch('/api/upload-image', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          username: username.trim(),
           filename: file.name,
           fileData: fileData,
           message: message || `📷 ${file.name}`,
+          ...target,
           replyToId: replyingTo?.id || null,
           replyToUsername: replyingTo?.username || null,
           replyPreview: replyingTo?.message || null
@@ -1642,11 +2087,7 @@ function MainChat() {
       }
 
       const result = await response.json()
-      setMessages(prev => [...prev, result.message])
-      setLastMessageTime(result.message.created_at)
-      setLastMessageId(result.message.id)
-      lastMessageTimeRef.current = result.message.created_at
-      lastMessageIdRef.current = result.message.id
+      sync.addMessages(chatKey, [result.message])
 
       // Clear image upload state
       setSelectedImage(null)
@@ -1736,27 +2177,50 @@ function MainChat() {
           <p>Warm, soft light for coding and friendship</p>
         </div>
 
-        <form className="username-form" onSubmit={handleUsernameSubmit}>
+        <form className="username-form" onSubmit={handleAuthSubmit}>
           <div className="input-group">
             <input
               type="text"
               className="username-input"
-              placeholder="Enter your username..."
+              placeholder="Username"
               value={username}
               onChange={(e) => setUsername(e.target.value)}
               maxLength={50}
+              autoComplete="username"
               autoFocus
             />
+            <input
+              type="password"
+              className="username-input"
+              placeholder="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={authMode === 'register' ? 'new-password' : 'current-password'}
+            />
             <button
               type="submit"
               className="join-btn"
-              disabled={!username.trim()}
+              disabled={!username.trim() || !password || authSubmitting}
             >
-              Join Chat
+              {authMode === 'register' ? 'Create Account' : 'Sign In'}
             </button>
           </div>
           <p className="profile-persistence-info">
-            💾 Your username will be saved for future visits
+            {authMode === 'register' ? (
+              <>
+                Already have an account?{' '}
+                <button type="button" className="auth-mode-toggle" onClick={() => { setAuthMode('login'); setError(null) }}>
+                  Sign in
+                </button>
+              </>
+            ) : (
+              <>
+                New here?{' '}
+                <button type="button" className="auth-mode-toggle" onClick={() => { setAuthMode('register'); setError(null) }}>
+                  Create an account
+                </button>
+              </>
+            )}
           </p>
         </form>
 
@@ -1784,8 +2248,13 @@ function MainChat() {
                 >
                   ←
                 </button>
-                <h1>💬 {dmTargetUsername}</h1>
-                <p>Direct message conversation</p>
+                {currentGroup && <GroupAvatars usernames={currentGroup.participants} size={28} />}
+                <h1>💬 {dmTitle}</h1>
+                <p>
+                  {dmGroupId !== null
+                    ? `Group conversation${currentGroup ? ` · ${currentGroup.participants.length + 1} people` : ''}`
+                    : 'Direct message conversation'}
+                </p>
               </>
             ) : isInDMMode ? (
               // DM list header
@@ -1803,8 +2272,10 @@ function MainChat() {
             ) : (
               // Main chat header
               <>
-                <h1>🌟 Lumi Chat</h1>
-                <p>Welcome, <strong>{username}</strong>! ✨ Bringing warm light to your conversations</p>
+                <h1>🌟 Lumi Chat <span className="channel-title"># {channelName}</span></h1>
+                <p>
+                  {currentChannel?.topic || <>Welcome, <strong>{username}</strong>! ✨ Bringing warm light to your conversations</>}
+                </p>
               </>
             )}
           </div>
@@ -1821,6 +2292,70 @@ function MainChat() {
               <Github size={18} />
             </a>
 
+            {/* Group conversation members */}
+            {currentGroup && (
+              <>
+                <button
+                  className="dm-button"
+                  onClick={() => setShowAddGroupMembers(true)}
+                  aria-label="Add people to this group"
+                  title="Add people"
+                >
+                  <UserPlus size={18} />
+                </button>
+                <button
+                  className="dm-button"
+                  onClick={renameGroup}
+                  aria-label="Rename this group"
+                  title="Rename group"
+                >
+                  <Pencil size={18} />
+                </button>
+                <button
+                  className="dm-button"
+                  onClick={leaveGroup}
+                  aria-label="Leave this group"
+                  title="Leave group"
+                >
+                  <LogOut size={18} />
+                </button>
+              </>
+            )}
+
+            {/* Members of the current private channel */}
+            {!isInDMMode && currentChannel?.is_private && (
+              <button
+                className="dm-button"
+                onClick={() => setShowChannelMembers(true)}
+                aria-label={`Members of #${channelName}`}
+                title="Channel members"
+              >
+                <Users size={18} />
+              </button>
+            )}
+
+            {/* Pinned messages for the open channel or conversation */}
+            {(!isInDMMode || isInDMConversation) && (
+              <PinnedMessagesPanel
+                pins={pins}
+                loading={pinsLoading}
+                open={showPins}
+                onToggle={setShowPins}
+                onJump={jumpToPin}
+                onUnpin={togglePin}
+              />
+            )}
+
+            {/* Message search */}
+            <button
+              className="dm-button search-button"
+              onClick={() => setShowSearch(true)}
+              aria-label="Search messages"
+              title="Search messages"
+            >
+              <Search size={18} />
+            </button>
+
             {/* Direct Messages button */}
             <button
               className="dm-button"
@@ -1864,6 +2399,11 @@ function MainChat() {
                   show={showUserMenu}
                   username={username}
                   currentUserAvatar={currentUserAvatar}
+                  ownStatus={ownStatus}
+                  onStatusClick={() => {
+                    setShowUserMenu(false)
+                    setShowStatusDialog(true)
+                  }}
                   onSettingsClick={() => {
                     setShowUserMenu(false)
                     setShowSettingsMenu(true)
@@ -2012,6 +2552,20 @@ function MainChat() {
                 )}
               </div>
             </div>
+
+            <div className="settings-section">
+              <h4>🔔 Push Notifications</h4>
+              <PushNotificationSettings
+                username={username}
+                muteTarget={chatTarget}
+                muteLabel={isInDMConversation ? dmTitle : `#${channelName}`}
+              />
+            </div>
+
+            <div className="settings-section">
+              <h4>🔒 Privacy</h4>
+              <PrivacySettings username={username} />
+            </div>
           </div>
         </>
       )}
@@ -2022,7 +2576,7 @@ function MainChat() {
         <DirectMessages
           username={username}
           onBack={() => navigate('/')}
-          soundSettings={soundSettings}
+          soundSettings={{ ...soundSettings, enabled: alertsEnabled }}
           playMessageSound={playMessageSound}
         />
       ) : (
@@ -2030,41 +2584,84 @@ function MainChat() {
         <>
           <div className="chat-container">
             <div className="messages-container">
-              <div className="messages-list">
+              <div className="messages-list" ref={messagesListRef} onScroll={handleHistoryScroll}>
+                {showJumpToUnread && (
+                  <button className="jump-to-unread" onClick={jumpToFirstUnread}>
+                    <ArrowUp size={14} />
+                    {unreadMarker.unreadCount === 1 ? '1 new message' : `${unreadMarker.unreadCount} new messages`}
+                    <span className="jump-to-unread-hint">Jump to first unread</span>
+                  </button>
+                )}
+                {historyStale && messages.length > 0 && (
+                  <div className="history-stale" role="status">
+                    <WifiOff size={14} /> Showing saved messages while reconnecting…
+                  </div>
+                )}
+                {hasMoreHistory && messages.length > 0 && (
+                  <div className="history-loader">
+                    <button onClick={loadOlder} disabled={loadingOlder} className="history-loader-btn">
+                      {loadingOlder ? 'Loading older messages...' : 'Load older messages'}
+                    </button>
+                  </div>
+                )}
                 {messages.length === 0 ? (
                   <div className="empty-state">
                     {isInDMConversation ? (
                       <>
                         <h3>💬 Start a conversation</h3>
-                        <p>Send a message to {dmTargetUsername} to begin your conversation!</p>
+                        <p>Send a message to {dmTitle} to begin your conversation!</p>
                       </>
                     ) : (
                       <>
-                        <h3>✨ Welcome to Lumi Chat!</h3>
+                        <h3>✨ Welcome to #{channelName}!</h3>
                         <p>Share your thoughts and let the warm light of conversation begin! 🌟</p>
                       </>
                     )}
                   </div>
                 ) : (
                   messages.map(message => (
+                <React.Fragment key={message.id}>
+                {message.id === firstUnreadId && (
+                  <div className="new-messages-divider" ref={unreadDividerRef} role="separator">
+                    <span>New messages</span>
+                  </div>
+                )}
+                {message.system_event ? (
+                <SystemNotice
+                  key={message.id}
+                  message={message}
+                  author={getMessageUsername(message)}
+                  formatTime={formatTime}
+                  onJump={scrollToMessage}
+                />
+              ) : (
                 <div
                   key={message.id}
                   data-message-id={message.id}
-                  className={`message ${getMessageUsername(message) === username ? 'own-message' : ''}`}
+                  className={`message ${getMessageUsername(message) === username ? 'own-message' : ''} ${message.deleted_at ? 'deleted' : ''} ${message.send_status ? `send-${message.send_status}` : ''}`}
                 >
                   {/* Show compact reply reference if this is a reply - Discord style */}
-                  {message.reply_to_id && (
-                    <div
-                      className="reply-reference"
-                      onClick={() => scrollToMessage(message.reply_to_id)}
-                      title="Click to jump to original message"
-                    >
-                      <span className="reply-icon">↳</span>
-                      <span className="reply-to">
-                        <strong>@{message.reply_to_username}</strong>
-                        <span className="reply-preview">{message.reply_preview}</span>
-                      </span>
-                    </div>
+                  {message.reply_to_id && !message.deleted_at && (
+                    message.reply_to_deleted ? (
+                      <div className="reply-reference reply-reference-deleted">
+                        <span className="reply-icon">↳</span>
+                        <span className="reply-to">
+                          <em>Original message deleted</em>
+                        </span>
+                      </div>
+                    ) : (
+                      <div
+                        className="reply-reference"
+                        onClick={() => scrollToMessage(message.reply_to_id)}
+                        title="Click to jump to original message"
+                      >
+                        <span className="reply-icon">↳</span>
+                        <span className="reply-to">
+                          <strong>@{message.reply_to_username}</strong>
+                          <span className="reply-preview">{message.reply_preview}</span>
+                        </span>
+                      </div>
+                    )
                   )}
 
                   <div className="message-header">
@@ -2081,38 +2678,119 @@ function MainChat() {
                       {getMessageUsername(message)}
                     </span>
                     <span className="message-time">{formatTime(message.created_at)}</span>
-                    <button
-                      className="reply-btn"
-                      onClick={() => handleReply(message)}
-                      title={`Reply to ${getMessageUsername(message)}`}
-                      aria-label={`Reply to ${getMessageUsername(message)}'s message`}
-                    >
-                      <Reply size={14} />
-                    </button>
+                    {pinnedIds.has(message.id) && (
+                      <Pin size={12} className="pinned-marker" aria-label="Pinned" />
+                    )}
+                    {message.edited_at && !message.deleted_at && (
+                      <button
+                        className="edited-marker"
+                        onClick={() => setEditHistoryMessage(message)}
+                        title={`Edited ${formatTime(message.edited_at)} - click to see previous versions`}
+                      >
+                        (edited)
+                      </button>
+                    )}
+                    {canActOn(message) && (
+                      <button
+                        className="reply-btn"
+                        onClick={() => handleReply(message)}
+                        title={`Reply to ${getMessageUsername(message)}`}
+                        aria-label={`Reply to ${getMessageUsername(message)}'s message`}
+                      >
+                        <Reply size={14} />
+                      </button>
+                    )}
+                    {!isInDMConversation && canActOn(message) && (
+                      <button
+                        className="reply-btn thread-btn"
+                        onClick={() => openThread(message)}
+                        title="Reply in thread"
+                        aria-label={`Reply in thread to ${getMessageUsername(message)}'s message`}
+                      >
+                        <MessageSquare size={14} />
+                      </button>
+                    )}
+                    {canActOn(message) && (
+                      <ReactionPicker onSelect={(emoji) => toggleReaction(message, emoji)} />
+                    )}
+                    {canActOn(message) && (
+                      <button
+                        className={`reply-btn pin-btn ${pinnedIds.has(message.id) ? 'pinned' : ''}`}
+                        onClick={() => togglePin(message)}
+                        title={pinnedIds.has(message.id) ? 'Unpin message' : 'Pin message'}
+                        aria-label={pinnedIds.has(message.id) ? 'Unpin this message' : 'Pin this message'}
+                      >
+                        {pinnedIds.has(message.id) ? <PinOff size={14} /> : <Pin size={14} />}
+                      </button>
+                    )}
+                    {getMessageUsername(message) === username && canActOn(message) && (
+                      <>
+                        <button
+                          className="reply-btn edit-btn"
+                          onClick={() => startEditing(message)}
+                          title="Edit message"
+                          aria-label="Edit your message"
+                        >
+                          <Pencil size={14} />
+                        </button>
+                        <button
+                          className="reply-btn delete-btn"
+                          onClick={() => deleteMessage(message)}
+                          title="Delete message"
+                          aria-label="Delete your message"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </>
+                    )}
                   </div>
-                  <div
-                    className="message-content"
-                    dangerouslySetInnerHTML={{ __html: renderMarkdown(message.message, username, allKnownUsernames) }}
-                  />
+                  {message.deleted_at ? (
+                    <div className="message-content message-deleted">
+                      <em>This message was deleted</em>
+                    </div>
+                  ) : (
+                    <div
+                      className="message-content"
+                      dangerouslySetInnerHTML={{ __html: renderMarkdown(message.message, username, allKnownUsernames) }}
+                    />
+                  )}
 
                   {/* Display image if message has one */}
                   {message.image_url && (
-                    <div className="message-image-container">
-                      <img
-                        src={message.image_url}
-                        alt={`Image from ${getMessageUsername(message)}${message.image_filename ? ` – ${message.image_filename}` : ''}`}
-                        className="message-image"
-                        onClick={() => handleImageClick(message.image_url, message.image_filename)}
-                        loading="lazy"
-                      />
-                      {message.image_filename && (
-                        <div className="message-image-filename">
-                          📎 {message.image_filename}
-                        </div>
-                      )}
-                    </div>
+                    <MessageImage
+                      message={message}
+                      author={getMessageUsername(message)}
+                      onOpen={handleImageClick}
+                    />
+                  )}
+
+                  <MessageReactions message={message} username={username} onToggle={toggleReaction} />
+
+                  {message.send_status && (
+                    <SendStatus message={message} onRetry={sync.retrySend} onDiscard={sync.discardSend} />
+                  )}
+
+                  {message.id === receiptMessageId && (
+                    <ReadReceipt message={message} conversation={currentConversation} />
+                  )}
+
+                  {message.thread && (
+                    <button
+                      className={`thread-summary ${threadRootId === message.id ? 'active' : ''}`}
+                      onClick={() => openThread(message)}
+                    >
+                      <GroupAvatars usernames={message.thread.participants.slice(0, 3)} size={18} />
+                      <span className="thread-summary-count">
+                        {message.thread.reply_count === 1 ? '1 reply' : `${message.thread.reply_count} replies`}
+                      </span>
+                      <span className="thread-summary-time">
+                        last reply {formatTimeAgo(message.thread.last_reply_at)}
+                      </span>
+                    </button>
                   )}
                 </div>
+              )}
+                </React.Fragment>
               ))
             )}
 
@@ -2120,6 +2798,16 @@ function MainChat() {
           </div>
         </div>
 
+        {threadRootId !== null && !isInDMConversation && (
+          <ThreadPanel
+            rootId={threadRootId}
+            username={username}
+            renderMessage={renderThreadMessage}
+            formatTime={formatTime}
+            onClose={closeThread}
+          />
+        )}
+
         {showSidebar && (
           <>
             {/* Mobile backdrop overlay */}
@@ -2129,6 +2817,24 @@ function MainChat() {
               aria-hidden="true"
             />
             <div className="sidebar">
+              <div className="mentions-inbox-link">
+                <button
+                  className={`channel-item ${mentionCount > 0 ? 'unread' : ''}`}
+                  onClick={() => setShowMentions(true)}
+                >
+                  <span className="channel-name"><AtSign size={14} /> Mentions</span>
+                  {mentionCount > 0 && (
+                    <span className="channel-unread-badge" aria-label={`${mentionCount} unread mentions`}>
+                      {mentionCount > 99 ? '99+' : mentionCount}
+                    </span>
+                  )}
+                </button>
+              </div>
+              <ChannelList
+                username={username}
+                activeChannel={isInDMMode ? null : channelName}
+                onSelectChannel={(name) => navigate(channelPath(name))}
+              />
               <div className="sidebar-header">
                 <h3><Users size={18} /> Online Users</h3>
                 <div className="sidebar-header-actions">
@@ -2156,13 +2862,21 @@ function MainChat() {
                     title={user.username !== username ? `Send message to ${user.username}` : undefined}
                   >
                     <div className="user-status">
-                      <span className={`status-indicator ${user.type === 'ai' ? 'ai-indicator' : 'status-dot'}`}>
+                      <span
+                        className={`status-indicator ${user.type === 'ai' ? 'ai-indicator' : `status-dot status-${user.status}`}`}
+                        title={user.type === 'ai' ? undefined : statusDisplay(user.status).label}
+                      >
                         {user.type === 'ai' ? user.indicator : ''}
                       </span>
-                      <span className="username">{user.username}</span>
-                      {user.type === 'ai' && (
-                        <span className="user-type-label">({user.description})</span>
-                      )}
+                      <div className="online-user-name">
+                        <span className="username">{user.username}</span>
+                        {user.type === 'ai' && (
+                          <span className="user-type-label">({user.description})</span>
+                        )}
+                        {customStatus(user) && (
+                          <span className="user-custom-status">{customStatus(user)}</span>
+                        )}
+                      </div>
                     </div>
                     <div className="user-actions">
                       {user.username === username && (
@@ -2182,6 +2896,29 @@ function MainChat() {
       </div>
 
       <form className="message-form" onSubmit={sendMessage}>
+        {/* Editing banner */}
+        {editingMessage && (
+          <div className="reply-preview editing-preview">
+            <div className="reply-preview-content">
+              <span className="reply-preview-label">
+                <Pencil size={12} /> Editing message
+              </span>
+              <span className="reply-preview-text">Escape to cancel, Enter to save</span>
+            </div>
+            <div className="reply-controls">
+              <button
+                type="button"
+                className="reply-cancel-btn"
+                onClick={cancelEdit}
+                aria-label="Cancel edit"
+                title="Cancel edit"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Reply preview */}
         {replyingTo && (
           <div className="reply-preview">
@@ -2255,7 +2992,7 @@ function MainChat() {
             className="message-input"
             placeholder={
               isInDMConversation
-                ? `Message ${dmTargetUsername}... (Shift+Enter for line breaks)`
+                ? `Message ${dmTitle}... (Shift+Enter for line breaks)`
                 : "Type your message... (Shift+Enter for line breaks)"
             }
             value={newMessage}
@@ -2282,29 +3019,7 @@ function MainChat() {
         </div>
 
         {/* Discord-style typing indicator below input */}
-        <div
-          className={`typing-indicator-below ${typingUsers.length > 0 ? 'visible' : 'hidden'}`}
-          aria-live="polite"
-          role="status"
-        >
-          <div className="typing-content">
-            <div className="typing-dots">
-              <span></span>
-              <span></span>
-              <span></span>
-            </div>
-            <span className="typing-text">
-              {typingUsers.length === 1
-                ? `${typingUsers[0]} is typing...`
-                : typingUsers.length === 2
-                ? `${typingUsers[0]} and ${typingUsers[1]} are typing...`
-                : typingUsers.length > 0
-                ? `${typingUsers[0]} and ${typingUsers.length - 1} others are typing...`
-                : ''
-              }
-            </span>
-          </div>
-        </div>
+        <TypingIndicator usernames={typingUsers} />
       </form>
         </>
       )}
@@ -2339,6 +3054,75 @@ function MainChat() {
         </div>
       )}
 
+      {/* Edit history for an edited message */}
+      {editHistoryMessage && (
+        <EditHistoryDialog
+          message={editHistoryMessage}
+          historyUrl={`${getMessageEndpoint(editHistoryMessage.id)}/edits`}
+          onClose={() => setEditHistoryMessage(null)}
+        />
+      )}
+
+      {/* Add people to the open group conversation */}
+      {showAddGroupMembers && currentGroup && (
+        <NewDMDialog
+          username={username}
+          existingMembers={[username, ...currentGroup.participants]}
+          onAddMembers={addGroupMembers}
+          onCancel={() => setShowAddGroupMembers(false)}
+        />
+      )}
+
+      {/* Invite, kick and leave for a private channel */}
+      {showChannelMembers && currentChannel?.is_private && (
+        <ChannelMembersDialog
+          channel={channelName}
+          username={username}
+          onLeave={handleChannelUnavailable}
+          onClose={() => setShowChannelMembers(false)}
+        />
+      )}
+
+      {/* Message search - results jump to the message in its chat */}
+      {showSearch && (
+        <SearchDialog
+          onSelect={(result) => {
+            setShowSearch(false)
+            const path = result.kind !== 'direct_message'
+              ? channelPath(result.channel_name)
+              : result.is_group
+                ? `/dm/group/${result.conversation_id}`
+                : `/dm/${encodeURIComponent(result.other_username)}`
+            navigate(path, {
+              state: result.thread_root_id
+                ? { jumpTo: result.thread_root_id, openThread: result.thread_root_id }
+                : { jumpTo: result.id }
+            })
+          }}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {/* Mentions inbox - jumps to the message, opening its thread for thread replies */}
+      {showMentions && (
+        <MentionsInbox
+          username={username}
+          onSelect={(mention) => {
+            setShowMentions(false)
+            navigate(channelPath(mention.channel_name), {
+              state: mention.thread_root_id
+                ? { jumpTo: mention.thread_root_id, openThread: mention.thread_root_id }
+                : { jumpTo: mention.message_id }
+            })
+          }}
+          onClose={() => setShowMentions(false)}
+        />
+      )}
+
+      {showStatusDialog && (
+        <StatusDialog username={username} onClose={() => setShowStatusDialog(false)} />
+      )}
+
       {/* DM Mode is now handled by the unified MainChat component through routing */}
 
       {/* Avatar Upload Modal */}
@@ -2362,6 +3146,8 @@ function AppRouter() {
         <Route path="/" element={<MainChat />} />
         <Route path="/dm" element={<MainChat />} />
         <Route path="/dm/:username" element={<MainChat />} />
+        <Route path="/dm/group/:id" element={<MainChat />} />
+        <Route path="/c/:channel" element={<MainChat />} />
       </Routes>
     </Router>
   )
@@ -2387,11 +3173,16 @@ const queryClient = new QueryClient({
   },
 })
 
-// App wrapper with QueryClient provider
+// One sync loop for the whole app, writing into the same cache
+const syncEngine = createSyncEngine(queryClient)
+
+// App wrapper with QueryClient and sync engine providers
 const AppWithQueryClient = () => {
   return (
     <QueryClientProvider client={queryClient}>
-      <App />
+      <SyncContext.Provider value={syncEngine}>
+        <App />
+      </SyncContext.Provider>
       <ReactQueryDevtools initialIsOpen={false} />
     </QueryClientProvider>
   )
@@ -61,7 +61,6 @@ const AvatarUpload = ({ username, currentAvatarUrl, onAvatarUpdate, onClose }) =
               'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-              username: username,
               filename: selectedFile.name,
               fileData: base64Data,
             }),
@@ -116,7 +115,7 @@ const AvatarUpload = ({ username, currentAvatarUrl, onAvatarUpdate, onClose }) =
     setSuccess('')
 
     try {
-      const response = await fetch(`/.netlify/functions/user-avatar?username=${encodeURIComponent(username)}`, {
+      const response = await fetch('/.netlify/functions/user-avatar', {
         method: 'DELETE',
       })
 
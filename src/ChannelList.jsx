@@ -0,0 +1,97 @@
+import React, { useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { Hash, Lock, Plus } from 'lucide-react'
+import { useChannels } from './hooks/useChannels'
+
+// Public channels and the private ones the user belongs to, with unread counts
+const ChannelList = ({ username, activeChannel, onSelectChannel }) => {
+  const queryClient = useQueryClient()
+  const { data: channels = [], isLoading, error, refetch } = useChannels(username)
+  const [creating, setCreating] = useState(false)
+
+  const handleCreateChannel = async () => {
+    const name = window.prompt('New channel name (letters, numbers and dashes):')
+    if (!name || !name.trim()) return
+
+    const topic = window.prompt('What is this channel about? (optional)') || ''
+    const isPrivate = window.confirm('Make this channel private? Only people you invite will be able to see it.')
+
+    try {
+      setCreating(true)
+      const response = await fetch('/.netlify/functions/channels', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: name.trim(), topic: topic.trim(), isPrivate }),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        window.alert(data.error || 'Failed to create channel')
+        return
+      }
+
+      await queryClient.invalidateQueries({ queryKey: ['channels'] })
+      onSelectChannel(data.name)
+    } catch (err) {
+      console.error('Error creating channel:', err)
+      window.alert('Failed to create channel')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  return (
+    <div className="channel-list">
+      <div className="channel-list-header">
+        <h3><Hash size={18} /> Channels</h3>
+        <button
+          className="channel-create-btn"
+          onClick={handleCreateChannel}
+          disabled={creating}
+          aria-label="Create channel"
+          title="Create channel"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+
+      {isLoading && channels.length === 0 ? (
+        <div className="channel-list-status">Loading channels...</div>
+      ) : error ? (
+        <div className="channel-list-status">
+          Failed to load channels{' '}
+          <button onClick={() => refetch()} className="retry-button">Retry</button>
+        </div>
+      ) : (
+        <ul className="channel-items">
+          {channels.map(channel => {
+            const isActive = channel.name === activeChannel
+            return (
+              <li key={channel.id}>
+                <button
+                  className={`channel-item ${isActive ? 'active' : ''} ${channel.unread_count > 0 && !isActive ? 'unread' : ''}`}
+                  onClick={() => onSelectChannel(channel.name)}
+                  title={channel.topic || `#${channel.name}`}
+                  aria-current={isActive ? 'page' : undefined}
+                >
+                  <span className="channel-name">
+                    {channel.is_private ? <Lock size={12} aria-label="Private" /> : '#'} {channel.name}
+                  </span>
+                  {channel.unread_count > 0 && !isActive && (
+                    <span className="channel-unread-badge">
+                      {channel.unread_count > 99 ? '99+' : channel.unread_count}
+                    </span>
+                  )}
+                </button>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ChannelList
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react'
+
+// Members of a private channel; owners and admins can invite and kick from here
+const ChannelMembersDialog = ({ channel, username, onLeave, onClose }) => {
+  const [members, setMembers] = useState([])
+  const [role, setRole] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [inviteName, setInviteName] = useState('')
+  const [working, setWorking] = useState(false)
+
+  const membersUrl = `/.netlify/functions/channels/${encodeURIComponent(channel)}/members`
+
+  const fetchMembers = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await fetch(membersUrl)
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`)
+      }
+
+      setMembers(data.members)
+      setRole(data.role)
+    } catch (err) {
+      console.error('Error fetching channel members:', err)
+      setError('Failed to load members')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchMembers()
+  }, [membersUrl])
+
+  // Close on Escape like the other dialogs
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => document.removeEventListener('keydown', handleEscapeKey)
+  }, [onClose])
+
+  // Run a member change, then reload the list
+  const updateMembers = async (url, options) => {
+    try {
+      setWorking(true)
+      setError(null)
+
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        setError(data.error || 'Something went wrong')
+        return false
+      }
+
+      await fetchMembers()
+      return true
+    } catch (err) {
+      console.error('Error updating channel members:', err)
+      setError('Something went wrong')
+      return false
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    if (!inviteName.trim()) return
+
+    const invited = await updateMembers(membersUrl, {
+      method: 'POST',
+      body: JSON.stringify({ username: inviteName.trim() }),
+    })
+    if (invited) {
+      setInviteName('')
+    }
+  }
+
+  const handleRoleChange = (member, newRole) =>
+    updateMembers(`${membersUrl}/${encodeURIComponent(member.username)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role: newRole }),
+    })
+
+  const handleRemove = async (member) => {
+    const leaving = member.username === username
+    const confirmed = window.confirm(
+      leaving
+        ? `Leave #${channel}? You'll need a new invite to see it again.`
+        : `Remove ${member.username} from #${channel}? They'll lose access to its history.`
+    )
+    if (!confirmed) return
+
+    const removed = await updateMembers(`${membersUrl}/${encodeURIComponent(member.username)}`, {
+      method: 'DELETE',
+    })
+    if (removed && leaving) {
+      onLeave()
+    }
+  }
+
+  // Mirrors the server rules: owners manage everyone, admins manage plain members
+  const canRemove = (member) =>
+    member.role !== 'owner' &&
+    (member.username === username ||
+      role === 'owner' ||
+      (role === 'admin' && member.role === 'member'))
+
+  const canInvite = role === 'owner' || role === 'admin'
+
+  return (
+    <div className="edit-history-dialog-overlay" onClick={onClose}>
+      <div className="edit-history-dialog channel-members-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>#{channel} members</h3>
+          <button onClick={onClose} className="close-button" aria-label="Close members">✕</button>
+        </div>
+
+        {canInvite && (
+          <form className="search-section channel-invite-form" onSubmit={handleInvite}>
+            <input
+              type="text"
+              value={inviteName}
+              onChange={(e) => setInviteName(e.target.value)}
+              placeholder="Invite by username..."
+              className="user-search-input"
+              aria-label="Username to invite"
+              maxLength={50}
+              disabled={working}
+            />
+            <button type="submit" className="channel-invite-btn" disabled={working || !inviteName.trim()}>
+              Invite
+            </button>
+          </form>
+        )}
+
+        <div className="dialog-content">
+          {error && (
+            <div className="error-section">
+              <div className="error-message">{error}</div>
+            </div>
+          )}
+          {loading && members.length === 0 ? (
+            <div className="loading-section">
+              <div className="loading-spinner">Loading members...</div>
+            </div>
+          ) : (
+            <ul className="channel-members-list">
+              {members.map(member => (
+                <li key={member.username} className="channel-member">
+                  <span className="channel-member-name">
+                    {member.username}
+                    {member.username === username && ' (you)'}
+                  </span>
+                  {role === 'owner' && member.role !== 'owner' ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      disabled={working}
+                      className="channel-member-role-select"
+                      aria-label={`Role for ${member.username}`}
+                    >
+                      <option value="admin">admin</option>
+                      <option value="member">member</option>
+                    </select>
+                  ) : (
+                    <span className={`channel-member-role ${member.role}`}>{member.role}</span>
+                  )}
+                  {canRemove(member) && (
+                    <button
+                      onClick={() => handleRemove(member)}
+                      disabled={working}
+                      className="channel-member-remove"
+                    >
+                      {member.username === username ? 'Leave' : 'Remove'}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="dialog-footer">
+          <button onClick={onClose} className="cancel-button">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ChannelMembersDialog
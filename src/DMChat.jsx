@@ -1,7 +1,26 @@
 import React, { useState, useEffect, useRef } from 'react'
-import { Reply } from 'lucide-react'
+import { useQueryClient } from '@tanstack/react-query'
+import { Reply, Pencil, Trash2, Pin, PinOff } from 'lucide-react'
 import Avatar from './Avatar'
+import EditHistoryDialog from './EditHistoryDialog'
+import ImageUpload from './ImageUpload'
+import ImagePreview from './ImagePreview'
+import MessageImage from './MessageImage'
+import PinnedMessagesPanel from './PinnedMessagesPanel'
+import SystemNotice from './SystemNotice'
+import SendStatus from './SendStatus'
+import TypingIndicator from './TypingIndicator'
+import ReadReceipt, { findReceiptMessage } from './ReadReceipt'
+import ReactionPicker from './ReactionPicker'
+import MessageReactions, { hasReacted } from './MessageReactions'
 import MessageInput from './components/MessageInput.tsx'
+import { applyMessageUpdate, findLastOwnMessage, isPendingMessage } from './messageUpdates'
+import { useHistoryPagination } from './hooks/useHistoryPagination'
+import { reportRead, useReadCursor } from './hooks/useReadCursor'
+import { usePins, setPinned } from './hooks/usePins'
+import { useDMConversations } from './hooks/useDMConversations'
+import { useTypingStatus } from './hooks/useTypingStatus'
+import { useSyncEngine, useChatMessages, usePresence, useSyncEvent } from './hooks/useSync'
 
 const DMChat = ({ 
   username, 
@@ -9,24 +28,69 @@ const DMChat = ({
   otherUsername, 
   onBack,
   soundSettings,
-  playMessageSound 
+  playMessageSound,
+  jumpToMessageId // optional message to scroll to once loaded, e.g. from search
 }) => {
-  const [messages, setMessages] = useState([])
   const [newMessage, setNewMessage] = useState('')
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
   const [error, setError] = useState(null)
   const [replyingTo, setReplyingTo] = useState(null)
-  const [lastMessageId, setLastMessageId] = useState(null)
+  const [editingMessage, setEditingMessage] = useState(null)
+  const [editHistoryMessage, setEditHistoryMessage] = useState(null)
+  const [showPins, setShowPins] = useState(false)
+  const [showActionsMenu, setShowActionsMenu] = useState(false)
+  const [selectedImage, setSelectedImage] = useState(null)
+  const [imageMessage, setImageMessage] = useState('')
+  const [uploadingImage, setUploadingImage] = useState(false)
+  const [lightboxImage, setLightboxImage] = useState(null)
+
+  const queryClient = useQueryClient()
+  const sync = useSyncEngine()
+  const chatKey = `dm:id:${conversationId}`
+  const [messages, setMessages] = useChatMessages(chatKey)
+  const { data: pins = [], isLoading: pinsLoading } = usePins(conversationId ? { conversationId } : null)
+  const pinnedIds = new Set(pins.map(pin => pin.id))
+  // The conversation list carries the other participant's read cursor
+  const { data: conversations = [] } = useDMConversations(username)
+  const conversation = conversations.find(item => item.id === Number(conversationId))
+  const receiptMessageId = conversation ? findReceiptMessage(messages, username)?.id : null
+  // Only the people in this conversation see each other typing in it
+  const presence = usePresence()
+  const typingUsers = presence.typing.filter(user => user !== username)
+  const { typing, stopTyping } = useTypingStatus(conversationId ? { conversationId: Number(conversationId) } : null)
   
   const messagesEndRef = useRef(null)
-  const lastMessageIdRef = useRef(null)
+  const messagesListRef = useRef(null)
+  const fileInputRef = useRef(null)
+
+  // Deleted messages and sends the server doesn't have yet can't be replied to, reacted to, pinned or edited
+  const canActOn = (message) => !message.deleted_at && !isPendingMessage(message)
 
   // Scroll to bottom of messages
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
 
+  // Older history for this conversation, resolves to { messages, hasMore }
+  const fetchHistory = async (params) => {
+    const search = new URLSearchParams({ conversationId, ...params })
+    const response = await fetch(`/.netlify/functions/direct-messages?${search}`)
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
+    return response.json()
+  }
+
+  const {
+    hasMore: hasMoreHistory,
+    loadingOlder,
+    loadOlder,
+    loadAround,
+    handleScroll: handleHistoryScroll,
+    resetHistory
+  } = useHistoryPagination({ listRef: messagesListRef, messages, setMessages, fetchHistory })
+
   // Fetch initial messages
   const fetchMessages = async () => {
     if (!conversationId || !username) return
@@ -35,7 +99,7 @@ const DMChat = ({
       setLoading(true)
       setError(null)
       const response = await fetch(
-        `/.netlify/functions/direct-messages?conversationId=${conversationId}&username=${encodeURIComponent(username)}`
+        `/.netlify/functions/direct-messages?conversationId=${conversationId}`
       )
       
       if (!response.ok) {
@@ -43,16 +107,9 @@ const DMChat = ({
       }
       
       const data = await response.json()
-      setMessages(data)
-      
-      if (data.length > 0) {
-        const latestMessage = data[data.length - 1]
-        setLastMessageId(latestMessage.id)
-        lastMessageIdRef.current = latestMessage.id
-        
-        // Mark messages as read
-        markAsRead(latestMessage.id)
-      }
+      // The sync engine keeps the conversation current from here
+      sync.openChat({ key: chatKey, conversationId: Number(conversationId) }, data)
+      resetHistory(data)
     } catch (err) {
       console.error('Error fetching DM messages:', err)
       setError('Failed to load messages')
@@ -61,90 +118,124 @@ const DMChat = ({
     }
   }
 
-  // Fetch new messages for real-time updates
-  const fetchNewMessages = async () => {
-    if (!conversationId || !username || !lastMessageIdRef.current) return
+  // Sound for new messages the sync engine brings in
+  useSyncEvent('messages', ({ key, messages: newMessages }) => {
+    if (key !== chatKey) return
 
-    try {
-      const response = await fetch(
-        `/.netlify/functions/direct-messages?conversationId=${conversationId}&username=${encodeURIComponent(username)}&sinceId=${lastMessageIdRef.current}`
-      )
-      
-      if (!response.ok) return
-      
-      const newMessages = await response.json()
-      
-      if (newMessages.length > 0) {
-        setMessages(prev => {
-          const existingIds = new Set(prev.map(msg => msg.id))
-          const trulyNewMessages = newMessages.filter(msg => !existingIds.has(msg.id))
-          
-          if (trulyNewMessages.length > 0) {
-            // Play sound for new messages from other user
-            trulyNewMessages.forEach(message => {
-              if (message.sender_username !== username && soundSettings?.enabled && soundSettings?.messageSounds) {
-                playMessageSound?.(false)
-              }
-            })
-            
-            // Update last message ID
-            const latestMessage = trulyNewMessages[trulyNewMessages.length - 1]
-            setLastMessageId(latestMessage.id)
-            lastMessageIdRef.current = latestMessage.id
-            
-            // Mark as read
-            markAsRead(latestMessage.id)
-            
-            return [...prev, ...trulyNewMessages]
-          }
-          
-          return prev
-        })
+    // Play sound for new messages from other user
+    newMessages.forEach(message => {
+      if (message.sender_username !== username && soundSettings?.enabled && soundSettings?.messageSounds) {
+        playMessageSound?.(false)
       }
-    } catch (err) {
-      console.error('Error fetching new DM messages:', err)
-    }
-  }
+    })
+  })
 
-  // Mark messages as read
-  const markAsRead = async (messageId) => {
-    if (!conversationId || !username || !messageId) return
+  // Move the read cursor (and the other side's read receipts) only as far as
+  // messages have actually been on screen while the page was visible
+  useReadCursor({
+    listRef: messagesListRef,
+    chatKey: conversationId && username && !loading ? chatKey : null,
+    messages,
+    onRead: (messageId) => {
+      reportRead({ conversationId: Number(conversationId) }, messageId)
+        .catch(err => console.error('Error marking messages as read:', err))
+    }
+  })
 
-    try {
-      await fetch('/.netlify/functions/dm-read-status', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          username: username,
-          conversationId: parseInt(conversationId),
-          lastReadMessageId: messageId
-        }),
-      })
-    } catch (err) {
-      console.error('Error marking messages as read:', err)
+  const handleMessageChange = (value) => {
+    setNewMessage(value)
+    if (value.trim()) {
+      typing()
+    } else {
+      stopTyping()
     }
   }
 
-  // Send a new message
+  // Send a new message. It shows up right away; the sync engine delivers it
+  // and keeps it in the outbox until the server has it.
   const handleSendMessage = async (e) => {
     e.preventDefault()
     
     if (!newMessage.trim() || submitting) return
 
+    // Enter saves the edit instead of sending when editing a message
+    if (editingMessage) {
+      await saveEdit()
+      return
+    }
+
+    setError(null)
+
+    const payload = {
+      message: newMessage.trim(),
+      conversationId: parseInt(conversationId),
+      replyToId: replyingTo?.id || null,
+      replyToUsername: replyingTo?.sender_username || null,
+      replyPreview: replyingTo?.message || null
+    }
+
+    sync.send({
+      key: chatKey,
+      endpoint: '/.netlify/functions/direct-messages',
+      payload,
+      row: {
+        sender_username: username,
+        message: payload.message,
+        reply_to_id: payload.replyToId,
+        reply_to_username: payload.replyToUsername,
+        reply_preview: payload.replyPreview
+      }
+    })
+    setNewMessage('')
+    setReplyingTo(null)
+    stopTyping()
+
+    // Play send sound
+    if (soundSettings?.enabled && soundSettings?.messageSounds) {
+      playMessageSound?.(true)
+    }
+  }
+
+  // Pick an image from the + menu; it's captioned and sent from the preview
+  const handleFileUploadClick = () => {
+    setShowActionsMenu(false)
+    fileInputRef.current?.click()
+  }
+
+  const handleImageSelect = (file) => {
+    setSelectedImage(file)
+    setImageMessage('')
+  }
+
+  const handleImageCancel = () => {
+    setSelectedImage(null)
+    setImageMessage('')
+  }
+
+  // Upload an image into this conversation, as a reply if one is in progress
+  const handleImageSend = async (file, message) => {
+    if (!file || uploadingImage) return
+
     try {
-      setSubmitting(true)
+      setUploadingImage(true)
       setError(null)
 
-      const response = await fetch('/.netlify/functions/direct-messages', {
+      const fileData = await new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload = () => resolve(reader.result.split(',')[1]) // Remove data:image/...;base64, prefix
+        reader.onerror = reject
+        reader.readAsDataURL(file)
+      })
+
+      const response = await fetch('/api/upload-image', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          username: username,
-          message: newMessage.trim(),
+          filename: file.name,
+          fileData,
+          message: message || `📷 ${file.name}`,
           conversationId: parseInt(conversationId),
           replyToId: replyingTo?.id || null,
           replyToUsername: replyingTo?.sender_username || null,
@@ -156,32 +247,151 @@ const DMChat = ({
         throw new Error(`HTTP error! status: ${response.status}`)
       }
 
-      const sentMessage = await response.json()
-      
-      // Add message to local state immediately
-      setMessages(prev => [...prev, sentMessage])
-      setNewMessage('')
+      const result = await response.json()
+      sync.addMessages(chatKey, [result.message])
+      setSelectedImage(null)
+      setImageMessage('')
       setReplyingTo(null)
-      
-      // Update last message ID
-      setLastMessageId(sentMessage.id)
-      lastMessageIdRef.current = sentMessage.id
-      
-      // Play send sound
+
       if (soundSettings?.enabled && soundSettings?.messageSounds) {
         playMessageSound?.(true)
       }
-      
     } catch (err) {
-      console.error('Error sending DM:', err)
-      setError('Failed to send message')
+      console.error('Error uploading DM image:', err)
+      setError('Failed to upload image')
+    } finally {
+      setUploadingImage(false)
+    }
+  }
+
+  // Save the message currently being edited
+  const saveEdit = async () => {
+    try {
+      setSubmitting(true)
+      setError(null)
+
+      const response = await fetch(`/.netlify/functions/direct-messages/${editingMessage.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ message: newMessage.trim() }),
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const updated = await response.json()
+      setMessages(prev => applyMessageUpdate(prev, updated))
+      setEditingMessage(null)
+      setNewMessage('')
+    } catch (err) {
+      console.error('Error editing DM:', err)
+      setError('Failed to edit message')
     } finally {
       setSubmitting(false)
     }
   }
 
+  // Start editing one of our own messages
+  const startEditing = (message) => {
+    setReplyingTo(null)
+    setEditingMessage(message)
+    setNewMessage(message.message)
+  }
+
+  // Up arrow in an empty input edits our last message
+  const editLastMessage = () => {
+    const lastOwnMessage = findLastOwnMessage(messages, username, msg => msg.sender_username)
+    if (lastOwnMessage) {
+      startEditing(lastOwnMessage)
+    }
+  }
+
+  const cancelEdit = () => {
+    setEditingMessage(null)
+    setNewMessage('')
+  }
+
+  // Delete one of our own messages, leaving a tombstone in the conversation
+  const deleteMessage = async (message) => {
+    if (!window.confirm('Delete this message? This cannot be undone.')) return
+
+    try {
+      setError(null)
+
+      const response = await fetch(`/.netlify/functions/direct-messages/${message.id}`, {
+        method: 'DELETE',
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const tombstone = await response.json()
+      setMessages(prev => applyMessageUpdate(prev, tombstone))
+
+      if (editingMessage?.id === message.id) {
+        cancelEdit()
+      }
+      if (replyingTo?.id === message.id) {
+        setReplyingTo(null)
+      }
+    } catch (err) {
+      console.error('Error deleting DM:', err)
+      setError('Failed to delete message')
+    }
+  }
+
+  // Add our reaction, or take it back if we already reacted with that emoji
+  const toggleReaction = async (message, emoji) => {
+    try {
+      setError(null)
+
+      const response = await fetch('/.netlify/functions/reactions', {
+        method: hasReacted(message, emoji, username) ? 'DELETE' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ directMessageId: message.id, emoji }),
+      })
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const updated = await response.json()
+      setMessages(prev => applyMessageUpdate(prev, updated))
+    } catch (err) {
+      console.error('Error updating DM reaction:', err)
+      setError('Failed to update reaction')
+    }
+  }
+
+  // Pin a message for both of us (posting a notice), or unpin it
+  const togglePin = async (message) => {
+    try {
+      setError(null)
+
+      const pinned = !pinnedIds.has(message.id)
+      const data = await setPinned(message, pinned, { direct: true })
+
+      if (pinned) {
+        sync.addMessages(chatKey, [data.notice])
+      }
+      queryClient.invalidateQueries({ queryKey: ['pins'] })
+    } catch (err) {
+      console.error('Error updating DM pin:', err)
+      setError(err.message)
+    }
+  }
+
   // Handle reply
   const handleReply = (message) => {
+    if (editingMessage) {
+      cancelEdit()
+    }
     setReplyingTo(message)
   }
 
@@ -190,26 +400,52 @@ const DMChat = ({
     setReplyingTo(null)
   }
 
+  // Jump to the original of a reply, loading the history around it if needed
+  const scrollToMessage = async (messageId) => {
+    if (!document.querySelector(`[data-message-id="${messageId}"]`)) {
+      try {
+        await loadAround(messageId)
+      } catch (err) {
+        console.error('Error loading original DM:', err)
+        setError('Could not load the original message')
+        return
+      }
+    }
+
+    const messageElement = document.querySelector(`[data-message-id="${messageId}"]`)
+    if (messageElement) {
+      messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' })
+      messageElement.classList.add('being-replied-to')
+      setTimeout(() => {
+        messageElement.classList.remove('being-replied-to')
+      }, 2000)
+    }
+  }
+
   // Fetch initial messages on mount
   useEffect(() => {
     fetchMessages()
   }, [conversationId, username])
 
-  // Auto-scroll when new messages arrive
+  // Jump to the requested message once the conversation has loaded
+  const jumpedToRef = useRef(null)
   useEffect(() => {
-    scrollToBottom()
-  }, [messages])
+    if (!jumpToMessageId || loading || jumpedToRef.current === jumpToMessageId) return
 
-  // Set up real-time polling
-  useEffect(() => {
-    if (!conversationId || !username) return
+    jumpedToRef.current = jumpToMessageId
+    scrollToMessage(jumpToMessageId)
+  }, [jumpToMessageId, loading])
 
-    const interval = setInterval(() => {
-      fetchNewMessages()
-    }, 1000) // Poll every second for real-time feel
+  // Auto-scroll when new messages arrive (not when older history is prepended)
+  const newestMessageId = messages.length > 0 ? messages[messages.length - 1].id : null
+  useEffect(() => {
+    scrollToBottom()
+  }, [newestMessageId])
 
-    return () => clearInterval(interval)
-  }, [conversationId, username])
+  // Stop syncing the conversation when it closes
+  useEffect(() => {
+    return () => sync.closeChat()
+  }, [conversationId])
 
   if (loading) {
     return (
@@ -231,31 +467,71 @@ const DMChat = ({
           <Avatar username={otherUsername} size={32} />
           <span className="other-username">{otherUsername}</span>
         </div>
+        <PinnedMessagesPanel
+          pins={pins}
+          loading={pinsLoading}
+          open={showPins}
+          onToggle={setShowPins}
+          onJump={(pin) => {
+            setShowPins(false)
+            scrollToMessage(pin.id)
+          }}
+          onUnpin={togglePin}
+        />
       </div>
 
-      <div className="messages-list">
+      <div className="messages-list" ref={messagesListRef} onScroll={handleHistoryScroll}>
         {error && (
           <div className="error-message">{error}</div>
         )}
 
+        {hasMoreHistory && messages.length > 0 && (
+          <div className="history-loader">
+            <button onClick={loadOlder} disabled={loadingOlder} className="history-loader-btn">
+              {loadingOlder ? 'Loading older messages...' : 'Load older messages'}
+            </button>
+          </div>
+        )}
+
         {messages.length === 0 ? (
           <div className="empty-state">
             <h3>💬 Start a conversation</h3>
             <p>Send a message to {otherUsername} to begin your conversation!</p>
           </div>
         ) : (
-          messages.map((message) => (
+          messages.map((message) => message.system_event ? (
+            <SystemNotice
+              key={message.id}
+              message={message}
+              author={message.sender_username}
+              formatTime={(timestamp) => new Date(timestamp).toLocaleTimeString([], {
+                hour: '2-digit',
+                minute: '2-digit'
+              })}
+              onJump={scrollToMessage}
+            />
+          ) : (
             <div
               key={message.id}
               data-message-id={message.id}
-              className={`message ${message.sender_username === username ? 'own-message' : ''}`}
+              className={`message ${message.sender_username === username ? 'own-message' : ''} ${message.deleted_at ? 'deleted' : ''} ${message.send_status ? `send-${message.send_status}` : ''}`}
             >
               {/* Show compact reply reference if this is a reply - Discord style */}
-              {message.reply_to_id && (
-                <div className="reply-reference">
-                  <span className="reply-to">↳ {message.reply_to_username}: </span>
-                  <span className="reply-preview">{message.reply_preview}</span>
-                </div>
+              {message.reply_to_id && !message.deleted_at && (
+                message.reply_to_deleted ? (
+                  <div className="reply-reference reply-reference-deleted">
+                    <span className="reply-to">↳ <em>Original message deleted</em></span>
+                  </div>
+                ) : (
+                  <div
+                    className="reply-reference"
+                    onClick={() => scrollToMessage(message.reply_to_id)}
+                    title="Click to jump to original message"
+                  >
+                    <span className="reply-to">↳ {message.reply_to_username}: </span>
+                    <span className="reply-preview">{message.reply_preview}</span>
+                  </div>
+                )
               )}
 
               <div className="message-header">
@@ -271,18 +547,89 @@ const DMChat = ({
                     minute: '2-digit'
                   })}
                 </span>
-                <button
-                  className="reply-btn"
-                  onClick={() => handleReply(message)}
-                  title={`Reply to ${message.sender_username}`}
-                  aria-label={`Reply to ${message.sender_username}'s message`}
-                >
-                  <Reply size={14} />
-                </button>
-              </div>
-              <div className="message-content">
-                {message.message}
+                {pinnedIds.has(message.id) && (
+                  <Pin size={12} className="pinned-marker" aria-label="Pinned" />
+                )}
+                {message.edited_at && !message.deleted_at && (
+                  <button
+                    className="edited-marker"
+                    onClick={() => setEditHistoryMessage(message)}
+                    title="Click to see previous versions"
+                  >
+                    (edited)
+                  </button>
+                )}
+                {canActOn(message) && (
+                  <button
+                    className="reply-btn"
+                    onClick={() => handleReply(message)}
+                    title={`Reply to ${message.sender_username}`}
+                    aria-label={`Reply to ${message.sender_username}'s message`}
+                  >
+                    <Reply size={14} />
+                  </button>
+                )}
+                {canActOn(message) && (
+                  <ReactionPicker onSelect={(emoji) => toggleReaction(message, emoji)} />
+                )}
+                {canActOn(message) && (
+                  <button
+                    className={`reply-btn pin-btn ${pinnedIds.has(message.id) ? 'pinned' : ''}`}
+                    onClick={() => togglePin(message)}
+                    title={pinnedIds.has(message.id) ? 'Unpin message' : 'Pin message'}
+                    aria-label={pinnedIds.has(message.id) ? 'Unpin this message' : 'Pin this message'}
+                  >
+                    {pinnedIds.has(message.id) ? <PinOff size={14} /> : <Pin size={14} />}
+                  </button>
+                )}
+                {message.sender_username === username && canActOn(message) && (
+                  <>
+                    <button
+                      className="reply-btn edit-btn"
+                      onClick={() => startEditing(message)}
+                      title="Edit message"
+                      aria-label="Edit your message"
+                    >
+                      <Pencil size={14} />
+                    </button>
+                    <button
+                      className="reply-btn delete-btn"
+                      onClick={() => deleteMessage(message)}
+                      title="Delete message"
+                      aria-label="Delete your message"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </>
+                )}
               </div>
+              {message.deleted_at ? (
+                <div className="message-content message-deleted">
+                  <em>This message was deleted</em>
+                </div>
+              ) : (
+                <div className="message-content">
+                  {message.message}
+                </div>
+              )}
+
+              {message.image_url && !message.deleted_at && (
+                <MessageImage
+                  message={message}
+                  author={message.sender_username}
+                  onOpen={(url, filename) => setLightboxImage({ url, filename })}
+                />
+              )}
+
+              <MessageReactions message={message} username={username} onToggle={toggleReaction} />
+
+              {message.send_status && (
+                <SendStatus message={message} onRetry={sync.retrySend} onDiscard={sync.discardSend} />
+              )}
+
+              {message.id === receiptMessageId && (
+                <ReadReceipt message={message} conversation={conversation} />
+              )}
             </div>
           ))
         )}
@@ -291,15 +638,65 @@ const DMChat = ({
 
       <MessageInput
         message={newMessage}
-        onMessageChange={setNewMessage}
+        onMessageChange={handleMessageChange}
         onSendMessage={handleSendMessage}
         placeholder={`Message ${otherUsername}... (Shift+Enter for line breaks)`}
-        disabled={submitting}
+        disabled={submitting || uploadingImage}
         replyingTo={replyingTo}
         onCancelReply={cancelReply}
+        editingMessage={editingMessage}
+        onCancelEdit={cancelEdit}
+        onEditLastMessage={editLastMessage}
         enableAutoResize={false} // DM doesn't need auto-resize
-        showActionsMenu={false} // DM doesn't have actions menu
+        showActionsMenu={showActionsMenu}
+        onToggleActionsMenu={() => setShowActionsMenu(!showActionsMenu)}
+        onFileUploadClick={handleFileUploadClick}
+      />
+
+      {/* Hidden file input behind the + menu */}
+      <ImageUpload
+        ref={fileInputRef}
+        onImageSelect={handleImageSelect}
+        disabled={submitting || uploadingImage}
       />
+
+      <TypingIndicator usernames={typingUsers} />
+
+      {editHistoryMessage && (
+        <EditHistoryDialog
+          message={editHistoryMessage}
+          historyUrl={`/.netlify/functions/direct-messages/${editHistoryMessage.id}/edits`}
+          onClose={() => setEditHistoryMessage(null)}
+        />
+      )}
+
+      {selectedImage && (
+        <ImagePreview
+          file={selectedImage}
+          message={imageMessage}
+          setMessage={setImageMessage}
+          onCancel={handleImageCancel}
+          onSend={handleImageSend}
+          disabled={uploadingImage}
+        />
+      )}
+
+      {lightboxImage && (
+        <div className="image-lightbox" onClick={() => setLightboxImage(null)}>
+          <button
+            className="image-lightbox-close"
+            onClick={() => setLightboxImage(null)}
+            aria-label="Close image"
+          >
+            ✕
+          </button>
+          <img
+            src={lightboxImage.url}
+            alt={lightboxImage.filename || 'Image'}
+            onClick={(e) => e.stopPropagation()}
+          />
+        </div>
+      )}
     </div>
   )
 }
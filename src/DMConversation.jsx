@@ -6,7 +6,8 @@ const DMConversation = ({
   targetUsername,
   onBack,
   soundSettings,
-  playMessageSound
+  playMessageSound,
+  jumpToMessageId
 }) => {
   const [conversationId, setConversationId] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -22,9 +23,7 @@ const DMConversation = ({
         setError(null)
 
         // First, try to get existing conversations to find this one
-        const conversationsResponse = await fetch(
-          `/.netlify/functions/direct-messages?username=${encodeURIComponent(username)}`
-        )
+        const conversationsResponse = await fetch('/.netlify/functions/direct-messages')
 
         if (conversationsResponse.ok) {
           const conversations = await conversationsResponse.json()
@@ -46,7 +45,6 @@ const DMConversation = ({
             'Content-Type': 'application/json',
           },
           body: JSON.stringify({
-            username: username,
             recipientUsername: targetUsername
           }),
         })
@@ -123,6 +121,7 @@ const DMConversation = ({
       onBack={onBack}
       soundSettings={soundSettings}
       playMessageSound={playMessageSound}
+      jumpToMessageId={jumpToMessageId}
     />
   )
 }
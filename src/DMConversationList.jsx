@@ -1,6 +1,7 @@
 import React from 'react'
 import Avatar from './Avatar'
-import { useDMConversations } from './hooks/useDMConversations'
+import GroupAvatars from './GroupAvatars'
+import { useDMConversations, conversationTitle } from './hooks/useDMConversations'
 
 const DMConversationList = ({ username, onSelectConversation, selectedConversationId }) => {
   // Use React Query for conversations with automatic caching and background updates
@@ -85,10 +86,14 @@ const DMConversationList = ({ username, onSelectConversation, selectedConversati
               className={`conversation-item ${
                 selectedConversationId === conversation.id ? 'selected' : ''
               }`}
-              onClick={() => onSelectConversation(conversation.id, conversation.other_username)}
+              onClick={() => onSelectConversation(conversation)}
             >
               <div className="conversation-avatar">
-                <Avatar username={conversation.other_username} size={40} />
+                {conversation.is_group ? (
+                  <GroupAvatars usernames={conversation.participants} size={24} />
+                ) : (
+                  <Avatar username={conversation.other_username} size={40} />
+                )}
                 {conversation.unread_count > 0 && (
                   <div className="unread-badge">{conversation.unread_count}</div>
                 )}
@@ -96,7 +101,7 @@ const DMConversationList = ({ username, onSelectConversation, selectedConversati
               
               <div className="conversation-info">
                 <div className="conversation-header">
-                  <span className="other-username">{conversation.other_username}</span>
+                  <span className="other-username">{conversationTitle(conversation)}</span>
                   <span className="last-message-time">
                     {formatLastMessageTime(conversation.last_message_at)}
                   </span>
@@ -105,7 +110,9 @@ const DMConversationList = ({ username, onSelectConversation, selectedConversati
                 <div className="last-message">
                   {conversation.last_sender && (
                     <span className="last-sender">
-                      {conversation.last_sender === username ? 'You: ' : ''}
+                      {conversation.last_sender === username
+                        ? 'You: '
+                        : conversation.is_group ? `${conversation.last_sender}: ` : ''}
                     </span>
                   )}
                   <span className="last-message-text">
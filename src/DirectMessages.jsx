@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom'
 import DMConversationList from './DMConversationList'
 import DMChat from './DMChat'
 import NewDMDialog from './NewDMDialog'
+import { conversationPath } from './hooks/useDMConversations'
 
 const DirectMessages = ({
   username,
@@ -24,12 +25,12 @@ const DirectMessages = ({
   }, [targetUser])
 
   // Handle conversation selection - navigate to the conversation URL
-  const handleSelectConversation = (conversationId, otherUsername) => {
-    if (conversationId === 'new') {
+  const handleSelectConversation = (conversation) => {
+    if (conversation === 'new') {
       setShowNewDMDialog(true)
     } else {
       // Navigate to the conversation URL
-      navigate(`/dm/${encodeURIComponent(otherUsername)}`)
+      navigate(conversationPath(conversation))
     }
   }
 
@@ -43,7 +44,6 @@ const DirectMessages = ({
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          username: username,
           message: `👋 Hi ${targetUsername}!`,
           recipientUsername: targetUsername
         }),
@@ -65,6 +65,30 @@ const DirectMessages = ({
     }
   }
 
+  // Start a group conversation with everyone picked in the dialog
+  const handleCreateGroup = async (participants, name) => {
+    try {
+      const response = await fetch('/.netlify/functions/create-conversation', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ participants, name }),
+      })
+      const result = await response.json()
+
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`)
+      }
+
+      setShowNewDMDialog(false)
+      navigate(`/dm/group/${result.conversation_id}`)
+    } catch (err) {
+      console.error('Error creating group conversation:', err)
+      alert(err.message || 'Failed to create group. Please try again.')
+    }
+  }
+
   // Handle canceling new DM dialog
   const handleCancelNewDM = () => {
     setShowNewDMDialog(false)
@@ -76,6 +100,7 @@ const DirectMessages = ({
         <NewDMDialog
           username={username}
           onStartConversation={handleStartConversation}
+          onCreateGroup={handleCreateGroup}
           onCancel={handleCancelNewDM}
         />
       )}
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react'
+
+// Shows the current text of an edited message and every previous version
+const EditHistoryDialog = ({ message, historyUrl, onClose }) => {
+  const [history, setHistory] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await fetch(historyUrl)
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      setHistory(await response.json())
+    } catch (err) {
+      console.error('Error fetching edit history:', err)
+      setError('Failed to load edit history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchHistory()
+  }, [historyUrl])
+
+  // Close on Escape like the other dialogs
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => document.removeEventListener('keydown', handleEscapeKey)
+  }, [onClose])
+
+  const formatTimestamp = (timestamp) =>
+    new Date(timestamp).toLocaleString([], {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })
+
+  const author = message.sender_username || message.username
+
+  return (
+    <div className="edit-history-dialog-overlay" onClick={onClose}>
+      <div className="edit-history-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>Edit history</h3>
+          <button onClick={onClose} className="close-button" aria-label="Close edit history">✕</button>
+        </div>
+
+        <div className="dialog-content">
+          {loading ? (
+            <div className="loading-section">
+              <div className="loading-spinner">Loading history...</div>
+            </div>
+          ) : error ? (
+            <div className="error-section">
+              <div className="error-message">{error}</div>
+              <button onClick={fetchHistory} className="retry-button">
+                Retry
+              </button>
+            </div>
+          ) : (
+            <ol className="edit-history-list">
+              <li className="edit-history-item current">
+                <div className="edit-history-meta">
+                  <strong>{author}</strong> · Current version
+                  {history.edited_at && ` · edited ${formatTimestamp(history.edited_at)}`}
+                </div>
+                <div className="edit-history-text">{history.message}</div>
+              </li>
+              {history.edits.map((edit, index) => (
+                <li key={index} className="edit-history-item">
+                  <div className="edit-history-meta">
+                    Replaced {formatTimestamp(edit.replaced_at)}
+                  </div>
+                  <div className="edit-history-text">{edit.message}</div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div className="dialog-footer">
+          <button onClick={onClose} className="cancel-button">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EditHistoryDialog
@@ -0,0 +1,13 @@
+import React from 'react'
+import Avatar from './Avatar'
+
+// Overlapping avatars for everyone in a group conversation
+const GroupAvatars = ({ usernames, size = 24 }) => (
+  <div className="group-avatars" title={usernames.join(', ')}>
+    {usernames.map(name => (
+      <Avatar key={name} username={name} size={size} className="group-avatar" />
+    ))}
+  </div>
+)
+
+export default GroupAvatars
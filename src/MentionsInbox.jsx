@@ -0,0 +1,145 @@
+import React, { useEffect, useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { AtSign, Check, CheckCheck } from 'lucide-react'
+import Avatar from './Avatar'
+import { markMentionsRead, useMentions } from './hooks/useMentions'
+import { useMentionCount } from './hooks/useSync'
+import { syncKeys } from './syncEngine'
+
+const KIND_LABELS = {
+  here: '@here',
+  everyone: '@everyone'
+}
+
+// Messages that @mentioned the user, with jump-to-message and mark-read.
+// Unread ones by default; reading a channel or thread marks its mentions read too.
+const MentionsInbox = ({ username, onSelect, onClose }) => {
+  const queryClient = useQueryClient()
+  const [unreadOnly, setUnreadOnly] = useState(true)
+  const { data, isLoading, error, refetch } = useMentions(username, { unreadOnly })
+  const unreadCount = useMentionCount()
+  const mentions = data?.mentions || []
+
+  // New mentions (or ones read elsewhere) change the synced count
+  useEffect(() => {
+    if (data && data.unreadCount !== unreadCount) {
+      refetch()
+    }
+  }, [unreadCount])
+
+  // Close on Escape like the other dialogs
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => document.removeEventListener('keydown', handleEscapeKey)
+  }, [onClose])
+
+  const markRead = async (ids) => {
+    try {
+      const result = await markMentionsRead(ids)
+      queryClient.setQueryData(syncKeys.mentionCount, result.unreadCount)
+      await queryClient.invalidateQueries({ queryKey: ['mentions', username] })
+    } catch (err) {
+      console.error('Error marking mentions read:', err)
+    }
+  }
+
+  const handleSelect = (mention) => {
+    if (!mention.read_at) {
+      markRead([mention.id])
+    }
+    onSelect(mention)
+  }
+
+  const formatTimestamp = (timestamp) =>
+    new Date(timestamp).toLocaleString([], {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })
+
+  return (
+    <div className="search-dialog-overlay" onClick={onClose}>
+      <div className="search-dialog mentions-inbox" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3><AtSign size={18} /> Mentions</h3>
+          <button onClick={onClose} className="close-button" aria-label="Close mentions">✕</button>
+        </div>
+
+        <div className="mentions-inbox-toolbar">
+          <div className="mentions-inbox-filter" role="group" aria-label="Show">
+            <button className={unreadOnly ? 'active' : ''} onClick={() => setUnreadOnly(true)}>
+              Unread{unreadCount > 0 ? ` (${unreadCount})` : ''}
+            </button>
+            <button className={!unreadOnly ? 'active' : ''} onClick={() => setUnreadOnly(false)}>
+              All
+            </button>
+          </div>
+          <button
+            className="mentions-inbox-read-all"
+            onClick={() => markRead()}
+            disabled={unreadCount === 0}
+          >
+            <CheckCheck size={14} /> Mark all read
+          </button>
+        </div>
+
+        <div className="dialog-content search-results">
+          {isLoading ? (
+            <div className="loading-section">
+              <div className="loading-spinner">Loading mentions...</div>
+            </div>
+          ) : error ? (
+            <div className="error-section">
+              <div className="error-message">Failed to load mentions</div>
+              <button onClick={() => refetch()} className="retry-button">Retry</button>
+            </div>
+          ) : mentions.length === 0 ? (
+            <div className="empty-section">
+              <p>{unreadOnly ? "You're all caught up" : 'Nobody has mentioned you yet'}</p>
+            </div>
+          ) : (
+            <ul className="search-results-list">
+              {mentions.map(mention => (
+                <li key={mention.id} className={`mention-item ${mention.read_at ? '' : 'unread'}`}>
+                  <button className="search-result" onClick={() => handleSelect(mention)}>
+                    <div className="search-result-meta">
+                      <span className="search-result-location">
+                        #{mention.channel_name}{mention.thread_root_id ? ' · thread' : ''}
+                      </span>
+                      <Avatar username={mention.username} size={18} />
+                      <strong>{mention.username}</strong>
+                      <span>{formatTimestamp(mention.created_at)}</span>
+                      {KIND_LABELS[mention.kind] && (
+                        <span className="mention-kind">{KIND_LABELS[mention.kind]}</span>
+                      )}
+                    </div>
+                    <div className="search-result-snippet">
+                      {mention.message || (mention.image_filename ? `📎 ${mention.image_filename}` : '📎 Image')}
+                    </div>
+                  </button>
+                  {!mention.read_at && (
+                    <button
+                      className="mention-mark-read"
+                      onClick={() => markRead([mention.id])}
+                      aria-label={`Mark ${mention.username}'s mention read`}
+                      title="Mark read"
+                    >
+                      <Check size={14} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MentionsInbox
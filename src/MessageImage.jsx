@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { decode } from 'blurhash'
+
+// Timeline images are drawn this big at most (see .message-image-frame)
+const MAX_DISPLAY_SIZE = 300
+// The blurhash is painted small and stretched by CSS
+const PLACEHOLDER_SIZE = 32
+
+// A smaller copy from the images function: 'thumb' or 'display'. Private
+// images already carry their signature in the query string.
+export const imageVariantUrl = (url, size) =>
+  `${url}${url.includes('?') ? '&' : '?'}size=${size}`
+
+// The image's size scaled down to fit the timeline slot
+const fitInside = (width, height) => {
+  const scale = Math.min(1, MAX_DISPLAY_SIZE / width, MAX_DISPLAY_SIZE / height)
+  return { width: Math.round(width * scale), height: Math.round(height * scale) }
+}
+
+// An image attached to a message: its thumbnail in a box sized from the
+// recorded dimensions, with the blurhash showing until it loads, so the list
+// doesn't jump. onOpen(url, filename) gets the larger display copy.
+const MessageImage = ({ message, author, onOpen }) => {
+  const [loaded, setLoaded] = useState(false)
+  const canvasRef = useRef(null)
+  const box = message.image_width && message.image_height
+    ? fitInside(message.image_width, message.image_height)
+    : null
+  const showPlaceholder = box && message.image_blurhash && !loaded
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    if (!canvas || !showPlaceholder) return
+
+    try {
+      const pixels = decode(message.image_blurhash, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE)
+      const context = canvas.getContext('2d')
+      const imageData = context.createImageData(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE)
+      imageData.data.set(pixels)
+      context.putImageData(imageData, 0, 0)
+    } catch (error) {
+      // A bad hash just leaves the box blank until the image arrives
+      console.error('Error drawing image placeholder:', error)
+    }
+  }, [message.image_blurhash, showPlaceholder])
+
+  return (
+    <div className="message-image-container">
+      <div className={`message-image-frame ${box ? 'sized' : ''}`} style={box || undefined}>
+        {showPlaceholder && (
+          <canvas
+            ref={canvasRef}
+            width={PLACEHOLDER_SIZE}
+            height={PLACEHOLDER_SIZE}
+            className="message-image-placeholder"
+            aria-hidden="true"
+          />
+        )}
+        <img
+          src={imageVariantUrl(message.image_url, 'thumb')}
+          alt={`Image from ${author}${message.image_filename ? ` – ${message.image_filename}` : ''}`}
+          className={`message-image ${onOpen ? 'clickable' : ''}`}
+          width={box?.width}
+          height={box?.height}
+          onClick={onOpen ? () => onOpen(imageVariantUrl(message.image_url, 'display'), message.image_filename) : undefined}
+          onLoad={() => setLoaded(true)}
+          loading="lazy"
+        />
+      </div>
+      {message.image_filename && (
+        <div className="message-image-filename">
+          📎 {message.image_filename}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MessageImage
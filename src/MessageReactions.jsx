@@ -0,0 +1,34 @@
+import React from 'react'
+
+export const hasReacted = (message, emoji, username) =>
+  (message.reactions || []).some(reaction =>
+    reaction.emoji === emoji && reaction.users.includes(username)
+  )
+
+// Reaction counts under a message; clicking one toggles our own reaction
+const MessageReactions = ({ message, username, onToggle }) => {
+  const reactions = message.reactions || []
+  if (message.deleted_at || reactions.length === 0) return null
+
+  return (
+    <div className="message-reactions">
+      {reactions.map(reaction => {
+        const reacted = reaction.users.includes(username)
+        return (
+          <button
+            key={reaction.emoji}
+            className={`reaction-chip ${reacted ? 'reacted' : ''}`}
+            onClick={() => onToggle(message, reaction.emoji)}
+            title={`${reaction.users.join(', ')} reacted with ${reaction.emoji}`}
+            aria-pressed={reacted}
+          >
+            <span className="reaction-emoji">{reaction.emoji}</span>
+            <span className="reaction-count">{reaction.count}</span>
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export default MessageReactions
@@ -1,11 +1,30 @@
 import React, { useState, useEffect } from 'react'
 import Avatar from './Avatar'
+import { MAX_GROUP_SIZE } from './hooks/useDMConversations'
+import { customStatus, statusDisplay } from './presenceStatus'
 
-const NewDMDialog = ({ username, onStartConversation, onCancel }) => {
+// Pick one person for a DM or several for a group conversation. With
+// existingMembers set it adds people to that group instead.
+const NewDMDialog = ({
+  username,
+  onStartConversation,
+  onCreateGroup,
+  onAddMembers,
+  existingMembers = null,
+  onCancel
+}) => {
   const [searchTerm, setSearchTerm] = useState('')
   const [availableUsers, setAvailableUsers] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [selectedUsers, setSelectedUsers] = useState([])
+  const [groupName, setGroupName] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const addingToGroup = existingMembers !== null
+  const memberNames = (existingMembers || []).map(name => name.toLowerCase())
+  // Everyone but you, or the room left in the group being added to
+  const maxSelected = MAX_GROUP_SIZE - (addingToGroup ? existingMembers.length : 1)
 
   // Fetch available users to start conversations with
   const fetchAvailableUsers = async () => {
@@ -23,11 +42,12 @@ const NewDMDialog = ({ username, onStartConversation, onCancel }) => {
       const data = await response.json()
       const participants = data.participants
 
-      // Filter out current user and AI assistants
+      // Filter out current user, AI assistants and anyone already in the group
       const filteredUsers = participants.filter(user =>
         user.username !== username &&
         user.username !== 'Lumi' &&
-        user.username !== 'System'
+        user.username !== 'System' &&
+        !memberNames.includes(user.username.toLowerCase())
       )
       
       setAvailableUsers(filteredUsers)
@@ -48,37 +68,41 @@ const NewDMDialog = ({ username, onStartConversation, onCancel }) => {
     user.username.toLowerCase().includes(searchTerm.toLowerCase())
   )
 
-  const handleStartConversation = (targetUsername) => {
-    onStartConversation(targetUsername)
+  const toggleUser = (targetUsername) => {
+    setSelectedUsers(prev => {
+      if (prev.includes(targetUsername)) {
+        return prev.filter(name => name !== targetUsername)
+      }
+      return prev.length < maxSelected ? [...prev, targetUsername] : prev
+    })
   }
 
-  const getStatusIndicator = (user) => {
-    switch (user.status) {
-      case 'online':
-        return '🟢'
-      case 'recently_active':
-        return '🟡'
-      default:
-        return '⚫'
-    }
-  }
+  const handleSubmit = async () => {
+    if (selectedUsers.length === 0) return
 
-  const getStatusText = (user) => {
-    switch (user.status) {
-      case 'online':
-        return 'Online'
-      case 'recently_active':
-        return 'Recently active'
-      default:
-        return 'Offline'
+    try {
+      setSubmitting(true)
+      if (addingToGroup) {
+        await onAddMembers(selectedUsers)
+      } else if (selectedUsers.length === 1) {
+        await onStartConversation(selectedUsers[0])
+      } else {
+        await onCreateGroup(selectedUsers, groupName.trim())
+      }
+    } finally {
+      setSubmitting(false)
     }
   }
 
+  const submitLabel = addingToGroup
+    ? 'Add to group'
+    : selectedUsers.length > 1 ? 'Create group' : 'Start conversation'
+
   return (
     <div className="new-dm-dialog-overlay">
       <div className="new-dm-dialog">
         <div className="dialog-header">
-          <h3>Start a conversation</h3>
+          <h3>{addingToGroup ? 'Add people' : 'Start a conversation'}</h3>
           <button onClick={onCancel} className="close-button">✕</button>
         </div>
 
@@ -92,6 +116,21 @@ const NewDMDialog = ({ username, onStartConversation, onCancel }) => {
               className="user-search-input"
               autoFocus
             />
+            <div className="selected-users-hint">
+              {selectedUsers.length === 0
+                ? `Pick one person for a DM, or up to ${maxSelected} for a group`
+                : `${selectedUsers.length} selected: ${selectedUsers.join(', ')}`}
+            </div>
+            {!addingToGroup && selectedUsers.length > 1 && (
+              <input
+                type="text"
+                placeholder="Group name (optional)"
+                value={groupName}
+                onChange={(e) => setGroupName(e.target.value)}
+                className="user-search-input group-name-input"
+                maxLength={100}
+              />
+            )}
           </div>
 
           {loading ? (
@@ -120,13 +159,15 @@ const NewDMDialog = ({ username, onStartConversation, onCancel }) => {
                   {filteredUsers.map((user) => (
                     <div
                       key={user.username}
-                      className="user-item"
-                      onClick={() => handleStartConversation(user.username)}
+                      className={`user-item ${selectedUsers.includes(user.username) ? 'selected' : ''}`}
+                      onClick={() => toggleUser(user.username)}
+                      role="checkbox"
+                      aria-checked={selectedUsers.includes(user.username)}
                     >
                       <div className="user-avatar">
                         <Avatar username={user.username} size={40} />
                         <div className="status-indicator">
-                          {getStatusIndicator(user)}
+                          {statusDisplay(user.status).icon}
                         </div>
                       </div>
                       
@@ -134,9 +175,13 @@ const NewDMDialog = ({ username, onStartConversation, onCancel }) => {
                         <div className="user-header">
                           <span className="username">{user.username}</span>
                           <span className="status-text">
-                            {getStatusText(user)}
+                            {statusDisplay(user.status).label}
                           </span>
                         </div>
+
+                        {customStatus(user) && (
+                          <div className="user-custom-status">{customStatus(user)}</div>
+                        )}
                         
                         <div className="user-stats">
                           <span className="message-count">
@@ -161,6 +206,13 @@ const NewDMDialog = ({ username, onStartConversation, onCancel }) => {
           <button onClick={onCancel} className="cancel-button">
             Cancel
           </button>
+          <button
+            onClick={handleSubmit}
+            className="start-dm-submit"
+            disabled={selectedUsers.length === 0 || submitting}
+          >
+            {submitLabel}
+          </button>
         </div>
       </div>
     </div>
@@ -0,0 +1,103 @@
+import React, { useEffect, useRef } from 'react'
+import { Pin, PinOff } from 'lucide-react'
+import Avatar from './Avatar'
+
+// Header button with the chat's pin count, opening a list of pinned messages
+// that jump to the message in context
+const PinnedMessagesPanel = ({ pins, loading, open, onToggle, onJump, onUnpin }) => {
+  const containerRef = useRef(null)
+
+  // Close on Escape or a click anywhere else, like the actions menu
+  useEffect(() => {
+    if (!open) return
+
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onToggle(false)
+      }
+    }
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        onToggle(false)
+      }
+    }
+
+    document.addEventListener('keydown', handleEscapeKey)
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => {
+      document.removeEventListener('keydown', handleEscapeKey)
+      document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [open, onToggle])
+
+  const formatTimestamp = (timestamp) =>
+    new Date(timestamp).toLocaleString([], {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })
+
+  return (
+    <div className="pins-button-container" ref={containerRef}>
+      <button
+        className={`dm-button pins-button ${open ? 'active' : ''}`}
+        onClick={() => onToggle(!open)}
+        aria-label="Pinned messages"
+        aria-expanded={open}
+        title="Pinned messages"
+      >
+        <Pin size={18} />
+        {pins.length > 0 && <span className="pins-count">{pins.length}</span>}
+      </button>
+
+      {open && (
+        <div className="pins-panel" role="dialog" aria-label="Pinned messages">
+          <div className="pins-panel-header">
+            <h3>Pinned messages</h3>
+          </div>
+          {loading && pins.length === 0 ? (
+            <div className="loading-section">
+              <div className="loading-spinner">Loading pins...</div>
+            </div>
+          ) : pins.length === 0 ? (
+            <div className="empty-section">
+              <p>Nothing pinned yet. Pin a message from its hover actions to keep it here.</p>
+            </div>
+          ) : (
+            <ul className="pins-list">
+              {pins.map(pin => {
+                const author = pin.sender_username || pin.username
+                return (
+                  <li key={pin.id} className="pinned-message">
+                    <button className="pinned-message-jump" onClick={() => onJump(pin)}>
+                      <div className="pinned-message-meta">
+                        <Avatar username={author} size={20} />
+                        <strong>{author}</strong>
+                        <span>{formatTimestamp(pin.created_at)}</span>
+                      </div>
+                      <div className="pinned-message-text">
+                        {pin.message || (pin.image_filename ? `📎 ${pin.image_filename}` : '📎 Image')}
+                      </div>
+                      <div className="pinned-message-by">
+                        Pinned by {pin.pinned_by} · {formatTimestamp(pin.pinned_at)}
+                      </div>
+                    </button>
+                    <button
+                      className="pinned-message-unpin"
+                      onClick={() => onUnpin(pin)}
+                      aria-label={`Unpin ${author}'s message`}
+                      title="Unpin"
+                    >
+                      <PinOff size={14} />
+                    </button>
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PinnedMessagesPanel
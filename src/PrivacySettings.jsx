@@ -0,0 +1,48 @@
+import React, { useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { privacySettingsKey, updatePrivacySettings, usePrivacySettings } from './hooks/usePrivacySettings'
+import { syncKeys } from './syncEngine'
+
+// Settings menu section for what other people can see about the user
+const PrivacySettings = ({ username }) => {
+  const queryClient = useQueryClient()
+  const { data: settings } = usePrivacySettings(username)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const toggleReadReceipts = async (readReceipts) => {
+    setBusy(true)
+    setError(null)
+    try {
+      const updated = await updatePrivacySettings({ readReceipts })
+      queryClient.setQueryData(privacySettingsKey(username), updated)
+      // Receipts ride along with the conversation list
+      await queryClient.invalidateQueries({ queryKey: syncKeys.conversations(username) })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="settings-controls">
+      <label className="setting-item">
+        <input
+          type="checkbox"
+          checked={settings?.readReceipts ?? true}
+          disabled={!settings || busy}
+          onChange={(e) => toggleReadReceipts(e.target.checked)}
+        />
+        <span>Read receipts in direct messages</span>
+      </label>
+      <p className="setting-note">
+        When off, nobody sees when you've read their messages, and you don't see when they've read yours.
+      </p>
+
+      {error && <p className="setting-error">{error}</p>}
+    </div>
+  )
+}
+
+export default PrivacySettings
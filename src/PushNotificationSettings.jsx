@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { BellOff } from 'lucide-react'
+import { disablePush, enablePush, getPushSubscription, isPushSupported } from './pushNotifications'
+import {
+  notificationSettingsKey,
+  setChatMuted,
+  updateNotificationSettings,
+  useNotificationSettings
+} from './hooks/useNotificationSettings'
+
+const SNOOZE_OPTIONS = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 8 * 60, label: '8 hours' },
+  { minutes: 24 * 60, label: '1 day' },
+  { minutes: 7 * 24 * 60, label: '1 week' }
+]
+
+// Settings menu section for push notifications about mentions and DMs: this
+// browser's subscription, what to be notified about, snoozing, and muting the
+// open chat (muteTarget is { channel } or { conversationId }, or null)
+const PushNotificationSettings = ({ username, muteTarget, muteLabel }) => {
+  const queryClient = useQueryClient()
+  const { data: settings } = useNotificationSettings(username)
+  const [subscribed, setSubscribed] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    getPushSubscription()
+      .then(subscription => setSubscribed(!!subscription))
+      .catch(() => setSubscribed(false))
+  }, [])
+
+  // Run a change, showing its error under the section. Settings writes resolve
+  // to the updated settings, which replace the cached ones.
+  const run = async (change) => {
+    setBusy(true)
+    setError(null)
+    try {
+      const updated = await change()
+      if (updated) {
+        queryClient.setQueryData(notificationSettingsKey(username), updated)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const toggleSubscription = (enabled) => run(async () => {
+    if (enabled) {
+      const granted = await enablePush()
+      if (!granted) {
+        throw new Error('Notifications are blocked for this site in your browser')
+      }
+    } else {
+      await disablePush()
+    }
+    setSubscribed(enabled)
+  })
+
+  if (!isPushSupported()) {
+    return <p className="setting-note">Push notifications aren't supported in this browser.</p>
+  }
+
+  const muted = settings && muteTarget && (muteTarget.conversationId
+    ? settings.mutedConversations.includes(muteTarget.conversationId)
+    : settings.mutedChannels.includes(muteTarget.channel))
+
+  return (
+    <div className="settings-controls">
+      <label className="setting-item">
+        <input
+          type="checkbox"
+          checked={subscribed}
+          disabled={busy}
+          onChange={(e) => toggleSubscription(e.target.checked)}
+        />
+        <span>Notify this device when the app is closed</span>
+      </label>
+
+      {subscribed && settings && (
+        <>
+          <label className="setting-item">
+            <input
+              type="checkbox"
+              checked={settings.mentions}
+              disabled={busy}
+              onChange={(e) => run(() => updateNotificationSettings({ mentions: e.target.checked }))}
+            />
+            <span>@Mentions</span>
+          </label>
+
+          <label className="setting-item">
+            <input
+              type="checkbox"
+              checked={settings.directMessages}
+              disabled={busy}
+              onChange={(e) => run(() => updateNotificationSettings({ directMessages: e.target.checked }))}
+            />
+            <span>Direct messages</span>
+          </label>
+
+          <div className="setting-item">
+            {settings.mutedUntil ? (
+              <>
+                <span>Snoozed until {new Date(settings.mutedUntil).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</span>
+                <button
+                  className="sound-test-btn"
+                  disabled={busy}
+                  onClick={() => run(() => updateNotificationSettings({ snoozeMinutes: 0 }))}
+                >
+                  Resume
+                </button>
+              </>
+            ) : (
+              <label className="volume-control">
+                <span>Snooze:</span>
+                <select
+                  value=""
+                  disabled={busy}
+                  onChange={(e) => run(() => updateNotificationSettings({ snoozeMinutes: Number(e.target.value) }))}
+                >
+                  <option value="" disabled>Choose…</option>
+                  {SNOOZE_OPTIONS.map(option => (
+                    <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+
+          {muteTarget && (
+            <label className="setting-item">
+              <input
+                type="checkbox"
+                checked={!!muted}
+                disabled={busy}
+                onChange={(e) => run(() => setChatMuted(muteTarget, e.target.checked))}
+              />
+              <BellOff size={14} />
+              <span>Mute {muteLabel}</span>
+            </label>
+          )}
+        </>
+      )}
+
+      {error && <p className="setting-note setting-error" role="alert">{error}</p>}
+    </div>
+  )
+}
+
+export default PushNotificationSettings
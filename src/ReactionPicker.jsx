@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { SmilePlus } from 'lucide-react'
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢', '🔥', '👀']
+
+// Smiley button in a message's hover actions that opens a row of quick reactions
+const ReactionPicker = ({ onSelect }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const pickerRef = useRef(null)
+
+  // Click outside or Escape closes the picker
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClickOutside = (event) => {
+      if (pickerRef.current && !pickerRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+      document.removeEventListener('keydown', handleEscapeKey)
+    }
+  }, [isOpen])
+
+  const handleSelect = (emoji) => {
+    setIsOpen(false)
+    onSelect(emoji)
+  }
+
+  return (
+    <div className={`reaction-picker ${isOpen ? 'open' : ''}`} ref={pickerRef}>
+      <button
+        className="reply-btn react-btn"
+        onClick={() => setIsOpen(open => !open)}
+        title="Add reaction"
+        aria-label="Add reaction"
+        aria-expanded={isOpen}
+      >
+        <SmilePlus size={14} />
+      </button>
+      {isOpen && (
+        <div className="reaction-picker-menu" role="menu">
+          {QUICK_REACTIONS.map(emoji => (
+            <button
+              key={emoji}
+              className="reaction-picker-option"
+              onClick={() => handleSelect(emoji)}
+              role="menuitem"
+              aria-label={`React with ${emoji}`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReactionPicker
@@ -0,0 +1,43 @@
+import React from 'react'
+import { Check, CheckCheck } from 'lucide-react'
+
+// The message a receipt goes under: the conversation's latest, when the user
+// sent it and the server has it. Notices and deleted messages don't count.
+export const findReceiptMessage = (messages, username, getUsername = msg => msg.sender_username) => {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i]
+    if (message.system_event || message.deleted_at) continue
+    return getUsername(message) === username && !message.send_status ? message : null
+  }
+  return null
+}
+
+// "Delivered" until the others' read cursors pass the message, then "Seen".
+// The conversation's read_cursors leave out anyone who turned receipts off,
+// and are empty when the user did.
+const ReadReceipt = ({ message, conversation }) => {
+  const seenBy = (conversation?.read_cursors || [])
+    .filter(cursor => cursor.last_read_message_id >= message.id)
+    .map(cursor => cursor.username)
+
+  if (seenBy.length === 0) {
+    return (
+      <div className="read-receipt">
+        <Check size={12} />
+        <span>Delivered</span>
+      </div>
+    )
+  }
+
+  const everyone = seenBy.length === conversation.participants.length
+  return (
+    <div className="read-receipt read-receipt-seen" title={`Seen by ${seenBy.join(', ')}`}>
+      <CheckCheck size={12} />
+      <span>
+        {!conversation.is_group ? 'Seen' : everyone ? 'Seen by everyone' : `Seen by ${seenBy.join(', ')}`}
+      </span>
+    </div>
+  )
+}
+
+export default ReadReceipt
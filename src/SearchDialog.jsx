@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Search } from 'lucide-react'
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300
+
+// Full-text search across the public chat and the user's DMs
+const SearchDialog = ({ onSelect, onClose }) => {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const latestRequestRef = useRef(0)
+
+  const runSearch = async (searchQuery) => {
+    const requestId = ++latestRequestRef.current
+
+    try {
+      setLoading(true)
+      setError(null)
+
+      const params = new URLSearchParams({ q: searchQuery })
+      const response = await fetch(`/.netlify/functions/search?${params}`)
+      const data = await response.json()
+
+      // A newer search has started since this one
+      if (requestId !== latestRequestRef.current) return
+
+      if (!response.ok) {
+        setResults(null)
+        setError(data.error || 'Search failed')
+        return
+      }
+
+      setResults(data.results)
+    } catch (err) {
+      if (requestId !== latestRequestRef.current) return
+      console.error('Error searching messages:', err)
+      setError('Search failed')
+    } finally {
+      if (requestId === latestRequestRef.current) {
+        setLoading(false)
+      }
+    }
+  }
+
+  useEffect(() => {
+    const trimmed = query.trim()
+    if (!trimmed) {
+      latestRequestRef.current++
+      setResults(null)
+      setError(null)
+      setLoading(false)
+      return
+    }
+
+    const timeout = setTimeout(() => runSearch(trimmed), SEARCH_DELAY_MS)
+    return () => clearTimeout(timeout)
+  }, [query])
+
+  // Close on Escape like the other dialogs
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => document.removeEventListener('keydown', handleEscapeKey)
+  }, [onClose])
+
+  const formatTimestamp = (timestamp) =>
+    new Date(timestamp).toLocaleString([], {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })
+
+  return (
+    <div className="search-dialog-overlay" onClick={onClose}>
+      <div className="search-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3>Search messages</h3>
+          <button onClick={onClose} className="close-button" aria-label="Close search">✕</button>
+        </div>
+
+        <div className="search-section">
+          <div className="search-input-wrapper">
+            <Search size={16} className="search-input-icon" />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search messages..."
+              className="user-search-input message-search-input"
+              aria-label="Search messages"
+              autoFocus
+            />
+          </div>
+          <div className="search-hint">
+            Filters: <code>from:alice</code> <code>has:image</code> <code>mentions:me</code>{' '}
+            <code>after:2026-10-01</code> <code>before:2026-10-08</code> <code>on:2026-10-05</code>
+          </div>
+        </div>
+
+        <div className="dialog-content search-results">
+          {loading && !results ? (
+            <div className="loading-section">
+              <div className="loading-spinner">Searching...</div>
+            </div>
+          ) : error ? (
+            <div className="error-section">
+              <div className="error-message">{error}</div>
+            </div>
+          ) : results && results.length === 0 ? (
+            <div className="empty-section">
+              <p>No messages found</p>
+            </div>
+          ) : results && (
+            <ul className="search-results-list">
+              {results.map(result => (
+                <li key={`${result.kind}-${result.id}`}>
+                  <button className="search-result" onClick={() => onSelect(result)}>
+                    <div className="search-result-meta">
+                      <span className="search-result-location">
+                        {result.kind !== 'direct_message'
+                          ? `#${result.channel_name}`
+                          : result.is_group
+                            ? result.conversation_name || 'Group conversation'
+                            : `DM with ${result.other_username || 'unknown'}`}
+                      </span>
+                      <strong>{result.username}</strong>
+                      <span>{formatTimestamp(result.created_at)}</span>
+                      {result.has_image && <span title="Has an image">📎</span>}
+                    </div>
+                    <div className="search-result-snippet">
+                      {result.snippet.map((segment, index) =>
+                        segment.highlight
+                          ? <mark key={index}>{segment.text}</mark>
+                          : <span key={index}>{segment.text}</span>
+                      )}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SearchDialog
@@ -0,0 +1,30 @@
+import React from 'react'
+import { AlertCircle, Clock } from 'lucide-react'
+
+// Status line under one of our own messages until the server has it: sending,
+// waiting for the connection to come back, or failed with retry and discard
+const SendStatus = ({ message, onRetry, onDiscard }) => {
+  if (message.send_status === 'failed') {
+    return (
+      <div className="send-status send-status-failed" role="alert">
+        <AlertCircle size={12} />
+        <span>Failed to send</span>
+        <button className="send-status-action" onClick={() => onRetry(message.client_id)}>
+          Retry
+        </button>
+        <button className="send-status-action" onClick={() => onDiscard(message.client_id)}>
+          Discard
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="send-status">
+      <Clock size={12} />
+      <span>{message.send_status === 'queued' ? 'Waiting for connection…' : 'Sending…'}</span>
+    </div>
+  )
+}
+
+export default SendStatus
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { Smile } from 'lucide-react'
+import { ownStatusKey, updateOwnStatus, useOwnStatus } from './hooks/usePresenceStatus'
+import { STATUS_CHOICES, statusDisplay } from './presenceStatus'
+
+// Minutes until local midnight, for "Today"
+const minutesUntilTomorrow = () => {
+  const midnight = new Date()
+  midnight.setHours(24, 0, 0, 0)
+  return Math.max(1, Math.ceil((midnight - Date.now()) / 60000))
+}
+
+const CLEAR_AFTER_OPTIONS = [
+  { value: '', label: "Don't clear" },
+  { value: '30', label: '30 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '240', label: '4 hours' },
+  { value: 'today', label: 'Today' },
+  { value: String(7 * 24 * 60), label: 'This week' }
+]
+
+// Pick online, do-not-disturb or invisible, and set a custom status with an
+// emoji that can clear itself
+const StatusDialog = ({ username, onClose }) => {
+  const queryClient = useQueryClient()
+  const { data: current } = useOwnStatus(username)
+  const [emoji, setEmoji] = useState('')
+  const [text, setText] = useState('')
+  const [clearAfter, setClearAfter] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Start from the saved custom status once it has loaded
+  useEffect(() => {
+    if (current) {
+      setEmoji(current.statusEmoji || '')
+      setText(current.statusText || '')
+    }
+  }, [current?.statusEmoji, current?.statusText])
+
+  // Close on Escape like the other dialogs
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => document.removeEventListener('keydown', handleEscapeKey)
+  }, [onClose])
+
+  const save = async (changes) => {
+    setBusy(true)
+    setError(null)
+    try {
+      const updated = await updateOwnStatus(changes)
+      queryClient.setQueryData(ownStatusKey(username), updated)
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const saveCustomStatus = async (e) => {
+    e.preventDefault()
+    const changes = { statusText: text.trim(), statusEmoji: emoji.trim() }
+    if (clearAfter) {
+      changes.clearAfterMinutes = clearAfter === 'today' ? minutesUntilTomorrow() : Number(clearAfter)
+    }
+    if (await save(changes)) {
+      onClose()
+    }
+  }
+
+  const clearCustomStatus = async () => {
+    if (await save({ statusText: '', statusEmoji: '' })) {
+      setEmoji('')
+      setText('')
+    }
+  }
+
+  const expiresAt = current?.statusExpiresAt ? new Date(current.statusExpiresAt) : null
+
+  return (
+    <div className="search-dialog-overlay" onClick={onClose}>
+      <div className="search-dialog status-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3><Smile size={18} /> Set your status</h3>
+          <button onClick={onClose} className="close-button" aria-label="Close status">✕</button>
+        </div>
+
+        <div className="dialog-content">
+          <div className="status-choices" role="radiogroup" aria-label="Status">
+            {STATUS_CHOICES.map(choice => {
+              const display = statusDisplay(choice.status)
+              return (
+                <button
+                  key={choice.status}
+                  role="radio"
+                  aria-checked={current?.status === choice.status}
+                  className={`status-choice ${current?.status === choice.status ? 'active' : ''}`}
+                  onClick={() => save({ status: choice.status })}
+                  disabled={!current || busy}
+                >
+                  <span className="status-choice-icon">{display.icon}</span>
+                  <span className="status-choice-label">{display.label}</span>
+                  <span className="status-choice-hint">{choice.hint}</span>
+                </button>
+              )
+            })}
+          </div>
+
+          <form className="custom-status-form" onSubmit={saveCustomStatus}>
+            <label className="custom-status-label" htmlFor="custom-status-text">Custom status</label>
+            <div className="custom-status-inputs">
+              <input
+                type="text"
+                className="custom-status-emoji"
+                value={emoji}
+                onChange={(e) => setEmoji(e.target.value)}
+                placeholder="🙂"
+                maxLength={16}
+                aria-label="Status emoji"
+              />
+              <input
+                id="custom-status-text"
+                type="text"
+                className="custom-status-text"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder="What's your status?"
+                maxLength={100}
+              />
+            </div>
+            <label className="custom-status-clear">
+              <span>Clear after</span>
+              <select value={clearAfter} onChange={(e) => setClearAfter(e.target.value)}>
+                {CLEAR_AFTER_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            {expiresAt && (
+              <p className="setting-note">
+                Your current status clears {expiresAt.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+              </p>
+            )}
+
+            {error && <p className="setting-error">{error}</p>}
+
+            <div className="custom-status-actions">
+              <button
+                type="button"
+                className="custom-status-clear-btn"
+                onClick={clearCustomStatus}
+                disabled={busy || !(current?.statusText || current?.statusEmoji)}
+              >
+                Clear status
+              </button>
+              <button type="submit" className="custom-status-save-btn" disabled={busy}>
+                Save
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StatusDialog
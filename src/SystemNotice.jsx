@@ -0,0 +1,30 @@
+import React from 'react'
+import { Pin } from 'lucide-react'
+
+// A small centred line in the timeline for system events, e.g. "Alice pinned a message".
+// Pin notices point at the pinned message through reply_to_id.
+const SystemNotice = ({ message, author, formatTime, onJump }) => (
+  <div className="system-notice" data-message-id={message.id}>
+    <Pin size={12} className="system-notice-icon" />
+    <span>
+      <strong>{author}</strong> pinned a message
+      {message.reply_to_deleted ? (
+        <em> that was deleted</em>
+      ) : (
+        <>
+          {' by '}<strong>{message.reply_to_username}</strong>:{' '}
+          <button
+            className="system-notice-link"
+            onClick={() => onJump(message.reply_to_id)}
+            title="Jump to the pinned message"
+          >
+            {message.reply_preview || 'See pinned message'}
+          </button>
+        </>
+      )}
+    </span>
+    <span className="system-notice-time">{formatTime(message.created_at)}</span>
+  </div>
+)
+
+export default SystemNotice
@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Trash2, X } from 'lucide-react'
+import Avatar from './Avatar'
+import ReactionPicker from './ReactionPicker'
+import MessageReactions, { hasReacted } from './MessageReactions'
+import MessageImage from './MessageImage'
+import { mergeMessageUpdates, applyMessageUpdate } from './messageUpdates'
+import { useSyncEngine, useThread, useSyncEvent } from './hooks/useSync'
+
+// Side panel for a thread: the message it started from, its replies and a composer.
+// Once loaded, the sync engine keeps it live alongside the main timeline.
+const ThreadPanel = ({ rootId, username, renderMessage, formatTime, onClose }) => {
+  const sync = useSyncEngine()
+  const thread = useThread(rootId)
+  const root = thread?.root || null
+  const replies = thread?.replies || []
+  const [newReply, setNewReply] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const repliesEndRef = useRef(null)
+  const threadUrl = `/.netlify/functions/threads/${rootId}`
+
+  const scrollToBottom = () => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }
+
+  const markAsRead = (messageId) => {
+    fetch(`${threadUrl}/read`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ messageId }),
+    }).catch(err => console.error('Error marking thread read:', err))
+  }
+
+  // Our own reactions and replies change the thread before the next sync does
+  const setReplies = (update) => {
+    sync.updateThread(rootId, (current) => ({ ...current, replies: update(current.replies) }))
+  }
+
+  const applyRoot = (updated) => {
+    sync.updateThread(rootId, (current) => ({ ...current, root: updated }))
+    sync.applyThreadRoot(updated)
+  }
+
+  // Load the thread, then hand it to the sync engine unless the panel moved on
+  const fetchThread = async (isCancelled) => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await fetch(threadUrl)
+      const data = await response.json()
+
+      if (!response.ok) {
+        setError(data.error || 'Failed to load thread')
+        return
+      }
+      if (isCancelled()) return
+
+      sync.openThread(rootId, data)
+
+      const latestReply = data.replies[data.replies.length - 1]
+      if (latestReply) {
+        markAsRead(latestReply.id)
+      }
+    } catch (err) {
+      console.error('Error fetching thread:', err)
+      setError('Failed to load thread')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // New replies from the sync engine are read as soon as they show up here
+  useSyncEvent('threadReplies', ({ rootId: updatedRootId, replies: newReplies }) => {
+    if (updatedRootId !== rootId) return
+    markAsRead(newReplies[newReplies.length - 1].id)
+  })
+
+  useEffect(() => {
+    let cancelled = false
+    setNewReply('')
+    fetchThread(() => cancelled)
+
+    return () => {
+      cancelled = true
+      sync.closeThread(rootId)
+    }
+  }, [rootId])
+
+  useEffect(() => {
+    scrollToBottom()
+  }, [replies.length])
+
+  // Close on Escape like the dialogs
+  useEffect(() => {
+    const handleEscapeKey = (event) => {
+      if (event.key === 'Escape') {
+        onClose()
+      }
+    }
+
+    document.addEventListener('keydown', handleEscapeKey)
+    return () => document.removeEventListener('keydown', handleEscapeKey)
+  }, [onClose])
+
+  const sendReply = async (e) => {
+    e.preventDefault()
+    if (!newReply.trim() || submitting) return
+
+    try {
+      setSubmitting(true)
+      setError(null)
+
+      const response = await fetch(threadUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ message: newReply.trim() }),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        setError(data.error || 'Failed to send reply')
+        return
+      }
+
+      setNewReply('')
+      setReplies(prev => mergeMessageUpdates(prev, [data], null).messages)
+
+      // Pick up the new reply count under the root straight away
+      sync.syncNow()
+    } catch (err) {
+      console.error('Error sending thread reply:', err)
+      setError('Failed to send reply')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      sendReply(e)
+    }
+  }
+
+  const deleteReply = async (reply) => {
+    if (!window.confirm('Delete this message? This cannot be undone.')) return
+
+    try {
+      const response = await fetch(`/api/messages/${reply.id}`, { method: 'DELETE' })
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const tombstone = await response.json()
+      setReplies(prev => applyMessageUpdate(prev, tombstone))
+    } catch (err) {
+      console.error('Error deleting thread reply:', err)
+      setError('Failed to delete message')
+    }
+  }
+
+  // Reactions work the same on the root and on replies
+  const toggleReaction = async (message, emoji) => {
+    try {
+      const response = await fetch('/api/reactions', {
+        method: hasReacted(message, emoji, username) ? 'DELETE' : 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ messageId: message.id, emoji }),
+      })
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const updated = await response.json()
+      if (message.id === rootId) {
+        applyRoot({ ...root, ...updated })
+      } else {
+        setReplies(prev => applyMessageUpdate(prev, updated))
+      }
+    } catch (err) {
+      console.error('Error updating reaction:', err)
+      setError('Failed to update reaction')
+    }
+  }
+
+  const renderThreadMessage = (message, isRoot = false) => (
+    <div
+      key={message.id}
+      className={`message thread-message ${isRoot ? 'thread-root' : ''} ${message.username === username ? 'own-message' : ''} ${message.deleted_at ? 'deleted' : ''}`}
+    >
+      <div className="message-header">
+        <Avatar username={message.username} size={24} className="message-avatar" />
+        <span className="message-username">{message.username}</span>
+        <span className="message-time">{formatTime(message.created_at)}</span>
+        {message.edited_at && !message.deleted_at && (
+          <span className="edited-marker">(edited)</span>
+        )}
+        {!message.deleted_at && (
+          <ReactionPicker onSelect={(emoji) => toggleReaction(message, emoji)} />
+        )}
+        {!isRoot && message.username === username && !message.deleted_at && (
+          <button
+            className="reply-btn delete-btn"
+            onClick={() => deleteReply(message)}
+            title="Delete message"
+            aria-label="Delete your message"
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+      {message.deleted_at ? (
+        <div className="message-content message-deleted">
+          <em>This message was deleted</em>
+        </div>
+      ) : (
+        <div
+          className="message-content"
+          dangerouslySetInnerHTML={{ __html: renderMessage(message.message) }}
+        />
+      )}
+      {message.image_url && (
+        <MessageImage message={message} author={message.username} />
+      )}
+      <MessageReactions message={message} username={username} onToggle={toggleReaction} />
+    </div>
+  )
+
+  const replyCount = replies.filter(reply => !reply.deleted_at).length
+
+  return (
+    <aside className="thread-panel" aria-label="Thread">
+      <div className="thread-panel-header">
+        <h3>Thread</h3>
+        <button onClick={onClose} className="close-button" aria-label="Close thread">
+          <X size={18} />
+        </button>
+      </div>
+
+      <div className="thread-panel-messages">
+        {loading && !root ? (
+          <div className="loading-section">
+            <div className="loading-spinner">Loading thread...</div>
+          </div>
+        ) : root && (
+          <>
+            {renderThreadMessage(root, true)}
+            <div className="thread-reply-divider">
+              {replyCount === 1 ? '1 reply' : `${replyCount} replies`}
+            </div>
+            {replies.map(reply => renderThreadMessage(reply))}
+          </>
+        )}
+        <div ref={repliesEndRef} />
+      </div>
+
+      {error && <div className="thread-panel-error">{error}</div>}
+
+      <form className="thread-composer" onSubmit={sendReply}>
+        <textarea
+          value={newReply}
+          onChange={(e) => setNewReply(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={root?.deleted_at ? 'The original message was deleted' : 'Reply in thread...'}
+          className="thread-composer-input"
+          aria-label="Reply in thread"
+          maxLength={1000}
+          rows={2}
+          disabled={submitting || !root || Boolean(root.deleted_at)}
+        />
+        <button
+          type="submit"
+          className="thread-composer-send"
+          disabled={submitting || !newReply.trim() || !root || Boolean(root.deleted_at)}
+        >
+          Send
+        </button>
+      </form>
+    </aside>
+  )
+}
+
+export default ThreadPanel
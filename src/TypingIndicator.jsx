@@ -0,0 +1,31 @@
+import React from 'react'
+
+// Discord-style "x is typing..." line below the message input. It keeps its
+// space while nobody is typing so the input doesn't jump.
+const TypingIndicator = ({ usernames }) => (
+  <div
+    className={`typing-indicator-below ${usernames.length > 0 ? 'visible' : 'hidden'}`}
+    aria-live="polite"
+    role="status"
+  >
+    <div className="typing-content">
+      <div className="typing-dots">
+        <span></span>
+        <span></span>
+        <span></span>
+      </div>
+      <span className="typing-text">
+        {usernames.length === 1
+          ? `${usernames[0]} is typing...`
+          : usernames.length === 2
+          ? `${usernames[0]} and ${usernames[1]} are typing...`
+          : usernames.length > 0
+          ? `${usernames[0]} and ${usernames.length - 1} others are typing...`
+          : ''
+        }
+      </span>
+    </div>
+  </div>
+)
+
+export default TypingIndicator
@@ -1,5 +1,5 @@
 import React, { useState, useRef, useEffect, FormEvent, KeyboardEvent, ChangeEvent } from 'react'
-import { Plus, X } from 'lucide-react'
+import { Plus, X, Pencil, Upload } from 'lucide-react'
 
 // Types for better development experience
 interface ReplyingTo {
@@ -9,6 +9,11 @@ interface ReplyingTo {
   message: string
 }
 
+interface EditingMessage {
+  id: number
+  message: string
+}
+
 interface User {
   username: string
   status: string
@@ -29,6 +34,11 @@ interface MessageInputProps {
   // Reply functionality
   replyingTo?: ReplyingTo | null
   onCancelReply?: () => void
+
+  // Editing (optional) - up arrow in an empty input edits your last message
+  editingMessage?: EditingMessage | null
+  onCancelEdit?: () => void
+  onEditLastMessage?: () => void
   
   // Optional features
   showActionsMenu?: boolean
@@ -64,6 +74,11 @@ const MessageInput: React.FC<MessageInputProps> = ({
   // Reply functionality
   replyingTo = null,
   onCancelReply = null,
+
+  // Editing (optional)
+  editingMessage = null,
+  onCancelEdit = null,
+  onEditLastMessage = null,
   
   // Optional features
   showActionsMenu = false,
@@ -135,6 +150,20 @@ const MessageInput: React.FC<MessageInputProps> = ({
       onKeyDown(e)
     }
 
+    // Discord-style: up arrow in an empty input starts editing your last message
+    if (e.key === 'ArrowUp' && !message && !editingMessage && !showMentionsAutocomplete && onEditLastMessage) {
+      e.preventDefault()
+      onEditLastMessage()
+      return
+    }
+
+    // Escape stops editing without saving
+    if (e.key === 'Escape' && editingMessage && onCancelEdit) {
+      e.preventDefault()
+      onCancelEdit()
+      return
+    }
+
     // Default Enter key behavior: Enter without Shift = send message
     if (e.key === 'Enter' && !e.shiftKey && !showMentionsAutocomplete) {
       e.preventDefault()
@@ -159,6 +188,26 @@ const MessageInput: React.FC<MessageInputProps> = ({
 
   return (
     <form onSubmit={handleSubmit} className="w-full">
+      {/* Editing indicator with Tailwind */}
+      {editingMessage && (
+        <div className="flex items-center justify-between bg-gray-100 dark:bg-gray-800 border-l-4 border-lumi-gold px-4 py-2 mb-2 rounded-r-md">
+          <span className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300 truncate">
+            <Pencil size={14} className="text-lumi-warm" />
+            <span className="font-medium text-lumi-warm">Editing message</span> - Escape to cancel, Enter to save
+          </span>
+          {onCancelEdit && (
+            <button 
+              type="button"
+              onClick={onCancelEdit} 
+              className="ml-2 p-1 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 transition-colors"
+              aria-label="Cancel edit"
+            >
+              <X size={16} />
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Reply indicator with Tailwind */}
       {replyingTo && (
         <div className="flex items-center justify-between bg-gray-100 dark:bg-gray-800 border-l-4 border-lumi-gold px-4 py-2 mb-2 rounded-r-md">
@@ -180,7 +229,7 @@ const MessageInput: React.FC<MessageInputProps> = ({
 
       <div className="flex items-end gap-2 p-4 bg-white dark:bg-gray-900 border-t border-gray-200 dark:border-gray-700">
         {/* Actions menu button with Tailwind */}
-        {showActionsMenu !== false && onToggleActionsMenu && (
+        {onToggleActionsMenu && (
           <div className="relative">
             <button
               type="button"
@@ -196,6 +245,21 @@ const MessageInput: React.FC<MessageInputProps> = ({
             >
               <Plus size={20} />
             </button>
+            {showActionsMenu && onFileUploadClick && (
+              <div className="actions-menu">
+                <div className="actions-menu-content">
+                  <button
+                    type="button"
+                    className="action-item"
+                    onClick={onFileUploadClick}
+                    title="Upload a file"
+                  >
+                    <Upload size={18} />
+                    <span>Upload a File</span>
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         )}
 
@@ -0,0 +1,30 @@
+// The service worker (public/sw.js) keeps each chat's latest messages in this
+// cache. The app reads it directly to show history before the network answers,
+// and clears it on sign out.
+const HISTORY_CACHE = 'chat-history-v1'
+
+// The service worker serves cached history with this header when the network failed
+export const isStaleResponse = (response) => response.headers.get('X-Chat-Cache') === 'stale'
+
+// Cached JSON for a history URL, or null when there's none (or no Cache API)
+export const readCachedHistory = async (url) => {
+  if (typeof caches === 'undefined') return null
+
+  try {
+    const response = await caches.match(url, { cacheName: HISTORY_CACHE })
+    return response ? await response.json() : null
+  } catch (err) {
+    console.warn('Failed to read cached history:', err)
+    return null
+  }
+}
+
+export const clearHistoryCache = async () => {
+  if (typeof caches === 'undefined') return
+
+  try {
+    await caches.delete(HISTORY_CACHE)
+  } catch (err) {
+    console.warn('Failed to clear cached history:', err)
+  }
+}
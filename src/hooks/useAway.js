@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react'
+
+// Idle for this long counts as away
+const IDLE_MS = 5 * 60 * 1000
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart']
+
+// Whether the user is away: the page is hidden or they haven't touched it for
+// five minutes. Coming back to the page or any input ends it.
+export const useAway = () => {
+  const [away, setAway] = useState(() => document.hidden)
+
+  useEffect(() => {
+    let idleTimer = null
+
+    const resetIdle = () => {
+      clearTimeout(idleTimer)
+      idleTimer = setTimeout(() => setAway(true), IDLE_MS)
+    }
+    const handleActivity = () => {
+      if (document.hidden) return
+      setAway(false)
+      resetIdle()
+    }
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        clearTimeout(idleTimer)
+        setAway(true)
+      } else {
+        handleActivity()
+      }
+    }
+
+    resetIdle()
+    ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, handleActivity, { passive: true }))
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+
+    return () => {
+      clearTimeout(idleTimer)
+      ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, handleActivity))
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [])
+
+  return away
+}
@@ -0,0 +1,27 @@
+import { useQuery } from '@tanstack/react-query'
+
+// The original single room; the root route shows it
+export const DEFAULT_CHANNEL = 'general'
+
+// Fetch public channels with the signed in user's unread counts
+export const fetchChannels = async () => {
+  const response = await fetch('/.netlify/functions/channels')
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch channels: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+// React Query hook for the channel list; the sync engine keeps unread counts current
+export const useChannels = (username) => {
+  return useQuery({
+    queryKey: ['channels', username],
+    queryFn: fetchChannels,
+    enabled: !!username, // Only run query once signed in
+    staleTime: 30 * 1000, // Consider data stale after 30 seconds
+    retry: 2, // Retry failed requests up to 2 times
+    refetchOnWindowFocus: false, // Don't refetch when window regains focus
+  })
+}
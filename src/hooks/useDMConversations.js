@@ -1,14 +1,29 @@
 import { useQuery } from '@tanstack/react-query'
 
+// Group conversations hold 3 to 10 people, counting you
+export const MIN_GROUP_SIZE = 3
+export const MAX_GROUP_SIZE = 10
+
+// Group name, or everyone else in it when it has none
+export const conversationTitle = (conversation) =>
+  conversation.is_group
+    ? conversation.name || conversation.participants.join(', ')
+    : conversation.other_username
+
+// Where a conversation lives: 1:1 DMs by username, groups by id
+export const conversationPath = (conversation) =>
+  conversation.is_group
+    ? `/dm/group/${conversation.id}`
+    : `/dm/${encodeURIComponent(conversation.other_username)}`
+
 // Fetch DM conversations function
 export const fetchDMConversations = async (username) => {
   if (!username) {
     throw new Error("Username is required");
   }
 
-  const response = await fetch(
-    `/.netlify/functions/direct-messages?username=${encodeURIComponent(username)}`
-  );
+  // The session cookie identifies whose conversations to load
+  const response = await fetch("/.netlify/functions/direct-messages");
 
   if (!response.ok) {
     throw new Error(`Failed to fetch conversations: ${response.status}`);
@@ -18,15 +33,13 @@ export const fetchDMConversations = async (username) => {
   return conversations;
 };
 
-// React Query hook for DM conversations
+// React Query hook for DM conversations; the sync engine keeps unread counts current
 export const useDMConversations = (username) => {
   return useQuery({
     queryKey: ['dm-conversations', username],
     queryFn: () => fetchDMConversations(username),
     enabled: !!username, // Only run query if username exists
     staleTime: 30 * 1000, // Consider data stale after 30 seconds
-    refetchInterval: 5 * 1000, // Refetch every 5 seconds for real-time updates
-    refetchIntervalInBackground: false, // Don't refetch when tab is not active
     retry: 2, // Retry failed requests up to 2 times
     refetchOnWindowFocus: false, // Don't refetch when window regains focus
   });
@@ -0,0 +1,95 @@
+import { useState, useRef, useLayoutEffect } from 'react'
+
+// Page size used by the message endpoints; a full first page means there may be more
+export const HISTORY_PAGE_SIZE = 50
+
+// Start loading older messages when scrolled up this close to the top
+const LOAD_THRESHOLD_PX = 200
+
+// Infinite scroll-up for a message list.
+// fetchHistory({ beforeId }) or fetchHistory({ beforeId, aroundId }) resolves to
+// { messages, hasMore } from the endpoint. Older messages are prepended while the
+// messages on screen stay where they are.
+export const useHistoryPagination = ({ listRef, messages, setMessages, fetchHistory }) => {
+  const [hasMore, setHasMore] = useState(false)
+  const [loadingOlder, setLoadingOlder] = useState(false)
+  const loadingRef = useRef(false)
+  const anchorRef = useRef(null) // distance from the bottom to restore after prepending
+  const renderedRef = useRef(null) // resolves once prepended messages are in the DOM
+  const lastScrollTopRef = useRef(0)
+
+  useLayoutEffect(() => {
+    const list = listRef.current
+    if (list && anchorRef.current !== null) {
+      list.scrollTo({ top: list.scrollHeight - anchorRef.current, behavior: 'instant' })
+    }
+    anchorRef.current = null
+
+    if (renderedRef.current) {
+      renderedRef.current()
+      renderedRef.current = null
+    }
+  }, [messages])
+
+  // Prepend older history. Resolves after it has rendered; errors are thrown to the caller
+  const loadHistory = async (params = {}) => {
+    if (loadingRef.current || messages.length === 0) return
+
+    loadingRef.current = true
+    setLoadingOlder(true)
+    try {
+      const page = await fetchHistory({ beforeId: messages[0].id, ...params })
+      setHasMore(page.hasMore)
+
+      const loadedIds = new Set(messages.map(msg => msg.id))
+      if (!page.messages.some(msg => !loadedIds.has(msg.id))) return
+
+      const rendered = new Promise(resolve => { renderedRef.current = resolve })
+      const list = listRef.current
+      if (list) {
+        anchorRef.current = list.scrollHeight - list.scrollTop
+      }
+      setMessages(prev => {
+        const existingIds = new Set(prev.map(msg => msg.id))
+        return [...page.messages.filter(msg => !existingIds.has(msg.id)), ...prev]
+      })
+      await rendered
+    } finally {
+      loadingRef.current = false
+      setLoadingOlder(false)
+    }
+  }
+
+  const loadOlder = async () => {
+    try {
+      await loadHistory()
+    } catch (err) {
+      console.error('Error loading older messages:', err)
+    }
+  }
+
+  // Load everything between an older message and the history we have, e.g. to
+  // jump to the original of a reply
+  const loadAround = (messageId) => loadHistory({ aroundId: messageId })
+
+  // Only scrolling up near the top loads more, so the initial scroll to the
+  // newest message doesn't pull in history
+  const handleScroll = (event) => {
+    const { scrollTop } = event.currentTarget
+    const scrollingUp = scrollTop < lastScrollTopRef.current
+    lastScrollTopRef.current = scrollTop
+
+    if (scrollingUp && hasMore && scrollTop < LOAD_THRESHOLD_PX) {
+      loadOlder()
+    }
+  }
+
+  // Call with the first page after (re)loading a conversation
+  const resetHistory = (firstPage) => {
+    setHasMore(firstPage.length >= HISTORY_PAGE_SIZE)
+    anchorRef.current = null
+    lastScrollTopRef.current = 0
+  }
+
+  return { hasMore, loadingOlder, loadOlder, loadAround, handleScroll, resetHistory }
+}
@@ -0,0 +1,43 @@
+import { useQuery } from '@tanstack/react-query'
+
+// The mentions inbox, newest first: { mentions, unreadCount }
+export const fetchMentions = async ({ unreadOnly }) => {
+  const params = new URLSearchParams({ unread: String(unreadOnly) })
+  const response = await fetch(`/.netlify/functions/mentions?${params}`)
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch mentions: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+// Mark some mentions read, or all of them without ids; resolves to { unreadCount }
+export const markMentionsRead = async (ids) => {
+  const response = await fetch('/.netlify/functions/mentions/read', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(ids ? { ids } : {}),
+  })
+  const data = await response.json()
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to mark mentions read')
+  }
+
+  return data
+}
+
+// React Query hook for the inbox while it's open; pass null to leave it idle
+export const useMentions = (username, { unreadOnly }) => {
+  return useQuery({
+    queryKey: ['mentions', username, unreadOnly ? 'unread' : 'all'],
+    queryFn: () => fetchMentions({ unreadOnly }),
+    enabled: !!username,
+    staleTime: 0, // The unread count from sync says when it changed; always refetch on open
+    retry: 2,
+    refetchOnWindowFocus: false,
+  })
+}
@@ -0,0 +1,50 @@
+import { useQuery } from '@tanstack/react-query'
+
+// Push settings: { mentions, directMessages, mutedUntil, mutedChannels, mutedConversations }
+export const fetchNotificationSettings = async () => {
+  const response = await fetch('/.netlify/functions/notification-settings')
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch notification settings: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+const sendSettingsRequest = async (path, method, payload) => {
+  const response = await fetch(`/.netlify/functions/notification-settings${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  })
+  const data = await response.json()
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update notification settings')
+  }
+
+  return data
+}
+
+// Change { mentions, directMessages, snoozeMinutes }; resolves to the new settings
+export const updateNotificationSettings = (changes) => sendSettingsRequest('', 'PUT', changes)
+
+// Mute or unmute a channel ({ channel }) or DM conversation ({ conversationId })
+export const setChatMuted = (target, muted) =>
+  sendSettingsRequest('/mutes', muted ? 'POST' : 'DELETE', target)
+
+export const notificationSettingsKey = (username) => ['notification-settings', username]
+
+// React Query hook for the signed in user's push settings
+export const useNotificationSettings = (username) => {
+  return useQuery({
+    queryKey: notificationSettingsKey(username),
+    queryFn: fetchNotificationSettings,
+    enabled: !!username,
+    staleTime: 5 * 60 * 1000, // Only this user changes them, and writes update the cache
+    retry: 2,
+    refetchOnWindowFocus: false,
+  })
+}
@@ -0,0 +1,47 @@
+import { useQuery } from '@tanstack/react-query'
+
+// Pinned messages for a channel ({ channel }) or DM conversation ({ conversationId })
+export const fetchPins = async ({ channel, conversationId }) => {
+  const params = conversationId
+    ? new URLSearchParams({ conversationId })
+    : new URLSearchParams({ channel })
+  const response = await fetch(`/.netlify/functions/pins?${params}`)
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch pins: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+// Pin or unpin a message; resolves to the server's reply and throws with its error text
+export const setPinned = async (message, pinned, { direct = false } = {}) => {
+  const response = await fetch('/.netlify/functions/pins', {
+    method: pinned ? 'POST' : 'DELETE',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ [direct ? 'directMessageId' : 'messageId']: message.id }),
+  })
+  const data = await response.json()
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update pin')
+  }
+
+  return data
+}
+
+// React Query hook for the open chat's pins; pass null while nothing is open
+export const usePins = (target) => {
+  return useQuery({
+    queryKey: ['pins', target?.conversationId ? `dm:${target.conversationId}` : `#${target?.channel}`],
+    queryFn: () => fetchPins(target),
+    enabled: !!target,
+    staleTime: 30 * 1000,
+    refetchInterval: 30 * 1000, // Pin notices refresh it sooner; this catches unpins
+    refetchIntervalInBackground: false,
+    retry: 2,
+    refetchOnWindowFocus: false,
+  })
+}
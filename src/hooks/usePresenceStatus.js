@@ -0,0 +1,45 @@
+import { useQuery } from '@tanstack/react-query'
+
+// The user's own status: { status, statusText, statusEmoji, statusExpiresAt }
+export const fetchOwnStatus = async () => {
+  const response = await fetch('/.netlify/functions/presence/status')
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch status: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+// Change { status, statusText, statusEmoji, clearAfterMinutes }; empty text and
+// emoji clear the custom status. Resolves to the new status.
+export const updateOwnStatus = async (changes) => {
+  const response = await fetch('/.netlify/functions/presence/status', {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(changes),
+  })
+  const data = await response.json()
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update status')
+  }
+
+  return data
+}
+
+export const ownStatusKey = (username) => ['own-status', username]
+
+// React Query hook for the signed in user's status
+export const useOwnStatus = (username) => {
+  return useQuery({
+    queryKey: ownStatusKey(username),
+    queryFn: fetchOwnStatus,
+    enabled: !!username,
+    staleTime: 5 * 60 * 1000, // Only this user changes it, and writes update the cache
+    retry: 2,
+    refetchOnWindowFocus: false,
+  })
+}
@@ -0,0 +1,44 @@
+import { useQuery } from '@tanstack/react-query'
+
+// Privacy settings: { readReceipts }
+export const fetchPrivacySettings = async () => {
+  const response = await fetch('/.netlify/functions/privacy-settings')
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch privacy settings: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+// Change { readReceipts }; resolves to the new settings
+export const updatePrivacySettings = async (changes) => {
+  const response = await fetch('/.netlify/functions/privacy-settings', {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(changes),
+  })
+  const data = await response.json()
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to update privacy settings')
+  }
+
+  return data
+}
+
+export const privacySettingsKey = (username) => ['privacy-settings', username]
+
+// React Query hook for the signed in user's privacy settings
+export const usePrivacySettings = (username) => {
+  return useQuery({
+    queryKey: privacySettingsKey(username),
+    queryFn: fetchPrivacySettings,
+    enabled: !!username,
+    staleTime: 5 * 60 * 1000, // Only this user changes them, and writes update the cache
+    retry: 2,
+    refetchOnWindowFocus: false,
+  })
+}
@@ -0,0 +1,108 @@
+import { useEffect, useRef } from 'react'
+
+// Report what's been read after scrolling settles for this long
+const REPORT_DELAY_MS = 1000
+
+// Read cursor routes for a channel ({ channel }) or DM conversation ({ conversationId })
+const readStateUrl = ({ channel, conversationId }) =>
+  conversationId
+    ? `/.netlify/functions/dm-read-status?${new URLSearchParams({ conversationId })}`
+    : `/.netlify/functions/channels/${encodeURIComponent(channel)}/read`
+
+// Where the user had read a chat up to: { lastReadMessageId, unreadCount }
+export const fetchReadState = async (target) => {
+  const response = await fetch(readStateUrl(target))
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch read state: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+// Move the user's read cursor forward to a message; the server never moves it back
+export const reportRead = async (target, messageId) => {
+  const response = await fetch(
+    target.conversationId ? '/.netlify/functions/dm-read-status' : readStateUrl(target),
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(
+        target.conversationId
+          ? { conversationId: target.conversationId, lastReadMessageId: messageId }
+          : { messageId }
+      ),
+    }
+  )
+
+  if (!response.ok) {
+    throw new Error(`Failed to mark read: ${response.status}`)
+  }
+}
+
+/**
+ * Watch a scrolling message list and call onRead(id) with the newest message
+ * that has been at least half on screen while the page was visible. Rows are
+ * found by their data-message-id; pending sends don't have a numeric one and
+ * are skipped. Pass a null chatKey while no chat is loaded; a new key starts over.
+ */
+export const useReadCursor = ({ listRef, chatKey, messages, onRead }) => {
+  const onReadRef = useRef(onRead)
+  onReadRef.current = onRead
+  const visibleRef = useRef(new Set())
+  const reportedRef = useRef(0)
+
+  useEffect(() => {
+    reportedRef.current = 0
+  }, [chatKey])
+
+  useEffect(() => {
+    const list = listRef.current
+    if (!list || !chatKey || typeof IntersectionObserver === 'undefined') return
+
+    let timer = null
+    const report = () => {
+      timer = null
+      if (document.hidden) return
+
+      const newest = Math.max(0, ...visibleRef.current)
+      if (newest > reportedRef.current) {
+        reportedRef.current = newest
+        onReadRef.current(newest)
+      }
+    }
+    const scheduleReport = () => {
+      if (timer === null) {
+        timer = setTimeout(report, REPORT_DELAY_MS)
+      }
+    }
+
+    // Observing again reports every row's current state, so start from scratch
+    visibleRef.current = new Set()
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const id = Number(entry.target.dataset.messageId)
+        if (!Number.isInteger(id)) return
+
+        if (entry.isIntersecting) {
+          visibleRef.current.add(id)
+        } else {
+          visibleRef.current.delete(id)
+        }
+      })
+      scheduleReport()
+    }, { root: list, threshold: 0.5 })
+
+    list.querySelectorAll('[data-message-id]').forEach(row => observer.observe(row))
+    // Messages that arrived while the tab was hidden count once it's shown
+    document.addEventListener('visibilitychange', scheduleReport)
+
+    return () => {
+      observer.disconnect()
+      clearTimeout(timer)
+      document.removeEventListener('visibilitychange', scheduleReport)
+    }
+  }, [listRef, chatKey, messages])
+}
@@ -0,0 +1,58 @@
+import { createContext, useCallback, useContext, useEffect, useRef } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { EMPTY_PRESENCE, syncKeys } from '../syncEngine'
+
+// The app's sync engine (see syncEngine.js), provided next to the QueryClient
+export const SyncContext = createContext(null)
+
+export const useSyncEngine = () => useContext(SyncContext)
+
+const NO_MESSAGES = []
+
+// Data only the sync engine writes, so these queries never fetch on their own
+const useSyncedData = (queryKey, fallback) => {
+  const { data } = useQuery({
+    queryKey,
+    queryFn: () => fallback,
+    enabled: false,
+    staleTime: Infinity,
+  })
+  return data ?? fallback
+}
+
+// A chat's messages and a setter that works like useState's, for local
+// changes (edits, deletions, reactions, older history) that don't move the sync cursors
+export const useChatMessages = (chatKey) => {
+  const queryClient = useQueryClient()
+  const messages = useSyncedData(syncKeys.messages(chatKey), NO_MESSAGES)
+
+  const setMessages = useCallback((update) => {
+    queryClient.setQueryData(syncKeys.messages(chatKey), (prev = NO_MESSAGES) =>
+      typeof update === 'function' ? update(prev) : update
+    )
+  }, [queryClient, chatKey])
+
+  return [messages, setMessages]
+}
+
+// Online users with who's typing in the open chat: { users, typing }
+export const usePresence = () => useSyncedData(syncKeys.presence, EMPTY_PRESENCE)
+
+// How many of the user's mentions are unread, for the sidebar's inbox badge
+export const useMentionCount = () => useSyncedData(syncKeys.mentionCount, 0)
+
+// The open thread as { root, replies }, or null until it has loaded
+export const useThread = (rootId) => useSyncedData(syncKeys.thread(rootId), null)
+
+// Listen to a sync engine event; the latest handler is always called, so it
+// can read current props and state
+export const useSyncEvent = (event, handler) => {
+  const sync = useSyncEngine()
+  const handlerRef = useRef(handler)
+  handlerRef.current = handler
+
+  useEffect(() => {
+    if (!sync) return
+    return sync.on(event, (payload) => handlerRef.current(payload))
+  }, [sync, event])
+}
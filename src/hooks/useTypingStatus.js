@@ -0,0 +1,60 @@
+import { useCallback, useEffect, useRef } from 'react'
+
+// Typing stops this long after the last keystroke
+const IDLE_MS = 3000
+// The server forgets typing after 8 seconds, so keep reporting it while it lasts
+const REFRESH_MS = 5000
+
+const postTyping = async (target, isTyping) => {
+  try {
+    await fetch('/api/presence', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ isTyping, ...(isTyping ? target : {}) }),
+    })
+  } catch (err) {
+    console.error('Error updating typing status:', err)
+  }
+}
+
+/**
+ * Tell the other people in a chat ({ channel } or { conversationId }, or null
+ * while none is open) when the user is typing there. Call typing() on every
+ * keystroke and stopTyping() once the message is sent or the input cleared.
+ * Switching chats or unmounting stops it.
+ */
+export const useTypingStatus = (target) => {
+  const targetKey = target ? JSON.stringify(target) : null
+  const stateRef = useRef({ target: null, lastSent: 0, idleTimer: null })
+
+  const stopTyping = useCallback(() => {
+    const state = stateRef.current
+    clearTimeout(state.idleTimer)
+    state.idleTimer = null
+    if (state.target) {
+      state.target = null
+      state.lastSent = 0
+      postTyping(null, false)
+    }
+  }, [])
+
+  const typing = useCallback(() => {
+    if (!targetKey) return
+    const state = stateRef.current
+
+    if (!state.target || Date.now() - state.lastSent > REFRESH_MS) {
+      state.target = JSON.parse(targetKey)
+      state.lastSent = Date.now()
+      postTyping(state.target, true)
+    }
+
+    clearTimeout(state.idleTimer)
+    state.idleTimer = setTimeout(stopTyping, IDLE_MS)
+  }, [targetKey, stopTyping])
+
+  useEffect(() => stopTyping, [targetKey, stopTyping])
+
+  return { typing, stopTyping }
+}
@@ -8,3 +8,12 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <AppWithQueryClient />
   </React.StrictMode>,
 )
+
+// Offline support (public/sw.js). Dev builds skip it so Vite's hot reload isn't cached.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.warn('Service worker registration failed:', err)
+    })
+  })
+}
@@ -0,0 +1,67 @@
+// Live updates for the open chat over Server-Sent Events (/api/messages-stream).
+// The server closes each connection after about 55 seconds (or as soon as the
+// user loses access to the chat) and EventSource reconnects with Last-Event-ID, so nothing is missed between connections.
+
+// Give up on streaming after this many failed connections in a row
+const MAX_CONSECUTIVE_ERRORS = 3
+
+const STREAM_EVENTS = ['messages', 'presence', 'threads']
+
+// Open the stream for { channel } or { conversationId }, resuming from
+// sinceId/editedSince. `handlers` maps event names to callbacks receiving the
+// parsed data, plus an optional `open`. `onFallback` runs once if streaming
+// isn't available (no EventSource, an error response, repeated failures) so
+// the caller can go back to polling. Returns a function that closes the stream.
+export const openMessageStream = (params, handlers, onFallback) => {
+  if (typeof EventSource === 'undefined') {
+    onFallback()
+    return () => {}
+  }
+
+  const search = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      search.append(key, value.toString())
+    }
+  })
+
+  const source = new EventSource(`/.netlify/functions/messages-stream?${search}`)
+  let consecutiveErrors = 0
+  let closed = false
+
+  const close = () => {
+    closed = true
+    source.close()
+  }
+
+  source.onopen = () => {
+    consecutiveErrors = 0
+    handlers.open?.()
+  }
+
+  source.onerror = () => {
+    if (closed) return
+
+    // A normal end of connection reconnects on its own; an error response
+    // (401, 404, no streaming support) leaves the source closed for good
+    consecutiveErrors++
+    if (source.readyState === EventSource.CLOSED || consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+      close()
+      onFallback()
+    }
+  }
+
+  STREAM_EVENTS.forEach(name => {
+    source.addEventListener(name, (event) => {
+      if (closed || !handlers[name]) return
+
+      try {
+        handlers[name](JSON.parse(event.data))
+      } catch (err) {
+        console.error(`Error handling ${name} stream event:`, err)
+      }
+    })
+  })
+
+  return close
+}
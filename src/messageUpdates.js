@@ -0,0 +1,84 @@
+// Helpers for applying polled message rows (new messages, edits, deletions,
+// reaction and thread changes) to local state
+
+const isSameVersion = (a, b) =>
+  a.message === b.message &&
+  a.edited_at === b.edited_at &&
+  a.deleted_at === b.deleted_at &&
+  a.reactions_updated_at === b.reactions_updated_at &&
+  a.thread_updated_at === b.thread_updated_at
+
+// Our own sends the server hasn't confirmed yet: optimistic rows with a
+// `send_status` of 'pending' or 'failed' and a temporary id
+export const isPendingMessage = (message) => Boolean(message.send_status)
+
+// Merge polled rows into the current list. Rows we already have replace their
+// old version (edits, tombstones, reactions and thread summaries); unknown rows newer than lastId are
+// appended as new. Replies to a deleted message lose their stale preview.
+// Pending sends stay at the bottom until their server row (same client_id) arrives.
+export const mergeMessageUpdates = (current, incoming, lastId) => {
+  const confirmedClientIds = new Set(incoming.map(msg => msg.client_id).filter(Boolean))
+  const pending = current.filter(isPendingMessage)
+  const stillPending = pending.filter(msg => !confirmedClientIds.has(msg.client_id))
+  const messages = pending.length > 0 ? current.filter(msg => !isPendingMessage(msg)) : current
+
+  const existingIds = new Set(messages.map(msg => msg.id))
+  const updatesById = new Map(
+    incoming.filter(msg => existingIds.has(msg.id)).map(msg => [msg.id, msg])
+  )
+  const deletedIds = new Set(
+    incoming.filter(msg => msg.deleted_at).map(msg => msg.id)
+  )
+
+  let changed = false
+  const merged = messages.map(msg => {
+    let next = msg
+    const update = updatesById.get(msg.id)
+    if (update && !isSameVersion(update, msg)) {
+      next = { ...next, ...update }
+    }
+    if (deletedIds.has(msg.reply_to_id) && !msg.reply_to_deleted) {
+      next = { ...next, reply_to_deleted: true, reply_preview: null }
+    }
+    if (next !== msg) changed = true
+    return next
+  })
+
+  const newMessages = incoming.filter(msg =>
+    !existingIds.has(msg.id) && (lastId == null || msg.id > lastId)
+  )
+
+  if (!changed && newMessages.length === 0 && stillPending.length === pending.length) {
+    return { messages: current, newMessages }
+  }
+
+  return { messages: [...merged, ...newMessages, ...stillPending], newMessages }
+}
+
+// Apply the server's copy of a message after we edit, delete or react to it
+export const applyMessageUpdate = (messages, updated) =>
+  mergeMessageUpdates(messages, [updated], null).messages
+
+// Latest server timestamp seen in any row, sent back as `editedSince` so the
+// server only returns edits, deletions, reaction and thread changes we haven't applied yet
+export const advanceEditCursor = (cursor, rows) => {
+  let latest = cursor ? new Date(cursor).getTime() : 0
+  rows.forEach(row => {
+    [row.created_at, row.edited_at, row.deleted_at, row.reactions_updated_at, row.thread_updated_at].forEach(value => {
+      const time = value ? new Date(value).getTime() : 0
+      if (time > latest) latest = time
+    })
+  })
+  return latest ? new Date(latest).toISOString() : cursor
+}
+
+// The last message the current user can edit (used by the up-arrow shortcut).
+// System notices like pins carry the user's name but can't be edited.
+export const findLastOwnMessage = (messages, username, getUsername = msg => msg.username) => {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (getUsername(messages[i]) === username && !messages[i].deleted_at && !messages[i].system_event && !isPendingMessage(messages[i])) {
+      return messages[i]
+    }
+  }
+  return null
+}
@@ -0,0 +1,75 @@
+// Sends the server hasn't confirmed yet, kept in IndexedDB so a reload or a
+// spell offline doesn't lose them. The sync engine owns delivery; this module
+// only stores entries of the shape
+// { clientId, username, key, endpoint, payload, row, status }.
+// Without IndexedDB (private browsing in some browsers) sends still work, they
+// just don't survive a reload.
+
+const DB_NAME = 'chat-outbox'
+const DB_VERSION = 1
+const STORE = 'sends'
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'clientId' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+// Run one request against the store, resolving with its result once the transaction commits
+const withStore = async (mode, run) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode)
+    const request = run(transaction.objectStore(STORE))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+  })
+}
+
+// A fresh id for a send, reused by every retry of it
+export const createClientId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+
+// Everything still waiting to be sent by this user
+export const loadOutbox = async (username) => {
+  try {
+    const entries = await withStore('readonly', store => store.getAll())
+    return entries.filter(entry => entry.username === username)
+  } catch (err) {
+    console.error('Error loading outbox:', err)
+    return []
+  }
+}
+
+export const saveOutboxEntry = async (entry) => {
+  try {
+    await withStore('readwrite', store => store.put(entry))
+  } catch (err) {
+    console.error('Error saving outbox entry:', err)
+  }
+}
+
+export const deleteOutboxEntry = async (clientId) => {
+  try {
+    await withStore('readwrite', store => store.delete(clientId))
+  } catch (err) {
+    console.error('Error deleting outbox entry:', err)
+  }
+}
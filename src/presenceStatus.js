@@ -0,0 +1,23 @@
+// How each presence status looks. People pick online, dnd or invisible; away
+// comes from idle time, and recently_active / offline from when they were last seen.
+const STATUS_DISPLAY = {
+  online: { icon: '🟢', label: 'Online' },
+  away: { icon: '🌙', label: 'Away' },
+  dnd: { icon: '⛔', label: 'Do not disturb' },
+  invisible: { icon: '⚪', label: 'Invisible' },
+  recently_active: { icon: '🟡', label: 'Recently active' },
+  offline: { icon: '⚫', label: 'Offline' }
+}
+
+// The statuses in the status menu, with what each one does
+export const STATUS_CHOICES = [
+  { status: 'online', hint: 'Away is set for you when you go idle' },
+  { status: 'dnd', hint: 'No sounds or notifications' },
+  { status: 'invisible', hint: 'Appear offline to everyone else' }
+]
+
+export const statusDisplay = (status) => STATUS_DISPLAY[status] || STATUS_DISPLAY.offline
+
+// "🍕 Out for lunch", or '' without a custom status
+export const customStatus = ({ status_emoji: emoji, status_text: text }) =>
+  [emoji, text].filter(Boolean).join(' ')
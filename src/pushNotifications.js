@@ -0,0 +1,100 @@
+// Web Push for this browser: subscribes through the service worker
+// (public/sw.js) with the server's VAPID key and registers the subscription
+// with /api/push-subscriptions, which notifies about mentions and DMs.
+
+const SUBSCRIPTIONS_URL = '/.netlify/functions/push-subscriptions'
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window
+
+// VAPID keys travel as base64url; PushManager wants the raw bytes
+const base64UrlToBytes = (value) => {
+  const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/')
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+}
+
+// The service worker is only registered in production builds (src/main.jsx)
+const getRegistration = async () => {
+  if (!isPushSupported()) return null
+  return (await navigator.serviceWorker.getRegistration()) || null
+}
+
+// This browser's current subscription, or null
+export const getPushSubscription = async () => {
+  const registration = await getRegistration()
+  return registration ? registration.pushManager.getSubscription() : null
+}
+
+// Register a subscription with the server: PushSubscription.toJSON(), keys flattened
+const registerSubscription = (subscription) => {
+  const { endpoint, keys } = subscription.toJSON()
+  return fetch(SUBSCRIPTIONS_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ endpoint, p256dh: keys.p256dh, auth: keys.auth }),
+  })
+}
+
+// Ask for permission, subscribe and register the subscription. Resolves to
+// false when the user declined; throws when push can't be set up.
+export const enablePush = async () => {
+  const registration = await getRegistration()
+  if (!registration) {
+    throw new Error('Push notifications are not available in this browser')
+  }
+
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') return false
+
+  const keyResponse = await fetch(SUBSCRIPTIONS_URL)
+  if (!keyResponse.ok) {
+    throw new Error(`Failed to fetch push key: ${keyResponse.status}`)
+  }
+  const { publicKey } = await keyResponse.json()
+  if (!publicKey) {
+    throw new Error('Push notifications are not set up on this server')
+  }
+
+  const subscribe = () => registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: base64UrlToBytes(publicKey),
+  })
+
+  const subscription = await registration.pushManager.getSubscription() || await subscribe()
+  let response = await registerSubscription(subscription)
+
+  // Someone else who used this browser never signed out, so the server keeps
+  // the endpoint theirs; a fresh subscription gets a new endpoint
+  if (response.status === 409) {
+    await subscription.unsubscribe()
+    response = await registerSubscription(await subscribe())
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.error || 'Failed to enable push notifications')
+  }
+
+  return true
+}
+
+// Stop pushes to this browser; also used on sign out so the next person
+// signing in here doesn't get the previous one's notifications
+export const disablePush = async () => {
+  const subscription = await getPushSubscription()
+  if (!subscription) return
+
+  try {
+    await fetch(SUBSCRIPTIONS_URL, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ endpoint: subscription.endpoint }),
+    })
+  } finally {
+    await subscription.unsubscribe()
+  }
+}
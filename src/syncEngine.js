@@ -0,0 +1,603 @@
+// One client-side sync loop for the whole app. Each tick is a single
+// POST /api/sync carrying the cursors for the open chat and thread, which also
+// counts as the presence heartbeat. Results go into React Query caches that
+// components read (see hooks/useSync.js); side effects like sounds are left
+// to listeners. While the message stream is connected the open chat's updates
+// arrive over it instead, and ticks only carry everything else. Our own sends
+// go through the engine too, so they show up at once and wait in the outbox
+// while offline.
+import { mergeMessageUpdates, applyMessageUpdate, advanceEditCursor } from './messageUpdates'
+import { openMessageStream } from './messageStream'
+import { createClientId, loadOutbox, saveOutboxEntry, deleteOutboxEntry } from './outbox'
+
+// How often to sync while the tab is visible and requests succeed
+const TICK_MS = 2000
+
+// While the stream carries the open chat, its presence and unread threads,
+// ticks are only the heartbeat, mention count and lists
+const STREAMING_TICK_MS = 6000
+
+// Hidden tabs sync rarely, but often enough to stay in the 30 second presence window
+const HIDDEN_TICK_MS = 15000
+
+// Failed ticks back off exponentially up to this
+const MAX_BACKOFF_MS = 30000
+
+// The sidebar's channel and conversation lists ride along every few ticks
+const LISTS_EVERY_TICKS = 3
+
+// React Query keys the engine writes. The channel and conversation lists share
+// their keys with useChannels and useDMConversations.
+export const syncKeys = {
+  messages: (chatKey) => ['messages', chatKey],
+  thread: (rootId) => ['thread', rootId],
+  presence: ['presence'],
+  unreadThreads: ['unread-threads'],
+  mentionCount: ['mention-count'],
+  channels: (username) => ['channels', username],
+  conversations: (username) => ['dm-conversations', username],
+}
+
+export const EMPTY_PRESENCE = { users: [], typing: [] }
+
+// Replace a message we already have without appending unknown ones
+const updateExisting = (messages, updated) =>
+  messages.some(message => message.id === updated.id)
+    ? applyMessageUpdate(messages, updated)
+    : messages
+
+/**
+ * Create the sync engine for a QueryClient. Call start(username) once signed
+ * in, openChat() when a chat has loaded and openThread() when a thread has.
+ * send() posts a message optimistically; its row carries a `send_status` of
+ * pending, queued (offline) or failed until the server's copy replaces it.
+ * setAway() marks the user idle in their heartbeat. Listeners (`on`) get:
+ *
+ *   messages      { key, messages } other people's new messages in the open chat
+ *   threadReplies { rootId, replies } new replies in the open thread
+ *   threads       the user's unread threads, every tick
+ *   synced        { key } the open chat is up to date with the server
+ *   unauthorized  the session has expired
+ *   unavailable   { key, status } the open chat can't be read any more (404/403)
+ */
+export const createSyncEngine = (queryClient) => {
+  const listeners = new Map()
+
+  let username = null
+  let running = false
+  let timer = null
+  let inFlight = false
+  let resyncQueued = false
+  let failures = 0
+  let ticks = 0
+  // Whether the user is idle, sent with every heartbeat
+  let away = false
+
+  // { key, channel, conversationId, lastId, editCursor, streaming, closeStream }
+  let chat = null
+  // { rootId, lastId, editCursor }
+  let thread = null
+
+  // Sends the server hasn't confirmed, by client id, mirrored in IndexedDB (see outbox.js)
+  const outbox = new Map()
+  // Sends with a request in flight, so a reconnect doesn't post them twice at once
+  const delivering = new Set()
+
+  const emit = (event, payload) => {
+    listeners.get(event)?.forEach(listener => listener(payload))
+  }
+
+  const on = (event, listener) => {
+    if (!listeners.has(event)) listeners.set(event, new Set())
+    listeners.get(event).add(listener)
+    return () => listeners.get(event).delete(listener)
+  }
+
+  // Merge rows into a chat's cached messages, de-duplicating by id. Returns
+  // the ones that were new and moves the chat's lastId past them. Rows from
+  // polling only count as new past lastId; our own sends always do.
+  const mergeChatRows = (key, rows, { polled = false } = {}) => {
+    const target = chat?.key === key ? chat : null
+    let added = []
+
+    queryClient.setQueryData(syncKeys.messages(key), (prev = []) => {
+      const { messages, newMessages } = mergeMessageUpdates(prev, rows, polled && target ? target.lastId : null)
+      added = newMessages
+      return messages
+    })
+
+    // A send whose response got lost still shows up here, which confirms it
+    rows.forEach(row => {
+      if (row.client_id && outbox.has(row.client_id)) {
+        forgetSend(row.client_id)
+      }
+    })
+
+    if (added.length > 0) {
+      if (target) {
+        target.lastId = Math.max(target.lastId || 0, added[added.length - 1].id)
+      }
+      // Someone pinned a message, so the pinned panel is out of date
+      if (added.some(message => message.system_event === 'pin')) {
+        queryClient.invalidateQueries({ queryKey: ['pins'] })
+      }
+    }
+    return added
+  }
+
+  // Rows from polling or the stream for the chat they were requested for
+  const receiveChatRows = (target, rows) => {
+    if (target !== chat || rows.length === 0) return
+
+    target.editCursor = advanceEditCursor(target.editCursor, rows)
+    const added = mergeChatRows(target.key, rows, { polled: true })
+    if (added.length > 0) {
+      emit('messages', { key: target.key, messages: added })
+    }
+  }
+
+  // Typing is only reported for the open chat. Ticks that didn't ask about it,
+  // e.g. while the stream covers the chat, leave the last list alone.
+  const receivePresence = (users, typing) => {
+    queryClient.setQueryData(syncKeys.presence, (current = EMPTY_PRESENCE) => ({
+      users,
+      typing: typing ?? current.typing
+    }))
+  }
+
+  const clearTyping = () => {
+    queryClient.setQueryData(syncKeys.presence, (current = EMPTY_PRESENCE) => ({ ...current, typing: [] }))
+  }
+
+  const receiveThreads = (threads) => {
+    queryClient.setQueryData(syncKeys.unreadThreads, threads)
+    emit('threads', threads)
+  }
+
+  // A thread root changes when replies come in, so the timeline's summary follows it
+  const applyThreadRoot = (root) => {
+    if (chat) {
+      queryClient.setQueryData(syncKeys.messages(chat.key), (prev) =>
+        prev ? updateExisting(prev, root) : prev
+      )
+    }
+  }
+
+  const receiveThread = (target, { root, replies }) => {
+    if (target !== thread) return
+
+    let added = []
+    queryClient.setQueryData(syncKeys.thread(target.rootId), (prev) => {
+      if (!prev) return prev
+      const { messages, newMessages } = mergeMessageUpdates(prev.replies, replies, target.lastId)
+      added = newMessages
+      return { root, replies: messages }
+    })
+    applyThreadRoot(root)
+
+    if (replies.length > 0) {
+      target.editCursor = advanceEditCursor(target.editCursor, replies)
+    }
+    if (added.length > 0) {
+      target.lastId = Math.max(target.lastId || 0, added[added.length - 1].id)
+      emit('threadReplies', { rootId: target.rootId, replies: added })
+    }
+  }
+
+  const buildRequest = () => {
+    const body = { lists: ticks % LISTS_EVERY_TICKS === 0, away }
+
+    // The stream covers the open chat while it's connected
+    if (chat && chat.lastId !== null && !chat.streaming) {
+      if (chat.conversationId) {
+        body.conversationId = chat.conversationId
+      } else {
+        body.channel = chat.channel
+      }
+      body.sinceId = chat.lastId
+      if (chat.editCursor) {
+        body.editedSince = chat.editCursor
+      }
+    }
+
+    if (thread && thread.lastId !== null) {
+      body.threadRootId = thread.rootId
+      body.threadSinceId = thread.lastId
+      if (thread.editCursor) {
+        body.threadEditedSince = thread.editCursor
+      }
+    }
+
+    return body
+  }
+
+  const nextDelay = () => {
+    if (failures > 0) {
+      return Math.min(TICK_MS * 2 ** failures, MAX_BACKOFF_MS)
+    }
+    if (document.hidden) {
+      return HIDDEN_TICK_MS
+    }
+    // An open thread still polls at the normal pace
+    return chat?.streaming && !thread ? STREAMING_TICK_MS : TICK_MS
+  }
+
+  const schedule = (delay) => {
+    clearTimeout(timer)
+    if (running) {
+      timer = setTimeout(tick, delay)
+    }
+  }
+
+  const tick = async () => {
+    if (!running) return
+    if (inFlight) {
+      resyncQueued = true
+      return
+    }
+
+    inFlight = true
+    const sentChat = chat
+    const sentThread = thread
+    const body = buildRequest()
+    ticks++
+
+    try {
+      const response = await fetch('/.netlify/functions/sync', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      })
+
+      if (response.status === 401) {
+        emit('unauthorized')
+        return
+      }
+      // Removed from a private channel or group while reading it
+      if ((response.status === 404 || response.status === 403) && body.sinceId !== undefined) {
+        failures = 0
+        if (sentChat === chat) {
+          closeChat()
+        }
+        emit('unavailable', { key: sentChat.key, status: response.status })
+        return
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const data = await response.json()
+      failures = 0
+
+      // Typing for a chat that has since been closed doesn't belong to the new one
+      receivePresence(data.presence, sentChat === chat ? data.typing : null)
+      receiveThreads(data.threads)
+      queryClient.setQueryData(syncKeys.mentionCount, data.mentionCount)
+      if (data.channels) {
+        queryClient.setQueryData(syncKeys.channels(username), data.channels)
+      }
+      if (data.conversations) {
+        queryClient.setQueryData(syncKeys.conversations(username), data.conversations)
+      }
+      if (data.messages && sentChat) {
+        receiveChatRows(sentChat, data.messages)
+        emit('synced', { key: sentChat.key })
+      }
+      if (data.thread && sentThread) {
+        receiveThread(sentThread, data.thread)
+      }
+    } catch (err) {
+      // Don't surface polling failures; back off and try again
+      failures++
+      console.error('Error syncing chat state:', err)
+    } finally {
+      inFlight = false
+      if (resyncQueued) {
+        resyncQueued = false
+        schedule(0)
+      } else {
+        schedule(nextDelay())
+      }
+    }
+  }
+
+  // Sync straight away, e.g. after sending or when the tab comes back
+  const syncNow = () => schedule(0)
+
+  // The user went idle or came back; tell everyone on the next tick, now
+  const setAway = (value) => {
+    if (value === away) return
+    away = value
+    syncNow()
+  }
+
+  const openStream = (target) => {
+    if (target.closeStream || document.hidden) return
+
+    target.closeStream = openMessageStream(
+      {
+        ...(target.conversationId ? { conversationId: target.conversationId } : { channel: target.channel }),
+        sinceId: target.lastId,
+        editedSince: target.editCursor
+      },
+      {
+        open: () => {
+          target.streaming = true
+          emit('synced', { key: target.key })
+        },
+        messages: (rows) => receiveChatRows(target, rows),
+        presence: ({ users, typing }) => receivePresence(users, typing),
+        threads: receiveThreads
+      },
+      // Stay on polling for this chat; the next tick picks up from the cursors
+      () => {
+        target.streaming = false
+        syncNow()
+      }
+    )
+  }
+
+  const closeStream = (target) => {
+    target?.closeStream?.()
+    if (target) {
+      target.closeStream = null
+      target.streaming = false
+    }
+  }
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      closeStream(chat)
+    } else {
+      if (chat) openStream(chat)
+      syncNow()
+    }
+  }
+
+  const handleOnline = () => {
+    failures = 0
+    flushOutbox()
+    syncNow()
+  }
+
+  const start = (name) => {
+    if (running && name === username) return
+    stop()
+
+    username = name
+    running = true
+    ticks = 0
+    failures = 0
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+    window.addEventListener('online', handleOnline)
+    syncNow()
+
+    // Sends left over from before a reload (or a spell offline) go out again
+    loadOutbox(name).then(entries => {
+      if (!running || username !== name) return
+      entries.forEach(entry => {
+        outbox.set(entry.clientId, entry)
+        showPending(entry)
+      })
+      flushOutbox()
+    })
+  }
+
+  const stop = () => {
+    running = false
+    clearTimeout(timer)
+    closeStream(chat)
+    chat = null
+    thread = null
+    outbox.clear()
+    document.removeEventListener('visibilitychange', handleVisibilityChange)
+    window.removeEventListener('online', handleOnline)
+    queryClient.setQueryData(syncKeys.presence, EMPTY_PRESENCE)
+    queryClient.setQueryData(syncKeys.mentionCount, 0)
+  }
+
+  // A chat has loaded: cache its messages and sync it from the newest one
+  const openChat = ({ key, channel, conversationId }, messages) => {
+    closeStream(chat)
+    clearTyping()
+    queryClient.setQueryData(syncKeys.messages(key), messages)
+
+    // Sends still waiting for this chat go back below its messages, unless
+    // the server turns out to have them already
+    const storedClientIds = new Set(messages.map(message => message.client_id).filter(Boolean))
+    outbox.forEach(entry => {
+      if (entry.key !== key) return
+      if (storedClientIds.has(entry.clientId)) {
+        forgetSend(entry.clientId)
+      } else {
+        showPending(entry)
+      }
+    })
+
+    chat = {
+      key,
+      channel,
+      conversationId,
+      // A new chat starts empty; sync from the beginning so its first messages show up
+      lastId: messages.length > 0 ? messages[messages.length - 1].id : 0,
+      editCursor: advanceEditCursor(null, messages),
+      streaming: false,
+      closeStream: null
+    }
+    openStream(chat)
+  }
+
+  const closeChat = () => {
+    closeStream(chat)
+    clearTyping()
+    chat = null
+  }
+
+  // Our own new messages (sends, uploads, pin notices) for a chat
+  const addMessages = (key, rows) => {
+    mergeChatRows(key, rows)
+  }
+
+  // Put an outbox entry's optimistic row in its chat, or update it in place
+  const showPending = (entry) => {
+    const row = { ...entry.row, send_status: entry.status }
+    queryClient.setQueryData(syncKeys.messages(entry.key), (prev) => {
+      if (!prev) return prev
+      const index = prev.findIndex(message => message.id === row.id)
+      if (index === -1) return [...prev, row]
+      return prev.map((message, i) => (i === index ? row : message))
+    })
+  }
+
+  const setSendStatus = (entry, status) => {
+    entry.status = status
+    saveOutboxEntry(entry)
+    showPending(entry)
+  }
+
+  const forgetSend = (clientId) => {
+    outbox.delete(clientId)
+    deleteOutboxEntry(clientId)
+  }
+
+  // POST an outbox entry. The client id makes this safe to repeat: the server
+  // hands back the stored message instead of saving it twice.
+  const deliver = async (entry) => {
+    if (delivering.has(entry.clientId)) return
+    if (!navigator.onLine) {
+      setSendStatus(entry, 'queued')
+      return
+    }
+
+    delivering.add(entry.clientId)
+    try {
+      const response = await fetch(entry.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...entry.payload, clientId: entry.clientId }),
+      })
+
+      // Stays in the outbox and goes out after signing back in
+      if (response.status === 401) {
+        emit('unauthorized')
+        return
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const message = await response.json()
+      forgetSend(entry.clientId)
+      mergeChatRows(entry.key, [message])
+    } catch (err) {
+      console.error('Error sending message:', err)
+      // Offline sends wait for the connection; anything else needs a retry
+      if (outbox.has(entry.clientId)) {
+        setSendStatus(entry, navigator.onLine ? 'failed' : 'queued')
+      }
+    } finally {
+      delivering.delete(entry.clientId)
+    }
+  }
+
+  // Deliver every send that isn't waiting on the user, e.g. once back online
+  const flushOutbox = () => {
+    outbox.forEach(entry => {
+      if (entry.status !== 'failed') deliver(entry)
+    })
+  }
+
+  // Show one of our own messages in a chat straight away and deliver it in
+  // the background. `row` is the message as the chat renders it (author, text,
+  // reply fields); the server's copy replaces it once it's stored.
+  const send = ({ key, endpoint, payload, row }) => {
+    const clientId = createClientId()
+    const entry = {
+      clientId,
+      username,
+      key,
+      endpoint,
+      payload,
+      row: {
+        ...row,
+        id: `pending:${clientId}`,
+        client_id: clientId,
+        created_at: new Date().toISOString(),
+        reactions: []
+      },
+      status: 'pending'
+    }
+
+    outbox.set(clientId, entry)
+    saveOutboxEntry(entry)
+    showPending(entry)
+    deliver(entry)
+  }
+
+  const retrySend = (clientId) => {
+    const entry = outbox.get(clientId)
+    if (!entry) return
+    setSendStatus(entry, 'pending')
+    deliver(entry)
+  }
+
+  // Give up on a failed send and take it out of the chat
+  const discardSend = (clientId) => {
+    const entry = outbox.get(clientId)
+    if (!entry) return
+    forgetSend(clientId)
+    queryClient.setQueryData(syncKeys.messages(entry.key), (prev) =>
+      prev ? prev.filter(message => message.id !== entry.row.id) : prev
+    )
+  }
+
+  const openThread = (rootId, { root, replies }) => {
+    queryClient.setQueryData(syncKeys.thread(rootId), { root, replies })
+    applyThreadRoot(root)
+    thread = {
+      rootId,
+      lastId: replies.length > 0 ? replies[replies.length - 1].id : 0,
+      editCursor: advanceEditCursor(null, replies)
+    }
+  }
+
+  const closeThread = (rootId) => {
+    if (thread?.rootId === rootId) {
+      thread = null
+    }
+  }
+
+  // Change the open thread's cached root or replies, e.g. after our own reply or reaction
+  const updateThread = (rootId, update) => {
+    queryClient.setQueryData(syncKeys.thread(rootId), (prev) => (prev ? update(prev) : prev))
+    if (thread?.rootId === rootId) {
+      const replies = queryClient.getQueryData(syncKeys.thread(rootId))?.replies || []
+      const latest = replies[replies.length - 1]
+      if (latest && latest.id > thread.lastId) {
+        thread.lastId = latest.id
+      }
+    }
+  }
+
+  return {
+    on,
+    start,
+    stop,
+    syncNow,
+    setAway,
+    openChat,
+    closeChat,
+    addMessages,
+    send,
+    retrySend,
+    discardSend,
+    openThread,
+    closeThread,
+    updateThread,
+    applyThreadRoot,
+  }
+}
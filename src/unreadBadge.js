@@ -0,0 +1,78 @@
+// Unread count in the tab: "(3) Chat App" in the title, a badge drawn on the
+// favicon, and the app icon badge where the installed PWA supports one
+
+const ICON_URL = '/icon.svg'
+const ICON_SIZE = 64
+
+let baseTitle = null
+let iconImage = null
+let latestUpdate = 0
+
+const faviconLink = () => document.querySelector('link[rel="icon"]')
+
+// The icon, loaded once; resolves to null if it can't be drawn
+const loadIcon = () => {
+  if (!iconImage) {
+    iconImage = new Promise(resolve => {
+      const image = new Image()
+      image.onload = () => resolve(image)
+      image.onerror = () => resolve(null)
+      image.src = ICON_URL
+    })
+  }
+  return iconImage
+}
+
+const drawBadgedIcon = async (count) => {
+  const image = await loadIcon()
+  if (!image) return null
+
+  const canvas = document.createElement('canvas')
+  canvas.width = ICON_SIZE
+  canvas.height = ICON_SIZE
+  const context = canvas.getContext('2d')
+  if (!context) return null
+
+  context.drawImage(image, 0, 0, ICON_SIZE, ICON_SIZE)
+
+  const label = count > 99 ? '99+' : String(count)
+  const radius = ICON_SIZE * 0.3
+  const centerX = ICON_SIZE - radius
+  const centerY = radius
+  context.fillStyle = '#e53935'
+  context.beginPath()
+  context.arc(centerX, centerY, radius, 0, 2 * Math.PI)
+  context.fill()
+
+  context.fillStyle = '#ffffff'
+  context.font = `bold ${label.length > 2 ? 18 : 26}px sans-serif`
+  context.textAlign = 'center'
+  context.textBaseline = 'middle'
+  context.fillText(label, centerX, centerY + 1)
+
+  return canvas.toDataURL('image/png')
+}
+
+// Show a total unread count; 0 restores the plain title and icon
+export const showUnreadCount = async (count) => {
+  const update = ++latestUpdate
+  if (baseTitle === null) {
+    baseTitle = document.title
+  }
+  document.title = count > 0 ? `(${count > 99 ? '99+' : count}) ${baseTitle}` : baseTitle
+
+  if ('setAppBadge' in navigator) {
+    const badge = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge()
+    badge.catch(() => {}) // Not allowed outside an installed app in some browsers
+  }
+
+  const link = faviconLink()
+  if (!link) return
+
+  const href = count > 0 ? await drawBadgedIcon(count) : null
+  // A newer count came in while drawing
+  if (update !== latestUpdate) return
+
+  link.type = href ? 'image/png' : 'image/svg+xml'
+  link.href = href || ICON_URL
+}